@@ -1,10 +1,17 @@
 const AgriProduct = require('../model/AgriProduct');
+const { listQuery, withLinks } = require('../services/listQuery');
 
 exports.getAllProducts = async (req, res) => {
     try {
-        const products = await AgriProduct.find().populate('owner', 'firstName lastName email');
-        res.status(200).json(products);
+        const products = await listQuery(AgriProduct, req.query, {
+            filters: ['productName', 'productType', 'priceType', 'price', 'location.city', 'location.state', 'isAvailable', 'owner'],
+            sorts: ['productName', 'price', 'postedDate'],
+            defaultSort: '-postedDate',
+            populate: { path: 'owner', select: 'firstName lastName email' },
+        });
+        res.status(200).json(withLinks(req, products));
     } catch (error) {
+        if (error.status) return res.status(error.status).json({ message: error.message });
         res.status(500).json({ message: "Error fetching products", error });
     }
 };
@@ -12,7 +19,7 @@ exports.getAllProducts = async (req, res) => {
 // Create a new product
 exports.createProduct = async (req, res) => {
     try {
-        const newProduct = new AgriProduct({ ...req.body, owner: req.user._id });  // Assuming req.user is the logged-in user
+        const newProduct = new AgriProduct({ ...req.body, owner: req.user.userId });
         const savedProduct = await newProduct.save();
         res.status(201).json(savedProduct);
     } catch (error) {
@@ -34,7 +41,9 @@ exports.getProductById = async (req, res) => {
 // Update product
 exports.updateProduct = async (req, res) => {
     try {
-        const updatedProduct = await AgriProduct.findByIdAndUpdate(req.params.id, req.body, { new: true });
+        // A product stays with its owner
+        const { owner, ...changes } = req.body;
+        const updatedProduct = await AgriProduct.findByIdAndUpdate(req.params.id, changes, { new: true });
         res.status(200).json(updatedProduct);
     } catch (error) {
         res.status(400).json({ message: "Error updating product", error });
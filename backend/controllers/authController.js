@@ -1,9 +1,16 @@
 const User = require("../model/user");
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const nodemailer = require('nodemailer');
 const crypto = require('crypto');
 const { sendVerificationEmail } = require('../services/emailUtils');
+const {
+  createSession,
+  refreshSession,
+  endSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+} = require('../services/sessionService');
 
 
 exports.signinController = async (req, res) => {
@@ -40,18 +47,11 @@ exports.signinController = async (req, res) => {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Set token expiry based on rememberMe flag
-    const tokenExpiry = rememberMe ? '7d' : '1h'; 
-
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: tokenExpiry }
-    );
+    // rememberMe keeps the session for longer; the access token is short lived either way
+    const tokens = await createSession(user, { rememberMe, userAgent: req.get('user-agent'), ip: req.ip });
 
     const user_id = user._id.toString();
-    res.status(200).json({ message: 'Login successful', token, user_id, tokenExpiry });
+    res.status(200).json({ message: 'Login successful', ...tokens, user_id });
   } catch (error) {
     console.error("Login error:", error);
     res.status(500).json({ message: 'Login failed' });
@@ -146,6 +146,9 @@ exports.resetPasswordController = async (req, res) => {
 
     await user.save();  
 
+    // Whoever knew the old password is signed out
+    await revokeAllSessions(user._id, 'password_reset');
+
     res.status(200).json({ message: "Password reset successfully." });
   } catch (error) {
     console.error("Reset password error:", error);
@@ -255,7 +258,7 @@ exports.resendVerificationEmail = async (req, res) => {
 
 
 exports.updateUserProfile = async (req, res) => {
-  const {userId} = req.query;  // Retrieved from authentication middleware
+  const { userId } = req.user;
   const { firstName, lastName, username, email, address } = req.body;
 
   // Validate the fields
@@ -281,3 +284,56 @@ exports.updateUserProfile = async (req, res) => {
   }
 };
 
+
+// Swap a refresh token for a new access token and refresh token
+exports.refreshTokenController = async (req, res) => {
+  try {
+    const tokens = await refreshSession(req.body.refreshToken, { userAgent: req.get('user-agent'), ip: req.ip });
+    res.status(200).json(tokens);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error("Token refresh error:", error);
+    res.status(500).json({ message: 'Error refreshing the session' });
+  }
+};
+
+// Sign this device out
+exports.logoutController = async (req, res) => {
+  try {
+    await endSession(req.body.refreshToken);
+    res.status(200).json({ message: 'Logged out' });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error("Logout error:", error);
+    res.status(500).json({ message: 'Error logging out' });
+  }
+};
+
+exports.listSessionsController = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.userId, req.user.sid);
+    res.status(200).json({ sessions });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching sessions' });
+  }
+};
+
+exports.revokeSessionController = async (req, res) => {
+  try {
+    await revokeSession(req.user.userId, req.params.sessionId);
+    res.status(200).json({ message: 'Session revoked' });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: 'Error revoking session' });
+  }
+};
+
+// Sign out of every device, this one included
+exports.revokeAllSessionsController = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.userId, 'logout_everywhere');
+    res.status(200).json({ message: 'Logged out everywhere', revoked });
+  } catch (error) {
+    res.status(500).json({ message: 'Error revoking sessions' });
+  }
+};
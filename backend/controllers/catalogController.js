@@ -0,0 +1,75 @@
+const { assertSellerAccess } = require('../services/shop/sellerService');
+const { importUpload, readImport } = require('../services/importFile');
+const { toCsv } = require('../services/csv');
+const {
+  SHOP_COLUMNS,
+  RENT_COLUMNS,
+  importShopCatalog,
+  exportShopCatalog,
+  importRentCatalog,
+  exportRentCatalog,
+} = require('../services/catalogService');
+
+const handleError = (res, error, message) => {
+  if (error.status) return res.status(error.status).json({ message: error.message });
+  if (error.name === 'ValidationError') return res.status(400).json({ message: error.message });
+  console.error(message, error);
+  res.status(500).json({ message });
+};
+
+// Sends catalog rows as JSON with ?format=json, and as a CSV download otherwise
+const sendCatalog = (req, res, fileName, columns, rows) => {
+  if (req.query.format === 'json') return res.status(200).json(rows);
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${fileName}.csv"`,
+  });
+  res.send(toCsv(columns.map((column) => ({ header: column, value: (row) => row[column] })), rows));
+};
+
+// Runs an import on the rows of an uploaded CSV or JSON file, or of a JSON body
+const handleImport = (req, res, message, runImport) => {
+  importUpload(req, res, async (uploadError) => {
+    try {
+      if (uploadError) {
+        if (uploadError.name === 'MulterError') uploadError.status = 400;
+        throw uploadError;
+      }
+      const result = await runImport(readImport(req), { dryRun: req.query.dryRun === 'true' });
+      res.status(200).json(result);
+    } catch (error) {
+      handleError(res, error, message);
+    }
+  });
+};
+
+// Import shop products and variants; sellers import into their own catalog
+exports.importShopCatalog = (req, res) =>
+  handleImport(req, res, 'Failed to import the shop catalog', async (rows, { dryRun }) => {
+    const ownSeller = await assertSellerAccess(req.user);
+    return importShopCatalog(rows, { seller: ownSeller, dryRun, actor: req.user.userId });
+  });
+
+// The shop catalog in the import format; sellers get their own, admins may pick one with ?seller=
+exports.exportShopCatalog = async (req, res) => {
+  try {
+    const ownSeller = await assertSellerAccess(req.user);
+    const rows = await exportShopCatalog({ seller: ownSeller ? ownSeller._id : req.query.seller });
+    sendCatalog(req, res, 'shop-catalog', SHOP_COLUMNS, rows);
+  } catch (error) {
+    handleError(res, error, 'Failed to export the shop catalog');
+  }
+};
+
+// Import rental products
+exports.importRentCatalog = (req, res) =>
+  handleImport(req, res, 'Failed to import the rent catalog', importRentCatalog);
+
+// The rent catalog in the import format
+exports.exportRentCatalog = async (req, res) => {
+  try {
+    sendCatalog(req, res, 'rent-catalog', RENT_COLUMNS, await exportRentCatalog());
+  } catch (error) {
+    handleError(res, error, 'Failed to export the rent catalog');
+  }
+};
@@ -3,12 +3,13 @@
 const Post = require("../model/post");
 const Comment = require("../model/comment");
 const User = require("../model/user");
+const { listQuery, withLinks } = require("../services/listQuery");
 
 // Controller to create a new post
 exports.createPost = async (req, res) => {
   try {
-    const { content, images, author } = req.body;
-    // const author = req.user._id; // Assuming user is authenticated
+    const { content, images } = req.body;
+    const author = req.user.userId;
 
     const post = new Post({
       content,
@@ -26,8 +27,8 @@ exports.createPost = async (req, res) => {
 // Controller to add a comment to a post
 exports.addComment = async (req, res) => {
   try {
-    const { content, author } = req.body;
-    // const author = req.user._id;
+    const { content } = req.body;
+    const author = req.user.userId;
     const { postId } = req.params;
 
     const comment = new Comment({
@@ -47,19 +48,24 @@ exports.addComment = async (req, res) => {
   }
 };
 
-// Controller to retrieve all posts with their comments
+// Controller to retrieve posts with their comments, newest first
 exports.getPostsWithComments = async (req, res) => {
   try {
-    const posts = await Post.find()
-      .populate("author", "firstName lastName")
-      .populate({
-        path: "comments",
-        populate: { path: "author", select: "firstName lastName" },
-      })
-      .exec();
+    const posts = await listQuery(Post, req.query, {
+      filters: ["author", "content", "createdAt"],
+      sorts: ["createdAt"],
+      populate: [
+        { path: "author", select: "firstName lastName" },
+        {
+          path: "comments",
+          populate: { path: "author", select: "firstName lastName" },
+        },
+      ],
+    });
 
-    res.status(200).json(posts);
+    res.status(200).json(withLinks(req, posts));
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
     res.status(500).json({ error: "Failed to retrieve posts" });
   }
 };
@@ -0,0 +1,47 @@
+const Invoice = require('../model/invoice');
+const { renderInvoicePdf } = require('../services/invoicePdf');
+const { hasPermission } = require('../middleware/permissions');
+
+/**
+ * Sends an invoice as a PDF download.
+ * @param {object} res - Express response.
+ * @param {object} invoice - Invoice document.
+ */
+const sendInvoicePdf = async (res, invoice) => {
+  const pdf = await renderInvoicePdf(invoice);
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${invoice.invoiceNumber}.pdf"`,
+    'Content-Length': pdf.length,
+  });
+  res.send(pdf);
+};
+
+exports.sendInvoicePdf = sendInvoicePdf;
+
+// List the logged in user's invoices, newest first
+exports.listMyInvoices = async (req, res) => {
+  try {
+    const invoices = await Invoice.find({ user: req.user.userId })
+      .sort({ issuedAt: -1 })
+      .select('invoiceNumber type sourceId total deposit amountDue issuedAt');
+    res.status(200).json({ invoices });
+  } catch (error) {
+    console.error(`Error in listMyInvoices: ${error.message}`, error);
+    res.status(500).json({ message: 'An error occurred while fetching invoices.' });
+  }
+};
+
+// Download one invoice; customers only see their own
+exports.downloadInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({ invoiceNumber: req.params.invoiceNumber });
+    if (!invoice || (!hasPermission(req.user, 'orders:read') && !invoice.user?.equals(req.user.userId))) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+    await sendInvoicePdf(res, invoice);
+  } catch (error) {
+    console.error(`Error in downloadInvoice: ${error.message}`, error);
+    res.status(500).json({ message: 'An error occurred while generating the invoice.' });
+  }
+};
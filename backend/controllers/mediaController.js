@@ -0,0 +1,59 @@
+const User = require('../model/user');
+const { assertSellerAccess } = require('../services/shop/sellerService');
+const { hasPermission } = require('../middleware/permissions');
+const {
+  mediaUpload,
+  profilePictureUpload,
+  saveMedia,
+  releaseMedia,
+} = require('../services/media/mediaService');
+
+const handleError = (res, error, message) => {
+  if (error.status) return res.status(error.status).json({ message: error.message });
+  if (error.name === 'MulterError') return res.status(400).json({ message: error.message });
+  console.error(message, error);
+  res.status(500).json({ message });
+};
+
+// Media as the client needs it: the URL to save on a document, and every size
+const mediaView = (media) => ({
+  id: media._id,
+  url: media.sizes.full.url,
+  sizes: Object.fromEntries(Object.entries(media.toObject().sizes).map(([name, size]) => [name, size.url])),
+});
+
+// Upload images for a product (approved sellers and admins), rental listing (equipment owners) or discussion post
+exports.uploadMedia = (req, res) => {
+  mediaUpload(req, res, async (uploadError) => {
+    try {
+      if (uploadError) throw uploadError;
+      if (req.params.purpose === 'profile') {
+        return res.status(400).json({ message: 'Upload profile pictures to /api/media/profile-picture' });
+      }
+      if (req.params.purpose === 'product') await assertSellerAccess(req.user);
+      if (req.params.purpose === 'rent-product' && !hasPermission(req.user, 'listings:write')) {
+        return res.status(403).json({ message: "You don't have permission to do this" });
+      }
+      const media = await saveMedia(req.files, { owner: req.user.userId, purpose: req.params.purpose });
+      res.status(201).json({ media: media.map(mediaView) });
+    } catch (error) {
+      handleError(res, error, 'Failed to upload images');
+    }
+  });
+};
+
+// Replace the logged in user's profile picture
+exports.uploadProfilePicture = (req, res) => {
+  profilePictureUpload(req, res, async (uploadError) => {
+    try {
+      if (uploadError) throw uploadError;
+      const [media] = await saveMedia(req.file ? [req.file] : [], { owner: req.user.userId, purpose: 'profile' });
+      const previous = await User.findByIdAndUpdate(req.user.userId, { profilePicture: media.sizes.full.url });
+      if (!previous) return res.status(404).json({ message: 'User not found' });
+      await releaseMedia(previous.profilePicture);
+      res.status(200).json({ message: 'Profile picture updated', ...mediaView(media) });
+    } catch (error) {
+      handleError(res, error, 'Failed to update the profile picture');
+    }
+  });
+};
@@ -0,0 +1,102 @@
+const Payment = require('../model/payment');
+const ExtendedUser = require('../model/shop/extendedUser');
+const {
+  confirmPayment,
+  capturePayment,
+  refundPayment,
+  handleWebhook,
+  savePaymentMethod,
+  removePaymentMethod,
+} = require('../services/paymentService');
+
+const handleError = (res, error, message) => {
+  if (error.status) return res.status(error.status).json({ message: error.message });
+  console.error(message, error);
+  res.status(500).json({ message });
+};
+
+// Get a payment with its refunds
+exports.getPayment = async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.paymentId).select('-processedEvents');
+    if (!payment) return res.status(404).json({ message: 'Payment not found' });
+    res.status(200).json({ payment });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch payment');
+  }
+};
+
+// Record the result of the customer paying on the client
+exports.confirmPayment = async (req, res) => {
+  try {
+    const payment = await confirmPayment(req.params.paymentId, req.body);
+    res.status(200).json({ message: `Payment ${payment.status}`, payment });
+  } catch (error) {
+    handleError(res, error, 'Failed to confirm payment');
+  }
+};
+
+// Capture an authorized payment (admin)
+exports.capturePayment = async (req, res) => {
+  try {
+    const payment = await capturePayment(req.params.paymentId, req.body.amount);
+    res.status(200).json({ message: 'Payment captured', payment });
+  } catch (error) {
+    handleError(res, error, 'Failed to capture payment');
+  }
+};
+
+// Refund part or all of a payment (admin)
+exports.refundPayment = async (req, res) => {
+  const { amount, reason } = req.body;
+  try {
+    const { payment, refund } = await refundPayment(req.params.paymentId, { amount, reason });
+    res.status(200).json({ message: 'Refund issued', payment, refund });
+  } catch (error) {
+    handleError(res, error, 'Failed to refund payment');
+  }
+};
+
+// Provider webhooks; the raw body is kept by express.json for the signature check
+exports.handleWebhook = async (req, res) => {
+  try {
+    await handleWebhook(req.params.provider, req.rawBody || Buffer.from(''), req.headers);
+    res.status(200).json({ received: true });
+  } catch (error) {
+    handleError(res, error, 'Failed to process webhook');
+  }
+};
+
+// List a user's saved payment methods
+exports.getPaymentMethods = async (req, res) => {
+  try {
+    const user = await ExtendedUser.findById(req.params.userId).select('paymentMethods');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    res.status(200).json({ paymentMethods: user.paymentMethods });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch payment methods');
+  }
+};
+
+// Save a payment method as a provider token
+exports.addPaymentMethod = async (req, res) => {
+  // The provider comes from the server's configuration, never the request
+  const { provider, ...details } = req.body;
+  try {
+    const paymentMethods = await savePaymentMethod(req.params.userId, details);
+    res.status(201).json({ message: 'Payment method saved', paymentMethods });
+  } catch (error) {
+    handleError(res, error, 'Failed to save payment method');
+  }
+};
+
+// Remove a saved payment method
+exports.removePaymentMethod = async (req, res) => {
+  const { userId, methodId } = req.params;
+  try {
+    const paymentMethods = await removePaymentMethod(userId, methodId);
+    res.status(200).json({ message: 'Payment method removed', paymentMethods });
+  } catch (error) {
+    handleError(res, error, 'Failed to remove payment method');
+  }
+};
@@ -0,0 +1,141 @@
+const CommissionRule = require('../model/commissionRule');
+const { DEFAULT_COMMISSION_PERCENT, payeeBalances } = require('../services/ledgerService');
+const { withLinks } = require('../services/listQuery');
+const {
+  generatePayouts,
+  markPayoutPaid,
+  cancelPayout,
+  listPayouts,
+  getStatement,
+  statementCsv,
+  batchCsv,
+} = require('../services/payoutService');
+
+const handleError = (res, error, message) => {
+  if (error.status) return res.status(error.status).json({ message: error.message });
+  if (error.name === 'ValidationError') return res.status(400).json({ message: error.message });
+  console.error(message, error);
+  res.status(500).json({ message });
+};
+
+const sendCsv = (res, fileName, csv) => {
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${fileName}.csv"`,
+  });
+  res.send(csv);
+};
+
+// Commission per category, and the default for categories without a rule
+exports.getCommissionRules = async (req, res) => {
+  try {
+    const filter = req.query.marketplace ? { marketplace: req.query.marketplace } : {};
+    const rules = await CommissionRule.find(filter).sort({ marketplace: 1, category: 1 });
+    res.status(200).json({ defaultPercent: DEFAULT_COMMISSION_PERCENT, rules });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch commission rules');
+  }
+};
+
+// Set the commission of a category; applies to sales and rentals recorded from now on
+exports.setCommissionRule = async (req, res) => {
+  const { marketplace, category, percent } = req.body;
+  try {
+    const rule = await CommissionRule.findOneAndUpdate(
+      { marketplace, category },
+      { $set: { percent, updatedBy: req.user.userId } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    res.status(200).json({ message: 'Commission saved', rule });
+  } catch (error) {
+    handleError(res, error, 'Failed to save commission');
+  }
+};
+
+// Remove a category's commission so it falls back to the default
+exports.deleteCommissionRule = async (req, res) => {
+  try {
+    const rule = await CommissionRule.findByIdAndDelete(req.params.ruleId);
+    if (!rule) return res.status(404).json({ message: 'Commission rule not found' });
+    res.status(200).json({ message: 'Commission removed' });
+  } catch (error) {
+    handleError(res, error, 'Failed to remove commission');
+  }
+};
+
+// What is owed to each seller and equipment owner
+exports.getBalances = async (req, res) => {
+  try {
+    res.status(200).json({ balances: await payeeBalances({ kind: req.query.kind, id: req.query.payee }) });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch balances');
+  }
+};
+
+// Generate payout statements for everything owed up to the end of a period
+exports.generatePayouts = async (req, res) => {
+  const { periodStart, periodEnd } = req.body;
+  try {
+    const batch = await generatePayouts({ periodStart, periodEnd, actor: req.user.userId });
+    res.status(201).json({ message: `${batch.payouts.length} payouts generated`, ...batch });
+  } catch (error) {
+    handleError(res, error, 'Failed to generate payouts');
+  }
+};
+
+// List payouts, filtered by batch, status and payee
+exports.getPayouts = async (req, res) => {
+  try {
+    res.status(200).json(withLinks(req, await listPayouts(req.query)));
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch payouts');
+  }
+};
+
+// Every statement of a batch as one CSV, for the bank transfer
+exports.exportBatch = async (req, res) => {
+  try {
+    sendCsv(res, req.params.batchId, await batchCsv(req.params.batchId));
+  } catch (error) {
+    handleError(res, error, 'Failed to export payouts');
+  }
+};
+
+// A payout with its ledger entries
+exports.getPayout = async (req, res) => {
+  try {
+    res.status(200).json({ payout: await getStatement(req.params.payoutId) });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch payout');
+  }
+};
+
+// One payout statement as CSV
+exports.exportStatement = async (req, res) => {
+  try {
+    const { payout, csv } = await statementCsv(req.params.payoutId);
+    sendCsv(res, payout.payoutId, csv);
+  } catch (error) {
+    handleError(res, error, 'Failed to export statement');
+  }
+};
+
+// Record that a payout was transferred to the payee
+exports.markPayoutPaid = async (req, res) => {
+  try {
+    const payout = await markPayoutPaid(req.params.payoutId, { actor: req.user.userId, reference: req.body.reference });
+    res.status(200).json({ message: 'Payout marked as paid', payout });
+  } catch (error) {
+    handleError(res, error, 'Failed to mark payout as paid');
+  }
+};
+
+// Cancel a payout that won't be paid; its entries join the next batch
+exports.cancelPayout = async (req, res) => {
+  try {
+    const payout = await cancelPayout(req.params.payoutId);
+    res.status(200).json({ message: 'Payout cancelled', payout });
+  } catch (error) {
+    handleError(res, error, 'Failed to cancel payout');
+  }
+};
@@ -10,7 +10,7 @@ exports.submitRating = async (req, res) => {
 
   try {
     const newRating = new Rating({
-      user: req.userId, // User ID from token middleware
+      user: req.user.userId, // User ID from token middleware
       rating,
       comment
     });
@@ -1,50 +1,71 @@
 const mongoose = require('mongoose')
 const User = require('../../model/user');
 const RentProduct = require('../../model/rent/rentProduct');
+const RentalOrder = require('../../model/rent/rentalOrder');
+const { parseWindow, reserveUnits, resizeReservation } = require('../../services/rent/availabilityService');
+const { transitionRental, releaseRentalInventory } = require('../../services/rent/rentalLifecycle');
+const { quoteRental, toPriceBreakdown, redeemQuotePromotion } = require('../../services/rent/quoteService');
+const { inspectRental } = require('../../services/rent/depositService');
+const { decideExtension } = require('../../services/rent/extensionService');
+const { listQuery, withLinks } = require('../../services/listQuery');
 
 exports.adminCreateRental = async (req, res) => {
     try {
-      const { userId, productId, rentalDuration, quantity } = req.body;
-  
+      const { userId, productId, rentalDuration, quantity, startDate, endDate } = req.body;
+
       // Validate inputs
       if (!userId || !productId || !rentalDuration || !quantity) {
         return res.status(400).json({ message: 'Missing required fields' });
       }
-  
+
+      const window = parseWindow(startDate, endDate);
+
       const user = await User.findById(userId);
       if (!user) {
         return res.status(404).json({ message: 'User not found' });
       }
-  
+
       const product = await RentProduct.findById(productId);
-      if (!product || product.availabilityStatus !== 'available') {
+      if (!product || product.availabilityStatus === 'maintenance') {
         return res.status(404).json({ message: 'Product not available for rent' });
       }
-  
+
+      const quote = await quoteRental({
+        product,
+        user,
+        quantity,
+        startDate: window.start,
+        endDate: window.end,
+        rentalDuration,
+      });
+
       // Create the order (rental) for the user
-      const rental = {
-        rentalId: new mongoose.Types.ObjectId(),
+      const rental = new RentalOrder({
+        rentalId: new mongoose.Types.ObjectId().toString(),
+        user: userId,
         product: productId,
-        rentalDuration,
-        quantity,
+        rentalDuration: quote.rateUnit,
+        quantity: quote.quantity,
         rentalDate: new Date(),
+        startDate: window.start,
+        endDate: window.end,
         returnDate: null,
-        status: 'ongoing',
-      };
-  
-      // Add the rental to the user's rentals array
-      user.rentals.push(rental);
-  
-      // Update the product availability status
-      product.availabilityStatus = 'rented';
-      product.rentedQuantity += quantity;
-  
-      await user.save();
-      await product.save();
-  
+        priceBreakdown: toPriceBreakdown(quote),
+        deposit: { amount: quote.deposit },
+        // Orders placed by an admin skip the approval step
+        status: 'approved',
+        statusHistory: [{ status: 'approved', changedBy: req.user?.userId, reason: 'Created by admin' }],
+      });
+
+      // Fails with 409 if the units are already booked for these dates
+      await reserveUnits({ product, userId, rentalId: rental.rentalId, quantity: quote.quantity, startDate: window.start, endDate: window.end });
+
+      await rental.save();
+
       res.status(201).json({ message: 'Order created successfully', rental });
     } catch (error) {
       console.error(error);
+      if (error.status) return res.status(error.status).json({ message: error.message });
       res.status(500).json({ message: 'Internal server error' });
     }
   }
@@ -52,15 +73,18 @@ exports.adminCreateRental = async (req, res) => {
 
   exports.getAllOrders = async (req, res) => {
     try {
-      const users = await User.find().populate({
-        path: 'rentals.product',
-        select: 'name description price image',
+      const orders = await listQuery(RentalOrder, req.query, {
+        filters: ['rentalId', 'user', 'product', 'status', 'deposit.status', 'startDate', 'endDate', 'dueDate', 'createdAt'],
+        sorts: ['createdAt', 'startDate', 'endDate', 'dueDate', 'priceBreakdown.total'],
+        populate: [
+          { path: 'product', select: 'name description price image' },
+          { path: 'user', select: 'firstName lastName email phone' },
+        ],
       });
-  
-      const orders = users.flatMap(user => user.rentals);
-  
-      res.status(200).json(orders);
+
+      res.status(200).json(withLinks(req, orders));
     } catch (error) {
+      if (error.status) return res.status(error.status).json({ message: error.message });
       console.error(error);
       res.status(500).json({ message: 'Internal server error' });
     }
@@ -70,17 +94,15 @@ exports.adminCreateRental = async (req, res) => {
   exports.getSpecificOrder = async (req, res) => {
     try {
       const { rentalId } = req.params;
-  
-      const user = await User.findOne({ 'rentals.rentalId': rentalId }).populate({
-        path: 'rentals.product',
-        select: 'name description price image',
-      });
-  
-      if (!user) {
+
+      const rental = await RentalOrder.findOne({ rentalId })
+        .populate({ path: 'product', select: 'name description price image' })
+        .populate({ path: 'user', select: 'firstName lastName email phone' });
+
+      if (!rental) {
         return res.status(404).json({ message: 'Order not found' });
       }
-  
-      const rental = user.rentals.find(rental => rental.rentalId.toString() === rentalId);
+
       res.status(200).json(rental);
     } catch (error) {
       console.error(error);
@@ -91,41 +113,58 @@ exports.adminCreateRental = async (req, res) => {
   exports.updateOrder = async (req, res) => {
     try {
       const { rentalId } = req.params;
-      const { status, quantity, returnDate } = req.body;
-  
+      const { status, quantity, returnDate, reason } = req.body;
+
       // Validate inputs
       if (!status && !quantity && !returnDate) {
         return res.status(400).json({ message: 'Nothing to update' });
       }
-  
-      const user = await User.findOne({ 'rentals.rentalId': rentalId });
-      if (!user) {
+
+      let rental = await RentalOrder.findOne({ rentalId });
+      if (!rental) {
         return res.status(404).json({ message: 'Order not found' });
       }
-  
-      const rental = user.rentals.find(rental => rental.rentalId.toString() === rentalId);
-      if (!rental) {
-        return res.status(404).json({ message: 'Rental not found in user data' });
+
+      // Quantity can only change while the units are still just reserved
+      if (quantity && quantity !== rental.quantity) {
+        if (!['requested', 'approved'].includes(rental.status)) {
+          return res.status(409).json({ message: `Quantity cannot be changed once the order is ${rental.status}` });
+        }
+        const product = await RentProduct.findById(rental.product);
+        const user = await User.findById(rental.user);
+        const quote = await quoteRental({
+          product,
+          user,
+          quantity,
+          startDate: rental.startDate,
+          endDate: rental.endDate,
+          rentalDuration: rental.rentalDuration,
+          promoCode: rental.priceBreakdown.promoCode,
+          orderId: rentalId,
+        });
+        await resizeReservation(product, rentalId, quantity);
+        try {
+          await redeemQuotePromotion(quote, { userId: rental.user, orderId: rentalId });
+        } catch (error) {
+          await resizeReservation(product, rentalId, rental.quantity);
+          throw error;
+        }
+        rental.quantity = quantity;
+        rental.priceBreakdown = toPriceBreakdown(quote);
+        rental.deposit.amount = quote.deposit;
       }
-  
-      // Update the rental status and/or quantity
-      if (status) rental.status = status;
-      if (quantity) rental.quantity = quantity;
       if (returnDate) rental.returnDate = returnDate;
-  
-      // If the order is returned, update the product's availability
-      if (rental.status === 'returned' || rental.status === 'cancelled') {
-        const product = await RentProduct.findById(rental.product);
-        product.availabilityStatus = 'available';
-        product.rentedQuantity -= rental.quantity;
-        await product.save();
+      await rental.save();
+
+      // Status changes go through the lifecycle, which also adjusts inventory
+      if (status && status !== rental.status) {
+        rental = await transitionRental(rentalId, status, { actor: req.user?.userId, reason });
       }
-  
-      await user.save();
-  
+
       res.status(200).json({ message: 'Order updated successfully', rental });
     } catch (error) {
       console.error(error);
+      if (error.status) return res.status(error.status).json({ message: error.message });
       res.status(500).json({ message: 'Internal server error' });
     }
   }
@@ -134,30 +173,15 @@ exports.adminCreateRental = async (req, res) => {
   exports.deleteOrder =  async (req, res) => {
     try {
       const { rentalId } = req.params;
-  
-      const user = await User.findOne({ 'rentals.rentalId': rentalId });
-      if (!user) {
+
+      const rental = await RentalOrder.findOneAndDelete({ rentalId });
+      if (!rental) {
         return res.status(404).json({ message: 'Order not found' });
       }
-  
-      const rentalIndex = user.rentals.findIndex(rental => rental.rentalId.toString() === rentalId);
-      if (rentalIndex === -1) {
-        return res.status(404).json({ message: 'Rental not found in user data' });
-      }
-  
-      // Remove the rental from the user's rentals array
-      user.rentals.splice(rentalIndex, 1);
-  
-      const rental = user.rentals[rentalIndex];
-  
-      // Update the product availability
-      const product = await RentProduct.findById(rental.product);
-      product.availabilityStatus = 'available';
-      product.rentedQuantity -= rental.quantity;
-      await product.save();
-  
-      await user.save();
-  
+
+      // Give back any units the order was holding or had out
+      await releaseRentalInventory(rental);
+
       res.status(200).json({ message: 'Order deleted successfully' });
     } catch (error) {
       console.error(error);
@@ -167,34 +191,68 @@ exports.adminCreateRental = async (req, res) => {
 
   exports.bulkUpdateOrders = async (req, res) => {
     try {
-      const { rentalIds, status } = req.body;
-  
+      const { rentalIds, status, reason } = req.body;
+
       if (!rentalIds || !Array.isArray(rentalIds) || rentalIds.length === 0 || !status) {
         return res.status(400).json({ message: 'Invalid input' });
       }
-  
-      const users = await User.find({ 'rentals.rentalId': { $in: rentalIds } });
+
       const updatedRentals = [];
-  
-      for (const user of users) {
-        for (const rental of user.rentals) {
-          if (rentalIds.includes(rental.rentalId.toString())) {
-            rental.status = status;
-            if (status === 'returned' || status === 'cancelled') {
-              const product = await RentProduct.findById(rental.product);
-              product.availabilityStatus = 'available';
-              product.rentedQuantity -= rental.quantity;
-              await product.save();
-            }
-            updatedRentals.push(rental);
-          }
+      const failed = [];
+
+      // Each order is checked on its own: one illegal transition doesn't block the rest
+      for (const rentalId of rentalIds) {
+        try {
+          updatedRentals.push(await transitionRental(rentalId, status, { actor: req.user?.userId, reason }));
+        } catch (error) {
+          if (!error.status) throw error;
+          failed.push({ rentalId, message: error.message });
         }
-        await user.save();
       }
-  
-      res.status(200).json({ message: 'Orders updated successfully', updatedRentals });
+
+      res.status(200).json({ message: 'Orders updated successfully', updatedRentals, failed });
     } catch (error) {
       console.error(error);
       res.status(500).json({ message: 'Internal server error' });
     }
-  }
\ No newline at end of file
+  }
+
+  // Record the condition of a returned rental and settle its deposit
+  exports.inspectOrder = async (req, res) => {
+    try {
+      const { rentalId } = req.params;
+      const { condition, notes, photos, deductions } = req.body;
+
+      const rental = await inspectRental(rentalId, { condition, notes, photos, deductions }, req.user?.userId);
+
+      res.status(200).json({ message: 'Inspection recorded', rental, settlement: rental.settlement });
+    } catch (error) {
+      console.error(error);
+      if (error.status) return res.status(error.status).json({ message: error.message });
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+
+  // Approve or reject a renter's extension request
+  exports.decideOrderExtension = async (req, res) => {
+    try {
+      const { rentalId, extensionId } = req.params;
+      const { decision, reason } = req.body;
+
+      if (!['approve', 'reject'].includes(decision)) {
+        return res.status(400).json({ message: 'Decision must be "approve" or "reject"' });
+      }
+
+      const rental = await decideExtension(rentalId, extensionId, {
+        approve: decision === 'approve',
+        actor: req.user?.userId,
+        reason,
+      });
+
+      res.status(200).json({ message: `Extension ${decision === 'approve' ? 'approved' : 'rejected'}`, rental });
+    } catch (error) {
+      console.error(error);
+      if (error.status) return res.status(error.status).json({ message: error.message });
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
@@ -1,5 +1,11 @@
 
 const User = require('../../model/user');
+const { listQuery, withLinks } = require('../../services/listQuery');
+const { ROLE_PERMISSIONS } = require('../../middleware/permissions');
+const { revokeAllSessions } = require('../../services/sessionService');
+
+// Secrets that never leave the server
+const PRIVATE_FIELDS = ['password', 'resetPasswordOTP', 'resetPasswordExpires', 'verificationToken', 'otp', 'otpExpires'];
 
 exports.createUser = async (req, res) => {
     try {
@@ -28,6 +34,7 @@ exports.createUser = async (req, res) => {
       
       const updatedUser = await User.findByIdAndUpdate(userId, updates, { new: true });
       if (!updatedUser) return res.status(404).json({ message: 'User not found' });
+      if (updates.isVerified === false) await revokeAllSessions(userId, 'suspended');
       
       res.status(200).json({ message: 'User updated successfully', user: updatedUser });
     } catch (error) {
@@ -43,6 +50,7 @@ exports.createUser = async (req, res) => {
       
       const deletedUser = await User.findByIdAndDelete(userId);
       if (!deletedUser) return res.status(404).json({ message: 'User not found' });
+      await revokeAllSessions(userId, 'deleted');
       
       res.status(200).json({ message: 'User deleted successfully' });
     } catch (error) {
@@ -69,9 +77,14 @@ exports.createUser = async (req, res) => {
   
   exports.getAllUsers = async (req, res) => {
     try {
-      const users = await User.find({});
-      res.status(200).json({ users });
+      const users = await listQuery(User, req.query, {
+        filters: ['firstName', 'lastName', 'username', 'email', 'role', 'isVerified', 'loyaltyTier', 'createdAt'],
+        sorts: ['firstName', 'lastName', 'username', 'email', 'points', 'createdAt'],
+        hidden: PRIVATE_FIELDS,
+      });
+      res.status(200).json(withLinks(req, users));
     } catch (error) {
+      if (error.status) return res.status(error.status).json({ message: error.message });
       console.error(error);
       res.status(500).json({ message: 'Error fetching users' });
     }
@@ -83,8 +96,7 @@ exports.createUser = async (req, res) => {
       const { userId } = req.params;
       const { role } = req.body;
       
-      const allowedRoles = ['admin', 'farmer', 'vendor', 'customer'];
-      if (!allowedRoles.includes(role)) {
+      if (!ROLE_PERMISSIONS[role]) {
         return res.status(400).json({ message: 'Invalid role' });
       }
       
@@ -106,6 +118,8 @@ exports.createUser = async (req, res) => {
       
       const updatedUser = await User.findByIdAndUpdate(userId, { isVerified }, { new: true });
       if (!updatedUser) return res.status(404).json({ message: 'User not found' });
+      // A suspended user is signed out everywhere once their access token runs out
+      if (!isVerified) await revokeAllSessions(userId, 'suspended');
       
       const status = isVerified ? 'activated' : 'suspended';
       res.status(200).json({ message: `User account ${status}`, user: updatedUser });
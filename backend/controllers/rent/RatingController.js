@@ -1,6 +1,7 @@
 const nodemailer = require('nodemailer');
 const express = require('express');
 const RentProduct = require('../../model/rent/rentProduct');
+const User = require('../../model/user');
 const router = express.Router();
 
 // Nodemailer setup
@@ -15,7 +16,7 @@ const transporter = nodemailer.createTransport({
 // Route to submit a rating
 exports.ratingController = async (req, res) => {
   const { productId } = req.params;
-  const { rentalId, rating, comment, userEmail } = req.body;
+  const { rentalId, rating, comment } = req.body;
 
   try {
     // Find the product and add the review
@@ -40,9 +41,11 @@ exports.ratingController = async (req, res) => {
           text: `We're sorry for your experience. Here's a discount code for your next rental: THANKYOU10`,
         };
 
+    // Only ever email the reviewer's own address
+    const user = await User.findById(req.user.userId).select('email');
     await transporter.sendMail({
       from: '"AGRO-TECH AI" <noreply@agrotechaigmail.com>',
-      to: userEmail,
+      to: user?.email,
       subject: emailContent.subject,
       text: emailContent.text,
     });
@@ -3,11 +3,11 @@
 const User = require('../../model/user');
 const RentProduct = require('../../model/rent/rentProduct'); // Adjust based on file name
 
-// Add a product to cart
+// Add a product to the cart, of the user named in the URL on the admin route, otherwise the logged in user's own
 exports.addToCart = async (req, res) => {
   try {
     const { productId, quantity } = req.body;
-    const {userId} = req.body;
+    const userId = req.params.userId || req.user.userId;
 
     // Check if product exists
     const product = await RentProduct.findById(productId);
@@ -17,6 +17,9 @@ exports.addToCart = async (req, res) => {
 
     // Find the user
     const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
 
     // Check if product is already in the cart
     const cartItem = user.cart.find(item => item.product.toString() === productId);
@@ -36,10 +39,10 @@ exports.addToCart = async (req, res) => {
   }
 };
 
-// View the cart
+// View the cart, of the user named in the URL on the admin route, otherwise the logged in user's own
 exports.viewCart = async (req, res) => {
   try {
-    const {userId} = req.params;
+    const userId = req.params.userId || req.user.userId;
 
     const user = await User.findById(userId).populate('cart.product');
     if (!user) {
@@ -52,13 +55,16 @@ exports.viewCart = async (req, res) => {
   }
 };
 
-// Remove a product from the cart
+// Remove a product from the cart, of the user named in the URL on the admin route, otherwise the logged in user's own
 exports.removeFromCart = async (req, res) => {
   try {
     const { productId } = req.params;
-    const {userId} = req.body;
+    const userId = req.params.userId || req.user.userId;
 
     const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
 
     // Filter out the product from the cart
     user.cart = user.cart.filter(item => item.product.toString() !== productId);
@@ -1,7 +1,19 @@
 
 const nodemailer = require('nodemailer');
+const mongoose = require('mongoose');
+const RentalOrder = require('../../model/rent/rentalOrder');
+const RentProduct = require('../../model/rent/rentProduct');
+const User = require('../../model/user');
+const { reserveUnits, releaseReservation } = require('../../services/rent/availabilityService');
+const { quoteRental, toPriceBreakdown } = require('../../services/rent/quoteService');
+const { redeemPromotion, reverseRedemptions } = require('../../services/rent/promotionService');
+const { issueRentalInvoice, issueCheckoutInvoice } = require('../../services/invoiceService');
+const { renderInvoicePdf } = require('../../services/invoicePdf');
+const { createPayment } = require('../../services/paymentService');
+const { bookRental, unbookRental } = require('../../services/rent/bookingService');
+const { sendInvoicePdf } = require('../invoiceController');
 
-const sendOrderConfirmationEmail = async (userDetails, cartItems, totalPrice, trackingID) => {
+const sendOrderConfirmationEmail = async (userDetails, cartItems, totalPrice, trackingID, invoice) => {
   // Create a transporter using Gmail's SMTP server
   const transporter = nodemailer.createTransport({
     service: 'gmail', // Use your email service provider (e.g., 'gmail', 'smtp.mailtrap.io', etc.)
@@ -25,15 +37,23 @@ const sendOrderConfirmationEmail = async (userDetails, cartItems, totalPrice, tr
           .map(
             (item) => `
           <li>
-            <strong>${item.name}</strong> - ${item.quantity} x ₹${item.price} = ₹${item.quantity * item.price}
+            <strong>${item.name}</strong> - ${item.quantity} unit(s) = ₹${item.total} + ₹${item.deposit} refundable deposit
           </li>`
           )
           .join('')}
       </ul>
       <h3>Total Price: ₹${totalPrice}</h3>
       <p>Your tracking ID: <strong>${trackingID}</strong></p>
+      <p>Your invoice ${invoice.invoiceNumber} is attached.</p>
       <p>Your order will be processed shortly. Thank you!</p>
     `,
+    attachments: [
+      {
+        filename: `${invoice.invoiceNumber}.pdf`,
+        content: await renderInvoicePdf(invoice),
+        contentType: 'application/pdf',
+      },
+    ],
   };
 
   // Send the email
@@ -48,42 +68,147 @@ const sendOrderConfirmationEmail = async (userDetails, cartItems, totalPrice, tr
 
 exports.OrderConfirmation  = async (req, res) => {
   try {
-    const { userDetails, cartItems, totalPrice } = req.body;
+    const { userDetails, cartItems, promoCode, paymentMethodId } = req.body;
+    const { userId } = req.user;
+
+    if (!Array.isArray(cartItems) || cartItems.length === 0) {
+      return res.status(400).json({ message: 'Cart is empty' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const products = [];
+    for (const item of cartItems) {
+      if (!mongoose.isValidObjectId(item.productId)) {
+        return res.status(400).json({ message: 'Each cart item needs a valid productId' });
+      }
+      const product = await RentProduct.findById(item.productId);
+      if (!product) {
+        return res.status(404).json({ message: `Product ${item.productId} not found` });
+      }
+      products.push(product);
+    }
 
     // Generate a random tracking ID
     const trackingID = 'TRK' + Math.random().toString(36).substr(2, 9).toUpperCase();
 
-    // Send the confirmation email
-    await sendOrderConfirmationEmail(userDetails, cartItems, totalPrice, trackingID);
+    // Book every item as a requested rental holding its units; totals sent by the client
+    // are ignored. If any item or the payment fails, nothing stays booked.
+    const pricedItems = [];
+    let totalPrice;
+    let payment;
+    let clientData;
+    try {
+      for (const [index, item] of cartItems.entries()) {
+        const { rental, quote } = await bookRental({
+          product: products[index],
+          user,
+          quantity: item.quantity,
+          startDate: item.startDate,
+          endDate: item.endDate,
+          rentalDuration: item.rentalDuration,
+          promoCode,
+          checkoutId: trackingID,
+        });
+        pricedItems.push({ name: products[index].name, quantity: quote.quantity, total: quote.total, deposit: quote.deposit, quote, rental });
+      }
+      totalPrice = Math.round(pricedItems.reduce((sum, item) => sum + item.quote.amountDue, 0) * 100) / 100;
+
+      // The whole checkout counts as one use of the code
+      const promoted = pricedItems.filter((item) => item.quote.promotion);
+      if (promoted.length > 0) {
+        await redeemPromotion({
+          code: promoted[0].quote.promotion.code,
+          userId: user._id,
+          orderId: trackingID,
+          orderValue: promoted.reduce((sum, item) => sum + item.quote.promotion.appliedTo, 0),
+          discountAmount: promoted.reduce((sum, item) => sum - item.quote.promotion.amount, 0),
+        });
+      }
+
+      // Started last, so a refused payment leaves no rental or promotion use behind
+      ({ payment, clientData } = await createPayment({
+        orderType: 'rental_checkout',
+        orderId: trackingID,
+        amount: totalPrice,
+        userId: user._id,
+        paymentMethodId,
+      }));
+    } catch (error) {
+      await Promise.all(pricedItems.map((item) => unbookRental(item.rental.rentalId)));
+      await reverseRedemptions(trackingID);
+      throw error;
+    }
+
+    // The booked equipment leaves the cart
+    const booked = products.map((product) => String(product._id));
+    await User.updateOne({ _id: user._id }, { $pull: { cart: { product: { $in: booked } } } });
+
+    // The rentals and payment stand from here, so a failed invoice or email only gets logged
+    let invoice = null;
+    let emailed = false;
+    try {
+      invoice = await issueCheckoutInvoice({
+        trackingID,
+        user,
+        customer: {
+          name: userDetails.name,
+          email: userDetails.email,
+          phone: userDetails.phone,
+          address: userDetails.address,
+        },
+        items: pricedItems,
+      });
+
+      // Send the confirmation email with the invoice attached
+      await sendOrderConfirmationEmail(userDetails, pricedItems, totalPrice, trackingID, invoice);
+      emailed = true;
+    } catch (error) {
+      console.error(`Checkout ${trackingID} is booked but its ${invoice ? 'email' : 'invoice'} failed:`, error);
+    }
 
     res.status(200).json({
-      message: 'Order confirmed! A confirmation email has been sent.',
+      message: emailed
+        ? 'Order confirmed! A confirmation email has been sent.'
+        : 'Order confirmed! The confirmation email could not be sent.',
       trackingID,
+      rentals: pricedItems.map((item) => item.rental),
+      items: pricedItems.map((item) => item.quote),
+      totalPrice,
+      invoiceNumber: invoice?.invoiceNumber,
+      payment,
+      clientData,
     });
   } catch (error) {
-    console.error('Error sending email:', error);
-    res.status(500).json({ message: 'Failed to send confirmation email.' });
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error('Error confirming rent order:', error);
+    res.status(500).json({ message: 'Failed to confirm the order.' });
   }
 };
 
 
 exports.getOrderHistory = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).populate('rentals.product');
+    const orders = await RentalOrder.find({ user: req.user.userId })
+      .sort({ createdAt: -1 })
+      .populate('product');
 
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
-    }
-
-    const rentals = user.rentals.map(rental => {
+    const rentals = orders.map(rental => {
       return {
         rentalId: rental.rentalId,
-        productName: rental.product.name,
+        productId: rental.product?._id,
+        productName: rental.product?.name,
         rentalDate: rental.rentalDate,
+        startDate: rental.startDate,
+        endDate: rental.endDate,
         returnDate: rental.returnDate,
         status: rental.status,
-        totalCost: rental.product.rentalPricePerDay * rental.rentalDuration,
+        totalCost: rental.priceBreakdown.total,
         rentalDuration: rental.rentalDuration,
+        deposit: rental.deposit,
+        inspection: rental.inspection,
+        settlement: rental.settlement,
       };
     });
 
@@ -99,13 +224,9 @@ exports.getOrderHistory = async (req, res) => {
 exports.reRent = async (req, res) => {
   try {
     const { rentalId } = req.params; // Get rental ID from params
-    const user = await User.findById(req.user.id).populate('rentals.product');
-
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
-    }
+    const { startDate, endDate } = req.body;
 
-    const rental = user.rentals.find(rental => rental.rentalId === rentalId);
+    const rental = await RentalOrder.findOne({ rentalId, user: req.user.userId }).populate('product');
     if (!rental) {
       return res.status(404).json({ error: "Rental not found" });
     }
@@ -113,64 +234,80 @@ exports.reRent = async (req, res) => {
     const product = rental.product;
 
     // Check if product is available for re-rental
-    if (product.availabilityStatus !== "available") {
+    if (!product || product.availabilityStatus === "maintenance") {
       return res.status(400).json({ error: "Product is not available for re-rental" });
     }
 
+    // Default to a window as long as the original one, starting now
+    const start = startDate ? new Date(startDate) : new Date();
+    const previousLength = rental.endDate && rental.startDate ? rental.endDate - rental.startDate : 24 * 60 * 60 * 1000;
+    const end = endDate ? new Date(endDate) : new Date(start.getTime() + previousLength);
+
+    // Priced again at today's rates; the original promotion code is not carried over
+    const quote = await quoteRental({
+      product,
+      user: await User.findById(rental.user),
+      quantity: rental.quantity,
+      startDate: start,
+      endDate: end,
+      rentalDuration: rental.rentalDuration,
+    });
+
     // Create new rental entry
-    const newRental = {
-      rentalId: `RENT-${Date.now()}`, // New rental ID
+    const newRental = new RentalOrder({
+      rentalId: new mongoose.Types.ObjectId().toString(), // New rental ID
+      user: rental.user,
       product: product._id,
       quantity: rental.quantity,
-      rentalDuration: rental.rentalDuration, // Same duration as previous
+      rentalDuration: quote.rateUnit, // Same duration as previous
       rentalDate: Date.now(),
-      status: "ongoing",
-    };
+      startDate: start,
+      endDate: end,
+      priceBreakdown: toPriceBreakdown(quote),
+      deposit: { amount: quote.deposit },
+      status: "requested",
+    });
+
+    await reserveUnits({
+      product,
+      userId: rental.user,
+      rentalId: newRental.rentalId,
+      quantity: newRental.quantity,
+      startDate: start,
+      endDate: end,
+    });
 
-    user.rentals.push(newRental);
-    await user.save();
+    try {
+      await newRental.save();
+    } catch (error) {
+      await releaseReservation(newRental.rentalId);
+      throw error;
+    }
 
     res.status(200).json({ message: "Re-rental successful", newRental });
   } catch (error) {
     console.error(`Error in reRent: ${error.message}`, error);
+    if (error.status) return res.status(error.status).json({ error: error.message });
     res.status(500).json({ error: "An error occurred while re-renting the item." });
   }
 };
 
 
-// Generate rental receipt with pricing and terms
+// Download the rental's invoice as a PDF
 exports.generateReceipt = async (req, res) => {
   try {
     const { rentalId } = req.params;
-    const user = await User.findById(req.user.id).populate('rentals.product');
-
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
-    }
 
-    const rental = user.rentals.find(rental => rental.rentalId === rentalId);
+    const rental = await RentalOrder.findOne({ rentalId, user: req.user.userId }).populate('product user');
     if (!rental) {
       return res.status(404).json({ error: "Rental not found" });
     }
 
-    const product = rental.product;
-    const totalCost = product.rentalPricePerDay * rental.rentalDuration;
-
-    const receipt = {
-      rentalId: rental.rentalId,
-      productName: product.name,
-      rentalDate: rental.rentalDate,
-      returnDate: rental.returnDate,
-      rentalDuration: rental.rentalDuration,
-      totalCost: totalCost,
-      rentalTerms: product.rentalTerms || "N/A", // Include rental terms if available
-      pricePerDay: product.rentalPricePerDay,
-    };
-
-    res.status(200).json({ receipt });
+    // Issued on first download; later downloads pick up extensions and the deposit settlement
+    const invoice = await issueRentalInvoice(rental);
+    await sendInvoicePdf(res, invoice);
   } catch (error) {
     console.error(`Error in generateReceipt: ${error.message}`, error);
     res.status(500).json({ error: "An error occurred while generating the receipt." });
   }
 };
-
@@ -1,11 +1,17 @@
 // controllers/productController.js
 
 const Product = require('../../model/rent/rentProduct');
+const { getAvailabilityCalendar } = require('../../services/rent/availabilityService');
+const { listQuery, withLinks } = require('../../services/listQuery');
+const { releaseMedia } = require('../../services/media/mediaService');
+const { hasPermission } = require('../../middleware/permissions');
 
 // Create a new product
 exports.createProduct = async (req, res) => {
   try {
     const newProduct = new Product(req.body);
+    // Owners list their own equipment; catalog managers may list it for anyone, or the platform
+    if (!hasPermission(req.user, 'catalog:write')) newProduct.owner = req.user.userId;
     const savedProduct = await newProduct.save();
     res.status(201).json(savedProduct);
   } catch (error) {
@@ -13,13 +19,16 @@ exports.createProduct = async (req, res) => {
   }
 };
 
-// Get all products
+// Get products, a page at a time
 exports.getAllProducts = async (req, res) => {
   try {
-    const products = await Product.find();
-    res.json(products);
+    const products = await listQuery(Product, req.query, {
+      filters: ['name', 'category', 'availabilityStatus', 'price', 'rentalPricePerDay', 'rating', 'owner'],
+      sorts: ['name', 'price', 'rentalPricePerDay', 'rating', 'createdAt'],
+    });
+    res.json(withLinks(req, products));
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error.status || 500).json({ message: error.message });
   }
 };
 
@@ -34,10 +43,31 @@ exports.getProductById = async (req, res) => {
   }
 };
 
+// Get day-by-day availability of a product for a date range
+exports.getProductAvailability = async (req, res) => {
+  const { from, to } = req.query;
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+
+    const days = await getAvailabilityCalendar(product, from, to);
+    res.json({
+      productId: product._id,
+      stock: product.stock,
+      availabilityStatus: product.availabilityStatus,
+      days,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
 // Update a product by ID
 exports.updateProduct = async (req, res) => {
   try {
-    const updatedProduct = await Product.findByIdAndUpdate(req.params.id, req.body, {
+    const changes = { ...req.body };
+    if (!hasPermission(req.user, 'catalog:write')) delete changes.owner;
+    const updatedProduct = await Product.findByIdAndUpdate(req.params.id, changes, {
       new: true,
       runValidators: true,
     });
@@ -53,6 +83,7 @@ exports.deleteProduct = async (req, res) => {
   try {
     const deletedProduct = await Product.findByIdAndDelete(req.params.id);
     if (!deletedProduct) return res.status(404).json({ message: 'Product not found' });
+    await releaseMedia(deletedProduct.image);
     res.json({ message: 'Product deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -1,11 +1,13 @@
 // controllers/wishlistController.js
 
+// Each handler acts on the user named in the URL on the admin routes, otherwise the logged in user
+
 const RentProduct = require('../../model/rent/rentProduct');
 const User = require('../../model/user'); // Import the correct User model
 
 // Add Product to Wishlist
 exports.addToWishlist = async (req, res) => {
-  const { userId } = req.body; // Accepts userId from body for now
+  const userId = req.params.userId || req.user.userId;
   const { productId } = req.params;
 
   try {
@@ -34,7 +36,7 @@ exports.addToWishlist = async (req, res) => {
 
 // Remove Product from Wishlist
 exports.removeFromWishlist = async (req, res) => {
-  const { userId } = req.body; // Accepts userId from body for now
+  const userId = req.params.userId || req.user.userId;
   const { productId } = req.params;
 
   try {
@@ -58,7 +60,7 @@ exports.removeFromWishlist = async (req, res) => {
 
 // Get User Wishlist
 exports.getWishlist = async (req, res) => {
-  const { userId } = req.query; // Accepts userId from query 
+  const userId = req.params.userId || req.user.userId;
 
   try {
     const user = await User.findById(userId).populate('wishlist');
@@ -1,9 +1,50 @@
 const RentProduct = require("../../model/rent/rentProduct");
+const RentalOrder = require("../../model/rent/rentalOrder");
 const User = require("../../model/user");
-const mongoose = require("mongoose");
+const { resizeReservation } = require("../../services/rent/availabilityService");
+const { transitionRental } = require("../../services/rent/rentalLifecycle");
+const {
+  quoteRental,
+  toPriceBreakdown,
+  redeemQuotePromotion,
+} = require("../../services/rent/quoteService");
+const { bookRental } = require("../../services/rent/bookingService");
+const { getUserReminders } = require("../../services/rent/overdueService");
+const { requestExtension } = require("../../services/rent/extensionService");
+const { listQuery, withLinks } = require("../../services/listQuery");
+
+exports.getQuote = async (req, res) => {
+  const { productId, quantity, startDate, endDate, rentalDuration, promoCode } = req.body;
+  const userId = req.user?.userId;
+
+  try {
+    const product = await RentProduct.findById(productId);
+    if (!product) return res.status(404).json({ message: "Product not found" });
+
+    // The loyalty discount only applies when the quote is for a known user
+    const user = userId ? await User.findById(userId) : null;
+
+    const quote = await quoteRental({
+      product,
+      user,
+      quantity,
+      startDate,
+      endDate,
+      rentalDuration,
+      promoCode,
+    });
+
+    res.status(200).json({ quote });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error("Error quoting rental:", error);
+    res.status(500).json({ message: "Error quoting rental", error: error.message });
+  }
+};
 
 exports.createRental = async (req, res) => {
-  const { userId, productId, rentalDuration, quantity } = req.body;
+  const { productId, rentalDuration, quantity, startDate, endDate, promoCode } = req.body;
+  const { userId } = req.user;
 
   try {
     const user = await User.findById(userId);
@@ -14,77 +55,23 @@ exports.createRental = async (req, res) => {
       return res.status(404).json({ message: "User or Product not found" });
     }
 
-    if (product.availabilityStatus !== "available") {
-      console.error("Product not available for rent", {
-        availabilityStatus: product.availabilityStatus,
-      });
-      return res
-        .status(400)
-        .json({ message: "Product not available for rent" });
-    }
-
-    switch (rentalDuration) {
-      case "hourly":
-        if (!product.rentalPricePerHour) {
-          return res
-            .status(400)
-            .json({ message: "Hourly rental price is not set" });
-        }
-        rentalPrice = product.rentalPricePerHour * quantity; // Assuming hourly rate
-        break;
-      case "daily":
-        if (!product.rentalPricePerDay) {
-          return res
-            .status(400)
-            .json({ message: "Daily rental price is not set" });
-        }
-        rentalPrice = product.rentalPricePerDay * quantity;
-        break;
-      case "weekly":
-        if (!product.rentalPricePerWeek) {
-          return res
-            .status(400)
-            .json({ message: "Weekly rental price is not set" });
-        }
-        rentalPrice = product.rentalPricePerWeek * quantity; // Assuming weekly rate
-        break;
-      case "monthly":
-        if (!product.rentalPricePerMonth) {
-          return res
-            .status(400)
-            .json({ message: "Monthly rental price is not set" });
-        }
-        rentalPrice = product.rentalPricePerMonth * quantity; // Assuming monthly rate
-        break;
-      default:
-        return res.status(400).json({ message: "Invalid rental duration" });
-    }
-
-    const rental = {
-      rentalId: new mongoose.Types.ObjectId(),
-      product: productId,
+    const { rental } = await bookRental({
+      product,
+      user,
       quantity,
+      startDate,
+      endDate,
       rentalDuration,
-      rentalDate: new Date(),
-      status: "ongoing",
-      rentalPrice,
-    };
-
-    user.rentals.push(rental);
-
-    product.rentedQuantity += quantity;
-    if (product.rentedQuantity > 0) product.availabilityStatus = "rented";
-
-    await product.save();
-    await user.save();
+      promoCode,
+    });
 
     res.status(201).json({ message: "Rental created successfully", rental });
   } catch (error) {
     console.error("Error creating rental:", error);
     res
-      .status(500)
+      .status(error.status || 500)
       .json({
-        message: "Error creating rental",
+        message: error.status ? error.message : "Error creating rental",
         error: error.message || error,
       });
   }
@@ -95,65 +82,95 @@ exports.updateRental = async (req, res) => {
   const { rentalDuration, quantity } = req.body;
 
   try {
-    const user = await User.findOne({ "rentals.rentalId": rentalId });
-    if (!user) return res.status(404).json({ message: "Rental not found" });
-
-    const rental = user.rentals.id(rentalId);
+    const rental = await RentalOrder.findOne({ rentalId });
     if (!rental) return res.status(404).json({ message: "Rental not found" });
 
-    rental.rentalDuration = rentalDuration;
-    rental.quantity = quantity;
+    if (!["requested", "approved"].includes(rental.status))
+      return res
+        .status(409)
+        .json({ message: `Rental cannot be changed once it is ${rental.status}` });
 
     const product = await RentProduct.findById(rental.product);
+    const user = await User.findById(rental.user);
+
+    // Price the changed rental before touching the reservation so a bad request changes nothing
+    const quote = await quoteRental({
+      product,
+      user,
+      quantity: quantity || rental.quantity,
+      startDate: rental.startDate,
+      endDate: rental.endDate,
+      rentalDuration: rentalDuration || rental.rentalDuration,
+      promoCode: rental.priceBreakdown.promoCode,
+      orderId: rental.rentalId,
+    });
+
+    const previousQuantity = rental.quantity;
+    if (quantity && quantity !== previousQuantity) {
+      await resizeReservation(product, rental.rentalId, quantity);
+      rental.quantity = quantity;
+    }
+    try {
+      await redeemQuotePromotion(quote, { userId: rental.user, orderId: rental.rentalId });
+    } catch (error) {
+      // Give back the units taken above so a refused promotion changes nothing
+      if (rental.quantity !== previousQuantity) await resizeReservation(product, rental.rentalId, previousQuantity);
+      throw error;
+    }
+    rental.rentalDuration = quote.rateUnit;
+    rental.priceBreakdown = toPriceBreakdown(quote);
+    rental.deposit.amount = quote.deposit;
 
-    product.rentedQuantity += quantity;
-
-    await product.save();
-    await user.save();
+    await rental.save();
 
     res.status(200).json({ message: "Rental updated successfully", rental });
   } catch (error) {
-    res.status(500).json({ message: "Error updating rental", error });
+    res
+      .status(error.status || 500)
+      .json({ message: error.status ? error.message : "Error updating rental", error });
   }
 };
 exports.cancelRental = async (req, res) => {
   const { rentalId } = req.params;
 
   try {
-    const user = await User.findOne({ "rentals.rentalId": rentalId });
-    if (!user) return res.status(404).json({ message: "Rental not found" });
-
-    const rental = user.rentals.id(rentalId);
-    if (!rental || rental.status === "returned")
-      return res.status(400).json({ message: "Rental cannot be cancelled" });
-
-    rental.status = "cancelled";
-    rental.returnDate = new Date();
-
-    const product = await RentProduct.findById(rental.product);
-
-    product.rentedQuantity -= rental.quantity;
-    if (product.rentedQuantity === 0) product.availabilityStatus = "available";
-
-    await product.save();
-    await user.save();
+    await transitionRental(rentalId, "cancelled", {
+      actor: req.user?.userId,
+      reason: req.body?.reason,
+    });
 
     res.status(200).json({ message: "Rental cancelled successfully" });
   } catch (error) {
+    if (error.status)
+      return res.status(error.status).json({ message: "Rental cannot be cancelled", error: error.message });
     res.status(500).json({ message: "Error cancelling rental", error });
   }
 };
 
+// The logged in user's rentals, newest first
+exports.listMyRentals = async (req, res) => {
+  try {
+    const rentals = await listQuery(RentalOrder, req.query, {
+      filters: ["rentalId", "product", "status", "startDate", "endDate", "dueDate", "createdAt"],
+      sorts: ["createdAt", "startDate", "endDate", "dueDate", "priceBreakdown.total"],
+      filter: { user: req.user.userId },
+      populate: { path: "product", select: "name description price image" },
+    });
+
+    res.status(200).json(withLinks(req, rentals));
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: "Error retrieving rentals", error });
+  }
+};
+
 exports.viewRental = async (req, res) => {
   const { rentalId } = req.params;
 
   try {
-    const user = await User.findOne({ "rentals.rentalId": rentalId }).populate(
-      "rentals.product"
-    );
-    if (!user) return res.status(404).json({ message: "Rental not found" });
+    const rental = await RentalOrder.findOne({ rentalId }).populate("product");
+    if (!rental) return res.status(404).json({ message: "Rental not found" });
 
-    const rental = user.rentals.id(rentalId);
     res.status(200).json({ rental });
   } catch (error) {
     res.status(500).json({ message: "Error retrieving rental details", error });
@@ -164,29 +181,49 @@ exports.returnRental = async (req, res) => {
   const { rentalId } = req.params;
 
   try {
-    const user = await User.findOne({ "rentals.rentalId": rentalId });
-    if (!user) return res.status(404).json({ message: "Rental not found" });
+    const rental = await transitionRental(rentalId, "returned", {
+      actor: req.user?.userId,
+      reason: req.body?.reason,
+    });
 
-    const rental = user.rentals.id(rentalId);
-    if (!rental || rental.status === "returned")
+    res.status(200).json({ message: "Rental returned successfully", rental });
+  } catch (error) {
+    if (error.status)
       return res
-        .status(400)
-        .json({ message: "Rental is already returned or invalid" });
+        .status(error.status)
+        .json({ message: "Rental is already returned or invalid", error: error.message });
+    res
+      .status(500)
+      .json({ message: "Error marking rental as returned", error });
+  }
+};
 
-    rental.status = "returned";
-    rental.returnDate = new Date();
+exports.getRentalReminders = async (req, res) => {
+  try {
+    const { upcoming, overdue } = await getUserReminders(req.user.userId);
 
-    const product = await RentProduct.findById(rental.product);
-    product.rentedQuantity -= rental.quantity;
-    if (product.rentedQuantity === 0) product.availabilityStatus = "available";
+    res.status(200).json({ upcoming, overdue });
+  } catch (error) {
+    console.error("Error fetching rental reminders:", error);
+    res.status(500).json({ message: "Error fetching rental reminders", error: error.message });
+  }
+};
 
-    await product.save();
-    await user.save();
+exports.extendRental = async (req, res) => {
+  const { rentalId } = req.params;
+  const { endDate, reason } = req.body;
 
-    res.status(200).json({ message: "Rental returned successfully", rental });
+  try {
+    const { extension } = await requestExtension(rentalId, {
+      endDate,
+      userId: req.user.userId,
+      reason,
+    });
+
+    res.status(201).json({ message: "Extension requested, waiting for approval", extension });
   } catch (error) {
-    res
-      .status(500)
-      .json({ message: "Error marking rental as returned", error });
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    console.error("Error requesting rental extension:", error);
+    res.status(500).json({ message: "Error requesting rental extension", error: error.message });
   }
 };
@@ -1,12 +1,17 @@
 const User = require('../../model/user');
 const Reward = require('../../model/rent/reward'); 
+const RentalOrder = require('../../model/rent/rentalOrder');
 
 exports.accumulatePoints = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id); // Assume user is authenticated
+    const rental = await RentalOrder.findOne({ rentalId: req.params.rentalId }).select("user");
+    if (!rental) return res.status(404).json({ error: "Rental not found." });
+
+    // Points go to the customer who rented, not the staff member completing the rental
+    const user = await User.findById(rental.user);
     if (!user) {
       const errorMessage = "User not found.";
-      console.error(`Error in accumulatePoints: ${errorMessage} User ID: ${req.user.id}`);
+      console.error(`Error in accumulatePoints: ${errorMessage} User ID: ${rental.user}`);
       return res.status(404).json({ error: errorMessage });
     }
 
@@ -34,10 +39,10 @@ exports.redeem = async (req, res) => {
       return res.status(400).json({ error: errorMessage });
     }
 
-    const user = await User.findById(req.user.id);
+    const user = await User.findById(req.user.userId);
     if (!user) {
       const errorMessage = "User not found.";
-      console.error(`Error in redeem: ${errorMessage} User ID: ${req.user.id}`);
+      console.error(`Error in redeem: ${errorMessage} User ID: ${req.user.userId}`);
       return res.status(404).json({ error: errorMessage });
     }
 
@@ -65,10 +70,10 @@ exports.referral = async (req, res) => {
       return res.status(404).json({ error: errorMessage });
     }
 
-    const user = await User.findById(req.user.id);
+    const user = await User.findById(req.user.userId);
     if (!user) {
       const errorMessage = "User not found.";
-      console.error(`Error in referral: ${errorMessage} User ID: ${req.user.id}`);
+      console.error(`Error in referral: ${errorMessage} User ID: ${req.user.userId}`);
       return res.status(404).json({ error: errorMessage });
     }
 
@@ -86,10 +91,10 @@ exports.referral = async (req, res) => {
 
 exports.pointRewards = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).populate("rewards");
+    const user = await User.findById(req.user.userId).populate("rewards");
     if (!user) {
       const errorMessage = "User not found.";
-      console.error(`Error in pointRewards: ${errorMessage} User ID: ${req.user.id}`);
+      console.error(`Error in pointRewards: ${errorMessage} User ID: ${req.user.userId}`);
       return res.status(404).json({ error: errorMessage });
     }
 
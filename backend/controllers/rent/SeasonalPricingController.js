@@ -1,11 +1,11 @@
-
 const RentProduct = require('../../model/rent/rentProduct');
 const SeasonalPricing = require('../../model/rent/seasonalPricing');
+const { assertRuleFits } = require('../../services/rent/seasonalPricingService');
 
 // Apply seasonal pricing adjustment for a product
 exports.applySeasonalPricing = async (req, res) => {
   try {
-    const { productId, season, discountPercentage, startDate, endDate } = req.body;
+    const { productId, season, adjustmentType, percentage, discountPercentage, startDate, endDate } = req.body;
 
     // Check if the product exists
     const product = await RentProduct.findById(productId);
@@ -16,20 +16,94 @@ exports.applySeasonalPricing = async (req, res) => {
     const newSeasonalPricing = new SeasonalPricing({
       product: productId,
       season,
-      discountPercentage,
+      adjustmentType,
+      percentage: percentage ?? discountPercentage,
       startDate,
       endDate
     });
 
+    await newSeasonalPricing.validate();
+    await assertRuleFits(newSeasonalPricing);
+
+    // The rule is applied when rentals in its date range are quoted; the base price stays as is
     await newSeasonalPricing.save();
-    
-    // Apply the seasonal price change immediately
-    product.rentalPricePerDay = product.rentalPricePerDay * (1 - discountPercentage / 100);
-    await product.save();
 
     res.status(201).json({ message: 'Seasonal pricing applied successfully', seasonalPricing: newSeasonalPricing });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    if (error.name === 'ValidationError') return res.status(400).json({ error: error.message });
     console.error('Error applying seasonal pricing:', error.message);
     res.status(500).json({ error: 'Failed to apply seasonal pricing' });
   }
 };
+
+// List seasonal pricing rules, optionally for one product or only those in effect now
+exports.listSeasonalPricing = async (req, res) => {
+  try {
+    const { productId, active } = req.query;
+
+    const filter = {};
+    if (productId) filter.product = productId;
+    if (active === 'true') {
+      const now = new Date();
+      filter.startDate = { $lte: now };
+      filter.endDate = { $gt: now };
+    }
+
+    const seasonalPricing = await SeasonalPricing.find(filter)
+      .sort({ startDate: 1 })
+      .populate({ path: 'product', select: 'name rentalPricePerDay' });
+
+    res.status(200).json({ seasonalPricing });
+  } catch (error) {
+    console.error('Error fetching seasonal pricing:', error.message);
+    res.status(500).json({ error: 'Failed to fetch seasonal pricing' });
+  }
+};
+
+// Update a seasonal pricing rule
+exports.updateSeasonalPricing = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { season, adjustmentType, percentage, startDate, endDate } = req.body;
+
+    const rule = await SeasonalPricing.findById(id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Seasonal pricing rule not found' });
+    }
+
+    if (season !== undefined) rule.season = season;
+    if (adjustmentType !== undefined) rule.adjustmentType = adjustmentType;
+    if (percentage !== undefined) rule.percentage = percentage;
+    if (startDate !== undefined) rule.startDate = startDate;
+    if (endDate !== undefined) rule.endDate = endDate;
+
+    await rule.validate();
+    await assertRuleFits(rule);
+    await rule.save();
+
+    res.status(200).json({ message: 'Seasonal pricing updated successfully', seasonalPricing: rule });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    if (error.name === 'ValidationError') return res.status(400).json({ error: error.message });
+    console.error('Error updating seasonal pricing:', error.message);
+    res.status(500).json({ error: 'Failed to update seasonal pricing' });
+  }
+};
+
+// Delete a seasonal pricing rule; rentals already priced with it keep their price
+exports.deleteSeasonalPricing = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rule = await SeasonalPricing.findByIdAndDelete(id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Seasonal pricing rule not found' });
+    }
+
+    res.status(200).json({ message: 'Seasonal pricing deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting seasonal pricing:', error.message);
+    res.status(500).json({ error: 'Failed to delete seasonal pricing' });
+  }
+};
@@ -1,10 +1,22 @@
 const Promotion = require("../../model/rent/promotion");
+const { validatePromotion, getPromotionUsage } = require("../../services/rent/promotionService");
 
 
 // Create a new promotion
 exports.createPromotion = async (req, res) => {
   try {
-    const { code, description, discountPercentage, startDate, endDate, applicableProducts, status } = req.body;
+    const {
+      code,
+      description,
+      discountPercentage,
+      startDate,
+      endDate,
+      applicableProducts,
+      status,
+      minOrderValue,
+      maxRedemptions,
+      perUserLimit,
+    } = req.body;
     
     // Create the promotion object
     const newPromotion = new Promotion({
@@ -14,7 +26,10 @@ exports.createPromotion = async (req, res) => {
       startDate,
       endDate,
       applicableProducts,
-      status
+      status,
+      minOrderValue,
+      maxRedemptions,
+      perUserLimit,
     });
 
     // Save the promotion to the database
@@ -29,7 +44,13 @@ exports.createPromotion = async (req, res) => {
 // Get all active promotions
 exports.getActivePromotions = async (req, res) => {
   try {
-    const promotions = await Promotion.find({ status: 'active' });
+    // Promotions outside their date window stay "active" but can't be used
+    const now = new Date();
+    const promotions = await Promotion.find({
+      status: 'active',
+      startDate: { $lte: now },
+      endDate: { $gte: now },
+    });
 
     res.status(200).json({ promotions });
   } catch (error) {
@@ -57,3 +78,50 @@ exports.deactivatePromotion = async (req, res) => {
     res.status(500).json({ error: 'Failed to deactivate promotion' });
   }
 };
+
+// Check whether a code can be used, without redeeming it
+exports.validatePromotionCode = async (req, res) => {
+  try {
+    const { code, productId, userId, orderValue } = req.body;
+
+    const promotion = await validatePromotion({
+      code,
+      productId,
+      userId,
+      orderValue: orderValue === undefined ? undefined : Number(orderValue),
+    });
+
+    const discountAmount =
+      orderValue === undefined
+        ? undefined
+        : Math.round(Number(orderValue) * promotion.discountPercentage) / 100;
+
+    res.status(200).json({
+      valid: true,
+      promotion: {
+        code: promotion.code,
+        description: promotion.description,
+        discountPercentage: promotion.discountPercentage,
+        minOrderValue: promotion.minOrderValue,
+        endDate: promotion.endDate,
+      },
+      discountAmount,
+    });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ valid: false, error: error.message });
+    console.error('Error validating promotion:', error.message);
+    res.status(500).json({ error: 'Failed to validate promotion' });
+  }
+};
+
+// Redemptions and revenue impact per promotion
+exports.getPromotionReport = async (req, res) => {
+  try {
+    const usage = await getPromotionUsage();
+
+    res.status(200).json({ usage });
+  } catch (error) {
+    console.error('Error building promotion report:', error.message);
+    res.status(500).json({ error: 'Failed to build promotion report' });
+  }
+};
@@ -0,0 +1,61 @@
+const { search } = require('../services/search/searchService');
+const { logSearch, suggest, searchInsights } = require('../services/search/suggestService');
+
+const handleError = (res, error, message) => {
+  if (error.status) return res.status(error.status).json({ message: error.message });
+  console.error(message, error);
+  res.status(500).json({ message });
+};
+
+// Search a catalog: shop products, rent products or farmer listings
+exports.search = async (req, res) => {
+  const { q, category, brand, minPrice, maxPrice, minRating, available, sort, page, limit } = req.query;
+  try {
+    const result = await search(req.params.catalog, {
+      q,
+      category,
+      brand,
+      minPrice,
+      maxPrice,
+      minRating,
+      available,
+      sort,
+      page,
+      limit,
+    });
+    res.status(200).json(result);
+
+    // Log new searches only, not further pages of the same one
+    if (result.page === 1) {
+      logSearch({
+        text: q,
+        catalog: req.params.catalog,
+        resultCount: result.total,
+        correctedQuery: result.query.correctedQuery,
+        userId: req.user?.userId,
+      }).catch((error) => console.error('Error logging search:', error));
+    }
+  } catch (error) {
+    handleError(res, error, 'Search failed');
+  }
+};
+
+// Autocomplete for a search box: matching names plus recent and popular queries
+exports.suggest = async (req, res) => {
+  const { q, catalog, limit } = req.query;
+  try {
+    res.status(200).json(await suggest(q, { catalog, limit, userId: req.user?.userId }));
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch suggestions');
+  }
+};
+
+// Most frequent searches and searches that found nothing (admin)
+exports.getInsights = async (req, res) => {
+  const { days, catalog, limit } = req.query;
+  try {
+    res.status(200).json(await searchInsights({ days, catalog, limit }));
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch search insights');
+  }
+};
@@ -1,11 +1,17 @@
 const Brand = require('../../model/shop/brand');
+const { listQuery, withLinks } = require('../../services/listQuery');
 
-// Get all brands
+// Get brands, a page at a time
 exports.getAllBrands = async (req, res) => {
   try {
-    const brands = await Brand.find();
-    res.json(brands);
+    const brands = await listQuery(Brand, req.query, {
+      filters: ['name'],
+      sorts: ['name', 'createdAt'],
+      defaultSort: 'name',
+    });
+    res.json(withLinks(req, brands));
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     res.status(500).json({ error: err.message });
   }
 };
@@ -1,8 +1,11 @@
 const ExtendedUser = require('../../model/shop/extendedUser');
 
+// The cart of the user named in the URL on admin routes, otherwise the logged in user's own
+const cartOwner = (req) => req.params.userId || req.user.userId;
+
 // Add product to cart
 exports.addProductToCart = async (req, res) => {
-  const { userId } = req.params;
+  const userId = cartOwner(req);
   const { productId,variantId, quantity} = req.body;
 
   try {
@@ -27,7 +30,7 @@ exports.addProductToCart = async (req, res) => {
 
 // Get user's cart
 exports.getUserCart = async (req, res) => {
-  const { userId } = req.params;
+  const userId = cartOwner(req);
 
   try {
     // Fetch the user and populate the cart with variant and product data
@@ -61,7 +64,7 @@ exports.getUserCart = async (req, res) => {
 
 // Update cart item quantity
 exports.updateCartItemQuantity = async (req, res) => {
-  const { userId } = req.params;
+  const userId = cartOwner(req);
   const { productId, variantId,quantity } = req.body;
 
   try {
@@ -82,7 +85,7 @@ exports.updateCartItemQuantity = async (req, res) => {
 
 // Remove product from cart
 exports.removeProductFromCart = async (req, res) => {
-  const { userId } = req.params;
+  const userId = cartOwner(req);
   const { productId, variantId } = req.body;
 
   try {
@@ -100,7 +103,7 @@ exports.removeProductFromCart = async (req, res) => {
 
 // Clear user's cart
 exports.clearUserCart = async (req, res) => {
-  const { userId } = req.params;
+  const userId = cartOwner(req);
 
   try {
     const user = await ExtendedUser.findById(userId);
@@ -1,11 +1,17 @@
 const Category = require('../../model/shop/category');
+const { listQuery, withLinks } = require('../../services/listQuery');
 
-// Get all categories
+// Get categories, a page at a time
 exports.getAllCategories = async (req, res) => {
   try {
-    const categories = await Category.find();
-    res.json(categories);
+    const categories = await listQuery(Category, req.query, {
+      filters: ['name'],
+      sorts: ['name', 'createdAt'],
+      defaultSort: 'name',
+    });
+    res.json(withLinks(req, categories));
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     res.status(500).json({ error: err.message });
   }
 };
@@ -0,0 +1,36 @@
+const Order = require('../../model/shop/order');
+const { checkout, payForOrder } = require('../../services/shop/checkoutService');
+
+// Turn the user's cart into an order
+exports.checkout = async (req, res) => {
+  const { userId } = req.params;
+  const { addressId, expectedTotal, paymentMethodId } = req.body;
+
+  try {
+    const { order, payment, clientData } = await checkout(userId, { addressId, expectedTotal, paymentMethodId });
+    res.status(201).json({ message: 'Order placed successfully', order, payment, clientData });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error('Error during checkout:', error);
+    res.status(500).json({ error: 'Failed to place order' });
+  }
+};
+
+// Start (or retry) the payment for an unpaid order
+exports.payForOrder = async (req, res) => {
+  const { orderId } = req.params;
+  const { userId } = req.user;
+  const { paymentMethodId } = req.body;
+
+  try {
+    const order = await Order.findOne({ orderId });
+    if (!order || !order.user.equals(userId)) return res.status(404).json({ error: 'Order not found' });
+
+    const { payment, clientData } = await payForOrder(order, { paymentMethodId });
+    res.status(201).json({ message: 'Payment started', payment, clientData });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error('Error starting payment:', error);
+    res.status(500).json({ error: 'Failed to start payment' });
+  }
+};
@@ -1,11 +1,13 @@
 const Grievance = require('../../model/shop/grievance');
 const User = require('../../model/user');
+const { listQuery, withLinks } = require('../../services/listQuery');
 const nodemailer = require('nodemailer');
 
 exports.createGrievance = async (req, res) => {
   try {
     const { nanoid } = await import('nanoid');
-    const { userId, orderNumber, category, description } = req.body;
+    const { orderNumber, category, description } = req.body;
+    const { userId } = req.user;
 
     // Find user by userId to get the user's email
     const user = await User.findById(userId);
@@ -62,12 +64,17 @@ exports.createGrievance = async (req, res) => {
 
   
 
-// Get all grievances
+// Get grievances, a page at a time
 exports.getAllGrievances = async (req, res) => {
   try {
-    const grievances = await Grievance.find();
-    res.status(200).json(grievances);
+    const grievances = await listQuery(Grievance, req.query, {
+      filters: ['userId', 'email', 'orderNumber', 'category', 'status'],
+      sorts: ['submittedAt', 'status'],
+      defaultSort: '-submittedAt',
+    });
+    res.status(200).json(withLinks(req, grievances));
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
     res.status(500).json({ message: 'Failed to retrieve grievances', error: error.message });
   }
 };
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const Order = require('../../model/shop/order');
+const { listOrders, transitionShipment, cancelOrder } = require('../../services/shop/orderService');
+const { withLinks } = require('../../services/listQuery');
+const { assertSellerAccess } = require('../../services/shop/sellerService');
+const { hasPermission } = require('../../middleware/permissions');
+
+const handleError = (res, error, message) => {
+  if (error.status) return res.status(error.status).json({ error: error.message });
+  console.error(error);
+  res.status(500).json({ error: message });
+};
+
+// List orders, filtered by user, seller and status
+exports.getAllOrders = async (req, res) => {
+  try {
+    res.status(200).json(withLinks(req, await listOrders(req.query)));
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch orders');
+  }
+};
+
+// A buyer's own orders
+exports.getUserOrders = async (req, res) => {
+  try {
+    res.status(200).json(withLinks(req, await listOrders({ ...req.query, user: req.params.userId })));
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch orders');
+  }
+};
+
+// Orders with a shipment from one seller, showing only that seller's part
+exports.getSellerOrders = async (req, res) => {
+  try {
+    if (!hasPermission(req.user, 'orders:read')) await assertSellerAccess(req.user, req.params.sellerId);
+    res.status(200).json(withLinks(req, await listOrders({ ...req.query, seller: req.params.sellerId })));
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch orders');
+  }
+};
+
+// Get an order by its order ID, for its buyer and staff
+exports.getOrderById = async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId })
+      .populate({ path: 'user', select: 'firstName lastName email phone' })
+      .populate({ path: 'shipments.seller', select: 'name email phone' });
+    if (!order || (!hasPermission(req.user, 'orders:read') && !order.user?._id.equals(req.user.userId))) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    res.status(200).json(order);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch order');
+  }
+};
+
+// Move a seller's shipment to packed, shipped, delivered, cancelled or returned
+exports.updateShipmentStatus = async (req, res) => {
+  const { orderId, shipmentId } = req.params;
+  const { status, reason, carrier, trackingNumber } = req.body;
+
+  if (!status) return res.status(400).json({ error: 'Status is required' });
+
+  try {
+    // Sellers only move their own shipments; orders that don't exist are left to transitionShipment
+    if (!hasPermission(req.user, 'orders:write')) {
+      const existing = await Order.findOne({ orderId }).select('shipments');
+      const shipment = mongoose.isValidObjectId(shipmentId) && existing?.shipments.id(shipmentId);
+      if (shipment) await assertSellerAccess(req.user, shipment.seller);
+    }
+
+    const order = await transitionShipment(orderId, shipmentId, status, {
+      actor: req.user.userId,
+      reason,
+      carrier,
+      trackingNumber,
+    });
+    res.status(200).json({ message: `Shipment ${status}`, order });
+  } catch (error) {
+    handleError(res, error, 'Failed to update shipment');
+  }
+};
+
+// Buyer cancels an order that hasn't shipped yet
+exports.cancelOrder = async (req, res) => {
+  const { orderId } = req.params;
+  const { reason } = req.body;
+
+  try {
+    const order = await cancelOrder(orderId, req.user.userId, reason);
+    res.status(200).json({ message: 'Order cancelled', order });
+  } catch (error) {
+    handleError(res, error, 'Failed to cancel order');
+  }
+};
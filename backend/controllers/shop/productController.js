@@ -1,11 +1,26 @@
 const Product = require('../../model/shop/product');
+const Variant = require('../../model/shop/variant');
+const { assertSellerAccess } = require('../../services/shop/sellerService');
+const { listQuery, withLinks } = require('../../services/listQuery');
+const { releaseMedia } = require('../../services/media/mediaService');
 
-// Get all products
+// Fields only the product itself manages
+const PROTECTED_FIELDS = ['seller', 'variants', 'reviews'];
+
+// What public product reads fill in; only the seller's name, as its KYC and bank details are private
+const PUBLIC_POPULATE = ['category', 'brand', 'reviews', 'variants', { path: 'seller', select: 'name' }];
+
+// Get products, a page at a time
 exports.getAllProducts = async (req, res) => {
   try {
-    const products = await Product.find().populate('category brand seller reviews variants');
-    res.json(products);
+    const products = await listQuery(Product, req.query, {
+      filters: ['name', 'category', 'brand', 'seller', 'offer'],
+      sorts: ['name', 'createdAt', 'updatedAt'],
+      populate: PUBLIC_POPULATE,
+    });
+    res.json(withLinks(req, products));
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.log(err);
     res.status(500).json({ error: err.message });
   }
@@ -14,7 +29,7 @@ exports.getAllProducts = async (req, res) => {
 // Get product by ID
 exports.getProductById = async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id).populate('category brand seller reviews variants');
+    const product = await Product.findById(req.params.id).populate(PUBLIC_POPULATE);
     if (!product) return res.status(404).json({ error: "Product not found" });
     res.json(product);
   } catch (err) {
@@ -22,9 +37,9 @@ exports.getProductById = async (req, res) => {
   }
 };
 
-// Create new product
+// Create new product, for the seller's own shop; admins name the seller
 exports.createProduct = async (req, res) => {
-  const { name, description, offer, images, category, brand, seller } = req.body;
+  const { name, description, offer, images, category, brand } = req.body;
   
   try {
     // Ensure images array has at most 3 images
@@ -32,10 +47,14 @@ exports.createProduct = async (req, res) => {
       return res.status(400).json({ error: "You must provide 1 to 3 images." });
     }
 
+    const ownSeller = await assertSellerAccess(req.user, req.body.seller);
+    const seller = ownSeller ? ownSeller._id : req.body.seller;
+
     const product = new Product({ name, description, offer, images, category, brand, seller });
     await product.save();
     res.status(201).json(product);
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.log(err);
     res.status(500).json({ error: err.message });
   }
@@ -49,11 +68,22 @@ exports.updateProduct = async (req, res) => {
       return res.status(400).json({ error: "You must provide 1 to 3 images." });
     }
 
-    const updatedProduct = await Product.findByIdAndUpdate(req.params.id, req.body, { new: true });
-    if (!updatedProduct) return res.status(404).json({ error: "Product not found" });
-    
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ error: "Product not found" });
+    const ownSeller = await assertSellerAccess(req.user, product.seller);
+
+    // Sellers can't hand a product to another seller
+    const update = { ...req.body };
+    PROTECTED_FIELDS.forEach((field) => {
+      if (ownSeller || field !== 'seller') delete update[field];
+    });
+
+    const updatedProduct = await Product.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true });
+    await releaseMedia(product.images.filter((url) => !updatedProduct.images.includes(url)));
+
     res.json(updatedProduct);
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     res.status(500).json({ error: err.message });
   }
 };
@@ -61,11 +91,17 @@ exports.updateProduct = async (req, res) => {
 // Delete product
 exports.deleteProduct = async (req, res) => {
   try {
-    const product = await Product.findByIdAndDelete(req.params.id);
+    const product = await Product.findById(req.params.id);
     if (!product) return res.status(404).json({ error: "Product not found" });
+    await assertSellerAccess(req.user, product.seller);
+
+    await Product.deleteOne({ _id: product._id });
+    await Variant.deleteMany({ product: product._id });
+    await releaseMedia(product.images);
 
     res.json({ message: "Product deleted" });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     res.status(500).json({ error: err.message });
   }
 };
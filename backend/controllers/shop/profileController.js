@@ -1,27 +1,19 @@
 const ExtendedUser = require('../../model/shop/extendedUser'); // Adjust the path as needed
 const User = require('../../model/user');
-const { encryptField, decryptField } = require("../../middleware/encryptionMiddleware");
+const { hasPermission } = require('../../middleware/permissions');
+
+// The profile of the user named in the URL on admin routes, otherwise the logged in user's own
+const profileOwner = (req) => req.params.id || req.user.userId;
 
 // Create a new extended user
 exports.createExtendedUser = async (req, res) => {
   try {
-    // Encrypt sensitive fields in each payment method
-    if (req.body.paymentMethods) {
-      req.body.paymentMethods = req.body.paymentMethods.map((method) => {
-        const encryptedCardNumber = encryptField(method.details.cardNumber);
-        const encryptedExpiry = encryptField(method.details.expiry);
-        const encryptedHolderName = encryptField(method.details.holderName);
-
-        return {
-          ...method,
-          details: {
-            cardNumber: encryptedCardNumber,
-            lastFour: method.details.cardNumber.slice(-4),
-            expiry: encryptedExpiry,
-            holderName: encryptedHolderName,
-          },
-        };
-      });
+    // Payment methods are saved as provider tokens through /api/payments/methods
+    delete req.body.paymentMethods;
+    // Users create their own profile and can't pick their role; user managers may do both for anyone
+    if (!hasPermission(req.user, 'users:write')) {
+      req.body._id = req.user.userId;
+      delete req.body.role;
     }
 
     const extendedUser = new ExtendedUser(req.body);
@@ -34,7 +26,7 @@ exports.createExtendedUser = async (req, res) => {
 
 // Get extended user by ID
 exports.getExtendedUserById = async (req, res) => {
-  const { id } = req.params;
+  const id = profileOwner(req);
   try {
     const extendedUser = await ExtendedUser.findById(id);
 
@@ -48,41 +40,11 @@ exports.getExtendedUserById = async (req, res) => {
       return res.status(404).json({ error: 'User not found.' });
     }
 
-    // Decrypt sensitive fields in payment methods
-    let decryptedPaymentMethods;
-    if (extendedUser.paymentMethods) {
-      // Create a new array for decrypted values
-      decryptedPaymentMethods = extendedUser.paymentMethods.map((method) => {
-        const details = method.details.toObject(); // Convert Map to plain object if needed
-    
-        // Extract iv and encryptedData for each encrypted field
-        const { iv: cardIv, encryptedData: encryptedCard } = details.cardNumber || {};
-        const { iv: expiryIv, encryptedData: encryptedExpiry } = details.expiry || {};
-        const { iv: holderNameIv, encryptedData: encryptedHolderName } = details.holderName || {};
-    
-        return {
-          ...method.toObject(),
-          details: {
-            cardNumber: encryptedCard ? decryptField(encryptedCard, cardIv) : null,
-            lastFour: details.lastFour || null, // Assuming lastFour is not encrypted
-            expiry: encryptedExpiry ? decryptField(encryptedExpiry, expiryIv) : null,
-            holderName: encryptedHolderName ? decryptField(encryptedHolderName, holderNameIv) : null,
-          },
-        };
-      });
-
-      // Replace original paymentMethods with decrypted ones
-    
-    }
-
-    
     const combinedResult = {
       ...user.toObject(),
       ...extendedUser.toObject(),
-      paymentMethods: decryptedPaymentMethods // Replace paymentMethods with decrypted ones
     };
 
-
     res.status(200).json(combinedResult);
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -91,25 +53,11 @@ exports.getExtendedUserById = async (req, res) => {
 
 // Update an existing extended user
 exports.updateExtendedUser = async (req, res) => {
-  const { id } = req.params;
+  const id = profileOwner(req);
   try {
-    if (req.body.paymentMethods) {
-      req.body.paymentMethods = req.body.paymentMethods.map((method) => {
-        const encryptedCardNumber = encryptField(method.details.cardNumber);
-        const encryptedExpiry = encryptField(method.details.expiry);
-        const encryptedHolderName = encryptField(method.details.holderName);
-
-        return {
-          ...method,
-          details: {
-            cardNumber: encryptedCardNumber,
-            lastFour: method.details.cardNumber.slice(-4),
-            expiry: encryptedExpiry,
-            holderName: encryptedHolderName,
-          },
-        };
-      });
-    }
+    // Payment methods are saved as provider tokens through /api/payments/methods
+    delete req.body.paymentMethods;
+    if (!hasPermission(req.user, 'users:write')) delete req.body.role;
 
     const updatedExtendedUser = await ExtendedUser.findByIdAndUpdate(id, req.body, { new: true });
     if (!updatedExtendedUser) {
@@ -144,7 +92,7 @@ exports.getAllExtendedUsers = async (req, res) => {
 };
 // Delete an extended user
 exports.deleteExtendedUser = async (req, res) => {
-  const { id } = req.params;
+  const id = profileOwner(req);
 
   try {
     const deletedExtendedUser = await ExtendedUser.findByIdAndDelete(id);
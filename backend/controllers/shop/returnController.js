@@ -0,0 +1,123 @@
+const ReturnRequest = require('../../model/shop/returnRequest');
+const {
+  requestReturn,
+  transitionReturn,
+  refundReturn,
+  cancelReturn,
+  listReturns,
+} = require('../../services/shop/returnService');
+const { withLinks } = require('../../services/listQuery');
+const { sellerForUser, assertSellerAccess } = require('../../services/shop/sellerService');
+const { hasPermission } = require('../../middleware/permissions');
+
+const handleError = (res, error, message) => {
+  if (error.status) return res.status(error.status).json({ error: error.message });
+  console.error(error);
+  res.status(500).json({ error: message });
+};
+
+const canSeeReturn = async (user, returnRequest) => {
+  if (hasPermission(user, 'orders:read') || returnRequest.user?._id.equals(user.userId)) return true;
+  const seller = await sellerForUser(user.userId);
+  return Boolean(seller && returnRequest.seller?.equals(seller._id));
+};
+
+// Buyer opens a return for one order line
+exports.createReturn = async (req, res) => {
+  try {
+    const returnRequest = await requestReturn(req.user.userId, req.body);
+    res.status(201).json({ message: 'Return requested', returnRequest });
+  } catch (error) {
+    handleError(res, error, 'Failed to request the return');
+  }
+};
+
+// List returns, filtered by user, seller, order and status
+exports.getAllReturns = async (req, res) => {
+  try {
+    res.status(200).json(withLinks(req, await listReturns(req.query)));
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch returns');
+  }
+};
+
+// A buyer's own returns
+exports.getUserReturns = async (req, res) => {
+  try {
+    res.status(200).json(withLinks(req, await listReturns({ ...req.query, user: req.params.userId })));
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch returns');
+  }
+};
+
+// Returns of one seller's items
+exports.getSellerReturns = async (req, res) => {
+  try {
+    if (!hasPermission(req.user, 'orders:read')) await assertSellerAccess(req.user, req.params.sellerId);
+    res.status(200).json(withLinks(req, await listReturns({ ...req.query, seller: req.params.sellerId })));
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch returns');
+  }
+};
+
+// Get a return by its return ID, for its buyer, the item's seller and staff
+exports.getReturnById = async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findOne({ returnId: req.params.returnId })
+      .populate({ path: 'user', select: 'firstName lastName email phone' })
+      .populate({ path: 'grievance', select: 'reportId status category' });
+    if (!returnRequest || !(await canSeeReturn(req.user, returnRequest))) {
+      return res.status(404).json({ error: 'Return not found' });
+    }
+    res.status(200).json(returnRequest);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch return');
+  }
+};
+
+// Seller or admin approves, rejects, schedules the pickup or marks the item picked up or received
+exports.updateReturnStatus = async (req, res) => {
+  const { returnId } = req.params;
+  const { status, note, scheduledFor, carrier, trackingNumber } = req.body;
+
+  if (!status) return res.status(400).json({ error: 'Status is required' });
+
+  try {
+    // Sellers only decide returns of their own items; returns that don't exist are left to transitionReturn
+    if (!hasPermission(req.user, 'orders:write')) {
+      const existing = await ReturnRequest.findOne({ returnId }).select('seller');
+      if (existing) await assertSellerAccess(req.user, existing.seller);
+    }
+
+    const returnRequest = await transitionReturn(returnId, status, {
+      actor: req.user.userId,
+      note,
+      scheduledFor,
+      carrier,
+      trackingNumber,
+    });
+    res.status(200).json({ message: `Return ${returnRequest.status}`, returnRequest });
+  } catch (error) {
+    handleError(res, error, 'Failed to update return');
+  }
+};
+
+// Retry the refund of a received return
+exports.refundReturn = async (req, res) => {
+  try {
+    const returnRequest = await refundReturn(req.params.returnId, { actor: req.user.userId });
+    res.status(200).json({ message: `Return ${returnRequest.status}`, returnRequest });
+  } catch (error) {
+    handleError(res, error, 'Failed to refund return');
+  }
+};
+
+// Buyer withdraws a return that hasn't been picked up
+exports.cancelReturn = async (req, res) => {
+  try {
+    const returnRequest = await cancelReturn(req.params.returnId, req.user.userId);
+    res.status(200).json({ message: 'Return cancelled', returnRequest });
+  } catch (error) {
+    handleError(res, error, 'Failed to cancel return');
+  }
+};
@@ -1,13 +1,19 @@
 const mongoose = require('mongoose');
 const Review = require('../../model/shop/review');
 const Product = require('../../model/shop/product');
+const { listQuery, withLinks } = require('../../services/listQuery');
 
-// Get all reviews
+// Get reviews, a page at a time
 exports.getAllReviews = async (req, res) => {
   try {
-    const reviews = await Review.find().populate('product');
-    res.json(reviews);
+    const reviews = await listQuery(Review, req.query, {
+      filters: ['product', 'user', 'rating'],
+      sorts: ['rating', 'createdAt'],
+      populate: 'product',
+    });
+    res.json(withLinks(req, reviews));
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     res.status(500).json({ error: err.message });
   }
 };
@@ -32,7 +38,8 @@ exports.getReviewById = async (req, res) => {
 
 // Create new review
 exports.createReview = async (req, res) => {
-  const { product,user, rating, comment } = req.body; // User is removed from here
+  const { product, rating, comment } = req.body;
+  const user = req.user.userId;
   try {
     // Step 1: Validate the product
     const existingProduct = await Product.findById(product);
@@ -63,7 +70,9 @@ exports.updateReview = async (req, res) => {
   }
 
   try {
-    const updatedReview = await Review.findByIdAndUpdate(reviewId, req.body, { new: true });
+    // A review stays with its product and author
+    const { product, user, ...changes } = req.body;
+    const updatedReview = await Review.findByIdAndUpdate(reviewId, changes, { new: true });
     if (!updatedReview) return res.status(404).json({ error: "Review not found" });
 
     res.json(updatedReview);
@@ -1,11 +1,39 @@
+const fs = require('fs');
 const Seller = require('../../model/shop/seller');
+const {
+  sellerForUser,
+  assertSellerAccess,
+  saveOnboarding,
+  addKycDocument,
+  submitOnboarding,
+  reviewSeller,
+  sellerDashboard,
+} = require('../../services/shop/sellerService');
+const { kycUpload, kycDocumentPath } = require('../../services/shop/kycStorage');
+const { listQuery, withLinks } = require('../../services/listQuery');
+const { hasPermission } = require('../../middleware/permissions');
 
-// Get all sellers
+// Onboarding details only the seller and admins get to see
+const PRIVATE_FIELDS = ['payout', 'kycDocuments', 'user', 'reviewedBy'];
+
+const handleError = (res, error, message) => {
+  if (error.status) return res.status(error.status).json({ error: error.message });
+  console.error(error);
+  res.status(500).json({ error: message });
+};
+
+// Get sellers, a page at a time
 exports.getAllSellers = async (req, res) => {
   try {
-    const sellers = await Seller.find();
-    res.json(sellers);
+    const sellers = await listQuery(Seller, req.query, {
+      filters: ['name', 'email', 'status'],
+      sorts: ['name', 'createdAt'],
+      defaultSort: 'name',
+      hidden: PRIVATE_FIELDS,
+    });
+    res.json(withLinks(req, sellers));
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     res.status(500).json({ error: err.message });
   }
 };
@@ -13,7 +41,7 @@ exports.getAllSellers = async (req, res) => {
 // Get seller by ID
 exports.getSellerById = async (req, res) => {
   try {
-    const seller = await Seller.findById(req.params.id);
+    const seller = await Seller.findById(req.params.id).select(PRIVATE_FIELDS.map((field) => `-${field}`));
     if (!seller) return res.status(404).json({ error: "Seller not found" });
     res.json(seller);
   } catch (err) {
@@ -21,12 +49,11 @@ exports.getSellerById = async (req, res) => {
   }
 };
 
-// Create new seller
+// Create new seller (admin), approved straight away
 exports.createSeller = async (req, res) => {
   const { name, email, phone, address} = req.body;
-  console.log(req.body)
   try {
-    const seller = new Seller({ name, email, phone, address });
+    const seller = new Seller({ name, email, phone, address, status: 'approved', reviewedAt: new Date(), reviewedBy: req.user.userId });
     await seller.save();
     res.status(201).json(seller);
   } catch (err) {
@@ -34,10 +61,12 @@ exports.createSeller = async (req, res) => {
   }
 };
 
-// Update seller
+// Update seller (admin); onboarding status only changes through a review
 exports.updateSeller = async (req, res) => {
+  const { name, email, phone, address } = req.body;
   try {
-    const updatedSeller = await Seller.findByIdAndUpdate(req.params.id, req.body, { new: true });
+    const updatedSeller = await Seller.findByIdAndUpdate(req.params.id, { name, email, phone, address }, { new: true, runValidators: true });
+    if (!updatedSeller) return res.status(404).json({ error: "Seller not found" });
     res.json(updatedSeller);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -53,3 +82,104 @@ exports.deleteSeller = async (req, res) => {
     res.status(500).json({ error: err.message });
   }
 };
+
+// The logged in user's own seller, with onboarding details
+exports.getMySeller = async (req, res) => {
+  try {
+    const seller = await sellerForUser(req.user.userId);
+    if (!seller) return res.status(404).json({ error: 'You have not started seller onboarding' });
+    res.status(200).json(seller);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch seller');
+  }
+};
+
+// Start or update seller onboarding: business details, GSTIN and payout account
+exports.saveOnboarding = async (req, res) => {
+  try {
+    const seller = await saveOnboarding(req.user.userId, req.body);
+    res.status(200).json({ message: 'Onboarding details saved', seller });
+  } catch (error) {
+    handleError(res, error, 'Failed to save onboarding details');
+  }
+};
+
+// Upload one KYC document as multipart form data: "document" file and "type"
+exports.uploadKycDocument = (req, res) => {
+  kycUpload(req, res, async (uploadError) => {
+    if (uploadError) {
+      const status = uploadError.status || (uploadError.name === 'MulterError' ? 400 : 500);
+      return res.status(status).json({ error: uploadError.message });
+    }
+    try {
+      const seller = await addKycDocument(req.user.userId, req.body.type, req.file);
+      res.status(201).json({ message: 'Document uploaded', seller });
+    } catch (error) {
+      if (req.file) fs.unlink(req.file.path, () => {});
+      handleError(res, error, 'Failed to upload document');
+    }
+  });
+};
+
+// Download a KYC document, for the seller and admins only
+exports.downloadKycDocument = async (req, res) => {
+  const { id, documentId } = req.params;
+  try {
+    const seller = await Seller.findById(id);
+    const document = seller?.kycDocuments.id(documentId);
+    if (!document || (!hasPermission(req.user, 'sellers:review') && !seller.user?.equals(req.user.userId))) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    // attachment() encodes the uploader's file name, so it can't break out of the header
+    res.attachment(document.fileName || document.storedName);
+    res.type(document.mimeType);
+    res.sendFile(kycDocumentPath(document.storedName), (error) => {
+      if (error && !res.headersSent) res.status(404).json({ error: 'Document not found' });
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to download document');
+  }
+};
+
+// Send the onboarding for admin approval
+exports.submitOnboarding = async (req, res) => {
+  try {
+    const seller = await submitOnboarding(req.user.userId);
+    res.status(200).json({ message: 'Onboarding submitted for review', seller });
+  } catch (error) {
+    handleError(res, error, 'Failed to submit onboarding');
+  }
+};
+
+// Sellers waiting for review (admin)
+exports.getPendingSellers = async (req, res) => {
+  try {
+    const sellers = await Seller.find({ status: 'submitted' })
+      .populate('user', 'firstName lastName email phone')
+      .sort({ submittedAt: 1 });
+    res.status(200).json(sellers);
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch sellers');
+  }
+};
+
+// Approve, reject, suspend or reinstate a seller (admin)
+exports.reviewSeller = async (req, res) => {
+  const { decision, reason } = req.body;
+  try {
+    const seller = await reviewSeller(req.params.id, decision, { actor: req.user.userId, reason });
+    res.status(200).json({ message: `Seller ${seller.status}`, seller });
+  } catch (error) {
+    handleError(res, error, 'Failed to review seller');
+  }
+};
+
+// Products, low stock variants, orders and revenue of a seller, for the seller or an admin
+exports.getDashboard = async (req, res) => {
+  try {
+    await assertSellerAccess(req.user, req.params.id);
+    res.status(200).json(await sellerDashboard(req.params.id));
+  } catch (error) {
+    handleError(res, error, 'Failed to load the seller dashboard');
+  }
+};
@@ -1,5 +1,6 @@
-const Product = require('../../model/shop/product')
+const { search } = require('../../services/search/searchService');
 
+// Top matches for the search bar dropdown
 const searchProducts = async (req, res) => {
     const { query } = req.query;
 
@@ -8,45 +9,27 @@ const searchProducts = async (req, res) => {
     }
 
     try {
-        // Perform a case-insensitive, partial match search on the product's name and description
-        const products = await Product.find({
-            $or: [
-                { name: { $regex: query, $options: 'i' } }, // 'i' for case-insensitive
-                { description: { $regex: query, $options: 'i' } }
-            ]
-        })
-        .populate('category reviews variants brand seller') // Populate related fields if needed
-        .limit(4) // Limit to top 4 results
-        .exec();
-
-        res.json(products);
+        const { results } = await search('shop', { q: query, limit: 4 });
+        res.json(results);
     } catch (error) {
         console.error('Error fetching search results:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Internal server error' });
     }
 };
+
+// Full search results, paginated and with facets; same as GET /api/search/shop
 const searchAllProducts = async (req, res) => {
-    const { query } = req.query;
+    const { query, ...params } = req.query;
 
     if (!query) {
         return res.status(400).json({ error: 'Query parameter is required' });
     }
 
     try {
-        // Perform a case-insensitive, partial match search on the product's name and description
-        const products = await Product.find({
-            $or: [
-                { name: { $regex: query, $options: 'i' } }, // 'i' for case-insensitive
-                { description: { $regex: query, $options: 'i' } }
-            ]
-        })
-        .populate('category reviews variants brand seller') // Populate related fields if needed
-        .exec();
-
-        res.json(products);
+        res.json(await search('shop', { ...params, q: query }));
     } catch (error) {
         console.error('Error fetching search results:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Internal server error' });
     }
 };
 module.exports = {
@@ -1,13 +1,35 @@
 const mongoose = require('mongoose');
 const Variant = require('../../model/shop/variant');
 const Product = require('../../model/shop/product');
+const { assertSellerAccess } = require('../../services/shop/sellerService');
+const { listQuery, withLinks } = require('../../services/listQuery');
+const { importUpload, readImport } = require('../../services/importFile');
+const {
+  moveStock,
+  setStock,
+  stockHistory,
+  listLowStock,
+  bulkUpdateStock,
+} = require('../../services/shop/inventoryService');
+
+// Checks the logged in user may manage the product a variant belongs to
+const assertProductAccess = async (user, productId) => {
+  const product = await Product.findById(productId);
+  if (product) await assertSellerAccess(user, product.seller);
+  return product;
+};
 
-// Get all variants
+// Get variants, a page at a time
 exports.getAllVariants = async (req, res) => {
   try {
-    const variants = await Variant.find().populate('product');
-    res.json(variants);
+    const variants = await listQuery(Variant, req.query, {
+      filters: ['product', 'size', 'type', 'color', 'stock', 'price'],
+      sorts: ['price', 'stock', 'size', 'createdAt'],
+      populate: 'product',
+    });
+    res.json(withLinks(req, variants));
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     res.status(500).json({ error: err.message });
   }
 };
@@ -31,18 +53,29 @@ exports.getVariantById = async (req, res) => {
 
 // Create new variant
 exports.createVariant = async (req, res) => {
-  const { product, size, type, color, stock, price } = req.body;
+  const { product, size, type, color, stock, price, lowStockThreshold } = req.body;
 
   try {
-    // Step 1: Check if product exists
-    const existingProduct = await Product.findById(product);
+    // Step 1: Check if product exists and belongs to the seller
+    const existingProduct = await assertProductAccess(req.user, product);
     if (!existingProduct) {
       return res.status(404).json({ error: 'Product not found' });
     }
 
-    // Step 2: Create and save the variant
-    const variant = new Variant({ product, size, type, color, stock, price });
-    const savedVariant = await variant.save();
+    const openingStock = Number(stock);
+    if (stock === undefined || !Number.isInteger(openingStock) || openingStock < 0) {
+      return res.status(400).json({ error: 'Stock must be a whole number of 0 or more' });
+    }
+
+    // Step 2: Create and save the variant, empty until its opening stock is logged
+    const variant = new Variant({ product, size, type, color, stock: 0, price, lowStockThreshold });
+    let savedVariant = await variant.save();
+    if (openingStock > 0) {
+      ({ variant: savedVariant } = await moveStock(savedVariant._id, 'purchase', openingStock, {
+        reason: 'Opening stock',
+        actor: req.user.userId,
+      }));
+    }
 
     // Step 3: Add the variant to the product's variants array
     existingProduct.variants.push(savedVariant._id);
@@ -50,6 +83,7 @@ exports.createVariant = async (req, res) => {
 
     res.status(201).json(savedVariant);
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     res.status(500).json({ error: err.message });
   }
 };
@@ -63,11 +97,23 @@ exports.updateVariant = async (req, res) => {
   }
 
   try {
-    const updatedVariant = await Variant.findByIdAndUpdate(variantId, req.body, { new: true });
-    if (!updatedVariant) return res.status(404).json({ error: 'Variant not found' });
+    const variant = await Variant.findById(variantId);
+    if (!variant) return res.status(404).json({ error: 'Variant not found' });
+    await assertProductAccess(req.user, variant.product);
+
+    // A variant stays with its product, and a new stock count goes in the movement log
+    const { product, stock, reason, ...update } = req.body;
+    let updatedVariant = await Variant.findByIdAndUpdate(variantId, update, { new: true, runValidators: true });
+    if (stock !== undefined) {
+      ({ variant: updatedVariant } = await setStock(variantId, stock, {
+        reason: reason || 'Stock updated',
+        actor: req.user.userId,
+      }));
+    }
 
     res.json(updatedVariant);
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     res.status(500).json({ error: err.message });
   }
 };
@@ -82,8 +128,10 @@ exports.deleteVariant = async (req, res) => {
 
   try {
     // Step 1: Find the variant and delete it
-    const variant = await Variant.findByIdAndDelete(variantId);
+    const variant = await Variant.findById(variantId);
     if (!variant) return res.status(404).json({ error: 'Variant not found' });
+    await assertProductAccess(req.user, variant.product);
+    await Variant.deleteOne({ _id: variant._id });
 
     // Step 2: Remove the variant from the product's variants array
     await Product.findByIdAndUpdate(
@@ -94,6 +142,81 @@ exports.deleteVariant = async (req, res) => {
 
     res.json({ message: 'Variant deleted' });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// A variant's stock movements, for its seller and admins
+exports.getStockHistory = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid variant ID' });
+  }
+
+  try {
+    const variant = await Variant.findById(req.params.id);
+    if (!variant) return res.status(404).json({ error: 'Variant not found' });
+    await assertProductAccess(req.user, variant.product);
+
+    res.json(withLinks(req, await stockHistory(variant._id, req.query)));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Log a purchase, sale, return, damage or adjustment of a variant's stock
+exports.addStockMovement = async (req, res) => {
+  const { type, quantity, reason } = req.body;
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid variant ID' });
+  }
+
+  try {
+    const variant = await Variant.findById(req.params.id);
+    if (!variant) return res.status(404).json({ error: 'Variant not found' });
+    await assertProductAccess(req.user, variant.product);
+
+    const result = await moveStock(variant._id, type, quantity, { reason, actor: req.user.userId });
+    res.status(201).json(result);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Variants at or below their low stock threshold: a seller's own, or any seller's for admins
+exports.getLowStock = async (req, res) => {
+  const { seller, ...query } = req.query;
+  try {
+    const ownSeller = await assertSellerAccess(req.user);
+    const sellerId = ownSeller ? ownSeller._id : seller;
+    if (sellerId && !mongoose.Types.ObjectId.isValid(sellerId)) {
+      return res.status(400).json({ error: 'Invalid seller ID' });
+    }
+
+    const products = sellerId ? await Product.find({ seller: sellerId }).distinct('_id') : undefined;
+    res.json(withLinks(req, await listLowStock(query, products)));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     res.status(500).json({ error: err.message });
   }
 };
+
+// Update stock from a CSV or JSON file with a variant column and a stock or quantity column
+exports.bulkUpdateStock = (req, res) => {
+  importUpload(req, res, async (uploadError) => {
+    if (uploadError) {
+      const status = uploadError.status || (uploadError.name === 'MulterError' ? 400 : 500);
+      return res.status(status).json({ error: uploadError.message });
+    }
+    try {
+      const ownSeller = await assertSellerAccess(req.user);
+      const result = await bulkUpdateStock(readImport(req), { seller: ownSeller, actor: req.user.userId });
+      res.status(result.updated > 0 ? 200 : 400).json(result);
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message });
+      res.status(500).json({ error: err.message });
+    }
+  });
+};
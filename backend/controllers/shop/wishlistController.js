@@ -1,8 +1,11 @@
 const ExtendedUser = require('../../model/shop/extendedUser'); 
 
+// The wishlist of the user named in the URL on admin routes, otherwise the logged in user's own
+const wishlistOwner = (req) => req.params.userId || req.user.userId;
+
 // Add an item to the wishlist by productId and variantId
 const addToWishlist = async (req, res) => {
-  const { userId } = req.params;
+  const userId = wishlistOwner(req);
   const { productId, variantId } = req.body;
 
   try {
@@ -31,7 +34,7 @@ const addToWishlist = async (req, res) => {
 
 // Remove an item from the wishlist by productId and variantId
 const removeFromWishlist = async (req, res) => {
-  const { userId } = req.params;
+  const userId = wishlistOwner(req);
   const { productId, variantId } = req.body;
 
   try {
@@ -54,7 +57,7 @@ const removeFromWishlist = async (req, res) => {
 
 // Get all wishlist items for a user
 const getWishlist = async (req, res) => {
-  const { userId } = req.params;
+  const userId = wishlistOwner(req);
 
   try {
     const user = await ExtendedUser.findById(userId).populate({
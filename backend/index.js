@@ -3,9 +3,14 @@ const cors = require("cors");
 const mongoose = require("mongoose");
 const cron = require('node-cron');
 const { deleteUnverifiedUsers } = require('./controllers/userController'); // Import the function
+const { processRentalDueDates } = require('./services/rent/overdueService');
+const { sendLowStockAlerts } = require('./services/shop/inventoryService');
+const { cleanupOrphanedMedia } = require('./services/media/mediaService');
+const { MEDIA_UPLOAD_DIR } = require('./services/media/localStorage');
 const dotenv = require("dotenv").config();
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
+const meRoutes = require('./routes/meRoutes');
 const contactRoutes = require('./routes/Contactroute');
 const shopRoutes = require('./routes/shop')
 const googleauth = require('./routes/googleauth')
@@ -34,11 +39,19 @@ const  rewardsRoutes = require('./routes/rent/rewardsRoutes');
 const  ratingRoutes = require('./routes/rent/ratingRoutes');
 
 const  rentOrderRoutes = require('./routes/rent/rentOrderRoutes');
+const invoiceRoutes = require('./routes/invoiceRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const payoutRoutes = require('./routes/payoutRoutes');
+const searchRoutes = require('./routes/searchRoutes');
+const catalogRoutes = require('./routes/catalogRoutes');
+const mediaRoutes = require('./routes/mediaRoutes');
 
 const { sendEmail } = require('./services/emailService');
+const authMiddleware = require('./middleware/authMiddleware');
+const { hasPermission } = require('./middleware/permissions');
+const User = require('./model/user');
 const session = require('express-session');
 const passport = require('passport');
-const authMiddleware = require('./middleware/auth');
 const bcrypt = require('bcryptjs')
 require("./services/passport")
 const geminiChatRoute = require('./routes/geminiChatRoute');
@@ -57,11 +70,20 @@ app.use(
 app.use(passport.initialize());
 app.use(passport.session());
 
-app.use(express.json({ limit: "10mb" }));
+app.use(
+  express.json({
+    limit: "10mb",
+    // Payment webhooks are signed over the exact bytes received
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 // Support application/x-www-form-urlencoded (needed for some ML proxies)
 app.use(express.urlencoded({ extended: true }));
 app.use('/auth', authRoutes);
 app.use('/auth', googleauth);
+app.use('/api/me', meRoutes);
 app.use('/api', contactRoutes);
 app.use('/api', shopRoutes);
 app.use('/api', rentProductRoutes);
@@ -83,6 +105,15 @@ app.use('/api', rewardsRoutes);
 app.use('/api', ratingRoutes);
 
 app.use('/api', rentOrderRoutes);
+app.use('/api', invoiceRoutes);
+app.use('/api', paymentRoutes);
+app.use('/api', payoutRoutes);
+app.use('/api', searchRoutes);
+app.use('/api', catalogRoutes);
+app.use('/api', mediaRoutes);
+
+// Uploaded images kept on disk; file names are never reused, so they can be cached for good
+app.use('/media', express.static(MEDIA_UPLOAD_DIR, { maxAge: '365d', immutable: true }));
 
 // ML proxy routes (Node -> Flask)
 app.use('/api', mlProxyRoutes);
@@ -93,11 +124,24 @@ app.use('/api/products', agriProductRoutes);
 app.use('/api/generate-content', geminiChatRoute);
 
 
-app.post('/api/send-email', async (req, res) => {
+// Sends an email from the server's account. Admins may write to anyone; everyone else
+// only to the address on their own account, as the task reminders do
+app.post('/api/send-email', authMiddleware, async (req, res) => {
   const { to, subject, body } = req.body;
   
   try {
-    await sendEmail(to, subject, body);
+    let recipient = to;
+    if (!hasPermission(req.user, 'email:send')) {
+      const user = await User.findById(req.user.userId).select('email');
+      if (!user) return res.status(404).send('User not found');
+      if (to && to.toLowerCase() !== user.email.toLowerCase()) {
+        return res.status(403).send('You can only send email to your own address');
+      }
+      recipient = user.email;
+    }
+    if (!recipient) return res.status(400).send('Recipient is required');
+
+    await sendEmail(recipient, subject, body);
     res.status(200).send('Email sent successfully');
   } catch (error) {
     res.status(500).send('Error sending email');
@@ -126,6 +170,12 @@ app.listen(PORT, () => {
 // Schedule the deletion task to run every day at midnight
 cron.schedule('0 0 * * *', deleteUnverifiedUsers);
 console.log('Scheduler started: Unverified users cleanup task will run every day at midnight.');
+// Every hour: due date reminders, overdue flags and late fees for rentals
+cron.schedule('0 * * * *', () => processRentalDueDates());
+// Every morning: tell sellers which of their products are low on stock
+cron.schedule('0 8 * * *', () => sendLowStockAlerts());
+// Every night: delete uploaded images nothing links to
+cron.schedule('30 3 * * *', () => cleanupOrphanedMedia());
 
 
 module.exports = app; 
\ No newline at end of file
@@ -1,20 +0,0 @@
-const jwt = require('jsonwebtoken');
-
-const authenticateJWT = (req, res, next) => {
-    const token = req.header('Authorization')?.split(' ')[1];
-    if (!token) {
-        return res.status(401).json({ message: 'Authorization token missing' });
-    }
-
-    try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.userId = decoded.userId;
-        req.userRole = decoded.role; 
-        next();
-    } catch (error) {
-        console.error(error);
-        res.status(401).json({ message: 'Invalid token' });
-    }
-};
-
-module.exports = authenticateJWT;
@@ -1,8 +1,10 @@
 const jwt = require('jsonwebtoken');
 
+// Sets req.user to the logged in user's { userId, role, sid } and answers 401 to everyone else;
+// sid is the session the access token was issued for, see services/sessionService
 const authMiddleware = (req, res, next) => {
     const token = req.headers.authorization?.split(' ')[1];
-    if (!token) return res.status(403).json({ message: "No token provided" });
+    if (!token) return res.status(401).json({ message: "No token provided" });
 
     jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
         if (err) return res.status(401).json({ message: "Unauthorized" });
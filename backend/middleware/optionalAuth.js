@@ -0,0 +1,14 @@
+const jwt = require('jsonwebtoken');
+
+// Sets req.user like authMiddleware when a valid token is sent, and lets everyone else through
+const optionalAuth = (req, res, next) => {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) return next();
+
+    jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
+        if (!err) req.user = decoded;
+        next();
+    });
+};
+
+module.exports = optionalAuth;
@@ -0,0 +1,85 @@
+/*
+ * What each role may do. Routes ask for a permission rather than a role, so a role can
+ * be given more or less access here without touching them. Anything a user owns (their
+ * cart, wishlist, profile, orders and rentals) needs no permission, only ownership; a
+ * permission lets staff act on everyone's.
+ */
+const PERMISSIONS = {
+  'users:read': 'See every user account',
+  'users:write': 'Create, change and delete user accounts and their carts, wishlists and profiles',
+  'catalog:write': "Manage categories, brands, featured products and every seller's and owner's products",
+  'listings:write': 'List their own equipment for rent',
+  'orders:read': 'See every shop order, return and rental',
+  'orders:write': 'Change every shop order, return and rental',
+  'sellers:review': 'Add, approve, reject and suspend sellers',
+  'promotions:write': 'Manage promotions and seasonal pricing',
+  'grievances:read': 'See every grievance',
+  'grievances:write': 'Resolve and delete grievances',
+  'reports:read': 'See analytics, search insights and promotion reports',
+  'payouts:write': 'Manage commission and pay sellers and equipment owners',
+  'reviews:moderate': "Edit and delete anyone's reviews",
+  'email:send': 'Send email from the server to any address',
+};
+
+const ROLE_PERMISSIONS = {
+  admin: Object.keys(PERMISSIONS),
+  farmer: ['listings:write'],
+  vendor: ['listings:write'],
+  customer: [],
+};
+
+const forbidden = (res) => res.status(403).json({ message: "You don't have permission to do this" });
+
+/**
+ * Whether a logged in user's role has a permission.
+ * @param {object} user - req.user, as set by authMiddleware.
+ * @param {string} permission - One of PERMISSIONS.
+ * @returns {boolean}
+ */
+const hasPermission = (user, permission) => Boolean(user && ROLE_PERMISSIONS[user.role]?.includes(permission));
+
+// Lets a request through only for users with every given permission. Use after authMiddleware.
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!permissions.every((permission) => hasPermission(req.user, permission))) return forbidden(res);
+  next();
+};
+
+/**
+ * Lets users through to a route about a user named by a route parameter when it's
+ * themselves, or when they have the permission. Use after authMiddleware.
+ * @param {string} param - Route parameter holding the user ID, e.g. userId.
+ * @param {string} [permission] - Permission to act for other users; none when omitted.
+ */
+const requireSelf = (param, permission) => (req, res, next) => {
+  const self = req.user && String(req.params[param]) === String(req.user.userId);
+  if (!self && !(permission && hasPermission(req.user, permission))) return forbidden(res);
+  next();
+};
+
+/**
+ * Lets users through to a record they own, or when they have the permission. Records
+ * that aren't found are let through for the route to answer 404. Use after authMiddleware.
+ * @param {function(object): Promise<*>} loadOwner - Reads the owning user's ID from the
+ *   request; null when the record doesn't exist, false when nobody owns it.
+ * @param {string} [permission] - Permission to act on anyone's records; none when omitted.
+ */
+const requireOwner = (loadOwner, permission) => async (req, res, next) => {
+  if (permission && hasPermission(req.user, permission)) return next();
+  try {
+    const owner = await loadOwner(req);
+    if (owner === null || owner === undefined) return next();
+    if (owner && req.user && String(owner._id || owner) === String(req.user.userId)) return next();
+    forbidden(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  requirePermission,
+  requireSelf,
+  requireOwner,
+};
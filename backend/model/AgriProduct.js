@@ -39,6 +39,12 @@ const agriProductSchema = new mongoose.Schema({
     },
 });
 
+// Full-text search; see services/search
+agriProductSchema.index(
+    { productName: 'text', productType: 'text', description: 'text', 'location.city': 'text' },
+    { name: 'agri_product_text', weights: { productName: 10, productType: 5, 'location.city': 3, description: 2 } }
+);
+
 const AgriProduct = mongoose.model('AgriProduct', agriProductSchema);
 
 module.exports = AgriProduct;
\ No newline at end of file
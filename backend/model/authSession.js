@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+/*
+ * One signed in device, not to be confused with the express-session Google sign in uses.
+ * Its refresh token changes every time it's used; see services/sessionService.
+ */
+const authSessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  tokenHash: { type: String, required: true }, // SHA-256 of the current refresh token's secret
+  previousTokenHash: { type: String }, // The token it replaced, to catch a stolen one being reused
+  rememberMe: { type: Boolean, default: false },
+  userAgent: { type: String, maxlength: 500 },
+  ip: { type: String },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }, // Pushed back on every refresh
+  revokedAt: { type: Date },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'logout_everywhere', 'password_reset', 'suspended', 'deleted', 'token_reuse'],
+  },
+}, { timestamps: true });
+
+authSessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB a week later, long enough to still spot token reuse
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.models.AuthSession || mongoose.model('AuthSession', authSessionSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Platform commission for one category; categories without a rule use PLATFORM_COMMISSION_PERCENT
+const commissionRuleSchema = new mongoose.Schema(
+  {
+    marketplace: { type: String, enum: ['shop', 'rent'], required: true },
+    category: { type: String, required: true, trim: true }, // Shop category name, or rent product category
+    percent: { type: Number, required: true, min: 0, max: 100 },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+commissionRuleSchema.index({ marketplace: 1, category: 1 }, { unique: true });
+
+module.exports = mongoose.models.CommissionRule || mongoose.model('CommissionRule', commissionRuleSchema);
@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. one per year of invoice numbers
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+});
+
+module.exports = mongoose.models.Counter || mongoose.model('Counter', counterSchema);
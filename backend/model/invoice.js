@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const partySchema = new mongoose.Schema(
+  {
+    name: { type: String },
+    email: { type: String },
+    phone: { type: String },
+    address: { type: String },
+    gstin: { type: String }, // GST registration number, when registered
+  },
+  { _id: false }
+);
+
+const lineItemSchema = new mongoose.Schema(
+  {
+    description: { type: String, required: true },
+    quantity: { type: Number, required: true },
+    unitPrice: { type: Number, required: true },
+    amount: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    invoiceNumber: { type: String, required: true, unique: true },
+    type: {
+      type: String,
+      enum: ['rental', 'rental_checkout', 'shop_order'],
+      required: true,
+    },
+    sourceId: { type: String, required: true }, // rentalId, checkout tracking ID or shop order ID
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    platform: partySchema,
+    seller: partySchema,
+    billTo: partySchema,
+    lineItems: [lineItemSchema],
+    // Signed changes to the line items: seasonal surcharges are positive, discounts negative
+    adjustments: [
+      {
+        _id: false,
+        label: { type: String, required: true },
+        amount: { type: Number, required: true },
+      },
+    ],
+    subtotal: { type: Number, required: true },
+    discount: { type: Number, default: 0 },
+    total: { type: Number, required: true }, // GST inclusive
+    taxableValue: { type: Number, required: true },
+    taxes: [
+      {
+        _id: false,
+        label: { type: String, required: true },
+        rate: { type: Number, required: true },
+        amount: { type: Number, required: true },
+      },
+    ],
+    taxTotal: { type: Number, default: 0 },
+    deposit: { type: Number, default: 0 }, // Refundable, outside the taxable total
+    settlement: {
+      deductions: { type: Number },
+      refundable: { type: Number },
+      amountOwed: { type: Number },
+    },
+    amountDue: { type: Number, required: true },
+    issuedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+// One invoice per order
+invoiceSchema.index({ type: 1, sourceId: 1 }, { unique: true });
+invoiceSchema.index({ user: 1, issuedAt: -1 });
+
+module.exports = mongoose.models.Invoice || mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Accounts a ledger line posts to:
+//   cash             - money the platform collected from customers and still holds
+//   payable          - what the platform owes the entry's payee
+//   platform_revenue - commission, and everything earned by equipment the platform owns
+const LEDGER_ACCOUNTS = ['cash', 'payable', 'platform_revenue'];
+
+const ENTRY_TYPES = [
+  'sale', // A delivered shop order line
+  'rental', // The rent of an inspected rental
+  'deposit_deduction', // Deposit kept to cover late fees or damage
+  'refund', // Money given back for a returned shop order line
+  'payout', // A payout statement paid to the payee
+];
+
+const ledgerLineSchema = new mongoose.Schema(
+  {
+    account: { type: String, enum: LEDGER_ACCOUNTS, required: true },
+    debit: { type: Number, default: 0, min: 0 },
+    credit: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
+// One journal entry. Its lines always balance: debits add up to the same as credits.
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true }, // The event posted, so it is only posted once
+    type: { type: String, enum: ENTRY_TYPES, required: true },
+    payee: {
+      kind: { type: String, enum: ['seller', 'owner'] }, // A shop Seller, or the User owning rented equipment
+      id: { type: mongoose.Schema.Types.ObjectId },
+    },
+    orderType: { type: String, enum: ['shop_order', 'rental'] },
+    orderId: { type: String }, // Shop order ID or rentalId
+    item: { type: mongoose.Schema.Types.ObjectId }, // Shop order line
+    category: { type: String }, // Category the commission was taken for
+    commissionPercent: { type: Number },
+    gross: { type: Number, default: 0 }, // What the customer paid, or got back
+    commission: { type: Number, default: 0 },
+    net: { type: Number, default: 0 }, // Change in what the payee is owed; negative for refunds and payouts
+    description: { type: String },
+    lines: { type: [ledgerLineSchema], default: [] },
+    occurredAt: { type: Date, default: Date.now },
+    payout: { type: mongoose.Schema.Types.ObjectId, ref: 'Payout' }, // Statement that settled this entry
+  },
+  { timestamps: true }
+);
+
+ledgerEntrySchema.index({ 'payee.kind': 1, 'payee.id': 1, occurredAt: 1 });
+ledgerEntrySchema.index({ payout: 1, occurredAt: 1 });
+ledgerEntrySchema.index({ orderType: 1, orderId: 1 });
+
+ledgerEntrySchema.pre('validate', function (next) {
+  const total = (side) => Math.round(this.lines.reduce((sum, line) => sum + line[side], 0) * 100);
+  if (this.lines.length === 0 || total('debit') !== total('credit')) {
+    return next(new Error(`Ledger entry ${this.key} does not balance`));
+  }
+  next();
+});
+
+module.exports = mongoose.models.LedgerEntry || mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// One stored size of an uploaded image
+const renditionSchema = new mongoose.Schema({
+  key: { type: String, required: true }, // Where the file is in the storage backend
+  url: { type: String, required: true },
+  width: { type: Number },
+  height: { type: Number },
+  size: { type: Number }, // Bytes
+}, { _id: false });
+
+const mediaSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: {
+    type: String,
+    enum: ['product', 'rent-product', 'post', 'profile'],
+    required: true,
+  },
+  storage: { type: String, required: true }, // Backend the files were saved to, e.g. local or s3
+  originalName: { type: String },
+  mimeType: { type: String },
+  size: { type: Number }, // Bytes uploaded
+  sizes: {
+    thumbnail: renditionSchema,
+    medium: renditionSchema,
+    full: renditionSchema,
+  },
+  urls: { type: [String], index: true }, // Every size's URL, to find the media a document links to
+}, { timestamps: true });
+
+mediaSchema.index({ createdAt: 1 });
+
+module.exports = mongoose.models.Media || mongoose.model('Media', mediaSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const PAYMENT_STATUSES = [
+  'requires_action', // Waiting for the customer to pay with the provider
+  'processing',
+  'authorized', // Approved but not captured yet (manual capture)
+  'captured',
+  'failed',
+  'cancelled',
+  'partially_refunded',
+  'refunded',
+];
+
+const refundSchema = new mongoose.Schema({
+  providerRefundId: { type: String },
+  amount: { type: Number, required: true, min: 0 },
+  reason: { type: String },
+  status: { type: String, enum: ['pending', 'succeeded', 'failed'], default: 'pending' },
+  createdAt: { type: Date, default: Date.now },
+});
+
+const paymentSchema = new mongoose.Schema(
+  {
+    provider: { type: String, enum: ['mock', 'stripe', 'razorpay'], required: true },
+    providerPaymentId: { type: String, required: true }, // Stripe PaymentIntent id, Razorpay order id
+    providerChargeId: { type: String }, // Razorpay payment id, once the customer has paid
+    orderType: { type: String, enum: ['rental', 'rental_checkout', 'shop_order'], required: true },
+    orderId: { type: String, required: true }, // rentalId, checkout tracking ID or shop order ID
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    amount: { type: Number, required: true, min: 0 },
+    currency: { type: String, default: 'INR' },
+    captureMethod: { type: String, enum: ['automatic', 'manual'], default: 'automatic' },
+    status: { type: String, enum: PAYMENT_STATUSES, default: 'requires_action' },
+    amountCaptured: { type: Number, default: 0 },
+    amountRefunded: { type: Number, default: 0 },
+    refunds: { type: [refundSchema], default: [] },
+    failureReason: { type: String },
+    processedEvents: { type: [String], default: [] }, // Webhook event ids already applied
+  },
+  { timestamps: true }
+);
+
+paymentSchema.index({ provider: 1, providerPaymentId: 1 }, { unique: true });
+paymentSchema.index({ orderType: 1, orderId: 1 });
+
+module.exports = mongoose.models.Payment || mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// What one payee is paid for a period, generated in batches by services/payoutService
+const payoutSchema = new mongoose.Schema(
+  {
+    payoutId: { type: String, required: true, unique: true },
+    batchId: { type: String, required: true }, // Payouts generated together
+    payee: {
+      kind: { type: String, enum: ['seller', 'owner'], required: true },
+      id: { type: mongoose.Schema.Types.ObjectId, required: true },
+      name: { type: String },
+    },
+    periodStart: { type: Date },
+    periodEnd: { type: Date, required: true },
+    entries: [{ type: mongoose.Schema.Types.ObjectId, ref: 'LedgerEntry' }],
+    totals: {
+      gross: { type: Number, default: 0 }, // Sales and rent
+      commission: { type: Number, default: 0 }, // Net of commission given back on refunds
+      refunds: { type: Number, default: 0 },
+      deductions: { type: Number, default: 0 }, // Deposit kept for the owner
+      net: { type: Number, default: 0 }, // Amount to pay
+    },
+    status: { type: String, enum: ['pending', 'paid', 'cancelled'], default: 'pending' },
+    generatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    paidAt: { type: Date },
+    paidBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reference: { type: String }, // Bank or UPI transfer reference
+    cancelledAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+payoutSchema.index({ batchId: 1 });
+payoutSchema.index({ 'payee.kind': 1, 'payee.id': 1, createdAt: -1 });
+payoutSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.models.Payout || mongoose.model('Payout', payoutSchema);
@@ -11,10 +11,15 @@ const promotionSchema = new mongoose.Schema(
       { type: mongoose.Schema.Types.ObjectId, ref: "RentProduct" },
     ], // Specific products or categories for the promo
     status: { type: String, enum: ["active", "inactive"], default: "active" },
+    minOrderValue: { type: Number, default: 0, min: 0 }, // Rental charge needed before the code applies
+    maxRedemptions: { type: Number, min: 1 }, // Across all users; unlimited when unset
+    perUserLimit: { type: Number, min: 1 }, // Per user; unlimited when unset
+    redemptionCount: { type: Number, default: 0, min: 0 },
   },
   { timestamps: true }
 );
 
-const Promotion = mongoose.model("Promotion", promotionSchema);
+const Promotion =
+  mongoose.models.Promotion || mongoose.model("Promotion", promotionSchema);
 
 module.exports = Promotion;
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// One use of a promotion code on an order. Reversed when the order is cancelled
+// so the use no longer counts against the promotion's limits.
+const promotionRedemptionSchema = new mongoose.Schema(
+  {
+    promotion: { type: mongoose.Schema.Types.ObjectId, ref: "Promotion", required: true },
+    code: { type: String, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    orderId: { type: String, required: true }, // rentalId, or the tracking ID of a checkout
+    orderValue: { type: Number, default: 0 }, // Charge the code was applied to
+    discountAmount: { type: Number, default: 0 },
+    status: { type: String, enum: ["applied", "reversed"], default: "applied" },
+  },
+  { timestamps: true }
+);
+
+promotionRedemptionSchema.index({ promotion: 1, user: 1, status: 1 });
+promotionRedemptionSchema.index({ orderId: 1 });
+
+const PromotionRedemption =
+  mongoose.models.PromotionRedemption ||
+  mongoose.model("PromotionRedemption", promotionRedemptionSchema);
+
+module.exports = PromotionRedemption;
@@ -52,12 +52,32 @@ const rentProductSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    stock: {
+      type: Number, // Number of identical units that can be rented out at once
+      default: 1,
+      min: 0,
+    },
+    lateFeePolicy: {
+      perDay: { type: Number, min: 0 }, // Fee per unit per late day; defaults to rentalPricePerDay
+      graceHours: { type: Number, default: 0, min: 0 }, // Lateness forgiven before fees start
+      maxFee: { type: Number, min: 0 }, // Cap per rental; uncapped when unset
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId, // User listing the equipment; the platform's own when unset
+      ref: "User",
+    },
     reviews: [reviewSchema],
     rating: { type: Number, default: 0, min: 0, max: 5 },
   },
   { timestamps: true }
 );
 
+// Full-text search; see services/search
+rentProductSchema.index(
+  { name: "text", category: "text", description: "text" },
+  { name: "rent_product_text", weights: { name: 10, category: 5, description: 2 } }
+);
+
 // Method to update product rating based on reviews
 rentProductSchema.methods.updateProductRating = async function () {
   const totalRating = this.reviews.reduce(
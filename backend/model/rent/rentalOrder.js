@@ -0,0 +1,175 @@
+const mongoose = require("mongoose");
+
+// Allowed transitions between these are enforced by services/rent/rentalLifecycle
+const RENTAL_STATUSES = [
+  "requested",
+  "approved",
+  "picked_up",
+  "returned",
+  "inspected",
+  "closed",
+  "rejected",
+  "cancelled",
+];
+
+// One entry per status change, newest last
+const statusHistorySchema = new mongoose.Schema(
+  {
+    from: { type: String, enum: RENTAL_STATUSES },
+    status: { type: String, enum: RENTAL_STATUSES, required: true },
+    changedAt: { type: Date, default: Date.now },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reason: { type: String, maxlength: 500 },
+  },
+  { _id: false }
+);
+
+// Filled from services/rent/quoteService so the stored price matches the quote
+// Part of the rental window a seasonal rule priced
+const seasonalSegmentSchema = new mongoose.Schema(
+  {
+    season: { type: String },
+    type: { type: String, enum: ["discount", "increase"] },
+    percentage: { type: Number },
+    startDate: { type: Date },
+    endDate: { type: Date },
+    amount: { type: Number, default: 0 }, // Signed, like seasonalAdjustment
+  },
+  { _id: false }
+);
+
+const priceBreakdownSchema = new mongoose.Schema(
+  {
+    rateUnit: { type: String, enum: ["hourly", "daily", "weekly", "monthly"] },
+    rate: { type: Number, default: 0 }, // Price of one unit for one rateUnit
+    units: { type: Number, default: 0 }, // Number of rateUnits in the rental window
+    subtotal: { type: Number, default: 0 },
+    seasonalAdjustment: { type: Number, default: 0 }, // Negative for a discount, positive for a peak-season increase
+    seasonalSegments: { type: [seasonalSegmentSchema], default: [] }, // Adds up to seasonalAdjustment
+    promoCode: { type: String },
+    promotionDiscount: { type: Number, default: 0 },
+    loyaltyDiscount: { type: Number, default: 0 },
+    discount: { type: Number, default: 0 }, // subtotal - total; negative when a seasonal increase outweighs discounts
+    total: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// Condition of the returned units, recorded by the owner or an admin
+const inspectionSchema = new mongoose.Schema(
+  {
+    condition: { type: String, enum: ["good", "minor_damage", "major_damage"], required: true },
+    notes: { type: String, maxlength: 1000 },
+    photos: { type: [String], default: [] }, // Image URLs
+    deductions: {
+      type: [
+        new mongoose.Schema(
+          {
+            type: { type: String, enum: ["late_fee", "damage", "fuel", "cleaning", "other"], required: true },
+            amount: { type: Number, required: true, min: 0 },
+            note: { type: String, maxlength: 300 },
+          },
+          { _id: false }
+        ),
+      ],
+      default: [],
+    },
+    inspectedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    inspectedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+// What happens to the deposit once the inspection is done
+const settlementSchema = new mongoose.Schema(
+  {
+    deposit: { type: Number, default: 0 },
+    deductions: { type: Number, default: 0 }, // Sum of the inspection deductions
+    refundable: { type: Number, default: 0 }, // Deposit returned to the renter
+    amountOwed: { type: Number, default: 0 }, // Deductions the deposit didn't cover
+    settledAt: { type: Date },
+  },
+  { _id: false }
+);
+
+// A renter's request to keep the units longer, priced for the extra period only
+const extensionSchema = new mongoose.Schema({
+  previousEndDate: { type: Date, required: true },
+  requestedEndDate: { type: Date, required: true },
+  charge: { type: priceBreakdownSchema, default: () => ({}) },
+  status: { type: String, enum: ["pending", "approved", "rejected"], default: "pending" },
+  reason: { type: String, maxlength: 500 }, // Renter's note
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  requestedAt: { type: Date, default: Date.now },
+  decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  decidedAt: { type: Date },
+  decisionReason: { type: String, maxlength: 500 },
+});
+
+// One entry per change to the order total after it was placed
+const priceHistorySchema = new mongoose.Schema(
+  {
+    reason: { type: String, required: true },
+    previousTotal: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    changedAt: { type: Date, default: Date.now },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { _id: false }
+);
+
+const rentalOrderSchema = new mongoose.Schema(
+  {
+    rentalId: { type: String, required: true, unique: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    product: { type: mongoose.Schema.Types.ObjectId, ref: "RentProduct", required: true },
+    quantity: { type: Number, default: 1, min: 1 },
+    rentalDuration: { type: String, required: true },
+    rentalDate: { type: Date, default: Date.now },
+    startDate: { type: Date },
+    endDate: { type: Date },
+    returnDate: { type: Date },
+    dueDate: { type: Date }, // When the units must be back; the end of the rental window
+    overdueSince: { type: Date }, // Set by the overdue job the first time the rental is late
+    lateFee: { type: Number, default: 0 }, // Running while overdue, final once returned
+    reminders: {
+      dueSoonSentAt: { type: Date },
+      overdueSentAt: { type: Date },
+    },
+    priceBreakdown: { type: priceBreakdownSchema, default: () => ({}) },
+    priceHistory: { type: [priceHistorySchema], default: [] },
+    extensions: { type: [extensionSchema], default: [] },
+    deposit: {
+      amount: { type: Number, default: 0 },
+      // pending until pickup, held while the units are out, settled after inspection
+      status: { type: String, enum: ["pending", "held", "settled"], default: "pending" },
+      heldAt: { type: Date },
+    },
+    inspection: { type: inspectionSchema },
+    settlement: { type: settlementSchema },
+    status: { type: String, enum: RENTAL_STATUSES, default: "requested" },
+    checkoutId: { type: String }, // Tracking ID of the cart checkout that booked it; its payment is for the checkout
+    statusHistory: { type: [statusHistorySchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+rentalOrderSchema.index({ user: 1, createdAt: -1 });
+rentalOrderSchema.index({ product: 1, status: 1 });
+rentalOrderSchema.index({ status: 1, createdAt: -1 });
+rentalOrderSchema.index({ status: 1, dueDate: 1 });
+rentalOrderSchema.index({ checkoutId: 1 }, { sparse: true });
+
+// Record the initial status so every order has a complete history
+rentalOrderSchema.pre("save", function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedAt: this.rentalDate });
+  }
+  if (!this.dueDate && this.endDate) this.dueDate = this.endDate;
+  next();
+});
+
+const RentalOrder =
+  mongoose.models.RentalOrder || mongoose.model("RentalOrder", rentalOrderSchema);
+
+module.exports = RentalOrder;
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// A block of units of a rent product held for a date window.
+// Overlapping active reservations are summed to decide whether a new rental fits.
+const reservationSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'RentProduct', required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    rentalId: { type: String, required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    status: { type: String, enum: ['active', 'released'], default: 'active' },
+  },
+  { timestamps: true }
+);
+
+reservationSchema.index({ product: 1, status: 1, startDate: 1, endDate: 1 });
+reservationSchema.index({ rentalId: 1 });
+
+const Reservation =
+  mongoose.models.Reservation || mongoose.model('Reservation', reservationSchema);
+
+module.exports = Reservation;
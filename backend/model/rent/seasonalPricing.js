@@ -1,16 +1,27 @@
 const mongoose = require('mongoose');
 
+// A price adjustment for one product over a date window, applied when rentals are quoted.
+// Rules for the same product may not overlap, so at most one applies on any date.
 const seasonalPricingSchema = new mongoose.Schema(
   {
     product: { type: mongoose.Schema.Types.ObjectId, ref: 'RentProduct', required: true },
-    season: { type: String, required: true, enum: ['summer', 'winter', 'fall', 'spring'] },
-    discountPercentage: { type: Number, required: true, min: 0, max: 100 },
+    season: {
+      type: String,
+      required: true,
+      enum: ['summer', 'winter', 'fall', 'spring', 'sowing', 'harvest'],
+    },
+    adjustmentType: { type: String, enum: ['discount', 'increase'], default: 'discount' },
+    // Stored as discountPercentage so rules created before increases existed keep working
+    discountPercentage: { type: Number, required: true, min: 0, max: 100, alias: 'percentage' },
     startDate: { type: Date, required: true },
     endDate: { type: Date, required: true },
   },
-  { timestamps: true }
+  { timestamps: true, toJSON: { virtuals: true } }
 );
 
-const SeasonalPricing = mongoose.model('SeasonalPricing', seasonalPricingSchema);
+seasonalPricingSchema.index({ product: 1, startDate: 1, endDate: 1 });
+
+const SeasonalPricing =
+  mongoose.models.SeasonalPricing || mongoose.model('SeasonalPricing', seasonalPricingSchema);
 
 module.exports = SeasonalPricing;
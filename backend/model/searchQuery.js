@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// How long search logs are kept
+const SEARCH_LOG_TTL_DAYS = Number(process.env.SEARCH_LOG_TTL_DAYS || 180);
+
+// One search someone ran, for suggestions and for spotting searches that find nothing
+const searchQuerySchema = new mongoose.Schema({
+  query: { type: String, required: true }, // Lowercase words, as suggested back
+  text: { type: String }, // As typed
+  catalog: { type: String, enum: ['shop', 'rent', 'listings'], required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  resultCount: { type: Number, default: 0 },
+  correctedQuery: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+searchQuerySchema.index({ createdAt: 1 }, { expireAfterSeconds: SEARCH_LOG_TTL_DAYS * 24 * 60 * 60 });
+searchQuerySchema.index({ user: 1, createdAt: -1 });
+searchQuerySchema.index({ resultCount: 1, createdAt: -1 });
+
+module.exports = mongoose.models.SearchQuery || mongoose.model('SearchQuery', searchQuerySchema);
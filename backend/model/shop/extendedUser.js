@@ -43,27 +43,24 @@ const orderSchema = new mongoose.Schema({
   products: { type: [orderItemSchema], required: true },
   totalAmount: { type: Number, required: true },
   orderDate: { type: Date, required: true },
-  status: { type: String, default: 'pending' },
+  status: {
+    type: String,
+    enum: ['pending', 'packed', 'shipped', 'delivered', 'cancelled', 'returned'],
+    default: 'pending',
+  }, // Kept in sync with the Order
 });
 
-// Define the payment method schema
+// Define the payment method schema. Only the provider's token is stored, never the card number.
 const paymentMethodSchema = new mongoose.Schema({
-  method: { type: String, required: true },
+  method: { type: String, required: true }, // Card brand or "UPI"
+  provider: { type: String, enum: ['mock', 'stripe', 'razorpay'], required: true },
+  token: { type: String, required: true, select: false }, // Provider payment method/token id
   details: {
-    cardNumber: {
-      iv: { type: String, required: true },
-      encryptedData: { type: String, required: true },
-    },
-    lastFour: { type: String, required: true }, // Store last four digits in plain text
-    expiry: {
-      iv: { type: String, required: true },
-      encryptedData: { type: String, required: true },
-    },
-    holderName: {
-      iv: { type: String, required: true },
-      encryptedData: { type: String, required: true },
-    },
+    lastFour: { type: String }, // Shown to the user; not set for UPI
+    expiry: { type: String },
+    holderName: { type: String },
   },
+  addedAt: { type: Date, default: Date.now },
 });
 
 // Extend the user schema
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const orderItemSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variant: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant', required: true },
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller' },
+  name: { type: String, required: true }, // Product name at the time of the order
+  size: { type: Number },
+  type: { type: Boolean }, // True for weight and False for litre, as on the variant
+  quantity: { type: Number, required: true, min: 1 },
+  price: { type: Number, required: true, min: 0 }, // Unit price after the product offer
+  amount: { type: Number, required: true, min: 0 },
+  returnedQuantity: { type: Number, default: 0, min: 0 }, // Taken back through return requests
+});
+
+const shippingAddressSchema = new mongoose.Schema(
+  {
+    address: { type: String, required: true },
+    city: { type: String, required: true },
+    state: { type: String, required: true },
+    zip: { type: String, required: true },
+    country: { type: String, required: true },
+    label: { type: String },
+  },
+  { _id: false }
+);
+
+const ORDER_STATUSES = ['pending', 'packed', 'shipped', 'delivered', 'cancelled', 'returned'];
+
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: { type: String },
+    status: { type: String, required: true },
+    changedAt: { type: Date, default: Date.now },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: { type: String },
+  },
+  { _id: false }
+);
+
+// The part of an order one seller packs and ships
+const shipmentSchema = new mongoose.Schema({
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller' },
+  items: [{ type: mongoose.Schema.Types.ObjectId }], // _ids of the order items in this shipment
+  status: { type: String, enum: ORDER_STATUSES, default: 'pending' },
+  carrier: { type: String },
+  trackingNumber: { type: String },
+  packedAt: { type: Date },
+  shippedAt: { type: Date },
+  deliveredAt: { type: Date },
+  cancelledAt: { type: Date },
+  returnedAt: { type: Date },
+  statusHistory: { type: [statusChangeSchema], default: [] },
+});
+
+const OrderSchema = new mongoose.Schema({
+  orderId: { type: String, required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  items: {
+    type: [orderItemSchema],
+    validate: [(items) => items.length > 0, 'An order needs at least one item'],
+  },
+  shippingAddress: { type: shippingAddressSchema, required: true },
+  totalAmount: { type: Number, required: true, min: 0 },
+  shipments: { type: [shipmentSchema], default: [] },
+  status: { type: String, enum: ORDER_STATUSES, default: 'pending' }, // Follows the shipments
+  paymentStatus: {
+    type: String,
+    enum: ['unpaid', 'requires_action', 'authorized', 'paid', 'failed', 'partially_refunded', 'refunded'],
+    default: 'unpaid',
+  }, // Follows the order's Payment
+  invoiceNumber: { type: String },
+  orderDate: { type: Date, default: Date.now },
+}, { timestamps: true });
+
+// New orders get one shipment per seller
+OrderSchema.pre('validate', function (next) {
+  if (this.shipments.length === 0) {
+    const bySeller = new Map();
+    this.items.forEach((item) => {
+      const key = String(item.seller);
+      if (!bySeller.has(key)) bySeller.set(key, { seller: item.seller, items: [] });
+      bySeller.get(key).items.push(item._id);
+    });
+    this.shipments = [...bySeller.values()];
+  }
+  next();
+});
+
+OrderSchema.index({ user: 1, orderDate: -1 });
+OrderSchema.index({ 'shipments.seller': 1, status: 1 });
+OrderSchema.index({ status: 1, orderDate: -1 });
+
+module.exports = mongoose.models.Order || mongoose.model('Order', OrderSchema);
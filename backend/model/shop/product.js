@@ -49,4 +49,10 @@ function arrayLimit(val) {
   return val.length <= 3;
 }
 
+// Full-text search; see services/search
+ProductSchema.index(
+  { name: 'text', description: 'text' },
+  { name: 'product_text', weights: { name: 10, description: 2 } }
+);
+
 module.exports = mongoose.model('Product', ProductSchema);
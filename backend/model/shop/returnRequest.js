@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const RETURN_STATUSES = [
+  'requested', // Opened by the buyer, waiting for the seller or an admin
+  'approved',
+  'rejected',
+  'cancelled', // Withdrawn by the buyer before it was decided
+  'pickup_scheduled',
+  'picked_up',
+  'received', // Back with the seller and restocked
+  'refunded',
+  'closed', // Received, with nothing paid to refund
+];
+
+const RETURN_REASONS = ['damaged', 'defective', 'wrong-item', 'not-as-described', 'no-longer-needed', 'other'];
+
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: { type: String },
+    status: { type: String, required: true },
+    changedAt: { type: Date, default: Date.now },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    note: { type: String },
+  },
+  { _id: false }
+);
+
+const ReturnRequestSchema = new mongoose.Schema(
+  {
+    returnId: { type: String, required: true, unique: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    orderId: { type: String, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller' },
+    item: { type: mongoose.Schema.Types.ObjectId, required: true }, // _id of the order item returned
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    variant: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant', required: true },
+    name: { type: String },
+    quantity: { type: Number, required: true, min: 1 },
+    amount: { type: Number, required: true, min: 0 }, // What the buyer paid for the returned quantity
+    reason: { type: String, enum: RETURN_REASONS, required: true },
+    description: { type: String },
+    photos: {
+      type: [String], // URLs of photos showing the problem
+      validate: [(photos) => photos.length <= 5, 'A return can have at most 5 photos'],
+    },
+    grievance: { type: mongoose.Schema.Types.ObjectId, ref: 'Grievance' },
+    status: { type: String, enum: RETURN_STATUSES, default: 'requested' },
+    decision: {
+      by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      at: { type: Date },
+      note: { type: String },
+    },
+    pickup: {
+      scheduledFor: { type: Date },
+      carrier: { type: String },
+      trackingNumber: { type: String },
+      pickedUpAt: { type: Date },
+      receivedAt: { type: Date },
+    },
+    refund: {
+      payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+      refundId: { type: mongoose.Schema.Types.ObjectId }, // Entry in the payment's refunds
+      amount: { type: Number },
+      status: { type: String, enum: ['pending', 'succeeded', 'failed'] },
+      refundedAt: { type: Date },
+      error: { type: String }, // Why the last refund attempt failed
+    },
+    statusHistory: { type: [statusChangeSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+ReturnRequestSchema.index({ orderId: 1, item: 1 });
+ReturnRequestSchema.index({ user: 1, createdAt: -1 });
+ReturnRequestSchema.index({ seller: 1, status: 1 });
+
+module.exports = mongoose.models.ReturnRequest || mongoose.model('ReturnRequest', ReturnRequestSchema);
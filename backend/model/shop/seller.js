@@ -1,5 +1,21 @@
 const mongoose = require('mongoose');
 
+// Formats of Indian tax and bank identifiers
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const PAN_PATTERN = /^[A-Z]{5}\d{4}[A-Z]$/;
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+
+const KYC_DOCUMENT_TYPES = ['pan', 'aadhaar', 'gst_certificate', 'business_registration', 'cancelled_cheque'];
+
+const kycDocumentSchema = new mongoose.Schema({
+  type: { type: String, enum: KYC_DOCUMENT_TYPES, required: true },
+  fileName: { type: String }, // Name of the file as uploaded
+  storedName: { type: String, required: true }, // Name of the file in the KYC upload directory
+  mimeType: { type: String },
+  size: { type: Number },
+  uploadedAt: { type: Date, default: Date.now },
+});
+
 const SellerSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -17,6 +33,46 @@ const SellerSchema = new mongoose.Schema({
   address: {
     type: String,
   },
+  user: { // The account that runs this seller; sellers added by an admin may have none
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    unique: true,
+    sparse: true,
+  },
+  business: {
+    legalName: { type: String, trim: true },
+    type: { type: String, enum: ['individual', 'proprietorship', 'partnership', 'company'] },
+    pan: { type: String, uppercase: true, trim: true, match: [PAN_PATTERN, 'PAN is not valid'] },
+  },
+  gstin: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [GSTIN_PATTERN, 'GSTIN is not valid'],
+  },
+  payout: { // Where the seller's earnings are paid
+    accountHolderName: { type: String, trim: true },
+    accountNumber: { type: String, select: false },
+    accountLastFour: { type: String },
+    ifsc: { type: String, uppercase: true, trim: true, match: [IFSC_PATTERN, 'IFSC is not valid'] },
+    bankName: { type: String },
+    upiId: { type: String, trim: true },
+  },
+  kycDocuments: {
+    type: [kycDocumentSchema],
+    default: [],
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'submitted', 'approved', 'rejected', 'suspended'],
+    default: 'draft',
+  },
+  submittedAt: { type: Date },
+  reviewedAt: { type: Date },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  rejectionReason: { type: String },
 }, { timestamps: true });
 
+SellerSchema.index({ status: 1, submittedAt: 1 });
+
 module.exports = mongoose.model('Seller', SellerSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = ['purchase', 'sale', 'return', 'adjustment', 'damage'];
+
+// One change to a variant's stock. A variant's stock is the sum of its movements.
+const StockMovementSchema = new mongoose.Schema({
+  variant: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant', required: true },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller' },
+  type: { type: String, enum: MOVEMENT_TYPES, required: true },
+  quantity: { // Units added, or taken away when negative
+    type: Number,
+    required: true,
+    validate: [(quantity) => Number.isInteger(quantity) && quantity !== 0, 'Quantity must be a whole number other than 0'],
+  },
+  stockAfter: { type: Number, min: 0 }, // Variant stock right after this movement
+  reason: { type: String, trim: true, maxlength: 500 },
+  reference: { type: String }, // Order or return the movement came from
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Who made it, none for the system
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+StockMovementSchema.index({ variant: 1, createdAt: -1 });
+StockMovementSchema.index({ seller: 1, createdAt: -1 });
+StockMovementSchema.index({ reference: 1 }, { sparse: true });
+
+module.exports = mongoose.models.StockMovement || mongoose.model('StockMovement', StockMovementSchema);
@@ -27,6 +27,10 @@ const VariantSchema = new mongoose.Schema({
     required: true,
     min: 0,
   },
+  lowStockThreshold: { // Stock at or below which the seller is alerted; the shop default when unset
+    type: Number,
+    min: 0,
+  },
 }, { timestamps: true });
 
 module.exports = mongoose.model('Variant', VariantSchema);
@@ -3,6 +3,14 @@ const express = require('express');
 const router = express.Router();
 const agriProductController = require('../controllers/agriProductController');
 const authMiddleware = require('../middleware/authMiddleware');
+const { requireOwner } = require('../middleware/permissions');
+const AgriProduct = require('../model/AgriProduct');
+
+// Products may be changed by their owner, or by catalog managers
+const productOwner = async (req) => {
+  const product = await AgriProduct.findById(req.params.id).select('owner').lean().catch(() => null);
+  return product && (product.owner || false);
+};
 
 // Get all products
 router.get('/', agriProductController.getAllProducts);
@@ -13,10 +21,10 @@ router.get('/:id', agriProductController.getProductById);
 // Create a new product (only authenticated users can create)
 router.post('/', authMiddleware, agriProductController.createProduct);
 
-// Update a product (only authenticated users can update)
-router.put('/:id', authMiddleware, agriProductController.updateProduct);
+// Update a product (only its owner can update)
+router.put('/:id', authMiddleware, requireOwner(productOwner, 'catalog:write'), agriProductController.updateProduct);
 
-// Delete a product (only authenticated users can delete)
-router.delete('/:id', authMiddleware, agriProductController.deleteProduct);
+// Delete a product (only its owner can delete)
+router.delete('/:id', authMiddleware, requireOwner(productOwner, 'catalog:write'), agriProductController.deleteProduct);
 
 module.exports = router;
@@ -1,5 +1,6 @@
 const express = require("express");
 const router = express.Router();
+const authMiddleware = require("../middleware/authMiddleware");
 
 const {
   signupController,
@@ -11,17 +12,29 @@ const {
   verifyEmail,
   checkEmailAvailability,
   resendVerificationEmail,
-  updateUserProfile
+  updateUserProfile,
+  refreshTokenController,
+  logoutController,
+  listSessionsController,
+  revokeSessionController,
+  revokeAllSessionsController,
 } = require("../controllers/authController");
 
 router.post("/signup", signupController);
-router.put("/profile-update", updateUserProfile);
+router.put("/profile-update", authMiddleware, updateUserProfile);
 router.get("/check-username/:username", checkUsernameAvailability);
 router.get("/check-email/:email", checkEmailAvailability);
 router.get("/verify-account", verifyEmail);
 router.post("/resend-verify-email", resendVerificationEmail);
 // Login Route
 router.post("/signin", signinController);
+router.post("/refresh", refreshTokenController);
+router.post("/logout", logoutController);
+
+// Devices the user is signed in on
+router.get("/sessions", authMiddleware, listSessionsController);
+router.delete("/sessions", authMiddleware, revokeAllSessionsController);
+router.delete("/sessions/:sessionId", authMiddleware, revokeSessionController);
 router.post("/forgot-password", forgotPasswordController);
 router.post("/verify-otp", verifyOtpController);
 router.post("/reset-password", resetPasswordController);
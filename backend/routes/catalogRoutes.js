@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+  importShopCatalog,
+  exportShopCatalog,
+  importRentCatalog,
+  exportRentCatalog,
+} = require('../controllers/catalogController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
+const router = express.Router();
+
+// Shop catalog, for admins and approved sellers; CSV or JSON in "file", ?dryRun=true to only validate
+router.post('/catalog/shop/import', authMiddleware, importShopCatalog);
+router.get('/catalog/shop/export', authMiddleware, exportShopCatalog);
+
+// Rent catalog, for admins
+router.post('/catalog/rent/import', authMiddleware, requirePermission('catalog:write'), importRentCatalog);
+router.get('/catalog/rent/export', authMiddleware, requirePermission('catalog:write'), exportRentCatalog);
+
+module.exports = router;
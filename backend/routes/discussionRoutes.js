@@ -2,13 +2,14 @@
 
 const express = require('express');
 const { createPost, addComment, getPostsWithComments,getSinglePostWithComments } = require('../controllers/discussionController');
+const authMiddleware = require('../middleware/authMiddleware');
 const router = express.Router();
 
 // Route to create a new post
-router.post('/posts', createPost);
+router.post('/posts', authMiddleware, createPost);
 
 // Route to add a comment to a post
-router.post('/posts/:postId/comments', addComment);
+router.post('/posts/:postId/comments', authMiddleware, addComment);
 
 // Route to retrieve all posts with their comments
 router.get('/posts', getPostsWithComments);
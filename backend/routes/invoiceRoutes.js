@@ -0,0 +1,11 @@
+const express = require('express');
+const { listMyInvoices, downloadInvoice } = require('../controllers/invoiceController');
+const authMiddleware = require('../middleware/authMiddleware');
+const router = express.Router();
+
+// Invoices of the logged in user
+router.get('/invoices', authMiddleware, listMyInvoices);
+// Invoice PDF by invoice number
+router.get('/invoices/:invoiceNumber/pdf', authMiddleware, downloadInvoice);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const cartController = require('../controllers/shop/cartController');
+const wishlistController = require('../controllers/shop/wishlistController');
+const profileController = require('../controllers/shop/profileController');
+const rentCartController = require('../controllers/rent/RentCartController');
+const rentWishlistController = require('../controllers/rent/RentWishlistController');
+const { listMyRentals } = require('../controllers/rent/RentalController');
+const authMiddleware = require('../middleware/authMiddleware');
+const router = express.Router();
+
+// The logged in user's own things; the user always comes from the token, never the request
+router.use(authMiddleware);
+
+// Shop cart
+router.get('/cart', cartController.getUserCart);
+router.post('/cart/add', cartController.addProductToCart);
+router.put('/cart/update', cartController.updateCartItemQuantity);
+router.delete('/cart/remove', cartController.removeProductFromCart);
+router.delete('/cart/clear', cartController.clearUserCart);
+
+// Shop wishlist
+router.get('/wishlist', wishlistController.getWishlist);
+router.post('/wishlist/add', wishlistController.addToWishlist);
+router.delete('/wishlist/remove', wishlistController.removeFromWishlist);
+
+// Shop profile
+router.get('/profile', profileController.getExtendedUserById);
+router.put('/profile', profileController.updateExtendedUser);
+router.delete('/profile', profileController.deleteExtendedUser);
+
+// Rental equipment cart and wishlist
+router.get('/rent-cart', rentCartController.viewCart);
+router.post('/rent-cart/add', rentCartController.addToCart);
+router.delete('/rent-cart/remove/:productId', rentCartController.removeFromCart);
+router.get('/rent-wishlist', rentWishlistController.getWishlist);
+router.post('/rent-wishlist/add/:productId', rentWishlistController.addToWishlist);
+router.delete('/rent-wishlist/remove/:productId', rentWishlistController.removeFromWishlist);
+
+// Rentals
+router.get('/rentals', listMyRentals);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const { uploadMedia, uploadProfilePicture } = require('../controllers/mediaController');
+const authMiddleware = require('../middleware/authMiddleware');
+const router = express.Router();
+
+// Images for a product, rent-product or post: up to 3 JPEG, PNG or WebP files in "images"
+router.post('/media/:purpose', authMiddleware, uploadMedia);
+
+// The logged in user's profile picture: one image in "image"
+router.put('/media/profile-picture', authMiddleware, uploadProfilePicture);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const {
+  getPayment,
+  confirmPayment,
+  capturePayment,
+  refundPayment,
+  handleWebhook,
+  getPaymentMethods,
+  addPaymentMethod,
+  removePaymentMethod,
+} = require('../controllers/paymentController');
+const Payment = require('../model/payment');
+const authMiddleware = require('../middleware/authMiddleware');
+const optionalAuth = require('../middleware/optionalAuth');
+const { requirePermission, requireSelf, requireOwner } = require('../middleware/permissions');
+const router = express.Router();
+
+// Payments of guest checkouts have no user, so whoever holds the payment ID may see and confirm them
+const payer = async (req) => {
+  const payment = await Payment.findById(req.params.paymentId).select('user').lean().catch(() => null);
+  return payment && (payment.user || null);
+};
+
+// Provider webhooks (mock, stripe, razorpay)
+router.post('/payments/webhooks/:provider', handleWebhook);
+
+// Saved payment methods, stored as provider tokens
+router.get('/payments/methods/:userId', authMiddleware, requireSelf('userId'), getPaymentMethods);
+router.post('/payments/methods/:userId', authMiddleware, requireSelf('userId'), addPaymentMethod);
+router.delete('/payments/methods/:userId/:methodId', authMiddleware, requireSelf('userId'), removePaymentMethod);
+
+// Payments
+router.get('/payments/:paymentId', optionalAuth, requireOwner(payer, 'orders:read'), getPayment);
+router.post('/payments/:paymentId/confirm', optionalAuth, requireOwner(payer, 'orders:write'), confirmPayment);
+router.post('/payments/:paymentId/capture', authMiddleware, requirePermission('orders:write'), capturePayment);
+router.post('/payments/:paymentId/refund', authMiddleware, requirePermission('orders:write'), refundPayment);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const {
+  getCommissionRules,
+  setCommissionRule,
+  deleteCommissionRule,
+  getBalances,
+  generatePayouts,
+  getPayouts,
+  exportBatch,
+  getPayout,
+  exportStatement,
+  markPayoutPaid,
+  cancelPayout,
+} = require('../controllers/payoutController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
+const router = express.Router();
+
+// Everything here is for staff who pay sellers and equipment owners
+router.use('/payouts', authMiddleware, requirePermission('payouts:write'));
+
+// Platform commission per category
+router.get('/payouts/commission-rules', getCommissionRules);
+router.put('/payouts/commission-rules', setCommissionRule);
+router.delete('/payouts/commission-rules/:ruleId', deleteCommissionRule);
+
+// What each seller and equipment owner is owed
+router.get('/payouts/balances', getBalances);
+
+// Payout batches and statements
+router.post('/payouts/batches', generatePayouts);
+router.get('/payouts/batches/:batchId/export', exportBatch);
+router.get('/payouts', getPayouts);
+router.get('/payouts/:payoutId', getPayout);
+router.get('/payouts/:payoutId/export', exportStatement);
+router.post('/payouts/:payoutId/paid', markPayoutPaid);
+router.post('/payouts/:payoutId/cancel', cancelPayout);
+
+module.exports = router;
@@ -1,24 +1,47 @@
 const express = require('express');
-const { adminCreateRental, getAllOrders, getSpecificOrder, updateOrder, deleteOrder, bulkUpdateOrders } = require('../../controllers/rent/AdminOrderController');
+const { adminCreateRental, getAllOrders, getSpecificOrder, updateOrder, deleteOrder, bulkUpdateOrders, inspectOrder, decideOrderExtension } = require('../../controllers/rent/AdminOrderController');
+const RentalOrder = require('../../model/rent/rentalOrder');
+const RentProduct = require('../../model/rent/rentProduct');
+const authMiddleware = require('../../middleware/authMiddleware');
+const { requirePermission, requireOwner } = require('../../middleware/permissions');
 const router = express.Router();
 
+const canRead = [authMiddleware, requirePermission('orders:read')];
+const canWrite = [authMiddleware, requirePermission('orders:write')];
+
+// The owner of the rented equipment; the platform's own equipment has none
+const equipmentOwner = async (req) => {
+  const rental = await RentalOrder.findOne({ rentalId: req.params.rentalId }).select('product').lean();
+  if (!rental) return null;
+  const product = await RentProduct.findById(rental.product).select('owner').lean();
+  return (product && product.owner) || false;
+};
+// The equipment owner, or staff who may change every order
+const canWriteAsOwner = [authMiddleware, requireOwner(equipmentOwner, 'orders:write')];
 
 // Create a new order (Rental)
-router.post('/rent-orders', adminCreateRental );
+router.post('/rent-orders', canWrite, adminCreateRental );
 
 // Get all orders
-router.get('/rent-orders', getAllOrders);
+router.get('/rent-orders', canRead, getAllOrders);
+
+// Bulk update orders (e.g., change multiple order statuses at once)
+// Declared before '/rent-orders/:rentalId' so 'bulk-update' is not taken as a rentalId
+router.put('/rent-orders/bulk-update', canWrite, bulkUpdateOrders);
 
 // Get a specific order by rentalId
-router.get('/rent-orders/:rentalId', getSpecificOrder );
+router.get('/rent-orders/:rentalId', canRead, getSpecificOrder );
 
 // Update an order (change rental status or quantity)
-router.put('/rent-orders/:rentalId',updateOrder );
+router.put('/rent-orders/:rentalId', canWrite, updateOrder );
 
 // Delete an order
-router.delete('/rent-orders/:rentalId', deleteOrder )
+router.delete('/rent-orders/:rentalId', canWrite, deleteOrder )
 
-// Bulk update orders (e.g., change multiple order statuses at once)
-router.put('/rent-orders/bulk-update', bulkUpdateOrders);``
+// Inspect a returned order and settle its deposit
+router.post('/rent-orders/:rentalId/inspection', canWriteAsOwner, inspectOrder);
+
+// Approve or reject an extension request
+router.put('/rent-orders/:rentalId/extensions/:extensionId', canWriteAsOwner, decideOrderExtension);
 
 module.exports = router;
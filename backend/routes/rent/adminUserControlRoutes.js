@@ -1,18 +1,23 @@
 const express = require('express');
 const { createUser, updateUser, updateUserRole, deleteUser, getUserById, getAllUsers, toggleUserStatus } = require('../../controllers/rent/AdminUserController');
+const authMiddleware = require('../../middleware/authMiddleware');
+const { requirePermission } = require('../../middleware/permissions');
 const router = express.Router();
 
+const canRead = [authMiddleware, requirePermission('users:read')];
+const canWrite = [authMiddleware, requirePermission('users:write')];
+
 // CRUD Operations
-router.post('/users', createUser);
-router.put('/users/:userId', updateUser);
-router.delete('/users/:userId', deleteUser);
-router.get('/users/:userId', getUserById);
-router.get('/users', getAllUsers);
+router.post('/users', canWrite, createUser);
+router.put('/users/:userId', canWrite, updateUser);
+router.delete('/users/:userId', canWrite, deleteUser);
+router.get('/users/:userId', canRead, getUserById);
+router.get('/users', canRead, getAllUsers);
 
 // Role & Permission Updates
-router.put('/users/:userId/role', updateUserRole);
+router.put('/users/:userId/role', canWrite, updateUserRole);
 
 // Account Status Toggle
-router.put('/users/:userId/status', toggleUserStatus);
+router.put('/users/:userId/status', canWrite, toggleUserStatus);
 
 module.exports = router;
@@ -3,19 +3,23 @@ const router = express.Router();
 const Analytics = require('../../model/rent/analytics');
 const RentProduct = require('../../model/rent/rentProduct');
 const { productPerformance, rentalInsights, rentalStats, topCustomers } = require('../../controllers/rent/AnalyticsController');
+const authMiddleware = require('../../middleware/authMiddleware');
+const { requirePermission, requireSelf } = require('../../middleware/permissions');
+
+const canRead = [authMiddleware, requirePermission('reports:read')];
 
 
 // Calculate total rentals, revenue, and rating for a product
-router.get('/product-performance/:productId', productPerformance );
+router.get('/product-performance/:productId', canRead, productPerformance );
 
 // Fetch rental insights by user
-router.get('/user-insights/:userId', rentalInsights);
+router.get('/user-insights/:userId', authMiddleware, requireSelf('userId', 'reports:read'), rentalInsights);
 
 // Fetch rental statistics over time (e.g., weekly, monthly)
-router.get('/rental-trends', rentalStats );
+router.get('/rental-trends', canRead, rentalStats );
 
 // Aggregate customer insights (top customers, most rentals, etc.)
-router.get('/top-customers', topCustomers);
+router.get('/top-customers', canRead, topCustomers);
 
 // Function to log analytics on rental creation or update
 async function logRentalAnalytics(rental) {
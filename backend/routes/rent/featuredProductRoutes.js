@@ -1,12 +1,14 @@
 const express = require('express');
 const { featureProduct, getFeaturedProducts } = require('../../controllers/rent/featuredProductController');
+const authMiddleware = require('../../middleware/authMiddleware');
+const { requirePermission } = require('../../middleware/permissions');
 const router = express.Router();
 
 
 // Admin route to feature a product
-router.post('rent/feature',featureProduct);
+router.post('/rent/feature', authMiddleware, requirePermission('catalog:write'), featureProduct);
 
 // Get all featured products
-router.get('rent/featured',getFeaturedProducts);
+router.get('/rent/featured',getFeaturedProducts);
 
 module.exports = router;
@@ -1,11 +1,22 @@
 const express = require('express');
-const { createPromotion, getActivePromotions, deactivatePromotion } = require('../../controllers/rent/promotionController');
+const {
+  createPromotion,
+  getActivePromotions,
+  deactivatePromotion,
+  validatePromotionCode,
+  getPromotionReport,
+} = require('../../controllers/rent/promotionController');
+const authMiddleware = require('../../middleware/authMiddleware');
+const { requirePermission } = require('../../middleware/permissions');
 const router = express.Router();
 
 
 // Admin routes to manage promotions
-router.post('/rent/create',  createPromotion); // Create new promotion
+router.post('/rent/create', authMiddleware, requirePermission('promotions:write'), createPromotion); // Create new promotion
 router.get('/rent/active', getActivePromotions); // Get active promotions
-router.put('/rent/deactivate/:promotionId', deactivatePromotion); // Deactivate a promotion
+router.put('/rent/deactivate/:promotionId', authMiddleware, requirePermission('promotions:write'), deactivatePromotion); // Deactivate a promotion
+router.get('/rent/promotions/report', authMiddleware, requirePermission('reports:read'), getPromotionReport); // Usage and revenue impact per promotion
+
+router.post('/rent/promotions/validate', validatePromotionCode); // Check a code before checkout
 
 module.exports = router;
@@ -2,10 +2,11 @@
    
 const express = require('express');
 const { ratingController } = require('../../controllers/rent/RatingController');
+const authMiddleware = require('../../middleware/authMiddleware');
 
 const router = express.Router();
 
-router.post('/products/:productId/review', ratingController)
+router.post('/products/:productId/review', authMiddleware, ratingController)
 
 
 
@@ -2,16 +2,20 @@
 
 const express = require('express');
 const { addToCart, viewCart, removeFromCart } = require('../../controllers/rent/RentCartController');
+const authMiddleware = require('../../middleware/authMiddleware');
+const { requireSelf } = require('../../middleware/permissions');
 
 const router = express.Router();
 
+// Any user's cart, for staff; users see and change their own through /api/me/rent-cart
+
 // Add to cart
-router.post('/addtoCart', addToCart);
+router.post('/addtoCart/:userId', authMiddleware, requireSelf('userId', 'users:write'), addToCart);
 
 // View cart
-router.get('/getCart/:userId', viewCart);
+router.get('/getCart/:userId', authMiddleware, requireSelf('userId', 'users:read'), viewCart);
 
 // Remove from cart
-router.delete('/remove/:productId', removeFromCart);
+router.delete('/remove/:productId/:userId', authMiddleware, requireSelf('userId', 'users:write'), removeFromCart);
 
 module.exports = router;
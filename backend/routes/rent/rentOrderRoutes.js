@@ -2,17 +2,18 @@
 
 const express = require('express');
 const { OrderConfirmation, getOrderHistory, reRent, generateReceipt } = require('../../controllers/rent/RentOrderController');
+const authMiddleware = require('../../middleware/authMiddleware');
 const router = express.Router();
 
 
-// Create a new product
-router.post('/rent-product', OrderConfirmation);
+// Check out the rent cart: books every item for its dates and starts the payment
+router.post('/rent-product', authMiddleware, OrderConfirmation);
 //Get product rental history
-router.get('/rent-product/history', getOrderHistory );
+router.get('/rent-product/history', authMiddleware, getOrderHistory );
 // Re-rent a previously rented item
-router.post('rent-product/re-rent/:rentalId', reRent );
-// Generate detailed rental receipt
-router.get('rent-product/receipt/:rentalId', generateReceipt);
+router.post('/rent-product/re-rent/:rentalId', authMiddleware, reRent );
+// Download the rental's PDF invoice
+router.get('/rent-product/receipt/:rentalId', authMiddleware, generateReceipt);
 
 
 
@@ -3,9 +3,19 @@
 const express = require('express');
 const router = express.Router();
 const productController = require('../../controllers/rent/RentProductController');
+const Product = require('../../model/rent/rentProduct');
+const authMiddleware = require('../../middleware/authMiddleware');
+const { requirePermission, requireOwner } = require('../../middleware/permissions');
+
+// Equipment listed by an owner may be changed by them; the platform's own only by catalog managers
+const productOwner = async (req) => {
+  const product = await Product.findById(req.params.id).select('owner').lean().catch(() => null);
+  return product && (product.owner || false);
+};
+const canManage = [authMiddleware, requirePermission('listings:write'), requireOwner(productOwner, 'catalog:write')];
 
 // Create a new product
-router.post('/rent-products', productController.createProduct);
+router.post('/rent-products', authMiddleware, requirePermission('listings:write'), productController.createProduct);
 
 // Get all products
 router.get('/rent-products', productController.getAllProducts);
@@ -13,11 +23,14 @@ router.get('/rent-products', productController.getAllProducts);
 // Get a single product by ID
 router.get('/rent-products/:id', productController.getProductById);
 
+// Get per-day availability of a product (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+router.get('/rent-products/:id/availability', productController.getProductAvailability);
+
 // Update a product by ID
-router.put('/rent-products/:id', productController.updateProduct);
+router.put('/rent-products/:id', canManage, productController.updateProduct);
 
 // Delete a product by ID
-router.delete('/rent-products/:id', productController.deleteProduct);
+router.delete('/rent-products/:id', canManage, productController.deleteProduct);
 
 
 
@@ -2,17 +2,22 @@
 
 const express = require('express');
 const wishlistController = require('../../controllers/rent/RentWishlistController');
+const authMiddleware = require('../../middleware/authMiddleware');
+const { requireSelf } = require('../../middleware/permissions');
 
 
 const router = express.Router();
 
+// Any user's equipment wishlist, for staff; users use their own through /api/me/rent-wishlist.
+// GET /wishlist/:userId is the shop wishlist, so reading this one has its own path.
+
 // Add to Wishlist
-router.post('/wishlist/add/:productId',  wishlistController.addToWishlist);
+router.post('/wishlist/add/:productId/:userId', authMiddleware, requireSelf('userId', 'users:write'), wishlistController.addToWishlist);
 
 // Remove from Wishlist
-router.delete('/wishlist/remove/:productId',  wishlistController.removeFromWishlist);
+router.delete('/wishlist/remove/:productId/:userId', authMiddleware, requireSelf('userId', 'users:write'), wishlistController.removeFromWishlist);
 
 // Get Wishlist
-router.get('/wishlist',wishlistController.getWishlist);
+router.get('/rent-wishlist/:userId', authMiddleware, requireSelf('userId', 'users:read'), wishlistController.getWishlist);
 
 module.exports = router;
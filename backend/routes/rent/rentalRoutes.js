@@ -7,16 +7,36 @@ const {
   cancelRental,
   viewRental,
   returnRental,
+  getQuote,
+  getRentalReminders,
+  extendRental,
 } = require("../../controllers/rent/RentalController");
+const RentalOrder = require("../../model/rent/rentalOrder");
+const authMiddleware = require("../../middleware/authMiddleware");
+const optionalAuth = require("../../middleware/optionalAuth");
+const { requireOwner } = require("../../middleware/permissions");
 
-router.post("/rentals", createRental);
+// Renters may only see and change their own rentals
+const renter = async (req) => {
+  const rental = await RentalOrder.findOne({ rentalId: req.params.rentalId }).select("user").lean();
+  return rental && rental.user;
+};
 
-router.put("/rentals/:rentalId", updateRental);
+router.post("/rent/quote", optionalAuth, getQuote);
 
-router.delete("/rentals/:rentalId", cancelRental);
+router.post("/rentals", authMiddleware, createRental);
 
-router.get("/rentals/:rentalId", viewRental);
+router.put("/rentals/:rentalId", authMiddleware, requireOwner(renter, "orders:write"), updateRental);
 
-router.post("/rentals/:rentalId/return", returnRental);
+router.delete("/rentals/:rentalId", authMiddleware, requireOwner(renter, "orders:write"), cancelRental);
+
+// Declared before "/rentals/:rentalId" so "reminders" is not taken as a rentalId
+router.get("/rentals/reminders", authMiddleware, getRentalReminders);
+
+router.get("/rentals/:rentalId", authMiddleware, requireOwner(renter, "orders:read"), viewRental);
+
+router.post("/rentals/:rentalId/return", authMiddleware, requireOwner(renter, "orders:write"), returnRental);
+
+router.post("/rentals/:rentalId/extend", authMiddleware, extendRental);
 
 module.exports = router;
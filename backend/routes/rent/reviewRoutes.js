@@ -1,12 +1,14 @@
 const express = require("express");
 const { check } = require("express-validator");
 const { submitReview, getReviews, getRatingDistribution } = require("../../controllers/rent/ReviewControllers");
+const authMiddleware = require("../../middleware/authMiddleware");
 
 const router = express.Router();
 
 // Submit a review
 router.post(
   "/products/:productId/reviews",
+  authMiddleware,
   [
     check("rating", "Rating is required and must be between 0 and 5").isInt({
       min: 0,
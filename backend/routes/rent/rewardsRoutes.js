@@ -1,19 +1,21 @@
 const express = require("express");
 
 const { accumulatePoints, redeem, referral, pointRewards } = require("../../controllers/rent/RewardsController");
+const authMiddleware = require("../../middleware/authMiddleware");
+const { requirePermission } = require("../../middleware/permissions");
 
 const router = express.Router();
 
 // 1. Accumulate Points on Rental
-router.post("/rentals/:rentalId/complete", accumulatePoints);
+router.post("/rentals/:rentalId/complete", authMiddleware, requirePermission("orders:write"), accumulatePoints);
 
 // 2. Redeem Points for Rewards
-router.post("/redeem", redeem);
+router.post("/redeem", authMiddleware, redeem);
 
 // 3. Referral Tracking and Points Award
-router.post("/referral", referral);
+router.post("/referral", authMiddleware, referral);
 
 // 4. Get User Points and Rewards
-router.get("/points-rewards", pointRewards );
+router.get("/points-rewards", authMiddleware, pointRewards );
 
 module.exports = router;
@@ -1,10 +1,24 @@
 const express = require('express');
-const { applySeasonalPricing } = require('../../controllers/rent/SeasonalPricingController');
+const {
+  applySeasonalPricing,
+  listSeasonalPricing,
+  updateSeasonalPricing,
+  deleteSeasonalPricing,
+} = require('../../controllers/rent/SeasonalPricingController');
+const authMiddleware = require('../../middleware/authMiddleware');
+const { requirePermission } = require('../../middleware/permissions');
 const router = express.Router();
 
+const canWrite = [authMiddleware, requirePermission('promotions:write')];
+
 
 
 // Admin route to apply seasonal pricing
-router.post('/apply',  applySeasonalPricing);
+router.post('/apply', canWrite, applySeasonalPricing);
+
+// Admin routes to manage seasonal pricing rules
+router.get('/seasonal-pricing', canWrite, listSeasonalPricing);
+router.put('/seasonal-pricing/:id', canWrite, updateSeasonalPricing);
+router.delete('/seasonal-pricing/:id', canWrite, deleteSeasonalPricing);
 
 module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const { search, suggest, getInsights } = require('../controllers/searchController');
+const authMiddleware = require('../middleware/authMiddleware');
+const optionalAuth = require('../middleware/optionalAuth');
+const { requirePermission } = require('../middleware/permissions');
+const router = express.Router();
+
+// Autocomplete as the user types (?q=&catalog=&limit=); logged in users also get their recent queries
+router.get('/search/suggest', optionalAuth, suggest);
+
+// What people search for, and what finds nothing (?days=&catalog=&limit=)
+router.get('/search/insights', authMiddleware, requirePermission('reports:read'), getInsights);
+
+// Ranked search with facets (?q=&category=&brand=&minPrice=&maxPrice=&minRating=&available=&sort=&page=&limit=)
+router.get('/search/:catalog(shop|rent|listings)', optionalAuth, search);
+
+module.exports = router;
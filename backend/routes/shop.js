@@ -1,5 +1,9 @@
 const express = require('express');
 const router = express.Router();
+const authMiddleware = require('../middleware/authMiddleware');
+const { requirePermission, requireSelf, requireOwner } = require('../middleware/permissions');
+const Review = require('../model/shop/review');
+const Grievance = require('../model/shop/grievance');
 
 // Import controllers
 const productController = require('../controllers/shop/productController');
@@ -9,19 +13,35 @@ const sellerController = require('../controllers/shop/sellerController');
 const reviewController = require('../controllers/shop/reviewController');
 const variantController = require('../controllers/shop/variantController');
 const cartController = require('../controllers/shop/cartController')
+const checkoutController = require('../controllers/shop/checkoutController');
+const orderController = require('../controllers/shop/orderController');
+const returnController = require('../controllers/shop/returnController');
 const wishlistController = require('../controllers/shop/wishlistController');
 const extendedUserController = require('../controllers/shop/profileController');
 const UtilityController = require('../controllers/shop/utilityController');
 const grievanceController = require('../controllers/shop/grievanceController');
 
+const canEditCatalog = [authMiddleware, requirePermission('catalog:write')];
+const canReviewSellers = [authMiddleware, requirePermission('sellers:review')];
+
+// Owners of records that only they and staff may see or change; null when not found
+const reviewAuthor = async (req) => {
+  const review = await Review.findById(req.params.id).select('user').lean().catch(() => null);
+  return review && review.user;
+};
+const grievanceAuthor = async (req) => {
+  const grievance = await Grievance.findOne({ reportId: req.params.reportId }).select('userId').lean();
+  return grievance && grievance.userId;
+};
+
 /**
  * Product Routes
  */
 router.get('/products', productController.getAllProducts);
 router.get('/products/:id', productController.getProductById);
-router.post('/products', productController.createProduct);
-router.put('/products/:id', productController.updateProduct);
-router.delete('/products/:id', productController.deleteProduct);
+router.post('/products', authMiddleware, productController.createProduct); // Approved sellers and admins
+router.put('/products/:id', authMiddleware, productController.updateProduct);
+router.delete('/products/:id', authMiddleware, productController.deleteProduct);
 //complex routes
 router.get('/products/category/:categoryId', productController.getProductsByCategory);
 router.get('/products/brand/:brandId', productController.getProductsByBrand);
@@ -30,9 +50,9 @@ router.get('/products/brand/:brandId', productController.getProductsByBrand);
  */
 router.get('/categories', categoryController.getAllCategories);
 router.get('/categories/:id', categoryController.getCategoryById);
-router.post('/categories', categoryController.createCategory);
-router.put('/categories/:id', categoryController.updateCategory);
-router.delete('/categories/:id', categoryController.deleteCategory);
+router.post('/categories', canEditCatalog, categoryController.createCategory);
+router.put('/categories/:id', canEditCatalog, categoryController.updateCategory);
+router.delete('/categories/:id', canEditCatalog, categoryController.deleteCategory);
 
 
 /**
@@ -40,65 +60,115 @@ router.delete('/categories/:id', categoryController.deleteCategory);
  */
 router.get('/brands', brandController.getAllBrands);
 router.get('/brands/:id', brandController.getBrandById);
-router.post('/brands', brandController.createBrand);
-router.put('/brands/:id', brandController.updateBrand);
-router.delete('/brands/:id', brandController.deleteBrand);
+router.post('/brands', canEditCatalog, brandController.createBrand);
+router.put('/brands/:id', canEditCatalog, brandController.updateBrand);
+router.delete('/brands/:id', canEditCatalog, brandController.deleteBrand);
 
 /**
  * Seller Routes
  */
 router.get('/sellers', sellerController.getAllSellers);
+router.get('/sellers/me', authMiddleware, sellerController.getMySeller);
+router.get('/sellers/pending', canReviewSellers, sellerController.getPendingSellers);
 router.get('/sellers/:id', sellerController.getSellerById);
-router.post('/sellers', sellerController.createSeller);
-router.put('/sellers/:id', sellerController.updateSeller);
-router.delete('/sellers/:id', sellerController.deleteSeller);
+router.post('/sellers', canReviewSellers, sellerController.createSeller);
+router.put('/sellers/:id', canReviewSellers, sellerController.updateSeller);
+router.delete('/sellers/:id', canReviewSellers, sellerController.deleteSeller);
+
+// Seller onboarding: details, KYC documents, submission and admin review
+router.put('/sellers/me/onboarding', authMiddleware, sellerController.saveOnboarding);
+router.post('/sellers/me/documents', authMiddleware, sellerController.uploadKycDocument);
+router.post('/sellers/me/submit', authMiddleware, sellerController.submitOnboarding);
+router.get('/sellers/:id/documents/:documentId', authMiddleware, sellerController.downloadKycDocument);
+router.patch('/sellers/:id/review', canReviewSellers, sellerController.reviewSeller);
+router.get('/sellers/:id/dashboard', authMiddleware, sellerController.getDashboard);
 
 /**
  * Review Routes
  */
 router.get('/reviews', reviewController.getAllReviews);
 router.get('/reviews/:id', reviewController.getReviewById);
-router.post('/reviews', reviewController.createReview);
-router.put('/reviews/:id', reviewController.updateReview);
-router.delete('/reviews/:id', reviewController.deleteReview);
+router.post('/reviews', authMiddleware, reviewController.createReview);
+router.put('/reviews/:id', authMiddleware, requireOwner(reviewAuthor, 'reviews:moderate'), reviewController.updateReview);
+router.delete('/reviews/:id', authMiddleware, requireOwner(reviewAuthor, 'reviews:moderate'), reviewController.deleteReview);
 
 /**
  * Variant Routes
  */
 
 router.get('/variants', variantController.getAllVariants);
+router.get('/variants/low-stock', authMiddleware, variantController.getLowStock); // ?seller= for admins
+router.post('/variants/stock/bulk', authMiddleware, variantController.bulkUpdateStock); // CSV or JSON in "file"
 router.get('/variants/:id', variantController.getVariantById);
-router.post('/variants', variantController.createVariant);
-router.put('/variants/:id', variantController.updateVariant);
-router.delete('/variants/:id', variantController.deleteVariant);
+router.post('/variants', authMiddleware, variantController.createVariant); // Approved sellers and admins
+router.put('/variants/:id', authMiddleware, variantController.updateVariant);
+router.delete('/variants/:id', authMiddleware, variantController.deleteVariant);
+
+// Stock movement log: purchases, sales, returns, adjustments and damage
+router.get('/variants/:id/stock', authMiddleware, variantController.getStockHistory);
+router.post('/variants/:id/stock', authMiddleware, variantController.addStockMovement);
 
 
 /**
  * Cart Routes
+ * For managing any user's cart; users use their own through /api/me/cart
+*/
+
+router.post('/cart/:userId/add', authMiddleware, requirePermission('users:write'), cartController.addProductToCart);
+router.get('/cart/:userId', authMiddleware, requirePermission('users:read'), cartController.getUserCart);
+router.put('/cart/:userId/update', authMiddleware, requirePermission('users:write'), cartController.updateCartItemQuantity);
+router.delete('/cart/:userId/remove', authMiddleware, requirePermission('users:write'), cartController.removeProductFromCart);
+router.delete('/cart/:userId/clear', authMiddleware, requirePermission('users:write'), cartController.clearUserCart);
+
+/**
+ * Checkout Routes
+*/
+
+router.post('/shop/checkout/:userId', authMiddleware, requireSelf('userId'), checkoutController.checkout); // Turn the cart into an order
+
+/**
+ * Order Routes
+*/
+
+router.get('/shop/orders', authMiddleware, requirePermission('orders:read'), orderController.getAllOrders); // Filter by ?user=&seller=&status=
+router.get('/shop/orders/user/:userId', authMiddleware, requireSelf('userId', 'orders:read'), orderController.getUserOrders);
+router.get('/shop/orders/seller/:sellerId', authMiddleware, orderController.getSellerOrders); // The seller's own, or staff
+router.get('/shop/orders/:orderId', authMiddleware, orderController.getOrderById);
+router.patch('/shop/orders/:orderId/shipments/:shipmentId/status', authMiddleware, orderController.updateShipmentStatus);
+router.post('/shop/orders/:orderId/cancel', authMiddleware, orderController.cancelOrder);
+router.post('/shop/orders/:orderId/pay', authMiddleware, checkoutController.payForOrder);
+
+/**
+ * Return Routes
 */
 
-router.post('/cart/:userId/add', cartController.addProductToCart);
-router.get('/cart/:userId', cartController.getUserCart);
-router.put('/cart/:userId/update', cartController.updateCartItemQuantity);
-router.delete('/cart/:userId/remove', cartController.removeProductFromCart);
-router.delete('/cart/:userId/clear', cartController.clearUserCart);
+router.post('/shop/returns', authMiddleware, returnController.createReturn);
+router.get('/shop/returns', authMiddleware, requirePermission('orders:read'), returnController.getAllReturns); // Filter by ?user=&seller=&orderId=&status=
+router.get('/shop/returns/user/:userId', authMiddleware, requireSelf('userId', 'orders:read'), returnController.getUserReturns);
+router.get('/shop/returns/seller/:sellerId', authMiddleware, returnController.getSellerReturns); // The seller's own, or staff
+router.get('/shop/returns/:returnId', authMiddleware, returnController.getReturnById);
+router.patch('/shop/returns/:returnId/status', authMiddleware, returnController.updateReturnStatus);
+router.post('/shop/returns/:returnId/refund', authMiddleware, requirePermission('orders:write'), returnController.refundReturn);
+router.post('/shop/returns/:returnId/cancel', authMiddleware, returnController.cancelReturn);
 /**
  * Wishlist Routes
+ * For managing any user's wishlist; users use their own through /api/me/wishlist
 */
 
-router.post('/wishlist/:userId/add', wishlistController.addToWishlist); // Add an item to the wishlist
-router.delete('/wishlist/:userId/remove', wishlistController.removeFromWishlist); // Remove an item from the wishlist
-router.get('/wishlist/:userId', wishlistController.getWishlist);// Get all wishlist items
+router.post('/wishlist/:userId/add', authMiddleware, requirePermission('users:write'), wishlistController.addToWishlist); // Add an item to the wishlist
+router.delete('/wishlist/:userId/remove', authMiddleware, requirePermission('users:write'), wishlistController.removeFromWishlist); // Remove an item from the wishlist
+router.get('/wishlist/:userId', authMiddleware, requirePermission('users:read'), wishlistController.getWishlist);// Get all wishlist items
 
 /**
  * ExtendedUser Routes
+ * Users read and change their own profile through /api/me/profile
 */
 
-router.post('/profile', extendedUserController.createExtendedUser); // Create a new extended user
-router.get('/profile/:id', extendedUserController.getExtendedUserById);// Get extended user by ID
-router.get('/profile', extendedUserController.getAllExtendedUsers);// Get all extended users
-router.put('/profile/:id', extendedUserController.updateExtendedUser);// Update an existing extended user
-router.delete('/profile/:id', extendedUserController.deleteExtendedUser);// Delete an extended user
+router.post('/profile', authMiddleware, extendedUserController.createExtendedUser); // Create a new extended user
+router.get('/profile/:id', authMiddleware, requirePermission('users:read'), extendedUserController.getExtendedUserById);// Get extended user by ID
+router.get('/profile', authMiddleware, requirePermission('users:read'), extendedUserController.getAllExtendedUsers);// Get all extended users
+router.put('/profile/:id', authMiddleware, requirePermission('users:write'), extendedUserController.updateExtendedUser);// Update an existing extended user
+router.delete('/profile/:id', authMiddleware, requirePermission('users:write'), extendedUserController.deleteExtendedUser);// Delete an extended user
 
 /**
  * Utility Routes
@@ -111,9 +181,9 @@ router.get('/searchproduct', UtilityController.searchAllProducts);
  * Grievance Routes
 */
 
-router.post('/report', grievanceController.createGrievance);
-router.get('/report', grievanceController.getAllGrievances);
-router.get('/report/:id', grievanceController.getGrievanceById);
-router.patch('/report/:id/status', grievanceController.updateGrievanceStatus);
-router.delete('/report/:id', grievanceController.deleteGrievance);
+router.post('/report', authMiddleware, grievanceController.createGrievance);
+router.get('/report', authMiddleware, requirePermission('grievances:read'), grievanceController.getAllGrievances);
+router.get('/report/:reportId', authMiddleware, requireOwner(grievanceAuthor, 'grievances:read'), grievanceController.getGrievanceById);
+router.patch('/report/:reportId/status', authMiddleware, requirePermission('grievances:write'), grievanceController.updateGrievanceStatus);
+router.delete('/report/:reportId', authMiddleware, requirePermission('grievances:write'), grievanceController.deleteGrievance);
 module.exports = router;
\ No newline at end of file
@@ -1,12 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const authenticateJWT = require('../middleware/auth.js');
+const authMiddleware = require('../middleware/authMiddleware');
 const { submitRating } = require('../controllers/rating.js');
 
 // Get User by ID
 router.get('/users/:id', );
 
 
-router.post('/rating', authenticateJWT, submitRating);
+router.post('/rating', authMiddleware, submitRating);
 
 module.exports = router;
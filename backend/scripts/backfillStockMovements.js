@@ -0,0 +1,67 @@
+// One-time migration: give every shop variant created before the stock movement log an
+// opening balance, so its stock adds up from its movements.
+//
+// Usage: node scripts/backfillStockMovements.js [--dry-run]
+//
+// Safe to re-run: only variants without any movement get one. Variants that already
+// have movements are left alone, and the ones whose stock doesn't match their log are
+// counted so they can be looked at.
+
+const mongoose = require("mongoose");
+require("dotenv").config();
+const Variant = require("../model/shop/variant");
+const Product = require("../model/shop/product");
+const StockMovement = require("../model/shop/stockMovement");
+
+const dryRun = process.argv.includes("--dry-run");
+
+const backfill = async () => {
+  mongoose.set("strictQuery", false);
+  await mongoose.connect(process.env.MONGODB_URL);
+
+  const logged = await StockMovement.aggregate([
+    { $group: { _id: "$variant", stock: { $sum: "$quantity" } } },
+  ]);
+  const logStock = new Map(logged.map((row) => [String(row._id), row.stock]));
+
+  let opened = 0;
+  let empty = 0;
+  let mismatched = 0;
+
+  for await (const variant of Variant.find().cursor()) {
+    const key = String(variant._id);
+    if (logStock.has(key)) {
+      if (logStock.get(key) !== variant.stock) mismatched += 1;
+      continue;
+    }
+    if (variant.stock <= 0) {
+      empty += 1;
+      continue;
+    }
+
+    opened += 1;
+    if (dryRun) continue;
+
+    const product = await Product.findById(variant.product).select("seller");
+    await StockMovement.create({
+      variant: variant._id,
+      product: variant.product,
+      seller: product?.seller,
+      type: "adjustment",
+      quantity: variant.stock,
+      stockAfter: variant.stock,
+      reason: "Opening balance from before the stock movement log",
+    });
+  }
+
+  console.log(
+    `${dryRun ? "[dry run] " : ""}Opening balances logged: ${opened}, variants out of stock: ${empty}, stock not matching its log: ${mismatched}`
+  );
+};
+
+backfill()
+  .catch((error) => {
+    console.error("Stock movement backfill failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
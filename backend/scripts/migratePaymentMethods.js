@@ -0,0 +1,48 @@
+// One-time migration: drop saved cards stored the old way, with the card number,
+// expiry and holder name encrypted on ExtendedUser.paymentMethods.
+//
+// Usage: node scripts/migratePaymentMethods.js [--dry-run]
+//
+// Payment methods are now provider tokens and card numbers are never stored, so the
+// old entries can't be converted: they are removed and customers add their cards again.
+// Safe to re-run: only entries without a token are touched.
+
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+// Entries saved before payment methods were tokenized
+const LEGACY_METHOD = { token: { $exists: false } };
+
+const migrate = async () => {
+  mongoose.set("strictQuery", false);
+  await mongoose.connect(process.env.MONGODB_URL);
+
+  // Read the raw collection: the encrypted fields are no longer part of the schema
+  const users = mongoose.connection.collection("extendedusers");
+  const filter = { paymentMethods: { $elemMatch: LEGACY_METHOD } };
+
+  let userCount = 0;
+  let removed = 0;
+
+  for await (const user of users.find(filter, { projection: { paymentMethods: 1 } })) {
+    userCount += 1;
+    removed += user.paymentMethods.filter((method) => !method.token).length;
+
+    if (!dryRun) {
+      await users.updateOne({ _id: user._id }, { $pull: { paymentMethods: LEGACY_METHOD } });
+    }
+  }
+
+  console.log(
+    `${dryRun ? "[dry run] " : ""}Users with legacy payment methods: ${userCount}, payment methods removed: ${removed}`
+  );
+};
+
+migrate()
+  .catch((error) => {
+    console.error("Payment method migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,152 @@
+// One-time migration: move rentals embedded in User documents (user.rentals)
+// into the RentalOrder collection.
+//
+// Usage: node scripts/migrateRentalsToOrders.js [--dry-run]
+//
+// Safe to re-run: orders are upserted by rentalId, so existing rentalId values are kept
+// and rentals already migrated are left untouched. The embedded array is only removed
+// from a user once all of that user's rentals have been written. Orders still carrying
+// a pre-lifecycle status are mapped onto the current statuses, and orders without a
+// due date get one from their end date. Open orders get an active reservation for their
+// window, so the availability calendar counts their units as taken; open orders without
+// a usable window are listed for fixing by hand instead.
+
+const mongoose = require("mongoose");
+require("dotenv").config();
+const RentalOrder = require("../model/rent/rentalOrder");
+const Reservation = require("../model/rent/reservation");
+
+const dryRun = process.argv.includes("--dry-run");
+
+// Statuses used before the rental lifecycle, mapped onto the lifecycle ones
+const LEGACY_STATUSES = {
+  ongoing: "picked_up",
+  returned: "closed",
+};
+
+// Statuses in which an order still holds its units
+const OPEN_STATUSES = ["requested", "approved", "picked_up"];
+
+const toOrder = (userId, rental) => {
+  const status = LEGACY_STATUSES[rental.status] || rental.status || "picked_up";
+  const rentalDate = rental.rentalDate || new Date();
+
+  return {
+    rentalId: String(rental.rentalId || rental._id),
+    user: userId,
+    product: rental.product,
+    quantity: rental.quantity || 1,
+    rentalDuration: rental.rentalDuration,
+    rentalDate,
+    startDate: rental.startDate,
+    endDate: rental.endDate,
+    dueDate: rental.endDate,
+    returnDate: rental.returnDate,
+    status,
+    statusHistory: [{ status, changedAt: rentalDate, reason: "Migrated from user.rentals" }],
+  };
+};
+
+const migrate = async () => {
+  mongoose.set("strictQuery", false);
+  await mongoose.connect(process.env.MONGODB_URL);
+
+  // Read the raw collection: `rentals` is no longer part of the User schema
+  const users = mongoose.connection.collection("users");
+  const cursor = users.find(
+    { "rentals.0": { $exists: true } },
+    { projection: { rentals: 1 } }
+  );
+
+  let userCount = 0;
+  let inserted = 0;
+  let skipped = 0;
+
+  for await (const user of cursor) {
+    userCount += 1;
+
+    for (const rental of user.rentals) {
+      const order = toOrder(user._id, rental);
+
+      if (dryRun) {
+        const exists = await RentalOrder.exists({ rentalId: order.rentalId });
+        exists ? (skipped += 1) : (inserted += 1);
+        continue;
+      }
+
+      const result = await RentalOrder.updateOne(
+        { rentalId: order.rentalId },
+        { $setOnInsert: order },
+        { upsert: true }
+      );
+      result.upsertedCount ? (inserted += 1) : (skipped += 1);
+    }
+
+    if (!dryRun) {
+      await users.updateOne({ _id: user._id }, { $unset: { rentals: "" } });
+    }
+  }
+
+  let remapped = 0;
+  for (const [legacy, status] of Object.entries(LEGACY_STATUSES)) {
+    if (dryRun) {
+      remapped += await RentalOrder.collection.countDocuments({ status: legacy });
+      continue;
+    }
+    const result = await RentalOrder.collection.updateMany({ status: legacy }, { $set: { status } });
+    remapped += result.modifiedCount;
+  }
+
+  // Orders created before due dates were tracked are due at the end of their window
+  const missingDueDate = { dueDate: { $exists: false }, endDate: { $exists: true } };
+  const backfilled = dryRun
+    ? await RentalOrder.collection.countDocuments(missingDueDate)
+    : (await RentalOrder.collection.updateMany(missingDueDate, [{ $set: { dueDate: "$endDate" } }])).modifiedCount;
+
+  // Open orders hold their units for their window, like orders booked through the API
+  let reserved = 0;
+  const unreserved = [];
+  const open = RentalOrder.collection.find(
+    // A dry run hasn't mapped the legacy statuses, so they are looked for too
+    { status: { $in: [...OPEN_STATUSES, ...Object.keys(LEGACY_STATUSES)].filter((status) => OPEN_STATUSES.includes(LEGACY_STATUSES[status] || status)) } },
+    { projection: { rentalId: 1, user: 1, product: 1, quantity: 1, startDate: 1, endDate: 1 } }
+  );
+  for await (const order of open) {
+    if (await Reservation.exists({ rentalId: order.rentalId, status: "active" })) continue;
+
+    const start = order.startDate && new Date(order.startDate);
+    const end = order.endDate && new Date(order.endDate);
+    if (!order.product || !order.user || !(start < end)) {
+      unreserved.push(order.rentalId);
+      continue;
+    }
+
+    if (!dryRun) {
+      await Reservation.create({
+        product: order.product,
+        user: order.user,
+        rentalId: order.rentalId,
+        quantity: order.quantity || 1,
+        startDate: start,
+        endDate: end,
+      });
+    }
+    reserved += 1;
+  }
+
+  console.log(
+    `${dryRun ? "[dry run] " : ""}Users with rentals: ${userCount}, orders created: ${inserted}, already migrated: ${skipped}, legacy statuses mapped: ${remapped}, due dates filled in: ${backfilled}, reservations created: ${reserved}`
+  );
+  if (unreserved.length > 0) {
+    console.warn(
+      `${unreserved.length} open order(s) have no valid product, user or start and end date, so no units are held for them. Fix and re-run: ${unreserved.join(", ")}`
+    );
+  }
+};
+
+migrate()
+  .catch((error) => {
+    console.error("Rental migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
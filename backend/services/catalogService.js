@@ -0,0 +1,521 @@
+const mongoose = require('mongoose');
+const Product = require('../model/shop/product');
+const Variant = require('../model/shop/variant');
+const Category = require('../model/shop/category');
+const Brand = require('../model/shop/brand');
+const Seller = require('../model/shop/seller');
+const RentProduct = require('../model/rent/rentProduct');
+const User = require('../model/user');
+const { moveStock, setStock } = require('./shop/inventoryService');
+
+// Most rows one import may have
+const MAX_IMPORT_ROWS = 2000;
+
+// Columns of the shop catalog, one row per variant; a product without variants has one row
+const SHOP_COLUMNS = [
+  'productId', 'name', 'description', 'category', 'brand', 'seller', 'offer', 'images',
+  'variantId', 'size', 'unit', 'color', 'price', 'stock', 'lowStockThreshold',
+];
+
+// Product columns, which every row of a product repeats
+const PRODUCT_COLUMNS = ['name', 'description', 'category', 'brand', 'seller', 'offer', 'images'];
+
+const VARIANT_COLUMNS = ['variantId', 'size', 'unit', 'color', 'price', 'stock', 'lowStockThreshold'];
+
+// Columns of the rent catalog, one row per product
+const RENT_COLUMNS = [
+  'id', 'name', 'description', 'price', 'image', 'category', 'availabilityStatus',
+  'rentalPricePerDay', 'rentalDurationOptions', 'maxRentalDuration', 'depositAmount', 'rentalTerms',
+  'stock', 'lateFeePerDay', 'lateFeeGraceHours', 'lateFeeMax', 'owner',
+];
+
+// Variant units as written in the catalog; true is weight, as stored on Variant.type
+const UNITS = { kg: true, l: false };
+
+// Lists are written in one cell, separated by |
+const LIST_SEPARATOR = '|';
+
+const catalogError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const sameName = (name) => new RegExp(`^${escapeRegex(name)}$`, 'i');
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// A cell as text, or undefined when it's empty and the value should be left as it is
+const text = (value) => (isBlank(value) ? undefined : String(value).trim());
+
+const number = (value, column) => {
+  if (isBlank(value)) return undefined;
+  const parsed = Number(value);
+  if (Number.isNaN(parsed)) throw catalogError(`${column} must be a number`, 400);
+  return parsed;
+};
+
+const list = (value) => {
+  if (isBlank(value)) return undefined;
+  const items = Array.isArray(value) ? value : String(value).split(LIST_SEPARATOR);
+  return items.map((item) => String(item).trim()).filter(Boolean);
+};
+
+const unit = (value) => {
+  if (isBlank(value)) return undefined;
+  if (typeof value === 'boolean') return value;
+  const key = String(value).trim().toLowerCase();
+  if (!(key in UNITS)) throw catalogError('unit must be kg or l', 400);
+  return UNITS[key];
+};
+
+// Only the values a row gives, so empty cells leave the stored value alone
+const given = (values) => Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+
+// First message of a failed Mongoose validation
+const validationMessage = (error) => Object.values(error.errors)[0]?.message || error.message;
+
+const validate = (doc) => {
+  const error = doc.validateSync();
+  if (error) throw catalogError(validationMessage(error), 400);
+};
+
+const checkRows = (rows, columns) => {
+  if (rows.length === 0) throw catalogError('The file has no rows', 400);
+  if (rows.length > MAX_IMPORT_ROWS) throw catalogError(`Import at most ${MAX_IMPORT_ROWS} rows at a time`, 400);
+  const unknown = Object.keys(rows[0]).filter((column) => !columns.includes(column));
+  if (unknown.length) throw catalogError(`Unknown column "${unknown[0]}"`, 400);
+};
+
+const summarize = (dryRun, results, extra = {}) => {
+  const count = (action) => results.filter((result) => !result.error && result.action === action).length;
+  return {
+    dryRun,
+    created: count('create'),
+    updated: count('update'),
+    unchanged: count('unchanged'),
+    failed: results.filter((result) => result.error).length,
+    ...extra,
+    results,
+  };
+};
+
+/*
+ * Categories and brands are named in the catalog. A name that doesn't exist yet is
+ * created when an admin imports, once per import; a dry run only says it would be.
+ */
+const nameResolver = (Model, label, { canCreate, dryRun }) => {
+  const known = new Map();
+  const created = [];
+  return {
+    created,
+    async resolve(name) {
+      const key = name.toLowerCase();
+      if (!known.has(key)) {
+        let doc = await Model.findOne({ name: sameName(name) }).select('name');
+        if (!doc) {
+          if (!canCreate) throw catalogError(`Unknown ${label} "${name}"`, 400);
+          doc = dryRun ? { _id: new mongoose.Types.ObjectId(), name } : await Model.create({ name });
+          created.push(name);
+        }
+        known.set(key, doc._id);
+      }
+      return known.get(key);
+    },
+  };
+};
+
+// The seller a row names by email or ID, for admins
+const sellerResolver = () => {
+  const known = new Map();
+  return async (value) => {
+    if (!known.has(value)) {
+      const filter = mongoose.isValidObjectId(value) ? { _id: value } : { email: sameName(value) };
+      const seller = await Seller.findOne(filter).select('_id');
+      if (!seller) throw catalogError(`Unknown seller "${value}"`, 400);
+      known.set(value, seller._id);
+    }
+    return known.get(value);
+  };
+};
+
+/*
+ * Rows belong to the product named by productId, or else to the product with the row's
+ * name from the same seller. The first row of a product gives its details; the others
+ * may repeat them but not contradict them.
+ */
+const groupShopRows = (rows) => {
+  const groups = new Map();
+  rows.forEach((row, index) => {
+    const line = index + 2; // After the header, counting from 1
+    const key = text(row.productId) || `${text(row.seller) || ''}\n${(text(row.name) || '').toLowerCase()}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ row, line });
+  });
+  return [...groups.values()];
+};
+
+const conflictingColumn = (first, row) =>
+  PRODUCT_COLUMNS.find((column) => {
+    if (isBlank(row[column]) || isBlank(first[column])) return false;
+    return String(list(row[column])) !== String(list(first[column]));
+  });
+
+// Finds or builds the product a group of rows describes, with its details set from the first row
+const prepareProduct = async (first, { ownSeller, categories, brands, sellerOf }) => {
+  const productId = text(first.productId);
+  let product;
+  if (productId) {
+    product = mongoose.isValidObjectId(productId) ? await Product.findById(productId) : null;
+    if (!product) throw catalogError('Product not found', 404);
+  }
+
+  let seller;
+  if (ownSeller) {
+    const named = text(first.seller);
+    if (named && named !== String(ownSeller._id) && named.toLowerCase() !== ownSeller.email.toLowerCase()) {
+      throw catalogError('You can only manage your own products', 403);
+    }
+    seller = ownSeller._id;
+  } else if (text(first.seller)) {
+    seller = await sellerOf(text(first.seller));
+  }
+  if (product && ownSeller && !product.seller.equals(ownSeller._id)) {
+    throw catalogError('You can only manage your own products', 403);
+  }
+
+  const name = text(first.name);
+  if (!product && name && seller) {
+    product = await Product.findOne({ seller, name: sameName(name) });
+  }
+
+  const fields = given({
+    name,
+    description: text(first.description),
+    offer: number(first.offer, 'offer'),
+    images: list(first.images),
+    category: text(first.category) && (await categories.resolve(text(first.category))),
+    brand: text(first.brand) && (await brands.resolve(text(first.brand))),
+    seller: product && ownSeller ? undefined : seller,
+  });
+  if (fields.images && (fields.images.length === 0 || fields.images.length > 3)) {
+    throw catalogError('You must provide 1 to 3 images.', 400);
+  }
+
+  if (product) {
+    product.set(fields);
+  } else {
+    if (!fields.seller) throw catalogError('seller is required for a new product', 400);
+    if (!fields.images) throw catalogError('You must provide 1 to 3 images.', 400);
+    product = new Product(fields);
+  }
+  validate(product);
+  return product;
+};
+
+// Finds or builds the variant a row describes; without variantId, one of the same size, unit and color
+const prepareVariant = async (row, product) => {
+  const variantId = text(row.variantId);
+  const fields = given({
+    size: number(row.size, 'size'),
+    type: unit(row.unit),
+    color: text(row.color),
+    price: number(row.price, 'price'),
+    lowStockThreshold: number(row.lowStockThreshold, 'lowStockThreshold'),
+  });
+  const stock = number(row.stock, 'stock');
+  if (stock !== undefined && (!Number.isInteger(stock) || stock < 0)) {
+    throw catalogError('stock must be a whole number of 0 or more', 400);
+  }
+
+  let variant;
+  if (variantId) {
+    variant = mongoose.isValidObjectId(variantId) ? await Variant.findById(variantId) : null;
+    if (!variant) throw catalogError('Variant not found', 404);
+    if (!variant.product.equals(product._id)) throw catalogError('Variant belongs to another product', 400);
+  } else if (!product.isNew && fields.size !== undefined && fields.type !== undefined) {
+    variant = await Variant.findOne({ product: product._id, size: fields.size, type: fields.type, color: fields.color ?? null });
+  }
+
+  if (variant) {
+    variant.set(fields);
+  } else {
+    variant = new Variant({ ...fields, product: product._id, stock: 0 });
+  }
+  validate(variant);
+  return { variant, stock };
+};
+
+const hasVariant = (row) => VARIANT_COLUMNS.some((column) => !isBlank(row[column]));
+
+const actionOf = (doc) => (doc.isNew ? 'create' : doc.isModified() ? 'update' : 'unchanged');
+
+// A row creates when it creates anything, and updates when it changes anything
+const combined = (actions) =>
+  actions.includes('create') ? 'create' : actions.includes('update') ? 'update' : 'unchanged';
+
+/*
+ * Imports one product's rows. Every row is checked before anything is saved, so a
+ * product is imported whole or not at all.
+ */
+const importProduct = async (group, context, { dryRun, actor }) => {
+  const [{ row: first, line: firstLine }] = group;
+  let product;
+  try {
+    product = await prepareProduct(first, context);
+  } catch (error) {
+    if (!error.status) throw error;
+    return group.map(({ line }) => ({ line, error: error.message }));
+  }
+  const productAction = actionOf(product);
+
+  const planned = [];
+  for (const { row, line } of group) {
+    const plan = { line, actions: [row === first ? productAction : 'unchanged'] };
+    try {
+      const conflict = conflictingColumn(first, row);
+      if (conflict) throw catalogError(`${conflict} differs from line ${firstLine} for the same product`, 400);
+      if (hasVariant(row)) {
+        const { variant, stock } = await prepareVariant(row, product);
+        const stockChanges = stock !== undefined && stock !== variant.stock;
+        Object.assign(plan, { variant, stock });
+        plan.actions.push(actionOf(variant), stockChanges ? 'update' : 'unchanged');
+      }
+    } catch (error) {
+      if (!error.status) throw error;
+      plan.error = error.message;
+    }
+    planned.push(plan);
+  }
+
+  // IDs of what is saved, or was already
+  const saves = !dryRun && !planned.some((plan) => plan.error);
+  const ids = ({ variant }) => ({
+    productId: saves || !product.isNew ? product._id : undefined,
+    variantId: variant && (saves || !variant.isNew) ? variant._id : undefined,
+  });
+
+  const failed = planned.find((plan) => plan.error);
+  if (failed) {
+    return planned.map((plan) => ({
+      line: plan.line,
+      ...ids(plan),
+      error: plan.error || `Not imported, line ${failed.line} of the same product has errors`,
+    }));
+  }
+
+  if (!dryRun) {
+    if (productAction !== 'unchanged') await product.save();
+    const stockOptions = { reason: 'Catalog import', actor };
+    for (const { variant, stock } of planned.filter((plan) => plan.variant)) {
+      const isNew = variant.isNew;
+      if (isNew || variant.isModified()) await variant.save();
+      if (isNew) {
+        await Product.updateOne({ _id: product._id }, { $addToSet: { variants: variant._id } });
+        if (stock) await moveStock(variant._id, 'purchase', stock, stockOptions);
+      } else if (stock !== undefined && stock !== variant.stock) {
+        await setStock(variant._id, stock, stockOptions);
+      }
+    }
+  }
+  return planned.map((plan) => ({ line: plan.line, action: combined(plan.actions), ...ids(plan) }));
+};
+
+/**
+ * Imports shop products and their variants, one variant per row. Rows are matched to
+ * existing products and variants by ID, or by name and by size, unit and color, so an
+ * export can be edited and imported again. Empty cells leave stored values as they are;
+ * stock is counted stock, logged as an adjustment.
+ *
+ *   productId, name, description, category, brand, seller (email or ID), offer,
+ *   images (| separated), variantId, size, unit (kg or l), color, price, stock,
+ *   lowStockThreshold
+ *
+ * @param {object[]} rows - Rows keyed by column.
+ * @param {object} [options]
+ * @param {object} [options.seller] - Seller importing their own catalog; an admin when omitted.
+ * @param {boolean} [options.dryRun] - Validate every row without saving anything.
+ * @param {string} [options.actor] - User importing.
+ * @returns {Promise<object>} Counts of created, updated, unchanged and failed rows, with a
+ *   result per row and the categories and brands that were (or would be) created.
+ */
+const importShopCatalog = async (rows, { seller: ownSeller, dryRun = false, actor } = {}) => {
+  checkRows(rows, SHOP_COLUMNS);
+  const context = {
+    ownSeller,
+    categories: nameResolver(Category, 'category', { canCreate: !ownSeller, dryRun }),
+    brands: nameResolver(Brand, 'brand', { canCreate: !ownSeller, dryRun }),
+    sellerOf: sellerResolver(),
+  };
+  const results = [];
+  for (const group of groupShopRows(rows)) {
+    results.push(...(await importProduct(group, context, { dryRun, actor })));
+  }
+
+  results.sort((a, b) => a.line - b.line);
+  return summarize(dryRun, results, {
+    createdCategories: context.categories.created,
+    createdBrands: context.brands.created,
+  });
+};
+
+/**
+ * The shop catalog as import rows, one per variant, in the order import expects.
+ * @param {object} [options]
+ * @param {string} [options.seller] - Only this seller's products.
+ * @returns {Promise<object[]>}
+ */
+const exportShopCatalog = async ({ seller } = {}) => {
+  const products = await Product.find(seller ? { seller } : {})
+    .sort({ name: 1, _id: 1 })
+    .populate('category', 'name')
+    .populate('brand', 'name')
+    .populate('seller', 'email')
+    .populate('variants');
+
+  return products.flatMap((product) => {
+    const base = {
+      productId: String(product._id),
+      name: product.name,
+      description: product.description,
+      category: product.category?.name,
+      brand: product.brand?.name,
+      seller: product.seller?.email,
+      offer: product.offer,
+      images: product.images.join(LIST_SEPARATOR),
+    };
+    const variants = product.variants.filter(Boolean);
+    if (variants.length === 0) return [base];
+    return variants.map((variant) => ({
+      ...base,
+      variantId: String(variant._id),
+      size: variant.size,
+      unit: variant.type ? 'kg' : 'l',
+      color: variant.color,
+      price: variant.price,
+      stock: variant.stock,
+      lowStockThreshold: variant.lowStockThreshold,
+    }));
+  });
+};
+
+// The equipment owner a row names by email or ID
+const ownerResolver = () => {
+  const known = new Map();
+  return async (value) => {
+    if (!known.has(value)) {
+      const filter = mongoose.isValidObjectId(value) ? { _id: value } : { email: sameName(value) };
+      const user = await User.findOne(filter).select('_id');
+      if (!user) throw catalogError(`Unknown owner "${value}"`, 400);
+      known.set(value, user._id);
+    }
+    return known.get(value);
+  };
+};
+
+/**
+ * Imports rental products, one per row, matched by id or else by name. Empty cells
+ * leave stored values as they are.
+ *
+ *   id, name, description, price, image, category (| separated), availabilityStatus,
+ *   rentalPricePerDay, rentalDurationOptions (| separated), maxRentalDuration,
+ *   depositAmount, rentalTerms, stock, lateFeePerDay, lateFeeGraceHours, lateFeeMax,
+ *   owner (user email or ID)
+ *
+ * @param {object[]} rows - Rows keyed by column.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Validate every row without saving anything.
+ * @returns {Promise<object>} Counts of created, updated, unchanged and failed rows, with a result per row.
+ */
+const importRentCatalog = async (rows, { dryRun = false } = {}) => {
+  checkRows(rows, RENT_COLUMNS);
+  const ownerOf = ownerResolver();
+
+  const results = [];
+  for (const [index, row] of rows.entries()) {
+    const line = index + 2;
+    try {
+      const id = text(row.id);
+      const name = text(row.name);
+      let product;
+      if (id) {
+        product = mongoose.isValidObjectId(id) ? await RentProduct.findById(id) : null;
+        if (!product) throw catalogError('Product not found', 404);
+      } else if (name) {
+        const matches = await RentProduct.find({ name: sameName(name) }).limit(2);
+        if (matches.length > 1) throw catalogError(`More than one product is named "${name}", give its id`, 400);
+        [product] = matches;
+      }
+
+      const fields = given({
+        name,
+        description: text(row.description),
+        price: number(row.price, 'price'),
+        image: text(row.image),
+        category: list(row.category),
+        availabilityStatus: text(row.availabilityStatus),
+        rentalPricePerDay: number(row.rentalPricePerDay, 'rentalPricePerDay'),
+        rentalDurationOptions: list(row.rentalDurationOptions),
+        maxRentalDuration: number(row.maxRentalDuration, 'maxRentalDuration'),
+        depositAmount: number(row.depositAmount, 'depositAmount'),
+        rentalTerms: text(row.rentalTerms),
+        stock: number(row.stock, 'stock'),
+        'lateFeePolicy.perDay': number(row.lateFeePerDay, 'lateFeePerDay'),
+        'lateFeePolicy.graceHours': number(row.lateFeeGraceHours, 'lateFeeGraceHours'),
+        'lateFeePolicy.maxFee': number(row.lateFeeMax, 'lateFeeMax'),
+        owner: text(row.owner) && (await ownerOf(text(row.owner))),
+      });
+
+      if (product) product.set(fields);
+      else product = new RentProduct(fields);
+      validate(product);
+
+      const action = actionOf(product);
+      if (!dryRun && action !== 'unchanged') await product.save();
+      results.push({ line, action, id: dryRun && action === 'create' ? undefined : product._id });
+    } catch (error) {
+      if (!error.status) throw error;
+      results.push({ line, error: error.message });
+    }
+  }
+
+  return summarize(dryRun, results);
+};
+
+/**
+ * The rent catalog as import rows, one per product.
+ * @returns {Promise<object[]>}
+ */
+const exportRentCatalog = async () => {
+  const products = await RentProduct.find().sort({ name: 1, _id: 1 }).populate('owner', 'email');
+  return products.map((product) => ({
+    id: String(product._id),
+    name: product.name,
+    description: product.description,
+    price: product.price,
+    image: product.image,
+    category: product.category.join(LIST_SEPARATOR),
+    availabilityStatus: product.availabilityStatus,
+    rentalPricePerDay: product.rentalPricePerDay,
+    rentalDurationOptions: product.rentalDurationOptions.join(LIST_SEPARATOR),
+    maxRentalDuration: product.maxRentalDuration,
+    depositAmount: product.depositAmount,
+    rentalTerms: product.rentalTerms,
+    stock: product.stock,
+    lateFeePerDay: product.lateFeePolicy?.perDay,
+    lateFeeGraceHours: product.lateFeePolicy?.graceHours,
+    lateFeeMax: product.lateFeePolicy?.maxFee,
+    owner: product.owner?.email,
+  }));
+};
+
+module.exports = {
+  SHOP_COLUMNS,
+  RENT_COLUMNS,
+  importShopCatalog,
+  exportShopCatalog,
+  importRentCatalog,
+  exportRentCatalog,
+};
@@ -0,0 +1,71 @@
+// Quotes a value for a CSV cell when it holds a comma, quote or line break. Text that a
+// spreadsheet would run as a formula is prefixed with a quote.
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && Number.isNaN(Number(text))) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds a CSV document.
+ * @param {Array<{header: string, value: function(object): *}>} columns - Column headers and how
+ *   to read each cell from a row.
+ * @param {object[]} rows
+ * @returns {string}
+ */
+const toCsv = (columns, rows) =>
+  [
+    columns.map((column) => csvCell(column.header)).join(','),
+    ...rows.map((row) => columns.map((column) => csvCell(column.value(row))).join(',')),
+  ].join('\r\n') + '\r\n';
+
+/**
+ * Reads a CSV document into one object per line, keyed by the header line. Quoted cells
+ * may hold commas, quotes and line breaks, and the quote csvCell puts before formula-like
+ * text is taken off again. Blank lines are skipped.
+ * @param {string|Buffer} text
+ * @returns {object[]}
+ */
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const lines = [];
+  let line = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      line.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      line.push(cell);
+      lines.push(line);
+      line = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || line.length > 0) lines.push([...line, cell]);
+
+  const unguard = (value) => (/^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value);
+  const [header = [], ...rows] = lines.filter((cells) => cells.some((value) => value.trim() !== ''));
+  const keys = header.map((key) => key.trim());
+  return rows.map((cells) => Object.fromEntries(keys.map((key, index) => [key, unguard((cells[index] ?? '').trim())])));
+};
+
+module.exports = { csvCell, toCsv, parseCsv };
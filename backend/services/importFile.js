@@ -0,0 +1,53 @@
+const path = require('path');
+const multer = require('multer');
+const { parseCsv } = require('./csv');
+
+const importError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Accepts one CSV or JSON file of up to 2 MB in the "file" field, kept in memory
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!['.csv', '.json'].includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(importError('Upload a .csv or .json file', 400));
+    }
+    cb(null, true);
+  },
+}).single('file');
+
+const jsonRows = (data) => {
+  const rows = Array.isArray(data) ? data : data?.rows;
+  if (!Array.isArray(rows) || rows.some((row) => !row || typeof row !== 'object' || Array.isArray(row))) {
+    throw importError('JSON must be an array of rows, or an object with a rows array', 400);
+  }
+  return rows;
+};
+
+/**
+ * Rows sent for an import: an uploaded CSV or JSON file, or a JSON body.
+ * @param {object} req - Express request, after importUpload.
+ * @returns {object[]} One object per row, keyed by column.
+ */
+const readImport = (req) => {
+  if (req.file) {
+    const text = req.file.buffer.toString('utf8');
+    if (path.extname(req.file.originalname).toLowerCase() === '.csv') return parseCsv(text);
+    try {
+      return jsonRows(JSON.parse(text));
+    } catch (error) {
+      throw error.status ? error : importError('The file is not valid JSON', 400);
+    }
+  }
+  if (req.is('application/json')) return jsonRows(req.body);
+  throw importError('Attach a CSV or JSON file, or send the rows as JSON', 400);
+};
+
+module.exports = {
+  importUpload,
+  readImport,
+};
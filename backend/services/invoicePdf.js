@@ -0,0 +1,117 @@
+const PDFDocument = require('pdfkit');
+
+const TITLES = {
+  rental: 'Rental Invoice',
+  rental_checkout: 'Rental Invoice',
+  shop_order: 'Tax Invoice',
+};
+
+// The built-in PDF fonts have no rupee sign
+const money = (amount) =>
+  `Rs. ${Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const partyLines = (party = {}) =>
+  [party.name, party.address, party.email, party.phone, party.gstin && `GSTIN: ${party.gstin}`].filter(Boolean);
+
+/**
+ * Renders an invoice document as a PDF.
+ * @param {object} invoice - Invoice document.
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoicePdf = (invoice) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+
+    // Header: platform and invoice details
+    doc.fontSize(18).font('Helvetica-Bold').text(invoice.platform?.name || 'AgroTech AI', left, 50);
+    doc.fontSize(9).font('Helvetica').text(partyLines(invoice.platform).slice(1).join('\n'));
+    doc
+      .fontSize(14)
+      .font('Helvetica-Bold')
+      .text(TITLES[invoice.type] || 'Invoice', left, 50, { align: 'right' })
+      .fontSize(9)
+      .font('Helvetica')
+      .text(`Invoice no: ${invoice.invoiceNumber}`, { align: 'right' })
+      .text(`Date: ${new Date(invoice.issuedAt).toLocaleDateString('en-IN')}`, { align: 'right' })
+      .text(`Order: ${invoice.sourceId}`, { align: 'right' });
+
+    // Parties
+    const partiesTop = 140;
+    doc.fontSize(10).font('Helvetica-Bold').text('Bill to', left, partiesTop);
+    doc.font('Helvetica').fontSize(9).text(partyLines(invoice.billTo).join('\n') || '-', left, partiesTop + 14, {
+      width: 240,
+    });
+    doc.fontSize(10).font('Helvetica-Bold').text('Sold by', 320, partiesTop);
+    doc.font('Helvetica').fontSize(9).text(partyLines(invoice.seller).join('\n') || '-', 320, partiesTop + 14, {
+      width: 225,
+    });
+
+    // Line items
+    const columns = [
+      { label: 'Description', x: left, width: 255 },
+      { label: 'Qty', x: 310, width: 40, align: 'right' },
+      { label: 'Unit price', x: 355, width: 90, align: 'right' },
+      { label: 'Amount', x: 450, width: right - 450, align: 'right' },
+    ];
+    let y = 230;
+    const row = (values, font = 'Helvetica') => {
+      doc.font(font).fontSize(9);
+      const height = Math.max(
+        ...values.map((value, i) => doc.heightOfString(String(value), { width: columns[i].width }))
+      );
+      if (y + height > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+        y = doc.page.margins.top;
+      }
+      values.forEach((value, i) => {
+        const { x, width, align } = columns[i];
+        doc.text(String(value), x, y, { width, align });
+      });
+      y += height + 6;
+    };
+
+    row(columns.map((column) => column.label), 'Helvetica-Bold');
+    doc.moveTo(left, y - 3).lineTo(right, y - 3).stroke();
+    invoice.lineItems.forEach((item) => row([item.description, item.quantity, money(item.unitPrice), money(item.amount)]));
+    doc.moveTo(left, y - 3).lineTo(right, y - 3).stroke();
+
+    // Totals
+    const total = (label, amount, font = 'Helvetica') => row(['', '', label, money(amount)], font);
+    total('Subtotal', invoice.subtotal);
+    invoice.adjustments.forEach((adjustment) => total(adjustment.label, adjustment.amount));
+    total('Total (incl. GST)', invoice.total, 'Helvetica-Bold');
+    total('Taxable value', invoice.taxableValue);
+    invoice.taxes.forEach((tax) => total(`${tax.label} @ ${tax.rate}%`, tax.amount));
+    if (invoice.deposit > 0) {
+      total('Refundable deposit', invoice.deposit);
+    }
+    total('Amount due', invoice.amountDue, 'Helvetica-Bold');
+
+    if (invoice.settlement && invoice.settlement.refundable != null) {
+      y += 10;
+      total('Deposit deductions', invoice.settlement.deductions);
+      total('Deposit refunded', invoice.settlement.refundable);
+      if (invoice.settlement.amountOwed > 0) total('Still owed', invoice.settlement.amountOwed, 'Helvetica-Bold');
+    }
+
+    doc
+      .fontSize(8)
+      .font('Helvetica')
+      .text(
+        'Prices include GST. Deposits are refundable and not taxed. This is a computer generated invoice.',
+        left,
+        Math.max(y + 20, doc.y + 20),
+        { width: right - left, align: 'center' }
+      );
+
+    doc.end();
+  });
+
+module.exports = { renderInvoicePdf };
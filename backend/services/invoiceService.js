@@ -0,0 +1,264 @@
+const Invoice = require('../model/invoice');
+const Counter = require('../model/counter');
+const Seller = require('../model/shop/seller');
+const { toPriceBreakdown } = require('./rent/quoteService');
+
+// GST rate in percent; prices on the platform already include it
+const GST_RATE = Number(process.env.GST_RATE || 18);
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * The platform's own details, printed on every invoice.
+ * @returns {object}
+ */
+const platformDetails = () => ({
+  name: process.env.INVOICE_PLATFORM_NAME || 'AgroTech AI',
+  email: process.env.EMAIL_USER,
+  phone: process.env.INVOICE_PLATFORM_PHONE,
+  address: process.env.INVOICE_PLATFORM_ADDRESS,
+  gstin: process.env.INVOICE_PLATFORM_GSTIN,
+});
+
+const userDetails = (user) =>
+  user
+    ? {
+        name: [user.firstName, user.lastName].filter(Boolean).join(' '),
+        email: user.email,
+        phone: user.phone,
+        address: user.address,
+      }
+    : {};
+
+/**
+ * Next number in the year's invoice sequence, e.g. INV-2026-000042.
+ * @param {Date} [at] - Issue date.
+ * @returns {Promise<string>}
+ */
+const nextInvoiceNumber = async (at = new Date()) => {
+  const year = at.getFullYear();
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `invoice-${year}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return `INV-${year}-${String(counter.seq).padStart(6, '0')}`;
+};
+
+/**
+ * Splits a GST inclusive total into its taxable value and CGST/SGST halves.
+ * @param {number} total - Amount including GST.
+ * @returns {{taxableValue: number, taxes: object[], taxTotal: number}}
+ */
+const computeTaxes = (total) => {
+  const taxableValue = round(total / (1 + GST_RATE / 100));
+  const taxTotal = round(total - taxableValue);
+  const cgst = round(taxTotal / 2);
+  return {
+    taxableValue,
+    taxes: [
+      { label: 'CGST', rate: GST_RATE / 2, amount: cgst },
+      { label: 'SGST', rate: GST_RATE / 2, amount: round(taxTotal - cgst) },
+    ],
+    taxTotal,
+  };
+};
+
+/**
+ * Seasonal, promotion and loyalty changes of a stored priceBreakdown as signed adjustments.
+ * @param {object} breakdown - RentalOrder priceBreakdown.
+ * @returns {object[]}
+ */
+const breakdownAdjustments = (breakdown) =>
+  [
+    ['Seasonal adjustment', breakdown.seasonalAdjustment],
+    [breakdown.promoCode ? `Promotion ${breakdown.promoCode}` : 'Promotion', -(breakdown.promotionDiscount || 0)],
+    ['Loyalty discount', -(breakdown.loyaltyDiscount || 0)],
+  ]
+    .filter(([, amount]) => amount)
+    .map(([label, amount]) => ({ label, amount: round(amount) }));
+
+// Adds up adjustments with the same label across several items
+const mergeAdjustments = (adjustments) =>
+  Object.values(
+    adjustments.reduce((merged, { label, amount }) => {
+      merged[label] = { label, amount: round((merged[label]?.amount || 0) + amount) };
+      return merged;
+    }, {})
+  );
+
+/**
+ * Creates the invoice for an order, or refreshes the contents of the one it already has.
+ * The invoice number is drawn once, when the order is first invoiced.
+ * @param {object} params
+ * @param {string} params.type - rental, rental_checkout or shop_order.
+ * @param {string} params.sourceId - Id of the order in its own collection.
+ * @param {string} [params.userId] - Customer, when logged in.
+ * @param {object} params.billTo - Customer name and contact details.
+ * @param {object} [params.seller] - Who supplied the goods; the platform when omitted.
+ * @param {object[]} params.lineItems - {description, quantity, unitPrice, amount}.
+ * @param {object[]} [params.adjustments] - Signed {label, amount} applied after the line items.
+ * @param {number} [params.deposit] - Refundable deposit collected with the order.
+ * @param {object} [params.settlement] - Deposit settlement after the rental ended.
+ * @returns {Promise<object>} The saved invoice.
+ */
+const issueInvoice = async ({
+  type,
+  sourceId,
+  userId,
+  billTo,
+  seller,
+  lineItems,
+  adjustments = [],
+  deposit = 0,
+  settlement,
+}) => {
+  const subtotal = round(lineItems.reduce((sum, item) => sum + item.amount, 0));
+  const total = round(subtotal + adjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0));
+  const discount = round(-adjustments.filter((a) => a.amount < 0).reduce((sum, a) => sum + a.amount, 0));
+
+  const platform = platformDetails();
+  const content = {
+    user: userId,
+    platform,
+    seller: seller || platform,
+    billTo,
+    lineItems,
+    adjustments,
+    subtotal,
+    discount,
+    total,
+    ...computeTaxes(total),
+    deposit: round(deposit),
+    settlement,
+    amountDue: round(total + deposit),
+  };
+
+  const existing = await Invoice.findOneAndUpdate({ type, sourceId }, { $set: content }, { new: true });
+  if (existing) return existing;
+
+  try {
+    return await Invoice.create({ ...content, type, sourceId, invoiceNumber: await nextInvoiceNumber() });
+  } catch (error) {
+    // Invoiced concurrently by another request; the number drawn here goes unused
+    if (error.code === 11000) {
+      return Invoice.findOneAndUpdate({ type, sourceId }, { $set: content }, { new: true });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Invoices a rental: the booked period, every approved extension, its discounts and deposit.
+ * @param {object} rental - RentalOrder with product and user populated.
+ * @returns {Promise<object>}
+ */
+const issueRentalInvoice = (rental) => {
+  const { product, priceBreakdown: breakdown } = rental;
+  const extensions = rental.extensions.filter((extension) => extension.status === 'approved');
+  const extended = (field) => extensions.reduce((sum, extension) => sum + (extension.charge[field] || 0), 0);
+
+  const units = breakdown.units - extended('units');
+  const lineItems = [
+    {
+      description: `${product.name} rental, ${units} ${breakdown.rateUnit} unit(s), ` +
+        `${formatDate(rental.startDate)} to ${formatDate(extensions[0]?.previousEndDate || rental.endDate)}`,
+      quantity: rental.quantity,
+      unitPrice: round(breakdown.rate * units),
+      amount: round(breakdown.subtotal - extended('subtotal')),
+    },
+    ...extensions.map((extension) => ({
+      description: `${product.name} extension, ${extension.charge.units} ${extension.charge.rateUnit} unit(s), ` +
+        `${formatDate(extension.previousEndDate)} to ${formatDate(extension.requestedEndDate)}`,
+      quantity: rental.quantity,
+      unitPrice: round(extension.charge.rate * extension.charge.units),
+      amount: extension.charge.subtotal,
+    })),
+  ];
+
+  return issueInvoice({
+    type: 'rental',
+    sourceId: rental.rentalId,
+    userId: rental.user?._id,
+    billTo: userDetails(rental.user),
+    lineItems,
+    adjustments: breakdownAdjustments(breakdown),
+    deposit: rental.deposit?.amount,
+    settlement: rental.settlement?.settledAt
+      ? {
+          deductions: rental.settlement.deductions,
+          refundable: rental.settlement.refundable,
+          amountOwed: rental.settlement.amountOwed,
+        }
+      : undefined,
+  });
+};
+
+/**
+ * Invoices a rent cart checkout priced with the quote engine.
+ * @param {object} params
+ * @param {string} params.trackingID - Checkout tracking ID.
+ * @param {object} [params.user] - Logged in customer.
+ * @param {object} [params.customer] - Contact details entered at checkout.
+ * @param {object[]} params.items - {name, quote} per cart item.
+ * @returns {Promise<object>}
+ */
+const issueCheckoutInvoice = ({ trackingID, user, customer, items }) =>
+  issueInvoice({
+    type: 'rental_checkout',
+    sourceId: trackingID,
+    userId: user?._id,
+    billTo: { ...userDetails(user), ...customer },
+    lineItems: items.map(({ name, quote }) => ({
+      description: `${name} rental, ${quote.units} ${quote.rateUnit} unit(s), ` +
+        `${formatDate(quote.startDate)} to ${formatDate(quote.endDate)}`,
+      quantity: quote.quantity,
+      unitPrice: round(quote.rate * quote.units),
+      amount: quote.subtotal,
+    })),
+    adjustments: mergeAdjustments(items.flatMap(({ quote }) => breakdownAdjustments(toPriceBreakdown(quote)))),
+    deposit: items.reduce((sum, { quote }) => sum + quote.deposit, 0),
+  });
+
+/**
+ * Invoices a shop order. Orders from a single seller are invoiced as sold by that seller,
+ * orders spanning several sellers as sold by the platform.
+ * @param {object} order - Shop Order.
+ * @param {object} user - Buyer.
+ * @returns {Promise<object>}
+ */
+const issueShopOrderInvoice = async (order, user) => {
+  const sellerIds = [...new Set(order.items.map((item) => String(item.seller)))];
+  const seller = sellerIds.length === 1 ? await Seller.findById(sellerIds[0]) : null;
+  const { address, city, state, zip, country } = order.shippingAddress;
+
+  return issueInvoice({
+    type: 'shop_order',
+    sourceId: order.orderId,
+    userId: user._id,
+    billTo: {
+      ...userDetails(user),
+      address: [address, city, state, zip, country].filter(Boolean).join(', '),
+    },
+    seller: seller
+      ? { name: seller.name, email: seller.email, phone: seller.phone, address: seller.address }
+      : undefined,
+    lineItems: order.items.map((item) => ({
+      description: item.size != null ? `${item.name} (${item.size} ${item.type ? 'Kg' : 'L'})` : item.name,
+      quantity: item.quantity,
+      unitPrice: item.price,
+      amount: item.amount,
+    })),
+  });
+};
+
+module.exports = {
+  GST_RATE,
+  computeTaxes,
+  issueInvoice,
+  issueRentalInvoice,
+  issueCheckoutInvoice,
+  issueShopOrderInvoice,
+};
@@ -0,0 +1,248 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../model/ledgerEntry');
+const CommissionRule = require('../model/commissionRule');
+const Product = require('../model/shop/product');
+const RentProduct = require('../model/rent/rentProduct');
+
+// Commission taken in categories without a CommissionRule
+const DEFAULT_COMMISSION_PERCENT = Number(process.env.PLATFORM_COMMISSION_PERCENT || 10);
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Looks up the commission for the first of a product's categories that has a rule.
+ * @param {string} marketplace - shop or rent.
+ * @param {string[]} categories - The product's category names, most specific first.
+ * @returns {Promise<{category: string, percent: number}>}
+ */
+const commissionFor = async (marketplace, categories) => {
+  const names = categories.filter(Boolean);
+  const rules = await CommissionRule.find({ marketplace, category: { $in: names } });
+  const match = names.map((name) => rules.find((rule) => rule.category === name)).find(Boolean);
+  return match
+    ? { category: match.category, percent: match.percent }
+    : { category: names[0], percent: DEFAULT_COMMISSION_PERCENT };
+};
+
+// Posts an entry once; a second post of the same event returns the first one
+const post = async (entry) => {
+  try {
+    return await LedgerEntry.create(entry);
+  } catch (error) {
+    if (error.code === 11000) return LedgerEntry.findOne({ key: entry.key });
+    throw error;
+  }
+};
+
+const line = (account, side, amount) => ({ account, [side]: round(amount) });
+
+// Money coming in: cash collected, split between the payee and the platform
+const incomeLines = (gross, commission) =>
+  [
+    line('cash', 'debit', gross),
+    line('payable', 'credit', gross - commission),
+    line('platform_revenue', 'credit', commission),
+  ].filter((entryLine) => entryLine.debit || entryLine.credit);
+
+// Money going back: the reverse of incomeLines
+const refundLines = (gross, commission) =>
+  [
+    line('payable', 'debit', gross - commission),
+    line('platform_revenue', 'debit', commission),
+    line('cash', 'credit', gross),
+  ].filter((entryLine) => entryLine.debit || entryLine.credit);
+
+/**
+ * Records what each line of a delivered shipment earned its seller and the platform.
+ * Nothing is posted for an order that wasn't paid.
+ * @param {object} order - Shop order.
+ * @param {object} shipment - The delivered shipment.
+ * @returns {Promise<object[]>} The sale entries.
+ */
+const recordShopSale = async (order, shipment) => {
+  if (!['paid', 'partially_refunded'].includes(order.paymentStatus)) return [];
+
+  const items = order.items.filter((item) => shipment.items.some((itemId) => itemId.equals(item._id)));
+  const products = await Product.find({ _id: { $in: items.map((item) => item.product) } }).populate('category', 'name');
+
+  return Promise.all(
+    items.map(async (item) => {
+      const product = products.find((candidate) => candidate._id.equals(item.product));
+      const { category, percent } = await commissionFor('shop', [product?.category?.name]);
+      const commission = round((item.amount * percent) / 100);
+      return post({
+        key: `sale:${order.orderId}:${item._id}`,
+        type: 'sale',
+        payee: { kind: 'seller', id: shipment.seller },
+        orderType: 'shop_order',
+        orderId: order.orderId,
+        item: item._id,
+        category,
+        commissionPercent: percent,
+        gross: item.amount,
+        commission,
+        net: round(item.amount - commission),
+        description: `${item.quantity} x ${item.name}`,
+        lines: incomeLines(item.amount, commission),
+        occurredAt: shipment.deliveredAt || new Date(),
+      });
+    })
+  );
+};
+
+/**
+ * Takes refunded shop order lines back off their seller's balance, commission included.
+ * Lines that were never recorded as a sale (e.g. cancelled before delivery) are skipped.
+ * @param {object} order - Shop order.
+ * @param {Array<{item: string, amount: number}>} lines - Order line ids and the amount refunded for each.
+ * @param {string} refundKey - The refund, so it is only posted once.
+ * @returns {Promise<object[]>} The refund entries.
+ */
+const recordShopRefund = async (order, lines, refundKey) => {
+  const sales = await LedgerEntry.find({
+    type: 'sale',
+    orderType: 'shop_order',
+    orderId: order.orderId,
+    item: { $in: lines.map((refunded) => refunded.item) },
+  });
+
+  const entries = await Promise.all(
+    lines.map((refunded) => {
+      const sale = sales.find((candidate) => candidate.item.equals(refunded.item));
+      const gross = round(Math.min(refunded.amount, sale?.gross || 0));
+      if (!sale || gross <= 0) return null;
+
+      const commission = round((gross * sale.commissionPercent) / 100);
+      return post({
+        key: `refund:${refundKey}:${refunded.item}`,
+        type: 'refund',
+        payee: sale.payee,
+        orderType: 'shop_order',
+        orderId: order.orderId,
+        item: sale.item,
+        category: sale.category,
+        commissionPercent: sale.commissionPercent,
+        gross: -gross,
+        commission: -commission,
+        net: -round(gross - commission),
+        description: `Refund: ${sale.description}`,
+        lines: refundLines(gross, commission),
+      });
+    })
+  );
+  return entries.filter(Boolean);
+};
+
+/**
+ * Records the rent of an inspected rental and any deposit kept for its owner. Equipment
+ * without an owner belongs to the platform, which keeps everything.
+ * @param {object} rental - RentalOrder, with its settlement.
+ * @returns {Promise<object[]>} The rental and deposit deduction entries.
+ */
+const recordRental = async (rental) => {
+  const product = await RentProduct.findById(rental.product);
+  if (!product) return [];
+
+  const payee = product.owner ? { kind: 'owner', id: product.owner } : undefined;
+  const { category, percent } = payee
+    ? await commissionFor('rent', product.category)
+    : { category: product.category[0], percent: 100 };
+
+  const entries = [];
+  const rent = round(rental.priceBreakdown?.total || 0);
+  if (rent > 0) {
+    const commission = round((rent * percent) / 100);
+    entries.push(
+      await post({
+        key: `rental:${rental.rentalId}`,
+        type: 'rental',
+        payee,
+        orderType: 'rental',
+        orderId: rental.rentalId,
+        category,
+        commissionPercent: percent,
+        gross: rent,
+        commission,
+        net: payee ? round(rent - commission) : 0,
+        description: `${rental.quantity} x ${product.name}`,
+        lines: incomeLines(rent, commission),
+      })
+    );
+  }
+
+  // Deductions the deposit covered; what the renter still owes hasn't been collected
+  const kept = round((rental.settlement?.deductions || 0) - (rental.settlement?.amountOwed || 0));
+  if (kept > 0) {
+    entries.push(
+      await post({
+        key: `deposit:${rental.rentalId}`,
+        type: 'deposit_deduction',
+        payee,
+        orderType: 'rental',
+        orderId: rental.rentalId,
+        gross: kept,
+        net: payee ? kept : 0,
+        description: `Deposit kept for ${product.name}`,
+        lines: incomeLines(kept, payee ? 0 : kept),
+      })
+    );
+  }
+  return entries;
+};
+
+/**
+ * Records a payout statement being paid, which settles the payee's balance for it.
+ * @param {object} payout - The paid Payout.
+ * @returns {Promise<object>} The payout entry.
+ */
+const recordPayout = (payout) =>
+  post({
+    key: `payout:${payout.payoutId}`,
+    type: 'payout',
+    payee: { kind: payout.payee.kind, id: payout.payee.id },
+    net: -payout.totals.net,
+    description: `Payout ${payout.payoutId}${payout.reference ? ` (${payout.reference})` : ''}`,
+    lines: [line('payable', 'debit', payout.totals.net), line('cash', 'credit', payout.totals.net)],
+    occurredAt: payout.paidAt,
+    payout: payout._id,
+  });
+
+/**
+ * What the platform owes each payee, from every entry posted so far.
+ * @param {object} [filter]
+ * @param {string} [filter.kind] - seller or owner.
+ * @param {string} [filter.id] - One payee.
+ * @returns {Promise<Array<{payee: object, balance: number, unsettled: number}>>} unsettled is
+ *   what isn't on a payout statement yet.
+ */
+const payeeBalances = async ({ kind, id } = {}) => {
+  const match = { 'payee.id': { $exists: true } };
+  if (kind) match['payee.kind'] = kind;
+  if (id) {
+    if (!mongoose.isValidObjectId(id)) return [];
+    match['payee.id'] = new mongoose.Types.ObjectId(String(id));
+  }
+
+  const rows = await LedgerEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { kind: '$payee.kind', id: '$payee.id' },
+        balance: { $sum: '$net' },
+        unsettled: { $sum: { $cond: [{ $ifNull: ['$payout', false] }, 0, '$net'] } },
+      },
+    },
+    { $sort: { balance: -1 } },
+  ]);
+  return rows.map((row) => ({ payee: row._id, balance: round(row.balance), unsettled: round(row.unsettled) }));
+};
+
+module.exports = {
+  DEFAULT_COMMISSION_PERCENT,
+  commissionFor,
+  recordShopSale,
+  recordShopRefund,
+  recordRental,
+  recordPayout,
+  payeeBalances,
+};
@@ -0,0 +1,238 @@
+// Query string parameters that control the list itself rather than filter it
+const RESERVED_PARAMS = ['limit', 'page', 'cursor', 'sort', 'fields'];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Filter operators, written as field[op]=value, e.g. price[gte]=100 or status[in]=pending,shipped
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'contains', 'exists'];
+
+const listError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const list = (value) => String(value).split(',').map((item) => item.trim()).filter(Boolean);
+
+// One filter condition from a field's query string value
+const condition = (field, value) => {
+  if (Array.isArray(value)) return { $in: value.map(String) }; // ?status=a&status=b
+  if (value === null || typeof value !== 'object') return String(value);
+
+  const conditions = {};
+  Object.entries(value).forEach(([op, operand]) => {
+    if (!OPERATORS.includes(op)) throw listError(`Unknown filter operator "${op}" on "${field}"`, 400);
+    operand = Array.isArray(operand) ? operand.join(',') : String(operand);
+    if (op === 'eq') conditions.$eq = operand;
+    else if (op === 'in' || op === 'nin') conditions[`$${op}`] = list(operand);
+    else if (op === 'contains') Object.assign(conditions, { $regex: escapeRegex(operand), $options: 'i' });
+    else if (op === 'exists') conditions.$exists = operand !== 'false';
+    else conditions[`$${op}`] = operand;
+  });
+  return conditions;
+};
+
+// Filter from every non-reserved query parameter, each of which must be an allowed field
+const parseFilters = (query, allowed) => {
+  const filter = {};
+  Object.entries(query).forEach(([field, value]) => {
+    if (RESERVED_PARAMS.includes(field)) return;
+    if (!allowed.includes(field)) throw listError(`Cannot filter by "${field}"`, 400);
+    filter[field] = condition(field, value);
+  });
+  return filter;
+};
+
+// [[field, 1|-1]] from e.g. "-price,name", always ending in _id so the order is total
+const parseSort = (sort, allowed) => {
+  const keys = list(sort).map((key) => {
+    const field = key.replace(/^[-+]/, '');
+    if (field !== '_id' && !allowed.includes(field)) throw listError(`Cannot sort by "${field}"`, 400);
+    return [field, key.startsWith('-') ? -1 : 1];
+  });
+  if (!keys.some(([field]) => field === '_id')) keys.push(['_id', keys.length ? keys[keys.length - 1][1] : 1]);
+  return keys;
+};
+
+const sortString = (keys) => keys.map(([field, direction]) => (direction < 0 ? `-${field}` : field)).join(',');
+
+const isHidden = (field, hidden) => hidden.some((path) => field === path || field.startsWith(`${path}.`));
+
+// Mongoose projection for the requested fields, keeping whatever the list needs to work
+const projection = (Model, fields, { hidden, keep }) => {
+  if (!fields) return hidden.map((field) => `-${field}`).join(' ');
+
+  const requested = list(fields);
+  requested.forEach((field) => {
+    if (isHidden(field, hidden) || Model.schema.pathType(field) === 'adhocOrUndefined') {
+      throw listError(`Unknown field "${field}"`, 400);
+    }
+  });
+  return [...new Set([...requested, ...keep])].join(' ');
+};
+
+/*
+ * Cursors hold the sort order and the sort values of the last item of a page. The next
+ * page is everything sorting after those values, which stays correct while items are
+ * added or removed, unlike skipping a page count.
+ */
+const encodeCursor = (keys, doc) => {
+  const values = keys.map(([field]) => {
+    const value = doc.populated(field) || doc.get(field);
+    return value === undefined ? null : value;
+  });
+  return Buffer.from(JSON.stringify({ sort: sortString(keys), values })).toString('base64url');
+};
+
+const decodeCursor = (cursor, keys) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+  } catch (error) {
+    throw listError('Cursor is not valid', 400);
+  }
+  if (decoded?.sort !== sortString(keys) || !Array.isArray(decoded.values) || decoded.values.length !== keys.length) {
+    throw listError('Cursor does not match this sort order', 400);
+  }
+  return decoded.values;
+};
+
+// Items sorting after a value of one field; missing values sort before everything else
+const after = (field, value, direction) => {
+  if (direction > 0) return value === null ? { [field]: { $ne: null } } : { [field]: { $gt: value } };
+  if (value === null) return null;
+  return field === '_id' ? { _id: { $lt: value } } : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Items sorting after the cursor: equal on the first n keys and after it on the next
+const afterCursor = (keys, values) => ({
+  $or: keys
+    .map(([field, direction], index) => {
+      const next = after(field, values[index], direction);
+      if (!next) return null;
+      const equal = keys.slice(0, index).map(([previous], i) => ({ [previous]: values[i] }));
+      return equal.length ? { $and: [...equal, next] } : next;
+    })
+    .filter(Boolean),
+});
+
+const and = (...filters) => {
+  const parts = filters.filter((filter) => filter && Object.keys(filter).length > 0);
+  if (parts.length === 0) return {};
+  return parts.length === 1 ? parts[0] : { $and: parts };
+};
+
+/**
+ * Lists a collection from a request's query string, the one way every list route pages,
+ * sorts, filters and trims its results.
+ *
+ *   limit          items per page, 1 to 100
+ *   page           1-based page, or
+ *   cursor         nextCursor of the previous page
+ *   sort           comma separated fields, - for descending, e.g. -price,name
+ *   fields         comma separated fields to return
+ *   <field>        equal to a value; repeat the parameter for any of several values
+ *   <field>[<op>]  eq, ne, gt, gte, lt, lte, in, nin (comma separated), contains or exists
+ *
+ * @param {object} Model - Mongoose model to list.
+ * @param {object} [query] - Parsed query string, usually req.query.
+ * @param {object} [options]
+ * @param {string[]} [options.filters] - Fields the query string may filter by.
+ * @param {string[]} [options.sorts] - Fields the query string may sort by.
+ * @param {string} [options.defaultSort] - Sort when none is asked for.
+ * @param {string[]} [options.hidden] - Fields never returned.
+ * @param {string[]} [options.keep] - Fields always returned, whatever fields asks for.
+ * @param {object} [options.filter] - Condition every item must meet, set by the route.
+ * @param {*} [options.populate] - Passed to Query#populate.
+ * @param {Function} [options.map] - Turns each document into the item returned.
+ * @returns {Promise<{items: object[], total: number, limit: number, page: number|null, pages: number, nextCursor: string|null}>}
+ */
+const listQuery = async (Model, query = {}, options = {}) => {
+  const {
+    filters = [],
+    sorts = [],
+    defaultSort = '-createdAt',
+    hidden = [],
+    keep = [],
+    filter = {},
+    populate,
+    map,
+  } = options;
+
+  const limit = Math.min(Math.max(Number(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const keys = parseSort(query.sort || defaultSort, sorts);
+  const conditions = and(filter, parseFilters(query, filters));
+
+  let page = null;
+  let pageFilter = conditions;
+  let skip = 0;
+  if (query.cursor) {
+    pageFilter = and(conditions, afterCursor(keys, decodeCursor(query.cursor, keys)));
+  } else {
+    page = Math.max(Number(query.page) || 1, 1);
+    skip = (page - 1) * limit;
+  }
+
+  const select = projection(Model, query.fields, {
+    hidden,
+    keep: [...keep, ...keys.map(([field]) => field)],
+  });
+
+  let find = Model.find(pageFilter)
+    .select(select)
+    .sort(Object.fromEntries(keys))
+    .skip(skip)
+    .limit(limit + 1);
+  if (populate) find = find.populate(populate);
+
+  let docs;
+  let total;
+  try {
+    [docs, total] = await Promise.all([find, Model.countDocuments(conditions)]);
+  } catch (error) {
+    if (error.name === 'CastError') throw listError(`"${error.value}" is not a valid ${error.path}`, 400);
+    throw error;
+  }
+
+  const hasMore = docs.length > limit;
+  if (hasMore) docs.pop();
+
+  return {
+    items: map ? docs.map(map) : docs,
+    total,
+    limit,
+    page,
+    pages: Math.ceil(total / limit),
+    nextCursor: hasMore ? encodeCursor(keys, docs[docs.length - 1]) : null,
+  };
+};
+
+/**
+ * Adds links to a list for the request it answers, with next pointing at the page
+ * after it by cursor.
+ * @param {object} req - Express request.
+ * @param {object} result - Result of listQuery.
+ * @returns {object} The result with links.self and links.next.
+ */
+const withLinks = (req, result) => {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  const self = `${url.pathname}${url.search}`;
+
+  let next = null;
+  if (result.nextCursor) {
+    url.searchParams.delete('page');
+    url.searchParams.set('cursor', result.nextCursor);
+    next = `${url.pathname}${url.search}`;
+  }
+  return { ...result, links: { self, next } };
+};
+
+module.exports = {
+  RESERVED_PARAMS,
+  OPERATORS,
+  listQuery,
+  withLinks,
+};
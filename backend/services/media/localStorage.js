@@ -0,0 +1,42 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Media is public: index.js serves this folder at /media
+const MEDIA_UPLOAD_DIR = path.resolve(process.env.MEDIA_UPLOAD_DIR || path.join(__dirname, '../../uploads/media'));
+
+// Where /media is reached from the browser
+const MEDIA_PUBLIC_URL = (process.env.MEDIA_PUBLIC_URL || `http://localhost:${process.env.PORT || 8080}/media`).replace(/\/$/, '');
+
+// Keys are relative paths; anything climbing out of the folder is refused
+const filePath = (key) => {
+  const file = path.resolve(MEDIA_UPLOAD_DIR, key);
+  if (!file.startsWith(`${MEDIA_UPLOAD_DIR}${path.sep}`)) throw new Error(`Invalid media key "${key}"`);
+  return file;
+};
+
+/**
+ * Storage backend keeping media on the server's disk.
+ */
+const localStorage = {
+  name: 'local',
+
+  async put(key, data) {
+    const file = filePath(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, data);
+  },
+
+  async remove(key) {
+    const file = filePath(key);
+    await fs.rm(file, { force: true });
+    // Drop the media's folder once it's empty
+    await fs.rmdir(path.dirname(file)).catch(() => {});
+  },
+
+  url: (key) => `${MEDIA_PUBLIC_URL}/${key}`,
+};
+
+module.exports = {
+  MEDIA_UPLOAD_DIR,
+  localStorage,
+};
@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+const multer = require('multer');
+const sharp = require('sharp');
+const Media = require('../../model/media');
+const Product = require('../../model/shop/product');
+const RentProduct = require('../../model/rent/rentProduct');
+const Post = require('../../model/post');
+const User = require('../../model/user');
+const { mediaStorage } = require('./mediaStorage');
+
+const MEDIA_PURPOSES = Media.schema.path('purpose').enumValues;
+
+// Image types accepted, by MIME type and by the format sharp reads from the file itself
+const ALLOWED_TYPES = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+// Most images one upload may have, as many as a shop product holds
+const MAX_FILES = 3;
+
+// Longest side of each stored size, in pixels; images are never enlarged
+const SIZES = { thumbnail: 200, medium: 800, full: 1600 };
+
+// Uploads no document links to after this long are deleted by cleanupOrphanedMedia
+const ORPHAN_GRACE_HOURS = 24;
+
+const mediaError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES[file.mimetype]) return cb(mediaError('Images must be JPEG, PNG or WebP files', 400));
+    cb(null, true);
+  },
+});
+
+// Accepts up to 3 images of up to 5 MB each in the "images" field, kept in memory
+const mediaUpload = upload.array('images', MAX_FILES);
+
+// Accepts one image of up to 5 MB in the "image" field, kept in memory
+const profilePictureUpload = upload.single('image');
+
+/*
+ * Every size of an image as WebP, turned upright and stripped of its metadata, which
+ * can hold the location a photo was taken at.
+ */
+const resize = async (file) => {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    throw mediaError(`${file.originalname} is not a readable image`, 400);
+  }
+  if (metadata.format !== ALLOWED_TYPES[file.mimetype]) {
+    throw mediaError(`${file.originalname} is not a ${ALLOWED_TYPES[file.mimetype].toUpperCase()} image`, 400);
+  }
+
+  const sizes = {};
+  for (const [name, side] of Object.entries(SIZES)) {
+    const { data, info } = await sharp(file.buffer)
+      .rotate()
+      .resize({ width: side, height: side, fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+    sizes[name] = { data, width: info.width, height: info.height, size: info.size };
+  }
+  return sizes;
+};
+
+// Deletes media's files and its record; files already gone are fine
+const removeMedia = async (media) => {
+  const storage = mediaStorage(media.storage);
+  await Promise.all(Object.values(media.toObject().sizes || {}).map((size) => storage.remove(size.key)));
+  await Media.deleteOne({ _id: media._id });
+};
+
+/**
+ * Resizes and stores uploaded images. Either every image is saved or none is.
+ * @param {object[]} files - Files read by mediaUpload or profilePictureUpload.
+ * @param {object} options
+ * @param {string} options.owner - User uploading.
+ * @param {string} options.purpose - product, rent-product, post or profile.
+ * @returns {Promise<object[]>} The media saved, with the URL of every size. Documents
+ *   link to sizes.full.url; the other sizes sit next to it, named thumbnail.webp and medium.webp.
+ */
+const saveMedia = async (files, { owner, purpose }) => {
+  if (!MEDIA_PURPOSES.includes(purpose)) throw mediaError(`Unknown media purpose "${purpose}"`, 400);
+  if (!files || files.length === 0) throw mediaError('Attach at least one image', 400);
+
+  const storage = mediaStorage();
+  const keys = [];
+  const saved = [];
+  try {
+    for (const file of files) {
+      const resized = await resize(file);
+      const _id = new mongoose.Types.ObjectId();
+      const sizes = {};
+      for (const [name, { data, ...info }] of Object.entries(resized)) {
+        const key = `${purpose}/${_id}/${name}.webp`;
+        keys.push(key);
+        await storage.put(key, data, 'image/webp');
+        sizes[name] = { key, url: storage.url(key), ...info };
+      }
+      saved.push(
+        await Media.create({
+          _id,
+          owner,
+          purpose,
+          storage: storage.name,
+          originalName: file.originalname,
+          mimeType: file.mimetype,
+          size: file.size,
+          sizes,
+          urls: Object.values(sizes).map((size) => size.url),
+        })
+      );
+    }
+  } catch (error) {
+    await Promise.all(keys.map((key) => storage.remove(key).catch(() => {})));
+    await Media.deleteMany({ _id: { $in: saved.map((media) => media._id) } }).catch(() => {});
+    throw error;
+  }
+  return saved;
+};
+
+// Whether any document still links to one of the media's URLs
+const isReferenced = async (media) => {
+  const urls = { $in: media.urls };
+  const found = await Promise.all([
+    Product.exists({ images: urls }),
+    RentProduct.exists({ image: urls }),
+    Post.exists({ images: urls }),
+    User.exists({ profilePicture: urls }),
+  ]);
+  return found.some(Boolean);
+};
+
+/**
+ * Deletes the media behind URLs a document no longer links to, such as the images of a
+ * deleted product, unless another document still does. URLs of images hosted elsewhere
+ * are ignored. Failures are logged; the cleanup job tries again later.
+ * @param {string|string[]} urls - URLs the document linked to.
+ */
+const releaseMedia = async (urls) => {
+  const list = [].concat(urls || []).filter(Boolean);
+  if (list.length === 0) return;
+  try {
+    const media = await Media.find({ urls: { $in: list } });
+    for (const item of media) {
+      try {
+        if (!(await isReferenced(item))) await removeMedia(item);
+      } catch (error) {
+        console.error(`Error removing media ${item._id}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Error releasing media:', error);
+  }
+};
+
+/**
+ * Scheduled job: deletes uploads that no product, rental product, post or profile has
+ * linked to within ORPHAN_GRACE_HOURS, such as images uploaded for a form that was
+ * never saved, or replaced since.
+ */
+const cleanupOrphanedMedia = async () => {
+  try {
+    const cutoff = new Date(Date.now() - ORPHAN_GRACE_HOURS * 60 * 60 * 1000);
+    let removed = 0;
+    for await (const item of Media.find({ createdAt: { $lt: cutoff } }).cursor()) {
+      try {
+        if (!(await isReferenced(item))) {
+          await removeMedia(item);
+          removed += 1;
+        }
+      } catch (error) {
+        console.error(`Error removing media ${item._id}:`, error);
+      }
+    }
+    if (removed) console.log(`Removed ${removed} unused media uploads`);
+  } catch (error) {
+    console.error('Error cleaning up media:', error);
+  }
+};
+
+module.exports = {
+  MEDIA_PURPOSES,
+  SIZES,
+  mediaUpload,
+  profilePictureUpload,
+  saveMedia,
+  releaseMedia,
+  cleanupOrphanedMedia,
+};
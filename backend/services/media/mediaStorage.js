@@ -0,0 +1,27 @@
+const { localStorage } = require('./localStorage');
+const { createS3Storage } = require('./s3Storage');
+
+/*
+ * Where uploaded media is kept, chosen by MEDIA_STORAGE: local (the default) or s3.
+ * A backend has a name, put(key, data, contentType), remove(key) and url(key); add one
+ * to BACKENDS to store media elsewhere.
+ */
+const BACKENDS = {
+  local: () => localStorage,
+  s3: createS3Storage,
+};
+
+const backends = {};
+
+/**
+ * A storage backend, created on first use.
+ * @param {string} [name] - Backend name; MEDIA_STORAGE or local when omitted.
+ * @returns {{name: string, put: Function, remove: Function, url: Function}}
+ */
+const mediaStorage = (name = process.env.MEDIA_STORAGE || 'local') => {
+  if (!BACKENDS[name]) throw new Error(`Unknown media storage "${name}"`);
+  if (!backends[name]) backends[name] = BACKENDS[name]();
+  return backends[name];
+};
+
+module.exports = { mediaStorage };
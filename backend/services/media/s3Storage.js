@@ -0,0 +1,49 @@
+/*
+ * Storage backend keeping media in an S3 bucket, or any S3-compatible store such as
+ * MinIO or Cloudflare R2 when MEDIA_S3_ENDPOINT is set. Needs @aws-sdk/client-s3,
+ * which is only installed by deployments using it. Credentials come from the usual
+ * AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY variables.
+ *
+ *   MEDIA_S3_BUCKET      Bucket to store media in
+ *   MEDIA_S3_REGION      Region of the bucket, us-east-1 by default
+ *   MEDIA_S3_ENDPOINT    Endpoint of an S3-compatible store
+ *   MEDIA_S3_PUBLIC_URL  Where the bucket's objects are read from, e.g. a CDN
+ */
+const createS3Storage = () => {
+  let s3;
+  try {
+    s3 = require('@aws-sdk/client-s3');
+  } catch (error) {
+    throw new Error('MEDIA_STORAGE=s3 needs the @aws-sdk/client-s3 package: npm install @aws-sdk/client-s3');
+  }
+
+  const bucket = process.env.MEDIA_S3_BUCKET;
+  if (!bucket) throw new Error('MEDIA_STORAGE=s3 needs MEDIA_S3_BUCKET');
+  const region = process.env.MEDIA_S3_REGION || 'us-east-1';
+  const endpoint = process.env.MEDIA_S3_ENDPOINT;
+
+  const client = new s3.S3Client({ region, endpoint, forcePathStyle: Boolean(endpoint) });
+  const publicUrl = (
+    process.env.MEDIA_S3_PUBLIC_URL ||
+    (endpoint ? `${endpoint.replace(/\/$/, '')}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`)
+  ).replace(/\/$/, '');
+
+  return {
+    name: 's3',
+
+    put: (key, data, contentType) =>
+      client.send(new s3.PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: data,
+        ContentType: contentType,
+        CacheControl: 'public, max-age=31536000, immutable', // Keys are never reused
+      })),
+
+    remove: (key) => client.send(new s3.DeleteObjectCommand({ Bucket: bucket, Key: key })),
+
+    url: (key) => `${publicUrl}/${key}`,
+  };
+};
+
+module.exports = { createS3Storage };
@@ -0,0 +1,341 @@
+const Payment = require('../model/payment');
+const Order = require('../model/shop/order');
+const ExtendedUser = require('../model/shop/extendedUser');
+const mockProvider = require('./payments/mockProvider');
+const stripeProvider = require('./payments/stripeProvider');
+const razorpayProvider = require('./payments/razorpayProvider');
+
+// The mock provider takes no money, so it only exists in development and tests
+const MOCK_ENABLED = ['development', 'test'].includes(process.env.NODE_ENV);
+
+const PROVIDERS = {
+  ...(MOCK_ENABLED && { mock: mockProvider }),
+  stripe: stripeProvider,
+  razorpay: razorpayProvider,
+};
+
+// Provider every payment is made with, set by the server; clients never choose it
+const DEFAULT_PROVIDER = process.env.PAYMENT_PROVIDER || (MOCK_ENABLED ? 'mock' : 'razorpay');
+
+if (!PROVIDERS[DEFAULT_PROVIDER]) {
+  throw new Error(`PAYMENT_PROVIDER "${DEFAULT_PROVIDER}" is not available in this environment`);
+}
+
+const paymentError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Looks up a payment provider adapter by name.
+ * @param {string} [name] - stripe, razorpay, or mock in development and tests;
+ *   PAYMENT_PROVIDER when omitted.
+ * @returns {object}
+ */
+const getProvider = (name = DEFAULT_PROVIDER) => {
+  const provider = PROVIDERS[name];
+  if (!provider) throw paymentError(`Unknown payment provider "${name}"`, 400);
+  return provider;
+};
+
+// How each payment status shows on a shop order
+const ORDER_PAYMENT_STATUSES = {
+  requires_action: 'requires_action',
+  authorized: 'authorized',
+  captured: 'paid',
+  failed: 'failed',
+  cancelled: 'failed',
+  partially_refunded: 'partially_refunded',
+  refunded: 'refunded',
+};
+
+// Keeps the paid order in step with its payment
+const syncOrder = async (payment) => {
+  const paymentStatus = ORDER_PAYMENT_STATUSES[payment.status];
+  if (payment.orderType === 'shop_order' && paymentStatus) {
+    await Order.updateOne({ orderId: payment.orderId }, { $set: { paymentStatus } });
+  }
+};
+
+// Applies a status reported by the provider and records what was captured
+const applyResult = async (payment, { status, providerChargeId, failureReason, amountCaptured }) => {
+  const set = { status };
+  if (providerChargeId) set.providerChargeId = providerChargeId;
+  if (failureReason && status === 'failed') set.failureReason = failureReason;
+  if (status === 'captured' && !payment.amountCaptured) set.amountCaptured = amountCaptured ?? payment.amount;
+
+  const updated = await Payment.findByIdAndUpdate(payment._id, { $set: set }, { new: true });
+  await syncOrder(updated);
+  return updated;
+};
+
+/**
+ * Starts a payment for an order. The amount always comes from the server side order.
+ * @param {object} params
+ * @param {string} params.orderType - rental, rental_checkout or shop_order.
+ * @param {string} params.orderId - Order being paid.
+ * @param {number} params.amount - Amount to charge, in rupees.
+ * @param {string} [params.userId] - Paying customer.
+ * @param {string} [params.captureMethod] - automatic, or manual to authorize now and capture later.
+ * @param {string} [params.paymentMethodId] - A saved payment method of the customer, paid
+ *   with the provider that saved it; otherwise PAYMENT_PROVIDER is used.
+ * @returns {Promise<{payment: object, clientData: object}>} clientData is what the client needs to pay.
+ */
+const createPayment = async ({
+  orderType,
+  orderId,
+  amount,
+  userId,
+  captureMethod = 'automatic',
+  paymentMethodId,
+}) => {
+  if (!(amount > 0)) throw paymentError('Nothing to pay for this order', 400);
+
+  let paymentMethod;
+  let providerName = DEFAULT_PROVIDER;
+  if (paymentMethodId) {
+    const user = await ExtendedUser.findById(userId).select('+paymentMethods.token');
+    paymentMethod = user?.paymentMethods.id(paymentMethodId);
+    if (!paymentMethod) throw paymentError('Payment method not found', 404);
+    providerName = paymentMethod.provider;
+  }
+
+  const provider = getProvider(providerName);
+  const currency = 'INR';
+  const intent = await provider.createIntent({
+    amount: round(amount),
+    currency,
+    captureMethod,
+    orderId,
+    metadata: { orderType, orderId },
+    paymentMethodToken: paymentMethod?.token,
+  });
+
+  const payment = await Payment.create({
+    provider: provider.name,
+    providerPaymentId: intent.providerPaymentId,
+    orderType,
+    orderId,
+    user: userId,
+    amount: round(amount),
+    currency,
+    captureMethod,
+    status: intent.status,
+  });
+  await syncOrder(payment);
+
+  return { payment, clientData: intent.clientData };
+};
+
+const findPayment = async (paymentId) => {
+  const payment = await Payment.findById(paymentId).catch(() => null);
+  if (!payment) throw paymentError('Payment not found', 404);
+  return payment;
+};
+
+/**
+ * Records the outcome of the customer paying on the client, e.g. the Razorpay Checkout
+ * response. The provider is asked for the actual status; the client is never trusted on it.
+ * @param {string} paymentId - Payment document id.
+ * @param {object} [data] - Provider specific confirmation data.
+ * @returns {Promise<object>} The updated payment.
+ */
+const confirmPayment = async (paymentId, data) => {
+  const payment = await findPayment(paymentId);
+  if (payment.status !== 'requires_action' && payment.status !== 'processing') {
+    return payment;
+  }
+  return applyResult(payment, await getProvider(payment.provider).confirm(payment, data));
+};
+
+/**
+ * Captures an authorized payment.
+ * @param {string} paymentId - Payment document id.
+ * @param {number} [amount] - Amount to capture; the full amount when omitted.
+ * @returns {Promise<object>} The updated payment.
+ */
+const capturePayment = async (paymentId, amount) => {
+  const payment = await findPayment(paymentId);
+  if (payment.status !== 'authorized') {
+    throw paymentError(`A ${payment.status} payment cannot be captured`, 409);
+  }
+  const toCapture = round(amount ?? payment.amount);
+  if (!(toCapture > 0) || toCapture > payment.amount) {
+    throw paymentError(`Capture amount must be between 0 and ${payment.amount}`, 400);
+  }
+
+  const result = await getProvider(payment.provider).capture(payment, toCapture);
+  return applyResult(payment, { ...result, amountCaptured: toCapture });
+};
+
+/**
+ * Refunds part or all of a captured payment.
+ * @param {string} paymentId - Payment document id.
+ * @param {object} [params]
+ * @param {number} [params.amount] - Amount to refund; whatever is left when omitted.
+ * @param {string} [params.reason] - Why the money is returned.
+ * @returns {Promise<{payment: object, refund: object}>}
+ */
+const refundPayment = async (paymentId, { amount, reason } = {}) => {
+  const payment = await findPayment(paymentId);
+  if (!['captured', 'partially_refunded'].includes(payment.status)) {
+    throw paymentError(`A ${payment.status} payment cannot be refunded`, 409);
+  }
+
+  const refundable = round(payment.amountCaptured - payment.amountRefunded);
+  const toRefund = round(amount ?? refundable);
+  if (!(toRefund > 0) || toRefund > refundable) {
+    throw paymentError(`Refund amount must be between 0 and ${refundable}`, 400);
+  }
+
+  // Reserve the amount first so two refunds can't both pass the check above
+  const reserved = await Payment.findOneAndUpdate(
+    { _id: payment._id, amountRefunded: payment.amountRefunded },
+    {
+      $inc: { amountRefunded: toRefund },
+      $push: { refunds: { amount: toRefund, reason } },
+    },
+    { new: true }
+  );
+  if (!reserved) throw paymentError('Payment was updated by someone else, please retry', 409);
+  const refundId = reserved.refunds[reserved.refunds.length - 1]._id;
+
+  let result;
+  try {
+    result = await getProvider(payment.provider).refund(payment, toRefund, reason);
+  } catch (error) {
+    await Payment.updateOne(
+      { _id: payment._id, 'refunds._id': refundId },
+      { $inc: { amountRefunded: -toRefund }, $set: { 'refunds.$.status': 'failed' } }
+    );
+    throw error;
+  }
+
+  const status = round(reserved.amountRefunded) >= reserved.amountCaptured ? 'refunded' : 'partially_refunded';
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, 'refunds._id': refundId },
+    {
+      $set: {
+        status,
+        'refunds.$.providerRefundId': result.providerRefundId,
+        'refunds.$.status': result.status,
+      },
+    },
+    { new: true }
+  );
+  await syncOrder(updated);
+
+  return { payment: updated, refund: updated.refunds.id(refundId) };
+};
+
+// Payment status each provider independent webhook event moves to
+const EVENT_STATUSES = {
+  'payment.authorized': 'authorized',
+  'payment.captured': 'captured',
+  'payment.failed': 'failed',
+  'payment.cancelled': 'cancelled',
+};
+
+/**
+ * Verifies and applies a provider webhook. Events are applied once each; unknown
+ * events and payments we don't know are acknowledged and ignored.
+ * @param {string} providerName - Provider the webhook came from.
+ * @param {Buffer} rawBody - Unparsed request body, needed for the signature check.
+ * @param {object} headers - Request headers.
+ * @returns {Promise<object|null>} The updated payment, if any.
+ */
+const handleWebhook = async (providerName, rawBody, headers) => {
+  const provider = getProvider(providerName);
+  const event = provider.parseWebhook(rawBody, headers);
+
+  const payment = await Payment.findOne({
+    provider: provider.name,
+    $or: [
+      ...(event.providerPaymentId ? [{ providerPaymentId: event.providerPaymentId }] : []),
+      ...(event.providerChargeId ? [{ providerChargeId: event.providerChargeId }] : []),
+    ],
+  });
+  if (!payment || payment.processedEvents.includes(event.id)) return payment;
+
+  // Claim the event so a redelivery running at the same time is skipped
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, processedEvents: { $ne: event.id } },
+    { $push: { processedEvents: event.id } },
+    { new: true }
+  );
+  if (!claimed) return payment;
+
+  if (EVENT_STATUSES[event.type]) {
+    // A late "authorized" must not undo a capture or refund we already know about
+    if (event.type === 'payment.authorized' && claimed.status !== 'requires_action' && claimed.status !== 'processing') {
+      return claimed;
+    }
+    if (['partially_refunded', 'refunded'].includes(claimed.status)) return claimed;
+    return applyResult(claimed, { ...event, status: EVENT_STATUSES[event.type] });
+  }
+
+  if (event.type === 'refund.succeeded' || event.type === 'refund.failed') {
+    const refund = claimed.refunds.find((candidate) => candidate.providerRefundId === event.providerRefundId);
+    if (refund && refund.status === 'pending') {
+      await Payment.updateOne(
+        { _id: claimed._id, 'refunds._id': refund._id },
+        {
+          $set: { 'refunds.$.status': event.type === 'refund.succeeded' ? 'succeeded' : 'failed' },
+          ...(event.type === 'refund.failed' ? { $inc: { amountRefunded: -refund.amount } } : {}),
+        }
+      );
+    }
+  }
+  return claimed;
+};
+
+/**
+ * Saves a payment method as a PAYMENT_PROVIDER token. Card numbers are handed to the
+ * provider (or the mock provider) and never stored.
+ * @param {string} userId - Customer.
+ * @param {object} details - Provider specific details, e.g. a Stripe paymentMethodId.
+ * @returns {Promise<object[]>} The customer's saved payment methods.
+ */
+const savePaymentMethod = async (userId, details) => {
+  const provider = getProvider();
+  const method = await provider.createPaymentMethod(details);
+
+  const user = await ExtendedUser.findByIdAndUpdate(
+    userId,
+    { $push: { paymentMethods: { ...method, provider: provider.name } } },
+    { new: true }
+  );
+  if (!user) throw paymentError('User not found', 404);
+  return user.paymentMethods;
+};
+
+/**
+ * Removes a saved payment method.
+ * @param {string} userId - Customer.
+ * @param {string} methodId - Saved payment method id.
+ * @returns {Promise<object[]>} The remaining payment methods.
+ */
+const removePaymentMethod = async (userId, methodId) => {
+  const user = await ExtendedUser.findByIdAndUpdate(
+    userId,
+    { $pull: { paymentMethods: { _id: methodId } } },
+    { new: true }
+  );
+  if (!user) throw paymentError('User not found', 404);
+  return user.paymentMethods;
+};
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  getProvider,
+  createPayment,
+  confirmPayment,
+  capturePayment,
+  refundPayment,
+  handleWebhook,
+  savePaymentMethod,
+  removePaymentMethod,
+};
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+
+// In-process provider for local development and tests: no network, no real money.
+// Payments are "paid" by confirming them with { outcome: 'succeeded' | 'failed' }.
+
+// Only webhooks need it, so the provider works without it until one arrives
+const WEBHOOK_SECRET = () => {
+  if (!process.env.MOCK_PAYMENT_WEBHOOK_SECRET) throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET is not set');
+  return process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+};
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+const providerError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Luhn checksum, so obviously mistyped numbers are refused like a real provider would
+const isValidCardNumber = (number) => {
+  const digits = String(number).replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  digits
+    .split('')
+    .reverse()
+    .forEach((digit, i) => {
+      let value = Number(digit);
+      if (i % 2 === 1) {
+        value *= 2;
+        if (value > 9) value -= 9;
+      }
+      sum += value;
+    });
+  return sum % 10 === 0;
+};
+
+const cardBrand = (number) => {
+  if (/^4/.test(number)) return 'Visa';
+  if (/^(5[1-5]|2[2-7])/.test(number)) return 'MasterCard';
+  if (/^3[47]/.test(number)) return 'Amex';
+  if (/^(60|65|81|82|508)/.test(number)) return 'RuPay';
+  return 'Card';
+};
+
+module.exports = {
+  name: 'mock',
+
+  createIntent: async ({ amount, currency }) => ({
+    providerPaymentId: randomId('mock_pi'),
+    status: 'requires_action',
+    clientData: { clientSecret: randomId('mock_secret'), amount, currency },
+  }),
+
+  // Stands in for the customer paying on the provider's page
+  confirm: async (payment, { outcome = 'succeeded' } = {}) => {
+    if (outcome === 'failed') return { status: 'failed', failureReason: 'Declined by the mock provider' };
+    return {
+      status: payment.captureMethod === 'manual' ? 'authorized' : 'captured',
+      providerChargeId: randomId('mock_ch'),
+    };
+  },
+
+  capture: async () => ({ status: 'captured' }),
+
+  refund: async () => ({ providerRefundId: randomId('mock_re'), status: 'succeeded' }),
+
+  // Body: { id, type, providerPaymentId, ... }, signed with an HMAC of the raw body
+  parseWebhook: (rawBody, headers) => {
+    const expected = crypto.createHmac('sha256', WEBHOOK_SECRET()).update(rawBody).digest('hex');
+    const signature = String(headers['x-mock-signature'] || '');
+    if (
+      signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    ) {
+      throw providerError('Invalid webhook signature', 400);
+    }
+    return JSON.parse(rawBody.toString());
+  },
+
+  // The card number is checked and thrown away; only the token and last four digits are kept
+  createPaymentMethod: async ({ cardNumber, expiry, holderName }) => {
+    const digits = String(cardNumber || '').replace(/\D/g, '');
+    if (!isValidCardNumber(digits)) throw providerError('Card number is not valid');
+    return {
+      method: cardBrand(digits),
+      token: randomId('mock_pm'),
+      details: { lastFour: digits.slice(-4), expiry, holderName },
+    };
+  },
+};
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+const API_URL = 'https://api.razorpay.com/v1';
+
+const providerError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const api = () => {
+  if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
+    throw new Error('RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET must be set');
+  }
+  return axios.create({
+    baseURL: API_URL,
+    auth: { username: process.env.RAZORPAY_KEY_ID, password: process.env.RAZORPAY_KEY_SECRET },
+  });
+};
+
+// Razorpay amounts are in paise
+const toMinor = (amount) => Math.round(amount * 100);
+
+const hmac = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const sameSignature = (signature, expected) =>
+  typeof signature === 'string' &&
+  signature.length === expected.length &&
+  crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+const STATUSES = {
+  created: 'requires_action',
+  authorized: 'authorized',
+  captured: 'captured',
+  failed: 'failed',
+  refunded: 'refunded',
+};
+
+const EVENTS = {
+  'payment.authorized': 'payment.authorized',
+  'payment.captured': 'payment.captured',
+  'payment.failed': 'payment.failed',
+  'refund.processed': 'refund.succeeded',
+  'refund.failed': 'refund.failed',
+};
+
+module.exports = {
+  name: 'razorpay',
+
+  // A Razorpay order; the customer pays it with Razorpay Checkout (cards, UPI, netbanking)
+  createIntent: async ({ amount, currency, captureMethod, orderId, metadata }) => {
+    const { data: order } = await api().post('/orders', {
+      amount: toMinor(amount),
+      currency,
+      receipt: orderId,
+      payment_capture: captureMethod === 'automatic' ? 1 : 0,
+      notes: metadata,
+    });
+    return {
+      providerPaymentId: order.id,
+      status: 'requires_action',
+      clientData: { keyId: process.env.RAZORPAY_KEY_ID, orderId: order.id, amount: order.amount, currency },
+    };
+  },
+
+  // Checks the signature Razorpay Checkout hands back to the client, then reads the payment
+  confirm: async (payment, { razorpay_payment_id: paymentId, razorpay_signature: signature } = {}) => {
+    const expected = hmac(process.env.RAZORPAY_KEY_SECRET, `${payment.providerPaymentId}|${paymentId}`);
+    if (!paymentId || !sameSignature(signature, expected)) {
+      throw providerError('Payment signature does not match');
+    }
+    const { data } = await api().get(`/payments/${paymentId}`);
+    return {
+      status: STATUSES[data.status] || 'processing',
+      providerChargeId: data.id,
+      failureReason: data.error_description,
+    };
+  },
+
+  capture: async (payment, amount) => {
+    const { data } = await api().post(`/payments/${payment.providerChargeId}/capture`, {
+      amount: toMinor(amount),
+      currency: payment.currency,
+    });
+    return { status: STATUSES[data.status] || 'processing' };
+  },
+
+  refund: async (payment, amount, reason) => {
+    const { data } = await api().post(`/payments/${payment.providerChargeId}/refund`, {
+      amount: toMinor(amount),
+      notes: { reason: reason || '' },
+    });
+    return { providerRefundId: data.id, status: data.status === 'processed' ? 'succeeded' : 'pending' };
+  },
+
+  parseWebhook: (rawBody, headers) => {
+    const expected = hmac(process.env.RAZORPAY_WEBHOOK_SECRET || '', rawBody);
+    if (!sameSignature(headers['x-razorpay-signature'], expected)) {
+      throw providerError('Invalid webhook signature');
+    }
+    const event = JSON.parse(rawBody.toString());
+    const payment = event.payload.payment?.entity;
+    const refund = event.payload.refund?.entity;
+    return {
+      id: headers['x-razorpay-event-id'] || `${event.event}:${(refund || payment).id}`,
+      type: EVENTS[event.event] || event.event,
+      providerPaymentId: payment?.order_id,
+      providerChargeId: payment?.id || refund?.payment_id,
+      providerRefundId: refund?.id,
+      failureReason: payment?.error_description,
+    };
+  },
+
+  // Tokens come from Razorpay Checkout with "save card"; UPI handles are stored as is
+  createPaymentMethod: async ({ token, method = 'card', lastFour, expiry, holderName, vpa }) => {
+    if (!token && !vpa) throw providerError('A Razorpay token or UPI id is required');
+    return {
+      method: method === 'upi' ? 'UPI' : method,
+      token: token || vpa,
+      details: { lastFour: method === 'upi' ? undefined : lastFour, expiry, holderName: holderName || vpa },
+    };
+  },
+};
@@ -0,0 +1,105 @@
+const Stripe = require('stripe');
+
+let client;
+const stripe = () => {
+  if (!process.env.STRIPE_SECRET_KEY) throw new Error('STRIPE_SECRET_KEY is not set');
+  return client || (client = new Stripe(process.env.STRIPE_SECRET_KEY));
+};
+
+// Stripe amounts are in the smallest currency unit
+const toMinor = (amount) => Math.round(amount * 100);
+
+const STATUSES = {
+  requires_payment_method: 'requires_action',
+  requires_confirmation: 'requires_action',
+  requires_action: 'requires_action',
+  processing: 'processing',
+  requires_capture: 'authorized',
+  succeeded: 'captured',
+  canceled: 'cancelled',
+};
+
+const fromIntent = (intent) => ({
+  status: STATUSES[intent.status] || 'processing',
+  failureReason: intent.last_payment_error?.message,
+});
+
+// Stripe event types mapped onto the provider independent ones
+const EVENTS = {
+  'payment_intent.amount_capturable_updated': 'payment.authorized',
+  'payment_intent.succeeded': 'payment.captured',
+  'payment_intent.payment_failed': 'payment.failed',
+  'payment_intent.canceled': 'payment.cancelled',
+  'charge.refunded': 'refund.succeeded',
+};
+
+module.exports = {
+  name: 'stripe',
+
+  createIntent: async ({ amount, currency, captureMethod, metadata, paymentMethodToken }) => {
+    const intent = await stripe().paymentIntents.create({
+      amount: toMinor(amount),
+      currency: currency.toLowerCase(),
+      capture_method: captureMethod,
+      metadata,
+      ...(paymentMethodToken
+        ? { payment_method: paymentMethodToken }
+        : { automatic_payment_methods: { enabled: true } }),
+    });
+    return {
+      providerPaymentId: intent.id,
+      ...fromIntent(intent),
+      clientData: { clientSecret: intent.client_secret },
+    };
+  },
+
+  // The customer confirms with Stripe.js; this only reads back the result
+  confirm: async (payment) => fromIntent(await stripe().paymentIntents.retrieve(payment.providerPaymentId)),
+
+  capture: async (payment, amount) =>
+    fromIntent(
+      await stripe().paymentIntents.capture(payment.providerPaymentId, { amount_to_capture: toMinor(amount) })
+    ),
+
+  refund: async (payment, amount, reason) => {
+    const refund = await stripe().refunds.create({
+      payment_intent: payment.providerPaymentId,
+      amount: toMinor(amount),
+      metadata: { reason: reason || '' },
+    });
+    return {
+      providerRefundId: refund.id,
+      status: refund.status === 'succeeded' ? 'succeeded' : refund.status === 'failed' ? 'failed' : 'pending',
+    };
+  },
+
+  parseWebhook: (rawBody, headers) => {
+    const event = stripe().webhooks.constructEvent(
+      rawBody,
+      headers['stripe-signature'],
+      process.env.STRIPE_WEBHOOK_SECRET
+    );
+    const object = event.data.object;
+    return {
+      id: event.id,
+      type: EVENTS[event.type] || event.type,
+      providerPaymentId: event.type === 'charge.refunded' ? object.payment_intent : object.id,
+      providerChargeId: event.type === 'charge.refunded' ? object.id : object.latest_charge,
+      failureReason: object.last_payment_error?.message,
+    };
+  },
+
+  // paymentMethodId comes from Stripe.js on the client; the card never reaches our server
+  createPaymentMethod: async ({ paymentMethodId }) => {
+    const method = await stripe().paymentMethods.retrieve(paymentMethodId);
+    return {
+      method: method.card?.brand || method.type,
+      token: method.id,
+      details: {
+        lastFour: method.card?.last4,
+        expiry: method.card ? `${String(method.card.exp_month).padStart(2, '0')}/${String(method.card.exp_year).slice(-2)}` : undefined,
+        holderName: method.billing_details?.name,
+      },
+    };
+  },
+};
@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const LedgerEntry = require('../model/ledgerEntry');
+const Payout = require('../model/payout');
+const Seller = require('../model/shop/seller');
+const User = require('../model/user');
+const { recordPayout } = require('./ledgerService');
+const { toCsv } = require('./csv');
+const { listQuery } = require('./listQuery');
+
+const payoutError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const newId = (prefix) =>
+  `${prefix}-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) throw payoutError(`${name} must be a date`, 400);
+  return date;
+};
+
+// Statement totals for a payee's ledger entries
+const statementTotals = (entries) => {
+  const sum = (types, field) =>
+    round(entries.filter((entry) => types.includes(entry.type)).reduce((total, entry) => total + entry[field], 0));
+  return {
+    gross: sum(['sale', 'rental'], 'gross'),
+    commission: sum(['sale', 'rental', 'refund'], 'commission'),
+    refunds: -sum(['refund'], 'gross'),
+    deductions: sum(['deposit_deduction'], 'gross'),
+    net: sum(['sale', 'rental', 'refund', 'deposit_deduction'], 'net'),
+  };
+};
+
+// Display names of the payees, keyed by "kind:id"
+const payeeNames = async (payees) => {
+  const ids = (kind) => payees.filter((payee) => payee.kind === kind).map((payee) => payee.id);
+  const [sellers, owners] = await Promise.all([
+    Seller.find({ _id: { $in: ids('seller') } }).select('name'),
+    User.find({ _id: { $in: ids('owner') } }).select('firstName lastName email'),
+  ]);
+  return new Map([
+    ...sellers.map((seller) => [`seller:${seller._id}`, seller.name]),
+    ...owners.map((owner) => [
+      `owner:${owner._id}`,
+      [owner.firstName, owner.lastName].filter(Boolean).join(' ') || owner.email,
+    ]),
+  ]);
+};
+
+/**
+ * Generates a batch of payout statements, one per payee owed money at the end of a period.
+ * Unsettled entries from before the period are carried in, so a payee whose refunds
+ * outweighed their sales is paid once later sales make up for them.
+ * @param {object} params
+ * @param {string|Date} [params.periodStart] - Start of the period, shown on the statements.
+ * @param {string|Date} params.periodEnd - Entries before this are included.
+ * @param {string} [params.actor] - Admin generating the batch.
+ * @returns {Promise<{batchId: string, payouts: object[], carried: object[]}>} carried lists the
+ *   payees left out because they aren't owed anything.
+ */
+const generatePayouts = async ({ periodStart, periodEnd, actor } = {}) => {
+  const end = parseDate(periodEnd, 'periodEnd');
+  const start = periodStart ? parseDate(periodStart, 'periodStart') : undefined;
+  if (start && start >= end) throw payoutError('periodStart must be before periodEnd', 400);
+
+  const entries = await LedgerEntry.find({
+    'payee.id': { $exists: true },
+    type: { $ne: 'payout' },
+    payout: null,
+    occurredAt: { $lt: end },
+  }).sort({ occurredAt: 1 });
+
+  const byPayee = new Map();
+  entries.forEach((entry) => {
+    const key = `${entry.payee.kind}:${entry.payee.id}`;
+    if (!byPayee.has(key)) byPayee.set(key, { payee: entry.payee, entries: [] });
+    byPayee.get(key).entries.push(entry);
+  });
+
+  const groups = [...byPayee.values()];
+  const names = await payeeNames(groups.map((group) => group.payee));
+  const batchId = newId('PB');
+  const payouts = [];
+  const carried = [];
+
+  for (const group of groups) {
+    const totals = statementTotals(group.entries);
+    const payee = { kind: group.payee.kind, id: group.payee.id, name: names.get(`${group.payee.kind}:${group.payee.id}`) };
+    if (totals.net <= 0) {
+      carried.push({ payee, net: totals.net });
+      continue;
+    }
+
+    const ids = group.entries.map((entry) => entry._id);
+    const payout = await Payout.create({
+      payoutId: newId('PO'),
+      batchId,
+      payee,
+      periodStart: start,
+      periodEnd: end,
+      entries: ids,
+      totals,
+      generatedBy: actor,
+    });
+
+    // Claim the entries; another batch generated at the same time may have taken some
+    const claimed = await LedgerEntry.updateMany({ _id: { $in: ids }, payout: null }, { $set: { payout: payout._id } });
+    if (claimed.modifiedCount !== ids.length) {
+      await LedgerEntry.updateMany({ payout: payout._id }, { $unset: { payout: 1 } });
+      await Payout.deleteOne({ _id: payout._id });
+      continue;
+    }
+    payouts.push(payout);
+  }
+
+  return { batchId, payouts, carried };
+};
+
+const findPayout = async (payoutId) => {
+  const payout = await Payout.findOne({ payoutId });
+  if (!payout) throw payoutError('Payout not found', 404);
+  return payout;
+};
+
+/**
+ * Marks a pending payout as paid and posts it to the ledger.
+ * @param {string} payoutId - Payout that was paid.
+ * @param {object} [options]
+ * @param {string} [options.actor] - Admin recording the payment.
+ * @param {string} [options.reference] - Bank or UPI transfer reference.
+ * @returns {Promise<object>} The payout.
+ */
+const markPayoutPaid = async (payoutId, { actor, reference } = {}) => {
+  const payout = await findPayout(payoutId);
+  if (payout.status !== 'pending') throw payoutError(`A ${payout.status} payout cannot be paid`, 409);
+
+  const updated = await Payout.findOneAndUpdate(
+    { _id: payout._id, status: 'pending' },
+    { $set: { status: 'paid', paidAt: new Date(), paidBy: actor, reference } },
+    { new: true }
+  );
+  if (!updated) throw payoutError('Payout was updated by someone else, please retry', 409);
+
+  await recordPayout(updated);
+  return updated;
+};
+
+/**
+ * Cancels a pending payout. Its entries go back to unsettled and join the next batch.
+ * @param {string} payoutId - Payout to cancel.
+ * @returns {Promise<object>} The payout.
+ */
+const cancelPayout = async (payoutId) => {
+  const payout = await findPayout(payoutId);
+  if (payout.status !== 'pending') throw payoutError(`A ${payout.status} payout cannot be cancelled`, 409);
+
+  const updated = await Payout.findOneAndUpdate(
+    { _id: payout._id, status: 'pending' },
+    { $set: { status: 'cancelled', cancelledAt: new Date() } },
+    { new: true }
+  );
+  if (!updated) throw payoutError('Payout was updated by someone else, please retry', 409);
+
+  await LedgerEntry.updateMany({ payout: updated._id }, { $unset: { payout: 1 } });
+  return updated;
+};
+
+/**
+ * Lists payouts, newest first unless sorted otherwise.
+ * @param {object} [filters]
+ * @param {string} [filters.batchId] - One batch.
+ * @param {string} [filters.status] - pending, paid or cancelled.
+ * @param {string} [filters.kind] - seller or owner.
+ * @param {string} [filters.payee] - One payee's id.
+ * @param {...*} [filters.query] - Paging, sorting and filtering read by listQuery.
+ * @returns {Promise<object>} A listQuery page of payouts, without their entries.
+ */
+const listPayouts = async ({ batchId, status, kind, payee, ...query } = {}) => {
+  if (payee && !mongoose.isValidObjectId(payee)) throw payoutError('Invalid ID', 400);
+
+  const filter = {};
+  if (batchId) filter.batchId = batchId;
+  if (status) filter.status = status;
+  if (kind) filter['payee.kind'] = kind;
+  if (payee) filter['payee.id'] = payee;
+
+  return listQuery(Payout, query, {
+    filters: ['payoutId', 'periodStart', 'periodEnd', 'totals.net', 'paidAt'],
+    sorts: ['createdAt', 'periodEnd', 'totals.net', 'paidAt'],
+    hidden: ['entries'],
+    filter,
+  });
+};
+
+/**
+ * A payout with the ledger entries it settles.
+ * @param {string} payoutId
+ * @returns {Promise<object>}
+ */
+const getStatement = async (payoutId) => {
+  const payout = await Payout.findOne({ payoutId }).populate({ path: 'entries', options: { sort: { occurredAt: 1 } } });
+  if (!payout) throw payoutError('Payout not found', 404);
+  return payout;
+};
+
+/**
+ * One payout's statement as CSV, a row per ledger entry.
+ * @param {string} payoutId
+ * @returns {Promise<{payout: object, csv: string}>}
+ */
+const statementCsv = async (payoutId) => {
+  const payout = await getStatement(payoutId);
+  const csv = toCsv(
+    [
+      { header: 'Date', value: (entry) => entry.occurredAt },
+      { header: 'Type', value: (entry) => entry.type },
+      { header: 'Order', value: (entry) => entry.orderId },
+      { header: 'Description', value: (entry) => entry.description },
+      { header: 'Category', value: (entry) => entry.category },
+      { header: 'Commission %', value: (entry) => entry.commissionPercent },
+      { header: 'Gross', value: (entry) => entry.gross },
+      { header: 'Commission', value: (entry) => entry.commission },
+      { header: 'Net', value: (entry) => entry.net },
+    ],
+    payout.entries
+  );
+  return { payout, csv };
+};
+
+/**
+ * Every payout of a batch as CSV, a row per payee, with where to pay them.
+ * @param {string} batchId
+ * @returns {Promise<string>}
+ */
+const batchCsv = async (batchId) => {
+  const payouts = await Payout.find({ batchId }).select('-entries').sort({ 'payee.kind': 1, 'payee.name': 1 });
+  if (payouts.length === 0) throw payoutError('Payout batch not found', 404);
+
+  const sellers = await Seller.find({
+    _id: { $in: payouts.filter((payout) => payout.payee.kind === 'seller').map((payout) => payout.payee.id) },
+  }).select('payout');
+  const bankOf = (payout) => sellers.find((seller) => seller._id.equals(payout.payee.id))?.payout || {};
+
+  return toCsv(
+    [
+      { header: 'Payout', value: (payout) => payout.payoutId },
+      { header: 'Payee type', value: (payout) => payout.payee.kind },
+      { header: 'Payee ID', value: (payout) => payout.payee.id },
+      { header: 'Payee', value: (payout) => payout.payee.name },
+      { header: 'Period start', value: (payout) => payout.periodStart },
+      { header: 'Period end', value: (payout) => payout.periodEnd },
+      { header: 'Gross', value: (payout) => payout.totals.gross },
+      { header: 'Commission', value: (payout) => payout.totals.commission },
+      { header: 'Refunds', value: (payout) => payout.totals.refunds },
+      { header: 'Deductions', value: (payout) => payout.totals.deductions },
+      { header: 'Net', value: (payout) => payout.totals.net },
+      { header: 'Status', value: (payout) => payout.status },
+      { header: 'Account holder', value: (payout) => bankOf(payout).accountHolderName },
+      { header: 'Account ending', value: (payout) => bankOf(payout).accountLastFour },
+      { header: 'IFSC', value: (payout) => bankOf(payout).ifsc },
+      { header: 'UPI ID', value: (payout) => bankOf(payout).upiId },
+      { header: 'Paid at', value: (payout) => payout.paidAt },
+      { header: 'Reference', value: (payout) => payout.reference },
+    ],
+    payouts
+  );
+};
+
+module.exports = {
+  generatePayouts,
+  markPayoutPaid,
+  cancelPayout,
+  listPayouts,
+  getStatement,
+  statementCsv,
+  batchCsv,
+};
@@ -0,0 +1,254 @@
+const Reservation = require('../../model/rent/reservation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_CALENDAR_DAYS = 366;
+
+// Build an error carrying the HTTP status the controller should answer with
+const availabilityError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Parses and validates a rental window.
+ * @param {string|Date} startDate - Start of the window.
+ * @param {string|Date} endDate - End of the window (exclusive).
+ * @returns {{ start: Date, end: Date }}
+ */
+const parseWindow = (startDate, endDate) => {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+
+  if (!startDate || !endDate || isNaN(start) || isNaN(end)) {
+    throw availabilityError('Valid start and end dates are required', 400);
+  }
+  if (end <= start) {
+    throw availabilityError('End date must be after start date', 400);
+  }
+  return { start, end };
+};
+
+// Active reservations of a product that overlap [start, end)
+const findOverlapping = (productId, start, end, excludeRentalId) => {
+  const filter = {
+    product: productId,
+    status: 'active',
+    startDate: { $lt: end },
+    endDate: { $gt: start },
+  };
+  if (excludeRentalId) filter.rentalId = { $ne: String(excludeRentalId) };
+  return Reservation.find(filter).lean();
+};
+
+// Highest number of units held at the same moment inside [start, end)
+const peakReserved = (reservations, start, end) => {
+  const events = [];
+  reservations.forEach((reservation) => {
+    const from = Math.max(reservation.startDate.getTime(), start.getTime());
+    const to = Math.min(reservation.endDate.getTime(), end.getTime());
+    if (from < to) {
+      events.push([from, reservation.quantity]);
+      events.push([to, -reservation.quantity]);
+    }
+  });
+
+  // Releases sort before pickups at the same instant so back-to-back rentals don't collide
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  let current = 0;
+  let peak = 0;
+  events.forEach(([, delta]) => {
+    current += delta;
+    peak = Math.max(peak, current);
+  });
+  return peak;
+};
+
+// Units of the product that can be handed out at all
+const rentableStock = (product) =>
+  product.availabilityStatus === 'maintenance' ? 0 : product.stock ?? 1;
+
+/**
+ * Checks whether `quantity` units of a product are free for the whole window.
+ * @param {object} product - RentProduct document.
+ * @param {number} quantity - Units requested.
+ * @param {Date} start - Window start.
+ * @param {Date} end - Window end (exclusive).
+ * @param {string} [excludeRentalId] - Rental whose own reservation should be ignored.
+ * @returns {Promise<{ available: boolean, freeUnits: number }>}
+ */
+const checkAvailability = async (product, quantity, start, end, excludeRentalId) => {
+  const reservations = await findOverlapping(product._id, start, end, excludeRentalId);
+  const freeUnits = Math.max(rentableStock(product) - peakReserved(reservations, start, end), 0);
+  return { available: quantity <= freeUnits, freeUnits };
+};
+
+/**
+ * Holds units of a product for a rental. The reservation is written first and the
+ * window re-checked afterwards, so two concurrent bookings of the last unit cannot
+ * both succeed.
+ * @returns {Promise<object>} The saved reservation.
+ */
+const reserveUnits = async ({ product, userId, rentalId, quantity, startDate, endDate }) => {
+  const { start, end } = parseWindow(startDate, endDate);
+
+  const { available } = await checkAvailability(product, quantity, start, end, rentalId);
+  if (!available) {
+    throw availabilityError('Not enough units available for the selected dates', 409);
+  }
+
+  const reservation = await Reservation.create({
+    product: product._id,
+    user: userId,
+    rentalId: String(rentalId),
+    quantity,
+    startDate: start,
+    endDate: end,
+  });
+
+  const reservations = await findOverlapping(product._id, start, end);
+  if (peakReserved(reservations, start, end) > rentableStock(product)) {
+    await Reservation.deleteOne({ _id: reservation._id });
+    throw availabilityError('Not enough units available for the selected dates', 409);
+  }
+
+  return reservation;
+};
+
+/**
+ * Changes the number of units held by an existing rental, refusing the change if
+ * the extra units are not free for the rental's window. Growing is written first and
+ * re-checked, like reserveUnits; shrinking always succeeds.
+ * @returns {Promise<object|null>} The updated reservation, or null if the rental holds none.
+ */
+const resizeReservation = async (product, rentalId, quantity) => {
+  const reservation = await Reservation.findOne({ rentalId: String(rentalId), status: 'active' });
+  if (!reservation) return null;
+
+  const previousQuantity = reservation.quantity;
+  if (quantity <= previousQuantity) {
+    reservation.quantity = quantity;
+    return reservation.save();
+  }
+
+  const { available } = await checkAvailability(
+    product,
+    quantity,
+    reservation.startDate,
+    reservation.endDate,
+    rentalId
+  );
+  if (!available) {
+    throw availabilityError('Not enough units available for the selected dates', 409);
+  }
+
+  reservation.quantity = quantity;
+  await reservation.save();
+
+  const reservations = await findOverlapping(product._id, reservation.startDate, reservation.endDate);
+  if (peakReserved(reservations, reservation.startDate, reservation.endDate) > rentableStock(product)) {
+    await Reservation.updateOne({ _id: reservation._id }, { quantity: previousQuantity });
+    throw availabilityError('Not enough units available for the selected dates', 409);
+  }
+
+  return reservation;
+};
+
+/**
+ * Moves the end of a rental's reservation later, refusing if the units are booked
+ * by someone else in the added period. Written first and re-checked, like reserveUnits.
+ * @returns {Promise<object>} The updated reservation.
+ */
+const extendReservation = async (product, rentalId, endDate) => {
+  const reservation = await Reservation.findOne({ rentalId: String(rentalId), status: 'active' });
+  if (!reservation) {
+    throw availabilityError('Rental has no active reservation to extend', 409);
+  }
+
+  const previousEnd = reservation.endDate;
+  const end = new Date(endDate);
+  if (!(end > previousEnd)) {
+    throw availabilityError('New end date must be after the current one', 400);
+  }
+
+  const { available } = await checkAvailability(product, reservation.quantity, previousEnd, end, rentalId);
+  if (!available) {
+    throw availabilityError('The units are booked by someone else in the extra period', 409);
+  }
+
+  reservation.endDate = end;
+  await reservation.save();
+
+  const reservations = await findOverlapping(product._id, previousEnd, end);
+  if (peakReserved(reservations, previousEnd, end) > rentableStock(product)) {
+    await Reservation.updateOne({ _id: reservation._id }, { endDate: previousEnd });
+    throw availabilityError('The units are booked by someone else in the extra period', 409);
+  }
+
+  return reservation;
+};
+
+/**
+ * Frees the units held for a rental (on cancel, return or delete).
+ * @param {string} rentalId
+ */
+const releaseReservation = (rentalId) =>
+  Reservation.updateMany(
+    { rentalId: String(rentalId), status: 'active' },
+    { status: 'released' }
+  );
+
+/**
+ * Day-by-day availability of a product, for rendering a booking calendar.
+ * @param {object} product - RentProduct document.
+ * @param {string|Date} from - First day (defaults to today).
+ * @param {string|Date} to - Last day, inclusive (defaults to 30 days after `from`).
+ * @returns {Promise<Array<{ date: string, reserved: number, available: number }>>}
+ */
+const getAvailabilityCalendar = async (product, from, to) => {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+
+  const start = from ? new Date(from) : today;
+  const end = to ? new Date(to) : new Date(start.getTime() + 30 * DAY_MS);
+  if (isNaN(start) || isNaN(end)) {
+    throw availabilityError('Invalid from/to dates', 400);
+  }
+
+  // Whole UTC days, with `to` included
+  start.setUTCHours(0, 0, 0, 0);
+  end.setUTCHours(0, 0, 0, 0);
+  end.setTime(end.getTime() + DAY_MS);
+
+  if (end <= start) {
+    throw availabilityError('"to" must not be before "from"', 400);
+  }
+  if ((end - start) / DAY_MS > MAX_CALENDAR_DAYS) {
+    throw availabilityError(`Date range cannot exceed ${MAX_CALENDAR_DAYS} days`, 400);
+  }
+
+  const reservations = await findOverlapping(product._id, start, end);
+  const stock = rentableStock(product);
+
+  const days = [];
+  for (let day = start.getTime(); day < end.getTime(); day += DAY_MS) {
+    const reserved = peakReserved(reservations, new Date(day), new Date(day + DAY_MS));
+    days.push({
+      date: new Date(day).toISOString().slice(0, 10),
+      reserved,
+      available: Math.max(stock - reserved, 0),
+    });
+  }
+  return days;
+};
+
+module.exports = {
+  parseWindow,
+  checkAvailability,
+  reserveUnits,
+  extendReservation,
+  resizeReservation,
+  releaseReservation,
+  getAvailabilityCalendar,
+};
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const RentalOrder = require('../../model/rent/rentalOrder');
+const { parseWindow, reserveUnits, releaseReservation } = require('./availabilityService');
+const { quoteRental, toPriceBreakdown, redeemQuotePromotion } = require('./quoteService');
+const { reverseRedemptions } = require('./promotionService');
+
+const bookingError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Books a rental: prices it with the quote engine, holds the units for its window and
+ * saves it as requested. Nothing is kept if any step fails.
+ * @param {object} params
+ * @param {object} params.product - RentProduct to rent.
+ * @param {object} params.user - Renter.
+ * @param {number} params.quantity - Units to rent.
+ * @param {string|Date} params.startDate - Start of the rental window.
+ * @param {string|Date} params.endDate - End of the rental window.
+ * @param {string} [params.rentalDuration] - Rate unit to price by.
+ * @param {string} [params.promoCode] - Promotion code to price with.
+ * @param {string} [params.checkoutId] - Tracking ID of the cart checkout booking it. Checkouts
+ *   redeem the promotion once for the whole cart, so it isn't redeemed here.
+ * @returns {Promise<{rental: object, quote: object}>}
+ */
+const bookRental = async ({ product, user, quantity, startDate, endDate, rentalDuration, promoCode, checkoutId }) => {
+  if (product.availabilityStatus === 'maintenance') throw bookingError('Product not available for rent', 400);
+  const window = parseWindow(startDate, endDate);
+
+  // Same engine as POST /rent/quote, so the stored price matches what was quoted
+  const quote = await quoteRental({
+    product,
+    user,
+    quantity,
+    startDate: window.start,
+    endDate: window.end,
+    rentalDuration,
+    promoCode,
+  });
+
+  const rental = new RentalOrder({
+    rentalId: new mongoose.Types.ObjectId().toString(),
+    user: user._id,
+    product: product._id,
+    quantity: quote.quantity,
+    rentalDuration: quote.rateUnit,
+    rentalDate: new Date(),
+    startDate: window.start,
+    endDate: window.end,
+    priceBreakdown: toPriceBreakdown(quote),
+    deposit: { amount: quote.deposit },
+    status: 'requested',
+    checkoutId,
+  });
+
+  // Hold the units for the requested window before recording the rental
+  await reserveUnits({
+    product,
+    userId: user._id,
+    rentalId: rental.rentalId,
+    quantity: quote.quantity,
+    startDate: window.start,
+    endDate: window.end,
+  });
+
+  // Units are only counted as rented out once the rental is picked up
+  try {
+    if (!checkoutId) await redeemQuotePromotion(quote, { userId: user._id, orderId: rental.rentalId });
+    await rental.save();
+  } catch (error) {
+    await releaseReservation(rental.rentalId);
+    await reverseRedemptions(rental.rentalId);
+    throw error;
+  }
+
+  return { rental, quote };
+};
+
+/**
+ * Undoes bookRental for a rental that was never confirmed, such as one of a checkout
+ * whose payment couldn't be started: frees its units and removes it.
+ * @param {string} rentalId
+ */
+const unbookRental = async (rentalId) => {
+  await releaseReservation(rentalId);
+  await reverseRedemptions(rentalId);
+  await RentalOrder.deleteOne({ rentalId: String(rentalId), status: 'requested' });
+};
+
+module.exports = {
+  bookRental,
+  unbookRental,
+};
@@ -0,0 +1,89 @@
+const RentalOrder = require('../../model/rent/rentalOrder');
+const { transitionRental } = require('./rentalLifecycle');
+const { recordRental } = require('../ledgerService');
+
+const CONDITIONS = ['good', 'minor_damage', 'major_damage'];
+const DEDUCTION_TYPES = ['late_fee', 'damage', 'fuel', 'cleaning', 'other'];
+
+const depositError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Splits a deposit into what goes back to the renter and what they still owe.
+ * @param {number} deposit - Deposit held for the rental.
+ * @param {Array<{amount: number}>} deductions - Charges taken out of the deposit.
+ * @returns {{deposit: number, deductions: number, refundable: number, amountOwed: number}}
+ */
+const computeSettlement = (deposit, deductions) => {
+  const total = round(deductions.reduce((sum, deduction) => sum + deduction.amount, 0));
+  return {
+    deposit: round(deposit),
+    deductions: total,
+    refundable: round(Math.max(deposit - total, 0)),
+    amountOwed: round(Math.max(total - deposit, 0)),
+  };
+};
+
+/**
+ * Records the inspection of a returned rental, settles its deposit and credits the owner.
+ * @param {string} rentalId - Rental being inspected; must be in "returned".
+ * @param {object} inspection
+ * @param {string} inspection.condition - good, minor_damage or major_damage.
+ * @param {string} [inspection.notes] - Free-text notes.
+ * @param {string[]} [inspection.photos] - Image URLs.
+ * @param {Array<{type: string, amount: number, note?: string}>} [inspection.deductions]
+ * @param {string} [actor] - Id of the user doing the inspection.
+ * @returns {Promise<object>} The updated rental.
+ */
+const inspectRental = async (rentalId, { condition, notes, photos = [], deductions = [] }, actor) => {
+  if (!CONDITIONS.includes(condition)) {
+    throw depositError(`Condition must be one of: ${CONDITIONS.join(', ')}`, 400);
+  }
+  if (!Array.isArray(photos) || !Array.isArray(deductions)) {
+    throw depositError('Photos and deductions must be lists', 400);
+  }
+  deductions.forEach((deduction) => {
+    if (!DEDUCTION_TYPES.includes(deduction.type)) {
+      throw depositError(`Deduction type must be one of: ${DEDUCTION_TYPES.join(', ')}`, 400);
+    }
+    if (!(Number(deduction.amount) >= 0)) {
+      throw depositError('Each deduction needs an amount of zero or more', 400);
+    }
+  });
+  const cleaned = deductions.map(({ type, amount, note }) => ({ type, amount: round(Number(amount)), note }));
+
+  const rental = await RentalOrder.findOne({ rentalId });
+  if (!rental) throw depositError('Rental not found', 404);
+
+  const now = new Date();
+  const settlement = { ...computeSettlement(rental.deposit.amount, cleaned), settledAt: now };
+
+  const inspected = await transitionRental(rentalId, 'inspected', {
+    actor,
+    reason: `Inspected: ${condition}`,
+    set: {
+      inspection: { condition, notes, photos, deductions: cleaned, inspectedBy: actor, inspectedAt: now },
+      settlement,
+      'deposit.status': 'settled',
+    },
+  });
+
+  // The rent and the deposit kept are now owed to the equipment owner
+  try {
+    await recordRental(inspected);
+  } catch (error) {
+    console.error(`Error recording rental ${rentalId} in the ledger:`, error);
+  }
+  return inspected;
+};
+
+module.exports = {
+  DEDUCTION_TYPES,
+  computeSettlement,
+  inspectRental,
+};
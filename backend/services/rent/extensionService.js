@@ -0,0 +1,183 @@
+const RentalOrder = require('../../model/rent/rentalOrder');
+const RentProduct = require('../../model/rent/rentProduct');
+const User = require('../../model/user');
+const { checkAvailability, extendReservation } = require('./availabilityService');
+const { quoteRental, toPriceBreakdown } = require('./quoteService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rentals that can still be extended: booked but not yet back
+const EXTENDABLE_STATUSES = ['approved', 'picked_up'];
+
+// priceBreakdown amounts that add up when an extension is approved
+const ADDITIVE_FIELDS = ['units', 'subtotal', 'seasonalAdjustment', 'loyaltyDiscount', 'discount', 'total'];
+
+const extensionError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Asks for a rental to end later. The extra period is checked against later bookings
+ * and priced on its own; nothing changes until an owner or admin approves it.
+ * @param {string} rentalId - Rental to extend.
+ * @param {object} params
+ * @param {string|Date} params.endDate - Requested new end date.
+ * @param {string} params.userId - Renter making the request.
+ * @param {string} [params.reason] - Note for the owner.
+ * @returns {Promise<{rental: object, extension: object}>}
+ */
+const requestExtension = async (rentalId, { endDate, userId, reason }) => {
+  const rental = await RentalOrder.findOne({ rentalId });
+  if (!rental) throw extensionError('Rental not found', 404);
+  if (!rental.user.equals(userId)) throw extensionError('You can only extend your own rentals', 403);
+  if (!EXTENDABLE_STATUSES.includes(rental.status)) {
+    throw extensionError(`A ${rental.status} rental cannot be extended`, 409);
+  }
+  if (rental.extensions.some((extension) => extension.status === 'pending')) {
+    throw extensionError('This rental already has an extension waiting for approval', 409);
+  }
+
+  const previousEnd = rental.endDate;
+  const end = new Date(endDate);
+  if (isNaN(end)) throw extensionError('A valid end date is required', 400);
+  if (!previousEnd || end <= previousEnd) {
+    throw extensionError('New end date must be after the current one', 400);
+  }
+
+  const product = await RentProduct.findById(rental.product);
+  if (product.maxRentalDuration && (end - rental.startDate) / DAY_MS > product.maxRentalDuration) {
+    throw extensionError(`This product can be rented for at most ${product.maxRentalDuration} days`, 400);
+  }
+
+  const { available } = await checkAvailability(product, rental.quantity, previousEnd, end, rentalId);
+  if (!available) {
+    throw extensionError('The units are booked by someone else in the extra period', 409);
+  }
+
+  // Same rate unit as the rental; the original promotion code is not applied again
+  const quote = await quoteRental({
+    product,
+    user: await User.findById(rental.user),
+    quantity: rental.quantity,
+    startDate: previousEnd,
+    endDate: end,
+    rentalDuration: rental.rentalDuration,
+  });
+
+  const updated = await RentalOrder.findOneAndUpdate(
+    { rentalId, 'extensions.status': { $ne: 'pending' } },
+    {
+      $push: {
+        extensions: {
+          previousEndDate: previousEnd,
+          requestedEndDate: end,
+          charge: toPriceBreakdown(quote),
+          reason,
+          requestedBy: userId,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw extensionError('This rental already has an extension waiting for approval', 409);
+  }
+
+  return { rental: updated, extension: updated.extensions[updated.extensions.length - 1] };
+};
+
+/**
+ * Approves or rejects a pending extension. Approving moves the reservation, due date
+ * and end date, adds the extension charge to the order and records it in the price history.
+ * @param {string} rentalId - Rental the extension belongs to.
+ * @param {string} extensionId - Extension to decide on.
+ * @param {object} params
+ * @param {boolean} params.approve - true to approve, false to reject.
+ * @param {string} [params.actor] - Id of the owner or admin deciding.
+ * @param {string} [params.reason] - Reason shown to the renter.
+ * @returns {Promise<object>} The updated rental.
+ */
+const decideExtension = async (rentalId, extensionId, { approve, actor, reason }) => {
+  const rental = await RentalOrder.findOne({ rentalId });
+  if (!rental) throw extensionError('Rental not found', 404);
+
+  const extension = rental.extensions.id(extensionId);
+  if (!extension) throw extensionError('Extension not found', 404);
+  if (extension.status !== 'pending') {
+    throw extensionError(`Extension was already ${extension.status}`, 409);
+  }
+
+  const now = new Date();
+  const pendingFilter = {
+    rentalId,
+    extensions: { $elemMatch: { _id: extension._id, status: 'pending' } },
+  };
+  const decision = {
+    'extensions.$.status': approve ? 'approved' : 'rejected',
+    'extensions.$.decidedBy': actor,
+    'extensions.$.decidedAt': now,
+    'extensions.$.decisionReason': reason,
+  };
+
+  if (!approve) {
+    const updated = await RentalOrder.findOneAndUpdate(pendingFilter, { $set: decision }, { new: true });
+    if (!updated) throw extensionError('Extension was already decided', 409);
+    return updated;
+  }
+
+  if (!EXTENDABLE_STATUSES.includes(rental.status)) {
+    throw extensionError(`A ${rental.status} rental cannot be extended`, 409);
+  }
+
+  const product = await RentProduct.findById(rental.product);
+  const reservation = await extendReservation(product, rentalId, extension.requestedEndDate);
+
+  const breakdown = rental.priceBreakdown.toObject();
+  ADDITIVE_FIELDS.forEach((field) => {
+    breakdown[field] = round((breakdown[field] || 0) + (extension.charge[field] || 0));
+  });
+  // The extra period's seasonal segments follow the rental's own
+  breakdown.seasonalSegments = [...(breakdown.seasonalSegments || []), ...(extension.charge.seasonalSegments || [])];
+
+  const updated = await RentalOrder.findOneAndUpdate(
+    { ...pendingFilter, status: { $in: EXTENDABLE_STATUSES } },
+    {
+      $set: {
+        ...decision,
+        endDate: extension.requestedEndDate,
+        dueDate: extension.requestedEndDate,
+        priceBreakdown: breakdown,
+        lateFee: 0,
+      },
+      // Reminders and overdue tracking start over for the new due date
+      $unset: { overdueSince: '', 'reminders.dueSoonSentAt': '', 'reminders.overdueSentAt': '' },
+      $push: {
+        priceHistory: {
+          reason: `Extended to ${extension.requestedEndDate.toISOString().slice(0, 10)}`,
+          previousTotal: rental.priceBreakdown.total,
+          total: breakdown.total,
+          changedAt: now,
+          changedBy: actor,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    // Someone else decided or the rental moved on; give the extra days back
+    reservation.endDate = extension.previousEndDate;
+    await reservation.save();
+    throw extensionError('Rental was updated by someone else, please retry', 409);
+  }
+  return updated;
+};
+
+module.exports = {
+  requestExtension,
+  decideExtension,
+};
@@ -0,0 +1,153 @@
+const RentalOrder = require('../../model/rent/rentalOrder');
+const { sendEmail } = require('../emailService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// How long before the due date the "due soon" reminder goes out
+const DUE_SOON_MS = DAY_MS;
+
+// Statuses in which the renter still has the units and can be late
+const OUT_STATUSES = ['picked_up'];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Late fee for a rental returned (or still out) at `at`, using the product's policy.
+ * Every started day past the grace period is charged in full.
+ * @param {object} rental - RentalOrder document.
+ * @param {object} product - RentProduct document.
+ * @param {Date} [at] - Return time, defaults to now.
+ * @returns {number}
+ */
+const computeLateFee = (rental, product, at = new Date()) => {
+  if (!rental.dueDate || !product) return 0;
+
+  const policy = product.lateFeePolicy || {};
+  const lateMs = at - rental.dueDate - (policy.graceHours || 0) * HOUR_MS;
+  if (lateMs <= 0) return 0;
+
+  const perDay = policy.perDay ?? product.rentalPricePerDay;
+  const fee = Math.ceil(lateMs / DAY_MS) * perDay * rental.quantity;
+  return round(policy.maxFee != null ? Math.min(fee, policy.maxFee) : fee);
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const sendDueSoonReminder = (rental) =>
+  sendEmail(
+    rental.user.email,
+    `Your ${rental.product.name} rental is due soon`,
+    `Hi ${rental.user.firstName},\n\n` +
+      `Your rental ${rental.rentalId} (${rental.quantity} x ${rental.product.name}) is due back on ${formatDate(rental.dueDate)}.\n` +
+      'Returning it late adds a late fee per day. If you need it longer, you can extend the rental from your dashboard.\n\n' +
+      'AgroTech AI'
+  );
+
+const sendOverdueNotice = (rental, lateFee) =>
+  sendEmail(
+    rental.user.email,
+    `Your ${rental.product.name} rental is overdue`,
+    `Hi ${rental.user.firstName},\n\n` +
+      `Your rental ${rental.rentalId} (${rental.quantity} x ${rental.product.name}) was due back on ${formatDate(rental.dueDate)}.\n` +
+      `The late fee so far is ₹${lateFee} and grows for every extra day. Please return it as soon as possible.\n\n` +
+      'AgroTech AI'
+  );
+
+/**
+ * Scheduled job: reminds renters whose rentals are due soon, flags overdue rentals,
+ * updates their running late fee and tells the renter once.
+ * Each email is sent at most once per rental; a failed send is retried on the next run.
+ * @param {Date} [now] - Current time, overridable for tests.
+ */
+const processRentalDueDates = async (now = new Date()) => {
+  try {
+    const dueSoon = await RentalOrder.find({
+      status: { $in: OUT_STATUSES },
+      dueDate: { $gt: now, $lte: new Date(now.getTime() + DUE_SOON_MS) },
+      'reminders.dueSoonSentAt': { $exists: false },
+    }).populate('user product');
+
+    for (const rental of dueSoon) {
+      try {
+        await sendDueSoonReminder(rental);
+        await RentalOrder.updateOne({ _id: rental._id }, { $set: { 'reminders.dueSoonSentAt': now } });
+      } catch (error) {
+        console.error(`Error sending due date reminder for rental ${rental.rentalId}:`, error);
+      }
+    }
+
+    const overdue = await RentalOrder.find({
+      status: { $in: OUT_STATUSES },
+      dueDate: { $lt: now },
+    }).populate('user product');
+
+    for (const rental of overdue) {
+      const lateFee = computeLateFee(rental, rental.product, now);
+      const set = { lateFee };
+      if (!rental.overdueSince) set.overdueSince = now;
+
+      // Guarded on the status so a rental returned in the meantime keeps its final fee
+      await RentalOrder.updateOne({ _id: rental._id, status: rental.status }, { $set: set });
+
+      if (!rental.reminders?.overdueSentAt) {
+        try {
+          await sendOverdueNotice(rental, lateFee);
+          await RentalOrder.updateOne({ _id: rental._id }, { $set: { 'reminders.overdueSentAt': now } });
+        } catch (error) {
+          console.error(`Error sending overdue notice for rental ${rental.rentalId}:`, error);
+        }
+      }
+    }
+
+    console.log(`Rental due dates checked: ${dueSoon.length} due soon, ${overdue.length} overdue`);
+  } catch (error) {
+    console.error('Error processing rental due dates:', error);
+  }
+};
+
+/**
+ * A user's rentals that are still out or about to start, split by whether they are late.
+ * @param {string} userId - Renter.
+ * @param {Date} [now] - Current time.
+ * @returns {Promise<{upcoming: object[], overdue: object[]}>}
+ */
+const getUserReminders = async (userId, now = new Date()) => {
+  const rentals = await RentalOrder.find({
+    user: userId,
+    status: { $in: ['approved', ...OUT_STATUSES] },
+    dueDate: { $exists: true },
+  })
+    .sort({ dueDate: 1 })
+    .populate({ path: 'product', select: 'name image rentalPricePerDay lateFeePolicy' });
+
+  const toReminder = (rental) => {
+    const lateFee = OUT_STATUSES.includes(rental.status) ? computeLateFee(rental, rental.product, now) : 0;
+    return {
+      rentalId: rental.rentalId,
+      productName: rental.product?.name,
+      productImage: rental.product?.image,
+      status: rental.status,
+      quantity: rental.quantity,
+      startDate: rental.startDate,
+      dueDate: rental.dueDate,
+      daysLeft: Math.ceil((rental.dueDate - now) / DAY_MS),
+      totalCost: rental.priceBreakdown.total,
+      lateFee,
+      pendingExtension: rental.extensions.find((extension) => extension.status === 'pending') || null,
+    };
+  };
+
+  const reminders = rentals.map(toReminder);
+  return {
+    upcoming: reminders.filter((reminder) => reminder.dueDate >= now),
+    overdue: reminders.filter((reminder) => reminder.dueDate < now && reminder.status !== 'approved'),
+  };
+};
+
+module.exports = {
+  OUT_STATUSES,
+  computeLateFee,
+  processRentalDueDates,
+  getUserReminders,
+};
@@ -0,0 +1,176 @@
+const Promotion = require('../../model/rent/promotion');
+const PromotionRedemption = require('../../model/rent/promotionRedemption');
+
+const promotionError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Looks up a promotion code and checks every rule that decides whether it can be used.
+ * @param {object} params
+ * @param {string} params.code - Promotion code entered by the customer.
+ * @param {string} [params.productId] - Product being rented.
+ * @param {string} [params.userId] - Customer, checked against the per-user limit.
+ * @param {number} [params.orderValue] - Charge the code would apply to.
+ * @param {Date} [params.at] - Date the promotion must be valid on.
+ * @param {string} [params.orderId] - Order already holding this code; it keeps the code without re-checking.
+ * @returns {Promise<object>} The promotion.
+ */
+const validatePromotion = async ({ code, productId, userId, orderValue, at = new Date(), orderId }) => {
+  if (!code || !code.trim()) throw promotionError('Promotion code is required', 400);
+
+  const promotion = await Promotion.findOne({ code: code.trim() });
+
+  // An order re-priced after it was placed keeps the code it already redeemed
+  if (
+    promotion &&
+    orderId &&
+    (await PromotionRedemption.exists({ promotion: promotion._id, orderId: String(orderId), status: 'applied' }))
+  ) {
+    return promotion;
+  }
+
+  if (!promotion || promotion.status !== 'active') {
+    throw promotionError('Promotion code is not valid', 400);
+  }
+  if (promotion.startDate > at || promotion.endDate < at) {
+    throw promotionError('Promotion code has expired or is not active yet', 400);
+  }
+
+  const products = promotion.applicableProducts || [];
+  if (productId && products.length > 0 && !products.some((id) => id.equals(productId))) {
+    throw promotionError('Promotion code does not apply to this product', 400);
+  }
+
+  if (orderValue !== undefined && orderValue < promotion.minOrderValue) {
+    throw promotionError(`Promotion code needs an order of at least ₹${promotion.minOrderValue}`, 400);
+  }
+
+  if (promotion.maxRedemptions && promotion.redemptionCount >= promotion.maxRedemptions) {
+    throw promotionError('Promotion code has been fully redeemed', 400);
+  }
+  if (promotion.perUserLimit && userId) {
+    const used = await PromotionRedemption.countDocuments({
+      promotion: promotion._id,
+      user: userId,
+      status: 'applied',
+    });
+    if (used >= promotion.perUserLimit) {
+      throw promotionError('You have already used this promotion code', 400);
+    }
+  }
+
+  return promotion;
+};
+
+/**
+ * Records the use of a promotion on an order. Calling it again for the same order
+ * only updates the amounts, so re-priced orders don't use the code twice.
+ * @param {object} params
+ * @param {string} params.code - Promotion code, as returned in the quote.
+ * @param {string} [params.userId] - Customer using the code.
+ * @param {string} params.orderId - rentalId or checkout tracking ID.
+ * @param {number} params.orderValue - Charge the code was applied to.
+ * @param {number} params.discountAmount - Amount taken off by the code.
+ * @returns {Promise<object>} The redemption.
+ */
+const redeemPromotion = async ({ code, userId, orderId, orderValue, discountAmount }) => {
+  const promotion = await Promotion.findOne({ code });
+  if (!promotion) throw promotionError('Promotion code is not valid', 400);
+
+  const existing = await PromotionRedemption.findOne({
+    promotion: promotion._id,
+    orderId: String(orderId),
+    status: 'applied',
+  });
+  if (existing) {
+    existing.orderValue = round(orderValue);
+    existing.discountAmount = round(discountAmount);
+    return existing.save();
+  }
+
+  // Only counts the use if the global cap still has room
+  const claimed = await Promotion.findOneAndUpdate(
+    {
+      _id: promotion._id,
+      $or: [
+        { maxRedemptions: { $exists: false } },
+        { maxRedemptions: null },
+        { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } },
+      ],
+    },
+    { $inc: { redemptionCount: 1 } },
+    { new: true }
+  );
+  if (!claimed) throw promotionError('Promotion code has been fully redeemed', 409);
+
+  return PromotionRedemption.create({
+    promotion: promotion._id,
+    code: promotion.code,
+    user: userId,
+    orderId: String(orderId),
+    orderValue: round(orderValue),
+    discountAmount: round(discountAmount),
+  });
+};
+
+/**
+ * Gives back the promotion uses of an order that was cancelled, rejected or deleted.
+ * @param {string} orderId - rentalId or checkout tracking ID.
+ */
+const reverseRedemptions = async (orderId) => {
+  const redemptions = await PromotionRedemption.find({ orderId: String(orderId), status: 'applied' });
+  for (const redemption of redemptions) {
+    // Guarded so a concurrent reversal can't decrement the count twice
+    const reversed = await PromotionRedemption.findOneAndUpdate(
+      { _id: redemption._id, status: 'applied' },
+      { $set: { status: 'reversed' } }
+    );
+    if (reversed) {
+      await Promotion.updateOne({ _id: redemption.promotion }, { $inc: { redemptionCount: -1 } });
+    }
+  }
+};
+
+/**
+ * Usage and revenue impact per promotion, counting applied redemptions only.
+ * @returns {Promise<Array<object>>}
+ */
+const getPromotionUsage = () =>
+  PromotionRedemption.aggregate([
+    { $match: { status: 'applied' } },
+    {
+      $group: {
+        _id: '$promotion',
+        code: { $first: '$code' },
+        redemptions: { $sum: 1 },
+        customers: { $addToSet: '$user' },
+        orderValue: { $sum: '$orderValue' },
+        discountAmount: { $sum: '$discountAmount' },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        promotionId: '$_id',
+        code: 1,
+        redemptions: 1,
+        customers: { $size: '$customers' },
+        orderValue: { $round: ['$orderValue', 2] },
+        discountAmount: { $round: ['$discountAmount', 2] },
+        revenue: { $round: [{ $subtract: ['$orderValue', '$discountAmount'] }, 2] },
+      },
+    },
+    { $sort: { redemptions: -1 } },
+  ]);
+
+module.exports = {
+  validatePromotion,
+  redeemPromotion,
+  reverseRedemptions,
+  getPromotionUsage,
+};
@@ -0,0 +1,208 @@
+const { parseWindow } = require('./availabilityService');
+const { validatePromotion, redeemPromotion } = require('./promotionService');
+const { getRulesBetween, adjustmentFor } = require('./seasonalPricingService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Length of one billing unit and its price relative to rentalPricePerDay
+const RATE_UNITS = {
+  hourly: { ms: HOUR_MS, days: 1 / 24 },
+  daily: { ms: DAY_MS, days: 1 },
+  weekly: { ms: 7 * DAY_MS, days: 7 },
+  monthly: { ms: 30 * DAY_MS, days: 30 },
+};
+
+// Percentage off the rental charge for each loyalty tier
+const LOYALTY_DISCOUNTS = {
+  bronze: 0,
+  silver: 5,
+  gold: 10,
+  platinum: 15,
+};
+
+const quoteError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Billing unit to use: the requested one, or daily/the first offered option by default
+const pickRateUnit = (product, rentalDuration) => {
+  const options = product.rentalDurationOptions || [];
+  if (!rentalDuration) return options.includes('daily') ? 'daily' : options[0] || 'daily';
+
+  if (!RATE_UNITS[rentalDuration]) {
+    throw quoteError('Invalid rental duration', 400);
+  }
+  if (options.length > 0 && !options.includes(rentalDuration)) {
+    throw quoteError(`This product cannot be rented ${rentalDuration}`, 400);
+  }
+  return rentalDuration;
+};
+
+/**
+ * Prices a rental. Everything that charges for a rental goes through here so the
+ * amount charged always matches the quote shown to the customer.
+ *
+ * Adjustments are applied one after the other: seasonal, then promotion, then loyalty.
+ * Each seasonal rule (a discount or an increase) changes only the share of the subtotal
+ * for the part of the window it covers, listed in seasonal.segments; days no rule covers
+ * keep the base rate. The deposit is refundable and kept out of the rental total.
+ *
+ * @param {object} params
+ * @param {object} params.product - RentProduct document.
+ * @param {object} [params.user] - User document, used for the loyalty discount.
+ * @param {number} [params.quantity=1] - Units rented.
+ * @param {string|Date} params.startDate - Start of the rental window.
+ * @param {string|Date} params.endDate - End of the rental window.
+ * @param {string} [params.rentalDuration] - Billing unit (hourly, daily, weekly, monthly).
+ * @param {string} [params.promoCode] - Optional promotion code.
+ * @param {string} [params.orderId] - Rental being re-priced, so its own promotion use isn't counted.
+ * @returns {Promise<object>} Itemized quote.
+ */
+const quoteRental = async ({ product, user, quantity = 1, startDate, endDate, rentalDuration, promoCode, orderId }) => {
+  const { start, end } = parseWindow(startDate, endDate);
+
+  quantity = Number(quantity);
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw quoteError('Quantity must be a positive whole number', 400);
+  }
+
+  const days = (end - start) / DAY_MS;
+  if (product.maxRentalDuration && days > product.maxRentalDuration) {
+    throw quoteError(`This product can be rented for at most ${product.maxRentalDuration} days`, 400);
+  }
+
+  const rateUnit = pickRateUnit(product, rentalDuration);
+  const rate = round(product.rentalPricePerDay * RATE_UNITS[rateUnit].days);
+  const units = Math.ceil((end - start) / RATE_UNITS[rateUnit].ms);
+  const subtotal = round(rate * units * quantity);
+
+  let running = subtotal;
+
+  let seasonal = null;
+  const rules = await getRulesBetween(product._id, start, end);
+  if (rules.length > 0) {
+    const segments = rules.map((rule) => {
+      const from = new Date(Math.max(rule.startDate.getTime(), start.getTime()));
+      const to = new Date(Math.min(rule.endDate.getTime(), end.getTime()));
+      const appliedTo = round(subtotal * ((to - from) / (end - start)));
+      return {
+        season: rule.season,
+        type: rule.adjustmentType,
+        percentage: rule.percentage,
+        startDate: from,
+        endDate: to,
+        appliedTo, // Share of the subtotal for this part of the window
+        amount: adjustmentFor(rule, appliedTo),
+      };
+    });
+    seasonal = { amount: round(segments.reduce((sum, segment) => sum + segment.amount, 0)), segments };
+    running += seasonal.amount;
+  }
+
+  let promotion = null;
+  if (promoCode) {
+    const promo = await validatePromotion({
+      code: promoCode,
+      productId: product._id,
+      userId: user?._id,
+      orderValue: running,
+      orderId,
+    });
+    const amount = round(running * (promo.discountPercentage / 100));
+    promotion = {
+      code: promo.code,
+      percentage: promo.discountPercentage,
+      amount: -amount,
+      appliedTo: round(running), // Charge the code was applied to
+    };
+    running -= amount;
+  }
+
+  let loyalty = null;
+  const loyaltyPercentage = user ? LOYALTY_DISCOUNTS[user.loyaltyTier] || 0 : 0;
+  if (loyaltyPercentage > 0) {
+    const amount = round(running * (loyaltyPercentage / 100));
+    loyalty = { tier: user.loyaltyTier, percentage: loyaltyPercentage, amount: -amount };
+    running -= amount;
+  }
+
+  const total = round(running);
+  const deposit = round((product.depositAmount || 0) * quantity);
+
+  return {
+    productId: product._id,
+    quantity,
+    startDate: start,
+    endDate: end,
+    rateUnit,
+    rate,
+    units,
+    subtotal,
+    seasonal,
+    promotion,
+    loyalty,
+    discount: round(subtotal - total),
+    total,
+    deposit,
+    amountDue: round(total + deposit),
+  };
+};
+
+/**
+ * Maps a quote onto the priceBreakdown stored on a RentalOrder.
+ * @param {object} quote - Result of quoteRental.
+ * @returns {object}
+ */
+const toPriceBreakdown = (quote) => ({
+  rateUnit: quote.rateUnit,
+  rate: quote.rate,
+  units: quote.units,
+  subtotal: quote.subtotal,
+  seasonalAdjustment: quote.seasonal ? quote.seasonal.amount : 0,
+  seasonalSegments: quote.seasonal
+    ? quote.seasonal.segments.map(({ season, type, percentage, startDate, endDate, amount }) => ({
+        season,
+        type,
+        percentage,
+        startDate,
+        endDate,
+        amount,
+      }))
+    : [],
+  promoCode: quote.promotion ? quote.promotion.code : undefined,
+  promotionDiscount: quote.promotion ? -quote.promotion.amount : 0,
+  loyaltyDiscount: quote.loyalty ? -quote.loyalty.amount : 0,
+  discount: quote.discount,
+  total: quote.total,
+});
+
+/**
+ * Records the use of the quote's promotion code, if it has one, against an order.
+ * @param {object} quote - Result of quoteRental.
+ * @param {object} params
+ * @param {string} [params.userId] - Customer using the code.
+ * @param {string} params.orderId - rentalId or checkout tracking ID.
+ */
+const redeemQuotePromotion = (quote, { userId, orderId }) => {
+  if (!quote.promotion) return null;
+  return redeemPromotion({
+    code: quote.promotion.code,
+    userId,
+    orderId,
+    orderValue: quote.promotion.appliedTo,
+    discountAmount: -quote.promotion.amount,
+  });
+};
+
+module.exports = {
+  RATE_UNITS,
+  LOYALTY_DISCOUNTS,
+  quoteRental,
+  toPriceBreakdown,
+  redeemQuotePromotion,
+};
@@ -0,0 +1,161 @@
+const RentalOrder = require('../../model/rent/rentalOrder');
+const RentProduct = require('../../model/rent/rentProduct');
+const { releaseReservation } = require('./availabilityService');
+const { reverseRedemptions } = require('./promotionService');
+const { computeLateFee } = require('./overdueService');
+
+/**
+ * Allowed rental status transitions.
+ *
+ *   requested -> approved -> picked_up -> returned -> inspected -> closed
+ *       |            |
+ *       |            +-> cancelled
+ *       +-> rejected / cancelled
+ */
+const TRANSITIONS = {
+  requested: ['approved', 'rejected', 'cancelled'],
+  approved: ['picked_up', 'cancelled'],
+  picked_up: ['returned'],
+  returned: ['inspected'],
+  inspected: ['closed'],
+  closed: [],
+  rejected: [],
+  cancelled: [],
+};
+
+const RENTAL_STATUSES = Object.keys(TRANSITIONS);
+
+// Statuses in which the rented units are physically with the renter
+const UNITS_OUT_STATUSES = ['picked_up'];
+
+const lifecycleError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+// Move `delta` units in or out of the product's rented count and keep the status flag in sync
+const adjustRentedQuantity = async (productId, delta) => {
+  const product = await RentProduct.findByIdAndUpdate(
+    productId,
+    { $inc: { rentedQuantity: delta } },
+    { new: true }
+  );
+  if (!product || product.availabilityStatus === 'maintenance') return product;
+
+  const availabilityStatus = product.rentedQuantity >= product.stock ? 'rented' : 'available';
+  if (availabilityStatus !== product.availabilityStatus) {
+    product.availabilityStatus = availabilityStatus;
+    await product.save();
+  }
+  return product;
+};
+
+// Statuses in which a rental no longer uses anything it booked
+const ENDED_UNUSED_STATUSES = ['rejected', 'cancelled'];
+
+// Gives back the promotion uses of a rental, and those of its checkout once none of the
+// checkout's other rentals is still going ahead
+const reverseRentalRedemptions = async (rental) => {
+  await reverseRedemptions(rental.rentalId);
+  if (!rental.checkoutId) return;
+
+  const stillBooked = await RentalOrder.exists({
+    checkoutId: rental.checkoutId,
+    _id: { $ne: rental._id },
+    status: { $nin: ENDED_UNUSED_STATUSES },
+  });
+  if (!stillBooked) await reverseRedemptions(rental.checkoutId);
+};
+
+// Inventory and promotion side effects, keyed by the status being entered. Each runs once per
+// rental because the guarded update below lets only one caller enter a status.
+const EFFECTS = {
+  picked_up: (rental) => adjustRentedQuantity(rental.product, rental.quantity),
+  returned: async (rental) => {
+    const product = await adjustRentedQuantity(rental.product, -rental.quantity);
+    // Returning early frees the rest of the booked window
+    await releaseReservation(rental.rentalId);
+    // Final late fee, deducted from the deposit at inspection
+    rental.lateFee = computeLateFee(rental, product, rental.returnDate);
+    await RentalOrder.updateOne({ _id: rental._id }, { $set: { lateFee: rental.lateFee } });
+  },
+  rejected: async (rental) => {
+    await releaseReservation(rental.rentalId);
+    await reverseRentalRedemptions(rental);
+  },
+  cancelled: async (rental) => {
+    await releaseReservation(rental.rentalId);
+    await reverseRentalRedemptions(rental);
+  },
+};
+
+/**
+ * Moves a rental to a new status, recording who made the change and why.
+ * @param {string} rentalId - Rental to update.
+ * @param {string} to - Target status.
+ * @param {object} [options]
+ * @param {string} [options.actor] - Id of the user making the change.
+ * @param {string} [options.reason] - Free-text reason stored in the history.
+ * @param {object} [options.set] - Extra fields to set together with the status.
+ * @returns {Promise<object>} The updated rental.
+ */
+const transitionRental = async (rentalId, to, { actor, reason, set = {} } = {}) => {
+  if (!RENTAL_STATUSES.includes(to)) {
+    throw lifecycleError(`Unknown rental status "${to}"`, 400);
+  }
+
+  const rental = await RentalOrder.findOne({ rentalId });
+  if (!rental) throw lifecycleError('Rental not found', 404);
+
+  const from = rental.status;
+  if (!canTransition(from, to)) {
+    throw lifecycleError(`Cannot change rental from "${from}" to "${to}"`, 409);
+  }
+
+  const now = new Date();
+  if (to === 'returned' || to === 'cancelled') set.returnDate = set.returnDate || now;
+  // The deposit is collected with the units and held until the return is inspected
+  if (to === 'picked_up') {
+    set['deposit.status'] = 'held';
+    set['deposit.heldAt'] = now;
+  }
+
+  // Only succeeds if nobody changed the status since we read it
+  const updated = await RentalOrder.findOneAndUpdate(
+    { rentalId, status: from },
+    {
+      $set: { ...set, status: to },
+      $push: { statusHistory: { from, status: to, changedAt: now, changedBy: actor, reason } },
+    },
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    throw lifecycleError('Rental was updated by someone else, please retry', 409);
+  }
+
+  if (EFFECTS[to]) await EFFECTS[to](updated);
+  return updated;
+};
+
+/**
+ * Undoes the inventory and promotion use held by a rental that is being deleted outright.
+ * @param {object} rental - RentalOrder document.
+ */
+const releaseRentalInventory = async (rental) => {
+  if (UNITS_OUT_STATUSES.includes(rental.status)) {
+    await adjustRentedQuantity(rental.product, -rental.quantity);
+  }
+  await releaseReservation(rental.rentalId);
+  await reverseRentalRedemptions(rental);
+};
+
+module.exports = {
+  TRANSITIONS,
+  RENTAL_STATUSES,
+  canTransition,
+  transitionRental,
+  releaseRentalInventory,
+};
@@ -0,0 +1,92 @@
+const SeasonalPricing = require('../../model/rent/seasonalPricing');
+
+const seasonalError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Finds a rule of the same product whose window overlaps [start, end).
+ * @param {string} productId - Product the rule belongs to.
+ * @param {Date} start - Start of the window.
+ * @param {Date} end - End of the window.
+ * @param {string} [excludeId] - Rule being updated, ignored in the check.
+ * @returns {Promise<object|null>}
+ */
+const findOverlappingRule = (productId, start, end, excludeId) => {
+  const filter = {
+    product: productId,
+    startDate: { $lt: end },
+    endDate: { $gt: start },
+  };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return SeasonalPricing.findOne(filter);
+};
+
+/**
+ * Validates a rule's window and rejects it if another rule of the product overlaps it.
+ * @param {object} rule - Unsaved or modified SeasonalPricing document.
+ */
+const assertRuleFits = async (rule) => {
+  if (!(rule.startDate < rule.endDate)) {
+    throw seasonalError('End date must be after start date', 400);
+  }
+
+  const overlapping = await findOverlappingRule(rule.product, rule.startDate, rule.endDate, rule._id);
+  if (overlapping) {
+    throw seasonalError(
+      `Overlaps the ${overlapping.season} rule from ${overlapping.startDate.toISOString().slice(0, 10)} ` +
+        `to ${overlapping.endDate.toISOString().slice(0, 10)}`,
+      409
+    );
+  }
+};
+
+/**
+ * The rule in effect for a product at a given moment, if any.
+ * @param {string} productId - Product to look up.
+ * @param {Date} [at] - Moment to check, defaults to now.
+ * @returns {Promise<object|null>}
+ */
+const getActiveRule = (productId, at = new Date()) =>
+  SeasonalPricing.findOne({
+    product: productId,
+    startDate: { $lte: at },
+    endDate: { $gt: at },
+  });
+
+/**
+ * The rules of a product in effect at any point of [start, end), earliest first.
+ * @param {string} productId - Product to look up.
+ * @param {Date} start - Start of the window.
+ * @param {Date} end - End of the window.
+ * @returns {Promise<object[]>}
+ */
+const getRulesBetween = (productId, start, end) =>
+  SeasonalPricing.find({
+    product: productId,
+    startDate: { $lt: end },
+    endDate: { $gt: start },
+  }).sort({ startDate: 1 });
+
+/**
+ * Signed change a rule makes to an amount: negative for discounts, positive for increases.
+ * @param {object} rule - SeasonalPricing document.
+ * @param {number} amount - Amount the rule applies to.
+ * @returns {number}
+ */
+const adjustmentFor = (rule, amount) => {
+  const change = round(amount * (rule.percentage / 100));
+  return rule.adjustmentType === 'increase' ? change : -change;
+};
+
+module.exports = {
+  findOverlappingRule,
+  assertRuleFits,
+  getActiveRule,
+  getRulesBetween,
+  adjustmentFor,
+};
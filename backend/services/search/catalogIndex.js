@@ -0,0 +1,69 @@
+const Product = require('../../model/shop/product');
+const Category = require('../../model/shop/category');
+const Brand = require('../../model/shop/brand');
+const RentProduct = require('../../model/rent/rentProduct');
+const AgriProduct = require('../../model/AgriProduct');
+const { SYNONYM_GROUPS } = require('./synonyms');
+
+// How long the catalog names are reused before they are read again
+const CATALOG_INDEX_TTL_MS = 10 * 60 * 1000;
+
+let index = null;
+let indexLoadedAt = 0;
+
+/**
+ * Splits text into lowercase search words.
+ * @param {string} text
+ * @returns {string[]}
+ */
+const tokenize = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+const entry = (type, catalog, name, id) => ({ type, catalog, name, id, words: tokenize(name) });
+
+/**
+ * Names of every product, brand and category across the catalogs, read at most once every
+ * CATALOG_INDEX_TTL_MS. Spelling correction and suggestions work from this instead of
+ * querying each time.
+ * @returns {Promise<{entries: object[], words: Set<string>}>} entries are
+ *   {type: product|brand|category, catalog, name, id, words}; words is every word of three
+ *   letters or more, plus the synonyms.
+ */
+const loadCatalogIndex = async () => {
+  if (index && Date.now() - indexLoadedAt < CATALOG_INDEX_TTL_MS) return index;
+
+  const [products, categories, brands, rentProducts, listings] = await Promise.all([
+    Product.find().select('name').lean(),
+    Category.find().select('name').lean(),
+    Brand.find().select('name').lean(),
+    RentProduct.find().select('name category').lean(),
+    AgriProduct.find().select('productName productType').lean(),
+  ]);
+
+  const rentCategories = [...new Set(rentProducts.flatMap((product) => product.category || []))];
+  const listingTypes = [...new Set(listings.map((listing) => listing.productType).filter(Boolean))];
+  const entries = [
+    ...products.map((product) => entry('product', 'shop', product.name, product._id)),
+    ...rentProducts.map((product) => entry('product', 'rent', product.name, product._id)),
+    ...listings.filter((listing) => listing.productName).map((listing) => entry('product', 'listings', listing.productName, listing._id)),
+    ...brands.map((brand) => entry('brand', 'shop', brand.name, brand._id)),
+    ...categories.map((category) => entry('category', 'shop', category.name, category._id)),
+    ...rentCategories.map((name) => entry('category', 'rent', name)),
+    ...listingTypes.map((name) => entry('category', 'listings', name)),
+  ];
+
+  const words = new Set(
+    [...entries.flatMap((item) => item.words), ...SYNONYM_GROUPS.flat()].filter((word) => word.length >= 3)
+  );
+  index = { entries, words };
+  indexLoadedAt = Date.now();
+  return index;
+};
+
+module.exports = {
+  tokenize,
+  loadCatalogIndex,
+};
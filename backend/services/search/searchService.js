@@ -0,0 +1,355 @@
+const Product = require('../../model/shop/product');
+const RentProduct = require('../../model/rent/rentProduct');
+const AgriProduct = require('../../model/AgriProduct');
+const { synonymsOf } = require('./synonyms');
+const { correctSpelling } = require('./spelling');
+const { tokenize } = require('./catalogIndex');
+
+// Lower bounds of the price facet buckets, in rupees; the last bucket has no upper bound
+const PRICE_BUCKETS = [0, 500, 1000, 5000, 10000, 50000];
+// Rating facet: products rated at least this much
+const RATING_STEPS = [4, 3, 2, 1];
+
+const MAX_LIMIT = 50;
+const MAX_TERMS = 10;
+
+const searchError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * The searchable catalogs. Each maps its documents onto the same `_search` fields, so
+ * filters, facets and ranking work alike for all of them:
+ *   name, categories, brand, price, rating, available and createdAt.
+ */
+const CATALOGS = {
+  // Shop products, shaped as if category, brand, variants and seller were populated
+  shop: {
+    model: Product,
+    nameField: 'name',
+    stages: [
+      { $lookup: { from: 'variants', localField: 'variants', foreignField: '_id', as: 'variants' } },
+      { $lookup: { from: 'categories', localField: 'category', foreignField: '_id', as: 'category' } },
+      { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+      { $lookup: { from: 'brands', localField: 'brand', foreignField: '_id', as: 'brand' } },
+      { $unwind: { path: '$brand', preserveNullAndEmptyArrays: true } },
+      {
+        $lookup: {
+          from: 'sellers',
+          let: { seller: '$seller' },
+          pipeline: [{ $match: { $expr: { $eq: ['$_id', '$$seller'] } } }, { $project: { name: 1 } }],
+          as: 'seller',
+        },
+      },
+      { $unwind: { path: '$seller', preserveNullAndEmptyArrays: true } },
+      {
+        $lookup: {
+          from: 'reviews',
+          let: { product: '$_id' },
+          pipeline: [{ $match: { $expr: { $eq: ['$product', '$$product'] } } }, { $project: { rating: 1 } }],
+          as: 'ratings',
+        },
+      },
+      {
+        $addFields: {
+          '_search.name': '$name',
+          '_search.categories': { $cond: [{ $ifNull: ['$category.name', false] }, ['$category.name'], []] },
+          '_search.brand': { $ifNull: ['$brand.name', null] },
+          // Cheapest variant after the product offer
+          '_search.price': {
+            $round: [
+              {
+                $multiply: [
+                  { $min: '$variants.price' },
+                  { $subtract: [1, { $divide: [{ $ifNull: ['$offer', 0] }, 100] }] },
+                ],
+              },
+              2,
+            ],
+          },
+          '_search.rating': { $ifNull: [{ $avg: '$ratings.rating' }, 0] },
+          '_search.available': { $gt: [{ $sum: '$variants.stock' }, 0] },
+          '_search.createdAt': '$createdAt',
+        },
+      },
+      { $project: { ratings: 0 } },
+    ],
+  },
+  // AgroRent equipment, priced per day
+  rent: {
+    model: RentProduct,
+    nameField: 'name',
+    stages: [
+      {
+        $addFields: {
+          '_search.name': '$name',
+          '_search.categories': { $ifNull: ['$category', []] },
+          '_search.brand': null,
+          '_search.price': '$rentalPricePerDay',
+          '_search.rating': { $ifNull: ['$rating', 0] },
+          '_search.available': {
+            $and: [
+              { $eq: ['$availabilityStatus', 'available'] },
+              { $lt: [{ $ifNull: ['$rentedQuantity', 0] }, { $ifNull: ['$stock', 1] }] },
+            ],
+          },
+          '_search.createdAt': '$createdAt',
+        },
+      },
+    ],
+  },
+  // Listings farmers post to rent, lease or sell
+  listings: {
+    model: AgriProduct,
+    nameField: 'productName',
+    stages: [
+      {
+        $addFields: {
+          '_search.name': '$productName',
+          '_search.categories': { $cond: [{ $ifNull: ['$productType', false] }, ['$productType'], []] },
+          '_search.brand': null,
+          '_search.price': '$price',
+          '_search.rating': 0,
+          '_search.available': { $ifNull: ['$isAvailable', true] },
+          '_search.createdAt': '$postedDate',
+        },
+      },
+    ],
+  },
+};
+
+const SORTS = {
+  relevance: { '_search.score': -1, _id: 1 },
+  price_asc: { '_search.price': 1, _id: 1 },
+  price_desc: { '_search.price': -1, _id: 1 },
+  rating: { '_search.rating': -1, '_search.score': -1, _id: 1 },
+  newest: { '_search.createdAt': -1, _id: 1 },
+};
+
+const list = (value) =>
+  (Array.isArray(value) ? value : String(value).split(','))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+const number = (value, name) => {
+  const parsed = Number(value);
+  if (Number.isNaN(parsed)) throw searchError(`${name} must be a number`, 400);
+  return parsed;
+};
+
+// One $match per filter, keyed by the facet it narrows
+const buildFilters = ({ category, brand, minPrice, maxPrice, minRating, available }) => {
+  const filters = {};
+  if (category) filters.category = { '_search.categories': { $in: list(category) } };
+  if (brand) filters.brand = { '_search.brand': { $in: list(brand) } };
+
+  const price = {};
+  if (minPrice !== undefined && minPrice !== '') price.$gte = number(minPrice, 'minPrice');
+  if (maxPrice !== undefined && maxPrice !== '') price.$lte = number(maxPrice, 'maxPrice');
+  if (Object.keys(price).length > 0) filters.price = { '_search.price': price };
+
+  if (minRating) filters.rating = { '_search.rating': { $gte: number(minRating, 'minRating') } };
+  if (available !== undefined && available !== '') {
+    filters.availability = { '_search.available': available === true || available === 'true' };
+  }
+  return filters;
+};
+
+// Every filter but one: a facet counts what choosing each of its values would show
+const matchExcept = (filters, facet) => ({
+  $match: { $and: [{}, ...Object.entries(filters).filter(([key]) => key !== facet).map(([, filter]) => filter)] },
+});
+
+const countBy = (field) => [
+  { $group: { _id: field, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: 50 },
+];
+
+/**
+ * Works out what to search for: the query words, with misspellings corrected and synonyms added.
+ * @param {string} text - Query as typed.
+ * @returns {Promise<{terms: string[], searchTerms: string[], correctedQuery: string|null}>}
+ *   terms are the corrected words, searchTerms everything to look for.
+ */
+const analyzeQuery = async (text) => {
+  const typed = tokenize(text).slice(0, MAX_TERMS);
+  if (typed.length === 0) return { terms: [], searchTerms: [], correctedQuery: null };
+
+  const { terms, corrected } = await correctSpelling(typed);
+  // Keep the words as typed too, in case the correction guessed wrong
+  const searchTerms = [...new Set([...typed, ...terms].flatMap(synonymsOf))];
+  return { terms, searchTerms, correctedQuery: corrected ? terms.join(' ') : null };
+};
+
+// How a query narrows the catalog: full-text, or word prefixes on the name when full-text
+// finds nothing (e.g. "trac" while someone is still typing)
+const queryStages = (catalog, { mode, searchTerms, text }) => {
+  if (mode === 'none') {
+    return [{ $match: {} }, { $addFields: { '_search.textScore': 0 } }];
+  }
+  const match =
+    mode === 'text'
+      ? { $text: { $search: searchTerms.join(' ') } }
+      : {
+          $or: searchTerms.map((term) => ({
+            [catalog.nameField]: { $regex: `(^|\\s)${escapeRegex(term)}`, $options: 'i' },
+          })),
+        };
+  return [
+    { $match: match },
+    { $addFields: { '_search.textScore': mode === 'text' ? { $meta: 'textScore' } : 1 } },
+    { $addFields: { '_search.query': escapeRegex(text.trim()) } },
+  ];
+};
+
+// Relevance: the text match, then names starting with the query, then rating and availability
+const scoreStage = (hasQuery) => ({
+  $addFields: {
+    '_search.score': {
+      $add: [
+        '$_search.textScore',
+        hasQuery
+          ? {
+              $cond: [
+                {
+                  $regexMatch: {
+                    input: { $ifNull: ['$_search.name', ''] },
+                    regex: { $concat: ['^', '$_search.query'] },
+                    options: 'i',
+                  },
+                },
+                2,
+                0,
+              ],
+            }
+          : 0,
+        { $multiply: [{ $ifNull: ['$_search.rating', 0] }, 0.3] },
+        { $cond: ['$_search.available', 0.5, 0] },
+      ],
+    },
+  },
+});
+
+const runSearch = async (catalog, { mode, searchTerms, text, filters, sort, page, limit }) => {
+  const all = matchExcept(filters);
+  const [result] = await catalog.model.aggregate([
+    ...queryStages(catalog, { mode, searchTerms, text }),
+    ...catalog.stages,
+    scoreStage(mode !== 'none'),
+    {
+      $facet: {
+        results: [all, { $sort: SORTS[sort] }, { $skip: (page - 1) * limit }, { $limit: limit }, { $project: { _search: 0 } }],
+        total: [all, { $count: 'count' }],
+        categories: [matchExcept(filters, 'category'), { $unwind: '$_search.categories' }, ...countBy('$_search.categories')],
+        brands: [matchExcept(filters, 'brand'), { $match: { '_search.brand': { $ne: null } } }, ...countBy('$_search.brand')],
+        prices: [
+          matchExcept(filters, 'price'),
+          { $match: { '_search.price': { $type: 'number' } } },
+          {
+            $bucket: {
+              groupBy: '$_search.price',
+              boundaries: PRICE_BUCKETS,
+              default: PRICE_BUCKETS[PRICE_BUCKETS.length - 1],
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+        ratings: [
+          matchExcept(filters, 'rating'),
+          {
+            $group: {
+              _id: null,
+              ...Object.fromEntries(
+                RATING_STEPS.map((step) => [
+                  `atLeast${step}`,
+                  { $sum: { $cond: [{ $gte: ['$_search.rating', step] }, 1, 0] } },
+                ])
+              ),
+            },
+          },
+        ],
+        availability: [matchExcept(filters, 'availability'), ...countBy('$_search.available')],
+      },
+    },
+  ]);
+  return result;
+};
+
+const toFacets = (raw) => ({
+  categories: raw.categories.map(({ _id, count }) => ({ value: _id, count })),
+  brands: raw.brands.map(({ _id, count }) => ({ value: _id, count })),
+  price: raw.prices.map(({ _id, count }) => ({
+    min: _id,
+    max: PRICE_BUCKETS[PRICE_BUCKETS.indexOf(_id) + 1] ?? null,
+    count,
+  })),
+  rating: RATING_STEPS.map((step) => ({ min: step, count: raw.ratings[0]?.[`atLeast${step}`] || 0 })),
+  availability: {
+    available: raw.availability.find((row) => row._id === true)?.count || 0,
+    unavailable: raw.availability.find((row) => row._id === false)?.count || 0,
+  },
+});
+
+/**
+ * Searches one catalog, ranked by relevance, with facet counts for narrowing the results.
+ * Misspelled words are corrected against the catalog, synonyms such as "paddy"/"rice" are
+ * searched together, and partial words match the start of names.
+ * @param {string} catalogName - shop, rent or listings.
+ * @param {object} [params]
+ * @param {string} [params.q] - What to search for; without it the whole catalog is listed.
+ * @param {string|string[]} [params.category] - Category names, comma separated.
+ * @param {string|string[]} [params.brand] - Brand names, comma separated.
+ * @param {number} [params.minPrice]
+ * @param {number} [params.maxPrice]
+ * @param {number} [params.minRating]
+ * @param {boolean|string} [params.available] - Only what is (true) or isn't (false) available.
+ * @param {string} [params.sort] - relevance, price_asc, price_desc, rating or newest.
+ * @param {number} [params.page] - 1-based page.
+ * @param {number} [params.limit] - Results per page.
+ * @returns {Promise<{results: object[], total: number, page: number, pages: number, facets: object,
+ *   query: {text: string, correctedQuery: string|null, terms: string[]}}>}
+ */
+const search = async (catalogName, { q = '', sort, page = 1, limit = 20, ...filterParams } = {}) => {
+  const catalog = CATALOGS[catalogName];
+  if (!catalog) throw searchError(`Unknown catalog "${catalogName}"`, 404);
+
+  const text = String(q).slice(0, 200);
+  const { terms, searchTerms, correctedQuery } = await analyzeQuery(text);
+  const hasQuery = searchTerms.length > 0;
+
+  sort = sort || (hasQuery ? 'relevance' : 'newest');
+  if (!SORTS[sort]) throw searchError(`Sort must be one of: ${Object.keys(SORTS).join(', ')}`, 400);
+  if (sort === 'relevance' && !hasQuery) sort = 'newest';
+
+  page = Math.max(Number(page) || 1, 1);
+  limit = Math.min(Math.max(Number(limit) || 20, 1), MAX_LIMIT);
+
+  const params = { searchTerms, text, filters: buildFilters(filterParams), sort, page, limit };
+  let result = await runSearch(catalog, { ...params, mode: hasQuery ? 'text' : 'none' });
+  if (hasQuery && result.total.length === 0) {
+    result = await runSearch(catalog, { ...params, mode: 'prefix' });
+  }
+
+  const total = result.total[0]?.count || 0;
+  return {
+    results: result.results,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    facets: toFacets(result),
+    query: { text, correctedQuery, terms },
+  };
+};
+
+module.exports = {
+  CATALOGS,
+  SORTS,
+  PRICE_BUCKETS,
+  analyzeQuery,
+  search,
+};
@@ -0,0 +1,65 @@
+const { loadCatalogIndex } = require('./catalogIndex');
+
+// Damerau-Levenshtein distance (optimal string alignment), giving up once it passes `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const next = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        next[j] = Math.min(next[j], previousRow[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, next[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = next;
+  }
+  return row[b.length];
+};
+
+// Typos allowed for a word of this length; short words must be spelled right
+const allowedEdits = (word) => (word.length < 4 ? 0 : word.length < 8 ? 1 : 2);
+
+/**
+ * Replaces misspelled words of a query with the closest catalog word. Words that are in the
+ * catalog, or start one, are kept as typed.
+ * @param {string[]} terms - Lowercase query words.
+ * @returns {Promise<{terms: string[], corrected: boolean}>}
+ */
+const correctSpelling = async (terms) => {
+  const { words } = await loadCatalogIndex();
+  let corrected = false;
+
+  const result = terms.map((term) => {
+    const max = allowedEdits(term);
+    if (max === 0 || words.has(term)) return term;
+
+    let best = null;
+    let bestDistance = max + 1;
+    for (const word of words) {
+      if (word.startsWith(term)) return term;
+      const distance = editDistance(term, word, max);
+      // Ties go to the word sharing the first letter, which is rarely the one mistyped
+      if (distance < bestDistance || (distance === bestDistance && best[0] !== term[0] && word[0] === term[0])) {
+        best = word;
+        bestDistance = distance;
+      }
+    }
+    if (!best) return term;
+    corrected = true;
+    return best;
+  });
+
+  return { terms: result, corrected };
+};
+
+module.exports = {
+  editDistance,
+  correctSpelling,
+};
@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const SearchQuery = require('../../model/searchQuery');
+const { tokenize, loadCatalogIndex } = require('./catalogIndex');
+
+const SUGGESTIONS_PER_GROUP = 5;
+// Popular queries are counted over this many days and recounted at most every POPULAR_TTL_MS
+const POPULAR_DAYS = 30;
+const POPULAR_TTL_MS = 5 * 60 * 1000;
+
+let popular = null;
+let popularLoadedAt = 0;
+
+const searchError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// The lowercase words of a query, as logged and suggested back
+const normalizeQuery = (text) => tokenize(text).join(' ');
+
+// True when every query word starts a word of the name ("john tra" matches "John Deere Tractor")
+const matchesPrefix = (words, queryWords) =>
+  queryWords.every((queryWord) => words.some((word) => word.startsWith(queryWord)));
+
+// Names starting with the whole query first, then the shortest
+const byRelevance = (query) => (a, b) =>
+  Number(!a.name.toLowerCase().startsWith(query)) - Number(!b.name.toLowerCase().startsWith(query)) ||
+  a.name.length - b.name.length ||
+  a.name.localeCompare(b.name);
+
+/**
+ * Records a search, unless it was empty.
+ * @param {object} search
+ * @param {string} search.text - Query as typed.
+ * @param {string} search.catalog - shop, rent or listings.
+ * @param {number} search.resultCount - How many results it found.
+ * @param {string} [search.correctedQuery] - The query after spelling correction.
+ * @param {string} [search.userId] - Logged in user who searched.
+ * @returns {Promise<object|null>} The log entry.
+ */
+const logSearch = async ({ text, catalog, resultCount, correctedQuery, userId }) => {
+  const query = normalizeQuery(text);
+  if (!query) return null;
+  return SearchQuery.create({
+    query,
+    text: String(text).trim().slice(0, 200),
+    catalog,
+    user: mongoose.isValidObjectId(userId) ? userId : undefined,
+    resultCount,
+    correctedQuery: correctedQuery || undefined,
+  });
+};
+
+// The most searched queries that found something, counted every POPULAR_TTL_MS
+const loadPopular = async () => {
+  if (popular && Date.now() - popularLoadedAt < POPULAR_TTL_MS) return popular;
+
+  const since = new Date(Date.now() - POPULAR_DAYS * 24 * 60 * 60 * 1000);
+  popular = await SearchQuery.aggregate([
+    { $match: { createdAt: { $gte: since }, resultCount: { $gt: 0 } } },
+    { $group: { _id: '$query', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: 200 },
+  ]);
+  popularLoadedAt = Date.now();
+  return popular;
+};
+
+// A user's latest distinct queries, newest first
+const recentQueries = async (userId) => {
+  if (!mongoose.isValidObjectId(userId)) return [];
+  const searches = await SearchQuery.find({ user: userId }).sort({ createdAt: -1 }).limit(50).select('query').lean();
+  return [...new Set(searches.map((searched) => searched.query))];
+};
+
+/**
+ * Suggestions for a search box as the user types: products, brands and categories whose names
+ * have words starting with what was typed, plus the user's recent and everyone's popular
+ * queries that start the same way. Works from cached names, so it is cheap to call per key.
+ * @param {string} [text] - What was typed so far; recent and popular queries only when empty.
+ * @param {object} [options]
+ * @param {string} [options.catalog] - shop, rent or listings; all catalogs when omitted.
+ * @param {string} [options.userId] - Logged in user, for their recent queries.
+ * @param {number} [options.limit] - Suggestions per group.
+ * @returns {Promise<{products: object[], brands: object[], categories: object[], recent: string[], popular: string[]}>}
+ */
+const suggest = async (text = '', { catalog, userId, limit = SUGGESTIONS_PER_GROUP } = {}) => {
+  if (catalog && !['shop', 'rent', 'listings'].includes(catalog)) {
+    throw searchError(`Unknown catalog "${catalog}"`, 404);
+  }
+  limit = Math.min(Math.max(Number(limit) || SUGGESTIONS_PER_GROUP, 1), 20);
+
+  const query = normalizeQuery(String(text).slice(0, 100));
+  const queryWords = tokenize(query);
+  const startsQuery = (candidate) => !query || candidate.startsWith(query);
+
+  const [index, popularQueries, recent] = await Promise.all([
+    query ? loadCatalogIndex() : { entries: [] },
+    loadPopular(),
+    recentQueries(userId),
+  ]);
+
+  const matches = query
+    ? index.entries
+        .filter((item) => (!catalog || item.catalog === catalog) && matchesPrefix(item.words, queryWords))
+        .sort(byRelevance(query))
+    : [];
+  const group = (type) =>
+    matches
+      .filter((item) => item.type === type)
+      .slice(0, limit)
+      .map(({ name, id, catalog: itemCatalog }) => ({ name, id, catalog: itemCatalog }));
+
+  return {
+    products: group('product'),
+    brands: group('brand'),
+    // A category name can be used in more than one catalog
+    categories: [...new Map(group('category').map((item) => [item.name.toLowerCase(), item])).values()],
+    recent: recent.filter(startsQuery).slice(0, limit),
+    popular: popularQueries.map((row) => row._id).filter(startsQuery).slice(0, limit),
+  };
+};
+
+/**
+ * What people searched for over the last days, for the admin panel: the most frequent
+ * queries and the ones that found nothing.
+ * @param {object} [options]
+ * @param {number} [options.days] - How far back to look.
+ * @param {string} [options.catalog] - Only searches of one catalog.
+ * @param {number} [options.limit] - Queries per list.
+ * @returns {Promise<{totalSearches: number, zeroResultSearches: number, zeroResults: object[], top: object[]}>}
+ */
+const searchInsights = async ({ days = 30, catalog, limit = 50 } = {}) => {
+  days = Math.min(Math.max(Number(days) || 30, 1), 365);
+  limit = Math.min(Math.max(Number(limit) || 50, 1), 200);
+
+  const match = { createdAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) } };
+  if (catalog) match.catalog = catalog;
+
+  const [result] = await SearchQuery.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              searches: { $sum: 1 },
+              zeroResults: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+            },
+          },
+        ],
+        zeroResults: [
+          { $match: { resultCount: 0 } },
+          {
+            $group: {
+              _id: '$query',
+              count: { $sum: 1 },
+              lastSearchedAt: { $max: '$createdAt' },
+              catalogs: { $addToSet: '$catalog' },
+            },
+          },
+          { $sort: { count: -1, lastSearchedAt: -1 } },
+          { $limit: limit },
+        ],
+        top: [
+          {
+            $group: {
+              _id: '$query',
+              count: { $sum: 1 },
+              averageResults: { $avg: '$resultCount' },
+              lastSearchedAt: { $max: '$createdAt' },
+            },
+          },
+          { $sort: { count: -1, lastSearchedAt: -1 } },
+          { $limit: limit },
+        ],
+      },
+    },
+  ]);
+
+  const rename = ({ _id, ...row }) => ({ query: _id, ...row });
+  return {
+    days,
+    totalSearches: result.totals[0]?.searches || 0,
+    zeroResultSearches: result.totals[0]?.zeroResults || 0,
+    zeroResults: result.zeroResults.map(rename),
+    top: result.top.map((row) => ({ ...rename(row), averageResults: Math.round(row.averageResults * 10) / 10 })),
+  };
+};
+
+module.exports = {
+  normalizeQuery,
+  logSearch,
+  suggest,
+  searchInsights,
+};
@@ -0,0 +1,52 @@
+// Words that mean the same thing to a farmer searching: English crop and equipment names
+// with their common Hindi and regional names. Each group is searched as a whole.
+const SYNONYM_GROUPS = [
+  // Crops
+  ['paddy', 'rice', 'dhan', 'chawal'],
+  ['wheat', 'gehun', 'gehu'],
+  ['maize', 'corn', 'makka', 'makki'],
+  ['bajra', 'millet'],
+  ['jowar', 'sorghum'],
+  ['ragi', 'nachni'],
+  ['mustard', 'sarson'],
+  ['chickpea', 'chana', 'gram'],
+  ['arhar', 'tur', 'toor'],
+  ['groundnut', 'peanut', 'moongphali'],
+  ['sugarcane', 'ganna'],
+  ['cotton', 'kapas'],
+  ['soybean', 'soya'],
+  ['potato', 'aloo', 'alu'],
+  ['onion', 'pyaz', 'pyaaz'],
+  ['tomato', 'tamatar'],
+  // Inputs
+  ['seed', 'beej', 'bij'],
+  ['fertilizer', 'fertiliser', 'khad', 'manure'],
+  ['pesticide', 'insecticide', 'keetnashak'],
+  ['herbicide', 'weedicide'],
+  // Equipment
+  ['plough', 'plow', 'hal'],
+  ['tiller', 'cultivator', 'rotavator'],
+  ['harvester', 'combine'],
+  ['thresher', 'threshing'],
+  ['sprayer', 'spray'],
+  ['seeder', 'planter', 'drill'],
+  ['sprinkler', 'drip', 'irrigation'],
+];
+
+const GROUP_OF = new Map(SYNONYM_GROUPS.flatMap((group) => group.map((word) => [word, group])));
+
+/**
+ * A search term and the words that mean the same.
+ * @param {string} term - Lowercase word.
+ * @returns {string[]} The term first, then its synonyms.
+ */
+const synonymsOf = (term) => {
+  // "seeds" finds the group of "seed"
+  const group = GROUP_OF.get(term) || (term.endsWith('s') && GROUP_OF.get(term.slice(0, -1))) || [];
+  return [term, ...group.filter((word) => word !== term)];
+};
+
+module.exports = {
+  SYNONYM_GROUPS,
+  synonymsOf,
+};
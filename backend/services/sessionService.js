@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const AuthSession = require('../model/authSession');
+const User = require('../model/user');
+
+// How long an access token lasts. Revoking a session stops its refreshes, so a revoked
+// device keeps working until its current access token expires, at most this long.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// Days a session lasts without being used, with and without "remember me"
+const SESSION_DAYS = { rememberMe: 30, default: 1 };
+
+// A replaced refresh token used again this soon after is taken for two tabs refreshing at
+// once rather than a stolen token, and refused without ending the session
+const REUSE_GRACE_SECONDS = 30;
+
+const sessionError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const hash = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const sameHash = (a, b) => Boolean(a && b) && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const expiry = (rememberMe) =>
+  new Date(Date.now() + (rememberMe ? SESSION_DAYS.rememberMe : SESSION_DAYS.default) * 24 * 60 * 60 * 1000);
+
+// What the client stores: a short lived JWT and a refresh token naming its session
+const issueTokens = (user, session, secret) => ({
+  token: jwt.sign({ userId: user._id, role: user.role, sid: session._id }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  }),
+  refreshToken: `${session._id}.${secret}`,
+  tokenExpiry: ACCESS_TOKEN_TTL,
+  sessionExpiresAt: session.expiresAt,
+});
+
+// The session a refresh token names and the hash of its secret
+const readRefreshToken = async (refreshToken) => {
+  const [id, secret] = String(refreshToken || '').split('.');
+  if (!mongoose.isValidObjectId(id) || !secret) throw sessionError('Invalid refresh token', 401);
+  const session = await AuthSession.findById(id);
+  if (!session) throw sessionError('Invalid refresh token', 401);
+  return { session, secretHash: hash(secret) };
+};
+
+const revoke = (filter, reason) =>
+  AuthSession.updateMany({ ...filter, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+
+/**
+ * Signs a user in on a new device.
+ * @param {object} user - User signing in.
+ * @param {object} [options]
+ * @param {boolean} [options.rememberMe] - Keep the session for 30 days of disuse rather than 1.
+ * @param {string} [options.userAgent] - Browser or app signing in, shown in the sessions list.
+ * @param {string} [options.ip] - Address signing in, shown in the sessions list.
+ * @returns {Promise<object>} token, refreshToken, tokenExpiry and sessionExpiresAt.
+ */
+const createSession = async (user, { rememberMe = false, userAgent, ip } = {}) => {
+  const secret = newSecret();
+  const session = await AuthSession.create({
+    user: user._id,
+    tokenHash: hash(secret),
+    rememberMe: Boolean(rememberMe),
+    userAgent: userAgent?.slice(0, 500),
+    ip,
+    expiresAt: expiry(rememberMe),
+  });
+  return issueTokens(user, session, secret);
+};
+
+/**
+ * Swaps a refresh token for a new access token and a new refresh token; the old one stops
+ * working. Using a replaced token again ends the session, as it has probably been stolen.
+ * Sessions of users deleted or suspended since are ended too.
+ * @param {string} refreshToken
+ * @param {object} [options] - userAgent and ip, as for createSession.
+ * @returns {Promise<object>} token, refreshToken, tokenExpiry and sessionExpiresAt.
+ */
+const refreshSession = async (refreshToken, { userAgent, ip } = {}) => {
+  const { session, secretHash } = await readRefreshToken(refreshToken);
+  if (session.revokedAt || session.expiresAt < new Date()) {
+    throw sessionError('Your session has ended, please sign in again', 401);
+  }
+
+  if (!sameHash(session.tokenHash, secretHash)) {
+    if (sameHash(session.previousTokenHash, secretHash)) {
+      const since = (Date.now() - session.lastUsedAt.getTime()) / 1000;
+      if (since > REUSE_GRACE_SECONDS) await revoke({ _id: session._id }, 'token_reuse');
+    }
+    throw sessionError('Invalid refresh token', 401);
+  }
+
+  const user = await User.findById(session.user).select('role isVerified');
+  if (!user || !user.isVerified) {
+    await revoke({ _id: session._id }, user ? 'suspended' : 'deleted');
+    throw sessionError('Your session has ended, please sign in again', 401);
+  }
+
+  // Only one of two refreshes racing with the same token rotates it
+  const secret = newSecret();
+  const rotated = await AuthSession.findOneAndUpdate(
+    { _id: session._id, tokenHash: session.tokenHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hash(secret),
+        previousTokenHash: session.tokenHash,
+        lastUsedAt: new Date(),
+        expiresAt: expiry(session.rememberMe),
+        ...(userAgent && { userAgent: userAgent.slice(0, 500) }),
+        ...(ip && { ip }),
+      },
+    },
+    { new: true }
+  );
+  if (!rotated) throw sessionError('Invalid refresh token', 401);
+  return issueTokens(user, rotated, secret);
+};
+
+/**
+ * Signs a device out by its refresh token. Signing out a session that has already ended
+ * does nothing.
+ * @param {string} refreshToken
+ */
+const endSession = async (refreshToken) => {
+  const { session, secretHash } = await readRefreshToken(refreshToken);
+  if (!sameHash(session.tokenHash, secretHash)) throw sessionError('Invalid refresh token', 401);
+  await revoke({ _id: session._id }, 'logout');
+};
+
+/**
+ * A user's signed in devices, most recently used first.
+ * @param {string} userId
+ * @param {string} [currentId] - Session of the request, marked current.
+ * @returns {Promise<object[]>}
+ */
+const listSessions = async (userId, currentId) => {
+  const sessions = await AuthSession.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('userAgent ip rememberMe lastUsedAt expiresAt createdAt')
+    .sort({ lastUsedAt: -1 })
+    .lean();
+  return sessions.map((session) => ({ ...session, current: String(session._id) === String(currentId) }));
+};
+
+/**
+ * Signs one of a user's devices out.
+ * @param {string} userId
+ * @param {string} sessionId
+ */
+const revokeSession = async (userId, sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) throw sessionError('Session not found', 404);
+  const { modifiedCount } = await revoke({ _id: sessionId, user: userId }, 'revoked');
+  if (!modifiedCount) throw sessionError('Session not found', 404);
+};
+
+/**
+ * Signs a user out everywhere.
+ * @param {string} userId
+ * @param {string} reason - logout_everywhere, password_reset, suspended or deleted.
+ * @returns {Promise<number>} How many sessions were ended.
+ */
+const revokeAllSessions = async (userId, reason) => {
+  const { modifiedCount } = await revoke({ user: userId }, reason);
+  return modifiedCount;
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  createSession,
+  refreshSession,
+  endSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+};
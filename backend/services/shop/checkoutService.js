@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ExtendedUser = require('../../model/shop/extendedUser');
+const Product = require('../../model/shop/product');
+const Variant = require('../../model/shop/variant');
+const Order = require('../../model/shop/order');
+const { issueShopOrderInvoice } = require('../invoiceService');
+const { createPayment } = require('../paymentService');
+const { moveStock, restoreStock } = require('./inventoryService');
+
+const checkoutError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const newOrderId = () =>
+  `ORD-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+// Unit price the buyer pays: the variant price less the product's offer percentage
+const unitPrice = (variant, product) => round(variant.price * (1 - (product.offer || 0) / 100));
+
+const pickAddress = (user, addressId) => {
+  const address = addressId
+    ? user.addresses.id(addressId)
+    : user.addresses.find((candidate) => candidate.isDefault) || user.addresses[0];
+  if (!address) {
+    throw checkoutError(addressId ? 'Shipping address not found' : 'Add a shipping address before checking out', 400);
+  }
+  return address;
+};
+
+// Checks every cart line against the current catalogue and prices it
+const priceCart = async (cart) => {
+  const lines = [];
+  for (const item of cart) {
+    if (!mongoose.isValidObjectId(item.productId) || !mongoose.isValidObjectId(item.variantId)) {
+      throw checkoutError('Your cart has an invalid item, please remove it', 400);
+    }
+    const [product, variant] = await Promise.all([
+      Product.findById(item.productId),
+      Variant.findById(item.variantId),
+    ]);
+    if (!product || !variant || !variant.product.equals(product._id)) {
+      throw checkoutError('An item in your cart is no longer available', 409);
+    }
+    if (variant.stock < item.quantity) {
+      throw checkoutError(`Only ${variant.stock} of ${product.name} left in stock`, 409);
+    }
+
+    const price = unitPrice(variant, product);
+    lines.push({
+      cartItemId: item._id,
+      product: product._id,
+      variant: variant._id,
+      seller: product.seller,
+      name: product.name,
+      size: variant.size,
+      type: variant.type,
+      quantity: item.quantity,
+      price,
+      amount: round(price * item.quantity),
+    });
+  }
+  return lines;
+};
+
+// Gives back stock taken for an order that couldn't be placed
+const releaseStock = (lines, orderId) =>
+  restoreStock(lines, { type: 'adjustment', reason: 'Checkout did not complete', reference: orderId });
+
+// Takes each line's quantity off its variant as a sale, giving everything back if one runs short
+const reserveStock = async (lines, orderId, userId) => {
+  const reserved = [];
+  for (const line of lines) {
+    try {
+      await moveStock(line.variant, 'sale', line.quantity, { reference: orderId, actor: userId });
+    } catch (error) {
+      await releaseStock(reserved, orderId);
+      if (error.status === 409 || error.status === 404) {
+        throw checkoutError(`${line.name} sold out while you were checking out`, 409);
+      }
+      throw error;
+    }
+    reserved.push(line);
+  }
+};
+
+/**
+ * Turns a user's shop cart into an order: prices every line from the catalogue, reserves
+ * the stock, saves the order and clears the checked out lines from the cart.
+ * Nothing is kept if any step fails.
+ * @param {string} userId - Buyer.
+ * @param {object} [params]
+ * @param {string} [params.addressId] - One of the buyer's addresses; the default one when omitted.
+ * @param {number} [params.expectedTotal] - Total the buyer was shown, rejected if prices changed.
+ * @param {string} [params.paymentMethodId] - Saved payment method to pay with.
+ * @returns {Promise<{order: object, payment: object|null, clientData: object|null}>}
+ *   The saved order and the payment the buyer has to complete.
+ */
+const checkout = async (userId, { addressId, expectedTotal, paymentMethodId } = {}) => {
+  if (!mongoose.isValidObjectId(userId)) throw checkoutError('Invalid user ID', 400);
+
+  const user = await ExtendedUser.findById(userId);
+  if (!user) throw checkoutError('User not found', 404);
+  if (user.cart.length === 0) throw checkoutError('Your cart is empty', 400);
+
+  const address = pickAddress(user, addressId);
+  const lines = await priceCart(user.cart);
+  const totalAmount = round(lines.reduce((sum, line) => sum + line.amount, 0));
+
+  if (expectedTotal != null && round(Number(expectedTotal)) !== totalAmount) {
+    throw checkoutError(`Prices have changed since you loaded your cart. The new total is ₹${totalAmount}`, 409);
+  }
+
+  const orderId = newOrderId();
+  await reserveStock(lines, orderId, user._id);
+
+  let order;
+  try {
+    order = await Order.create({
+      orderId,
+      user: user._id,
+      items: lines,
+      shippingAddress: {
+        address: address.address,
+        city: address.city,
+        state: address.state,
+        zip: address.zip,
+        country: address.country,
+        label: address.label,
+      },
+      totalAmount,
+    });
+
+    // Only the checked out lines are removed, in case the cart changed in the meantime
+    await ExtendedUser.updateOne(
+      { _id: user._id },
+      {
+        $pull: { cart: { _id: { $in: lines.map((line) => line.cartItemId) } } },
+        $push: {
+          orderHistory: {
+            orderId: order.orderId,
+            products: lines.map((line) => ({
+              productId: String(line.product),
+              quantity: line.quantity,
+              price: line.price,
+            })),
+            totalAmount,
+            orderDate: order.orderDate,
+            status: order.status,
+          },
+        },
+      }
+    );
+  } catch (error) {
+    if (order) await Order.deleteOne({ _id: order._id });
+    await releaseStock(lines, orderId);
+    throw error;
+  }
+
+  // The invoice can be issued again later, so a failure here doesn't undo the order
+  try {
+    const invoice = await issueShopOrderInvoice(order, user);
+    order.invoiceNumber = invoice.invoiceNumber;
+    await Order.updateOne({ _id: order._id }, { $set: { invoiceNumber: invoice.invoiceNumber } });
+  } catch (error) {
+    console.error(`Error issuing invoice for order ${order.orderId}:`, error);
+  }
+
+  // A payment that can't be started is retried from the order, so the order is kept
+  try {
+    const { payment, clientData } = await payForOrder(order, { paymentMethodId });
+    return { order, payment, clientData };
+  } catch (error) {
+    console.error(`Error starting payment for order ${order.orderId}:`, error);
+    return { order, payment: null, clientData: null };
+  }
+};
+
+/**
+ * Starts a payment for a shop order that isn't paid yet.
+ * @param {object} order - Shop Order.
+ * @param {object} [params]
+ * @param {string} [params.paymentMethodId] - Saved payment method to pay with.
+ * @returns {Promise<{payment: object, clientData: object}>}
+ */
+const payForOrder = (order, { paymentMethodId } = {}) => {
+  if (!['unpaid', 'requires_action', 'failed'].includes(order.paymentStatus)) {
+    throw checkoutError(`Order is already ${order.paymentStatus}`, 409);
+  }
+  if (order.status === 'cancelled') throw checkoutError('Order is cancelled', 409);
+
+  return createPayment({
+    orderType: 'shop_order',
+    orderId: order.orderId,
+    amount: order.totalAmount,
+    userId: order.user,
+    paymentMethodId,
+  });
+};
+
+module.exports = {
+  unitPrice,
+  checkout,
+  payForOrder,
+};
@@ -0,0 +1,296 @@
+const mongoose = require('mongoose');
+const Variant = require('../../model/shop/variant');
+const Product = require('../../model/shop/product');
+const StockMovement = require('../../model/shop/stockMovement');
+const { sendEmail } = require('../emailService');
+const { listQuery } = require('../listQuery');
+
+// Variants at or below this stock are low on stock, unless they set their own threshold
+const LOW_STOCK_THRESHOLD = Number(process.env.LOW_STOCK_THRESHOLD || 5);
+
+// Most lines a bulk stock update may have
+const MAX_BULK_ROWS = 1000;
+
+const MOVEMENT_TYPES = StockMovement.schema.path('type').enumValues;
+
+// Which way each kind of movement moves stock; adjustments go either way
+const DIRECTIONS = { purchase: 1, return: 1, sale: -1, damage: -1 };
+
+const inventoryError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const wholeNumber = (value, name, { min } = {}) => {
+  const number = Number(value);
+  if (value === '' || value === null || !Number.isInteger(number) || (min !== undefined && number < min)) {
+    throw inventoryError(`${name} must be a whole number${min === 0 ? ' of 0 or more' : ''}`, 400);
+  }
+  return number;
+};
+
+// Variants whose stock is at or below their threshold
+const LOW_STOCK = { $expr: { $lte: ['$stock', { $ifNull: ['$lowStockThreshold', LOW_STOCK_THRESHOLD] }] } };
+
+/**
+ * Changes a variant's stock and logs the movement. Stock never goes below zero.
+ * @param {string} variantId - Variant whose stock moves.
+ * @param {string} type - purchase, sale, return, adjustment or damage.
+ * @param {number} quantity - Units moved; for an adjustment, the signed change.
+ * @param {object} [options]
+ * @param {string} [options.reason] - Why the stock moved.
+ * @param {string} [options.reference] - Order or return the movement belongs to.
+ * @param {string} [options.actor] - User moving the stock.
+ * @param {number} [options.expectedStock] - Only move if the stock is still this.
+ * @returns {Promise<{variant: object, movement: object|null}>} The updated variant and the movement.
+ */
+const moveStock = async (variantId, type, quantity, { reason, reference, actor, expectedStock } = {}) => {
+  if (!MOVEMENT_TYPES.includes(type)) throw inventoryError(`Unknown stock movement type "${type}"`, 400);
+  quantity = wholeNumber(quantity, 'Quantity');
+  if (quantity === 0) throw inventoryError('Quantity must not be 0', 400);
+  if (!mongoose.isValidObjectId(variantId)) throw inventoryError('Variant not found', 404);
+
+  const change = DIRECTIONS[type] ? DIRECTIONS[type] * Math.abs(quantity) : quantity;
+  const guard = { _id: variantId };
+  if (expectedStock !== undefined) guard.stock = expectedStock;
+  else if (change < 0) guard.stock = { $gte: -change };
+
+  const variant = await Variant.findOneAndUpdate(guard, { $inc: { stock: change } }, { new: true });
+  if (!variant) {
+    const current = await Variant.findById(variantId);
+    if (!current) throw inventoryError('Variant not found', 404);
+    if (expectedStock !== undefined) throw inventoryError('Stock changed while you were updating it, please retry', 409);
+    throw inventoryError(`Only ${current.stock} left in stock`, 409);
+  }
+
+  // The stock has moved either way; a movement that fails to save is reported by stockHistory
+  try {
+    const product = await Product.findById(variant.product).select('seller');
+    const movement = await StockMovement.create({
+      variant: variant._id,
+      product: variant.product,
+      seller: product?.seller,
+      type,
+      quantity: change,
+      stockAfter: variant.stock,
+      reason,
+      reference,
+      actor,
+    });
+    return { variant, movement };
+  } catch (error) {
+    console.error(`Error logging a ${type} of ${change} for variant ${variant._id}:`, error);
+    return { variant, movement: null };
+  }
+};
+
+/**
+ * Sets a variant's stock to a counted amount, logging the difference as an adjustment.
+ * @param {string} variantId - Variant that was counted.
+ * @param {number} stock - Units counted.
+ * @param {object} [options] - reason and actor, as for moveStock.
+ * @returns {Promise<{variant: object, movement: object|null}>}
+ */
+const setStock = async (variantId, stock, options = {}) => {
+  stock = wholeNumber(stock, 'Stock', { min: 0 });
+  if (!mongoose.isValidObjectId(variantId)) throw inventoryError('Variant not found', 404);
+
+  const variant = await Variant.findById(variantId);
+  if (!variant) throw inventoryError('Variant not found', 404);
+  if (variant.stock === stock) return { variant, movement: null };
+
+  return moveStock(variant._id, 'adjustment', stock - variant.stock, { ...options, expectedStock: variant.stock });
+};
+
+/**
+ * Puts units taken by order lines back in stock. Variants deleted since are skipped.
+ * @param {object[]} lines - Order lines or return requests, with variant and quantity.
+ * @param {object} [options] - type (return by default), reason, reference and actor.
+ */
+const restoreStock = (lines, { type = 'return', ...options } = {}) =>
+  Promise.all(
+    lines.map((line) =>
+      moveStock(line.variant, type, line.quantity, options).catch((error) => {
+        if (error.status !== 404) throw error;
+      })
+    )
+  );
+
+// Current stock worked out from the movement log
+const computedStock = async (variantId) => {
+  const [total] = await StockMovement.aggregate([
+    { $match: { variant: new mongoose.Types.ObjectId(String(variantId)) } },
+    { $group: { _id: null, stock: { $sum: '$quantity' } } },
+  ]);
+  return total ? total.stock : 0;
+};
+
+/**
+ * A variant's stock movements, newest first, with its stock as stored and as the log
+ * adds it up. The two differ only when a movement failed to save.
+ * @param {string} variantId
+ * @param {object} [query] - Paging, sorting and filtering read by listQuery.
+ * @returns {Promise<object>} A listQuery page of movements with stock, computedStock and lowStockThreshold.
+ */
+const stockHistory = async (variantId, query = {}) => {
+  if (!mongoose.isValidObjectId(variantId)) throw inventoryError('Variant not found', 404);
+  const variant = await Variant.findById(variantId);
+  if (!variant) throw inventoryError('Variant not found', 404);
+
+  const [movements, computed] = await Promise.all([
+    listQuery(StockMovement, query, {
+      filters: ['type', 'reference', 'actor', 'createdAt'],
+      sorts: ['createdAt'],
+      filter: { variant: variant._id },
+      populate: { path: 'actor', select: 'firstName lastName email' },
+    }),
+    computedStock(variant._id),
+  ]);
+
+  return {
+    variant: variant._id,
+    stock: variant.stock,
+    computedStock: computed,
+    lowStockThreshold: variant.lowStockThreshold ?? LOW_STOCK_THRESHOLD,
+    ...movements,
+  };
+};
+
+/**
+ * Variants at or below their low stock threshold, lowest stock first.
+ * @param {object} [query] - Paging, sorting and filtering read by listQuery.
+ * @param {object[]} [products] - Only variants of these products.
+ * @returns {Promise<object>} A listQuery page of variants.
+ */
+const listLowStock = (query = {}, products) =>
+  listQuery(Variant, query, {
+    filters: ['product', 'stock'],
+    sorts: ['stock', 'price', 'updatedAt'],
+    defaultSort: 'stock',
+    filter: products ? { ...LOW_STOCK, product: { $in: products } } : LOW_STOCK,
+    populate: { path: 'product', select: 'name seller' },
+  });
+
+/**
+ * Applies stock changes read from a CSV or JSON file, one variant per row. Every row is
+ * tried on its own; the result says which ones failed and why.
+ *
+ *   variant            Variant ID
+ *   stock              Units counted, set as the new stock, or
+ *   quantity           Units moved, with
+ *   type               purchase, sale, return, damage or adjustment (the default, signed)
+ *   reason             Optional note for the movement log
+ *   lowStockThreshold  Optional new threshold
+ *
+ * @param {object[]} rows - Rows keyed by column.
+ * @param {object} [options]
+ * @param {object} [options.seller] - Seller whose variants these must be; any variant when omitted.
+ * @param {string} [options.actor] - User making the changes.
+ * @returns {Promise<{updated: number, failed: number, results: object[]}>}
+ */
+const bulkUpdateStock = async (rows, { seller, actor } = {}) => {
+  if (rows.length === 0) throw inventoryError('The file has no stock lines', 400);
+  if (rows.length > MAX_BULK_ROWS) throw inventoryError(`Update at most ${MAX_BULK_ROWS} lines at a time`, 400);
+  if (!('variant' in rows[0])) throw inventoryError('The file needs a variant column', 400);
+
+  const ids = rows.map((row) => String(row.variant)).filter((id) => mongoose.isValidObjectId(id));
+  const variants = new Map(
+    (await Variant.find({ _id: { $in: ids } }).populate('product', 'seller')).map((variant) => [String(variant._id), variant])
+  );
+
+  const results = [];
+  for (const [index, row] of rows.entries()) {
+    const line = index + 2; // After the header, counting from 1
+    try {
+      const variant = variants.get(String(row.variant));
+      if (!variant) throw inventoryError('Variant not found', 404);
+      if (seller && !variant.product?.seller?.equals(seller._id)) {
+        throw inventoryError('You can only manage your own products', 403);
+      }
+
+      const has = (column) => row[column] !== undefined && row[column] !== null && row[column] !== '';
+      if (!has('stock') && !has('quantity') && !has('lowStockThreshold')) {
+        throw inventoryError('Give a stock, a quantity or a lowStockThreshold', 400);
+      }
+
+      let updated = variant;
+      if (has('lowStockThreshold')) {
+        const lowStockThreshold = wholeNumber(row.lowStockThreshold, 'lowStockThreshold', { min: 0 });
+        updated = await Variant.findByIdAndUpdate(variant._id, { $set: { lowStockThreshold } }, { new: true });
+      }
+      const options = { reason: row.reason || 'Bulk stock update', actor };
+      if (has('stock')) {
+        ({ variant: updated } = await setStock(variant._id, row.stock, options));
+      } else if (has('quantity')) {
+        ({ variant: updated } = await moveStock(variant._id, row.type || 'adjustment', row.quantity, options));
+      }
+      results.push({ line, variant: row.variant, stock: updated.stock });
+    } catch (error) {
+      if (!error.status) throw error;
+      results.push({ line, variant: row.variant, error: error.message });
+    }
+  }
+
+  const failed = results.filter((result) => result.error).length;
+  return { updated: results.length - failed, failed, results };
+};
+
+const variantLabel = (variant) => `${variant.product.name} (${variant.size} ${variant.type ? 'Kg' : 'L'})`;
+
+const sendLowStockAlert = (seller, variants) =>
+  sendEmail(
+    seller.email,
+    `${variants.length} of your products ${variants.length === 1 ? 'is' : 'are'} running low on stock`,
+    `Hi ${seller.name},\n\n` +
+      'These products are at or below their low stock level:\n\n' +
+      variants
+        .map((variant) => `- ${variantLabel(variant)}: ${variant.stock} left (alert at ${variant.lowStockThreshold ?? LOW_STOCK_THRESHOLD})`)
+        .join('\n') +
+      '\n\nRestock them from your Seller Center so buyers can keep ordering.\n\n' +
+      'AgroTech AI'
+  );
+
+/**
+ * Scheduled job: emails every approved seller a list of their variants that are low on
+ * stock. A failed email is tried again on the next run.
+ */
+const sendLowStockAlerts = async () => {
+  try {
+    const variants = await Variant.find(LOW_STOCK)
+      .sort({ stock: 1 })
+      .populate({ path: 'product', select: 'name seller', populate: { path: 'seller', select: 'name email status' } });
+
+    const bySeller = new Map();
+    variants.forEach((variant) => {
+      const seller = variant.product?.seller;
+      if (!seller?.email || seller.status !== 'approved') return;
+      const key = String(seller._id);
+      if (!bySeller.has(key)) bySeller.set(key, { seller, variants: [] });
+      bySeller.get(key).variants.push(variant);
+    });
+
+    for (const { seller, variants: low } of bySeller.values()) {
+      try {
+        await sendLowStockAlert(seller, low);
+      } catch (error) {
+        console.error(`Error sending the low stock alert to seller ${seller._id}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Error sending low stock alerts:', error);
+  }
+};
+
+module.exports = {
+  LOW_STOCK_THRESHOLD,
+  MOVEMENT_TYPES,
+  moveStock,
+  setStock,
+  restoreStock,
+  computedStock,
+  stockHistory,
+  listLowStock,
+  bulkUpdateStock,
+  sendLowStockAlerts,
+};
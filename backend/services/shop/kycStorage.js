@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+
+// KYC documents are private: they're kept outside any static folder and only served
+// to the seller and admins through the seller routes
+const KYC_UPLOAD_DIR = path.resolve(process.env.KYC_UPLOAD_DIR || path.join(__dirname, '../../uploads/kyc'));
+
+const ALLOWED_TYPES = {
+  'application/pdf': '.pdf',
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+};
+
+const uploadError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.mkdir(KYC_UPLOAD_DIR, { recursive: true }, (error) => cb(error, KYC_UPLOAD_DIR));
+  },
+  // Random names, so a stored file can't be guessed from the seller or the original name
+  filename: (req, file, cb) => cb(null, `${crypto.randomBytes(16).toString('hex')}${ALLOWED_TYPES[file.mimetype]}`),
+});
+
+// Accepts one PDF, JPEG or PNG of up to 5 MB in the "document" field
+const kycUpload = multer({
+  storage,
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES[file.mimetype]) return cb(uploadError('Documents must be PDF, JPEG or PNG files', 400));
+    cb(null, true);
+  },
+}).single('document');
+
+/**
+ * Absolute path of a stored KYC document.
+ * @param {string} storedName - Name the document was stored under.
+ * @returns {string}
+ */
+const kycDocumentPath = (storedName) => path.join(KYC_UPLOAD_DIR, path.basename(storedName));
+
+module.exports = {
+  KYC_UPLOAD_DIR,
+  kycUpload,
+  kycDocumentPath,
+};
@@ -0,0 +1,279 @@
+const mongoose = require('mongoose');
+const Order = require('../../model/shop/order');
+const ExtendedUser = require('../../model/shop/extendedUser');
+const Payment = require('../../model/payment');
+const ReturnRequest = require('../../model/shop/returnRequest');
+const { restoreStock } = require('./inventoryService');
+const { refundPayment } = require('../paymentService');
+const { recordShopSale, recordShopRefund } = require('../ledgerService');
+const { listQuery } = require('../listQuery');
+
+/**
+ * Allowed shipment status transitions.
+ *
+ *   pending -> packed -> shipped -> delivered -> returned
+ *      |         |
+ *      +---------+-> cancelled
+ */
+const TRANSITIONS = {
+  pending: ['packed', 'cancelled'],
+  packed: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: ['returned'],
+  cancelled: [],
+  returned: [],
+};
+
+const ORDER_STATUSES = Object.keys(TRANSITIONS);
+
+// Timestamp recorded on the shipment when it enters each status
+const TIMESTAMPS = {
+  packed: 'packedAt',
+  shipped: 'shippedAt',
+  delivered: 'deliveredAt',
+  cancelled: 'cancelledAt',
+  returned: 'returnedAt',
+};
+
+// How far along the delivery path each active status is
+const PROGRESS = ['pending', 'packed', 'shipped', 'delivered'];
+
+const orderError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * An order's overall status: cancelled or returned once every shipment is, otherwise
+ * the status of its least advanced shipment still on its way.
+ * @param {object[]} shipments
+ * @returns {string}
+ */
+const deriveOrderStatus = (shipments) => {
+  const active = shipments.filter((shipment) => shipment.status !== 'cancelled');
+  if (active.length === 0) return 'cancelled';
+
+  const open = active.filter((shipment) => shipment.status !== 'returned');
+  if (open.length === 0) return 'returned';
+
+  return PROGRESS[Math.min(...open.map((shipment) => PROGRESS.indexOf(shipment.status)))];
+};
+
+const shipmentLines = (order, shipment) =>
+  order.items.filter((item) => shipment.items.some((itemId) => itemId.equals(item._id)));
+
+// A shipment's lines less what already came back through return requests
+const unreturnedLines = (order, shipment) =>
+  shipmentLines(order, shipment)
+    .map((line) => {
+      const quantity = line.quantity - (line.returnedQuantity || 0);
+      return { _id: line._id, variant: line.variant, quantity, amount: Math.round(line.price * quantity * 100) / 100 };
+    })
+    .filter((line) => line.quantity > 0);
+
+// Gives the buyer back what they paid for a shipment's lines, if the order was paid
+const refundShipment = async (lines, order, shipment, reason) => {
+  const payment = await Payment.findOne({
+    orderType: 'shop_order',
+    orderId: order.orderId,
+    status: { $in: ['captured', 'partially_refunded'] },
+  });
+  if (!payment) return;
+
+  const amount = lines.reduce((sum, line) => sum + line.amount, 0);
+  const refundable = payment.amountCaptured - payment.amountRefunded;
+  if (amount <= 0 || refundable <= 0) return;
+
+  try {
+    const refunded = Math.min(amount, refundable);
+    const { refund } = await refundPayment(payment._id, { amount: refunded, reason });
+    // Takes the refund off the seller's balance, if the lines were already recorded as sold
+    const lineRefunds = lines.map((line) => ({ item: line._id, amount: (line.amount * refunded) / amount }));
+    await recordShopRefund(order, lineRefunds, refund._id);
+  } catch (error) {
+    // The shipment change stands; the refund can be retried from the payment
+    console.error(`Error refunding shipment ${shipment._id} of order ${order.orderId}:`, error);
+  }
+};
+
+// Stock, payment and ledger side effects, keyed by the status a shipment enters; each runs once per shipment
+const EFFECTS = {
+  // The seller has earned the shipment's lines, less commission
+  delivered: async (order, shipment) => {
+    try {
+      await recordShopSale(order, shipment);
+    } catch (error) {
+      console.error(`Error recording the sale of shipment ${shipment._id} of order ${order.orderId}:`, error);
+    }
+  },
+  cancelled: async (order, shipment, reason) => {
+    const lines = shipmentLines(order, shipment);
+    await restoreStock(lines, { reason: reason || 'Order cancelled', reference: order.orderId });
+    await refundShipment(lines, order, shipment, reason || 'Order cancelled');
+  },
+  // Lines already returned one by one were restocked and refunded then
+  returned: async (order, shipment, reason) => {
+    const lines = unreturnedLines(order, shipment);
+    await restoreStock(lines, { reason: reason || 'Order returned', reference: order.orderId });
+    await refundShipment(lines, order, shipment, reason || 'Order returned');
+  },
+};
+
+/**
+ * Moves one seller's shipment to a new status and brings the order status along.
+ * @param {string} orderId - Order the shipment belongs to.
+ * @param {string} shipmentId - Shipment to update.
+ * @param {string} to - Target status.
+ * @param {object} [options]
+ * @param {string} [options.actor] - Id of the user making the change.
+ * @param {string} [options.reason] - Free-text reason stored in the history.
+ * @param {string} [options.carrier] - Carrier, when shipping.
+ * @param {string} [options.trackingNumber] - Carrier tracking number, when shipping.
+ * @returns {Promise<object>} The updated order.
+ */
+const transitionShipment = async (orderId, shipmentId, to, { actor, reason, carrier, trackingNumber } = {}) => {
+  if (!ORDER_STATUSES.includes(to)) {
+    throw orderError(`Unknown order status "${to}"`, 400);
+  }
+  if (!mongoose.isValidObjectId(shipmentId)) throw orderError('Shipment not found', 404);
+
+  const order = await Order.findOne({ orderId });
+  if (!order) throw orderError('Order not found', 404);
+
+  const shipment = order.shipments.id(shipmentId);
+  if (!shipment) throw orderError('Shipment not found', 404);
+
+  const from = shipment.status;
+  if (!canTransition(from, to)) {
+    throw orderError(`Cannot change shipment from "${from}" to "${to}"`, 409);
+  }
+  if (to === 'returned') {
+    const openReturn = await ReturnRequest.exists({
+      orderId,
+      item: { $in: shipment.items },
+      status: { $in: ['requested', 'approved', 'pickup_scheduled', 'picked_up'] },
+    });
+    if (openReturn) throw orderError('Finish the open return requests for this shipment first', 409);
+  }
+
+  const now = new Date();
+  const set = {
+    'shipments.$.status': to,
+    [`shipments.$.${TIMESTAMPS[to]}`]: now,
+  };
+  if (carrier) set['shipments.$.carrier'] = carrier;
+  if (trackingNumber) set['shipments.$.trackingNumber'] = trackingNumber;
+
+  // Only succeeds if nobody changed the shipment since we read it
+  const updated = await Order.findOneAndUpdate(
+    { orderId, shipments: { $elemMatch: { _id: shipment._id, status: from } } },
+    {
+      $set: set,
+      $push: { 'shipments.$.statusHistory': { from, status: to, changedAt: now, changedBy: actor, reason } },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw orderError('Order was updated by someone else, please retry', 409);
+  }
+
+  if (EFFECTS[to]) {
+    await EFFECTS[to](updated, updated.shipments.id(shipmentId), reason);
+  }
+
+  const status = deriveOrderStatus(updated.shipments);
+  if (status !== updated.status) {
+    updated.status = status;
+    await Order.updateOne({ _id: updated._id }, { $set: { status } });
+    await ExtendedUser.updateOne(
+      { _id: updated.user, 'orderHistory.orderId': orderId },
+      { $set: { 'orderHistory.$.status': status } }
+    );
+  }
+
+  return updated;
+};
+
+/**
+ * Lets a buyer cancel an order as long as none of it has shipped. Stock goes back on the
+ * variants and a paid order is refunded.
+ * @param {string} orderId - Order to cancel.
+ * @param {string} userId - Buyer asking.
+ * @param {string} [reason] - Why the order was cancelled.
+ * @returns {Promise<object>} The updated order.
+ */
+const cancelOrder = async (orderId, userId, reason) => {
+  const order = await Order.findOne({ orderId });
+  if (!order || !userId || !order.user.equals(userId)) throw orderError('Order not found', 404);
+
+  const open = order.shipments.filter((shipment) => shipment.status !== 'cancelled');
+  if (open.length === 0) throw orderError('Order is already cancelled', 409);
+  if (open.some((shipment) => !canTransition(shipment.status, 'cancelled'))) {
+    throw orderError('This order has already shipped and can no longer be cancelled', 409);
+  }
+
+  let updated = order;
+  for (const shipment of open) {
+    updated = await transitionShipment(orderId, shipment._id, 'cancelled', { actor: userId, reason });
+  }
+  return updated;
+};
+
+// Only the given seller's shipments and items, for the seller's own view of an order
+const sellerView = (order, sellerId) => {
+  const shipments = order.shipments.filter((shipment) => shipment.seller?.equals(sellerId));
+  const itemIds = shipments.flatMap((shipment) => shipment.items.map(String));
+  return {
+    ...order.toObject(),
+    shipments,
+    items: order.items.filter((item) => itemIds.includes(String(item._id))),
+  };
+};
+
+/**
+ * Lists orders, newest first unless sorted otherwise.
+ * @param {object} [filters]
+ * @param {string} [filters.user] - Buyer.
+ * @param {string} [filters.seller] - Only orders with a shipment from this seller, reduced to that shipment.
+ * @param {string} [filters.status] - Order status, or the seller's shipment status when filtering by seller.
+ * @param {...*} [filters.query] - Paging, sorting and filtering read by listQuery.
+ * @returns {Promise<object>} A listQuery page of orders.
+ */
+const listOrders = async ({ user, seller, status, ...query } = {}) => {
+  if (status && !ORDER_STATUSES.includes(status)) {
+    throw orderError(`Unknown order status "${status}"`, 400);
+  }
+  for (const id of [user, seller]) {
+    if (id && !mongoose.isValidObjectId(id)) throw orderError('Invalid ID', 400);
+  }
+
+  const filter = {};
+  if (user) filter.user = user;
+  if (seller) {
+    filter.shipments = { $elemMatch: status ? { seller, status } : { seller } };
+  } else if (status) {
+    filter.status = status;
+  }
+
+  return listQuery(Order, query, {
+    filters: ['orderId', 'paymentStatus', 'totalAmount', 'orderDate', 'invoiceNumber'],
+    sorts: ['orderDate', 'totalAmount'],
+    defaultSort: '-orderDate',
+    keep: seller ? ['shipments', 'items'] : [], // Needed to cut the order down to the seller's part
+    filter,
+    populate: { path: 'user', select: 'firstName lastName email phone' },
+    map: seller ? (order) => sellerView(order, seller) : undefined,
+  });
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  canTransition,
+  deriveOrderStatus,
+  transitionShipment,
+  cancelOrder,
+  listOrders,
+};
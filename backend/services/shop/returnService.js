@@ -0,0 +1,361 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Order = require('../../model/shop/order');
+const ReturnRequest = require('../../model/shop/returnRequest');
+const Grievance = require('../../model/shop/grievance');
+const Payment = require('../../model/payment');
+const User = require('../../model/user');
+const { restoreStock } = require('./inventoryService');
+const { refundPayment } = require('../paymentService');
+const { recordShopRefund } = require('../ledgerService');
+const { listQuery } = require('../listQuery');
+
+// Days after delivery a buyer can ask to return an item
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS || 15);
+
+/**
+ * Allowed return request status transitions.
+ *
+ *   requested -> approved -> pickup_scheduled -> picked_up -> received -> refunded | closed
+ *       |           |              |                            ^
+ *       |           +--------------+----------------------------+  (dropped off by the buyer)
+ *       +-> rejected | cancelled
+ */
+const TRANSITIONS = {
+  requested: ['approved', 'rejected', 'cancelled'],
+  approved: ['pickup_scheduled', 'received', 'cancelled'],
+  pickup_scheduled: ['picked_up', 'received'],
+  picked_up: ['received'],
+  received: ['refunded', 'closed'],
+  refunded: [],
+  closed: [],
+  rejected: [],
+  cancelled: [],
+};
+
+const RETURN_STATUSES = Object.keys(TRANSITIONS);
+
+// Statuses that no longer hold on to the returned quantity
+const WITHDRAWN = ['rejected', 'cancelled'];
+
+// Grievance status to show once the linked return gets here
+const GRIEVANCE_STATUSES = {
+  approved: 'In Progress',
+  rejected: 'Resolved',
+  refunded: 'Resolved',
+  closed: 'Resolved',
+};
+
+const returnError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const newReturnId = () =>
+  `RET-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const isPhotoUrl = (photo) => typeof photo === 'string' && /^https?:\/\/\S+$/.test(photo);
+
+// Quantity of an order item already taken by open or completed return requests
+const quantityInReturn = async (orderId, itemId) => {
+  const requests = await ReturnRequest.find({ orderId, item: itemId, status: { $nin: WITHDRAWN } });
+  return requests.reduce((sum, request) => sum + request.quantity, 0);
+};
+
+// Links an existing grievance of the buyer, or opens a product quality one for the return
+const linkGrievance = async (user, order, { grievanceReportId, openGrievance, description }) => {
+  if (grievanceReportId) {
+    const grievance = await Grievance.findOne({ reportId: grievanceReportId, userId: user._id });
+    if (!grievance) throw returnError('Grievance not found', 404);
+    return grievance;
+  }
+  if (!openGrievance) return null;
+
+  const { nanoid } = await import('nanoid');
+  return Grievance.create({
+    userId: user._id,
+    email: user.email,
+    orderNumber: order.orderId,
+    category: 'product-quality',
+    description: description || 'Raised with a return request',
+    reportId: nanoid(8),
+  });
+};
+
+/**
+ * Opens a return request for one line of a delivered order.
+ * @param {string} userId - Buyer.
+ * @param {object} params
+ * @param {string} params.orderId - Order the item was bought in.
+ * @param {string} params.itemId - Order item to return.
+ * @param {number} [params.quantity] - How many to return; everything not already returned when omitted.
+ * @param {string} params.reason - One of the return reasons.
+ * @param {string} [params.description] - The buyer's own words.
+ * @param {string[]} [params.photos] - URLs of photos of the item.
+ * @param {string} [params.grievanceReportId] - Existing grievance to link.
+ * @param {boolean} [params.openGrievance] - Open a product quality grievance for the return.
+ * @returns {Promise<object>} The saved return request.
+ */
+const requestReturn = async (
+  userId,
+  { orderId, itemId, quantity, reason, description, photos = [], grievanceReportId, openGrievance } = {}
+) => {
+  if (!mongoose.isValidObjectId(userId)) throw returnError('Invalid user ID', 400);
+  if (!mongoose.isValidObjectId(itemId)) throw returnError('Order item not found', 404);
+  if (!ReturnRequest.schema.path('reason').enumValues.includes(reason)) {
+    throw returnError('Choose a reason for the return', 400);
+  }
+  if (!Array.isArray(photos) || photos.length > 5 || !photos.every(isPhotoUrl)) {
+    throw returnError('Photos must be up to 5 image URLs', 400);
+  }
+
+  const [order, user] = await Promise.all([Order.findOne({ orderId }), User.findById(userId)]);
+  if (!order || !user || !order.user.equals(user._id)) throw returnError('Order not found', 404);
+
+  const item = order.items.id(itemId);
+  if (!item) throw returnError('Order item not found', 404);
+
+  const shipment = order.shipments.find((candidate) => candidate.items.some((id) => id.equals(item._id)));
+  if (!shipment || shipment.status !== 'delivered') {
+    throw returnError('Only delivered items can be returned', 409);
+  }
+  const deadline = new Date(shipment.deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  if (new Date() > deadline) {
+    throw returnError(`Returns are accepted within ${RETURN_WINDOW_DAYS} days of delivery`, 409);
+  }
+
+  const remaining = item.quantity - (await quantityInReturn(order.orderId, item._id));
+  if (remaining <= 0) throw returnError('This item has already been returned', 409);
+  quantity = quantity == null ? remaining : Number(quantity);
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > remaining) {
+    throw returnError(`You can return between 1 and ${remaining} of this item`, 400);
+  }
+
+  const grievance = await linkGrievance(user, order, { grievanceReportId, openGrievance, description });
+
+  const request = await ReturnRequest.create({
+    returnId: newReturnId(),
+    order: order._id,
+    orderId: order.orderId,
+    user: user._id,
+    seller: item.seller,
+    item: item._id,
+    product: item.product,
+    variant: item.variant,
+    name: item.name,
+    quantity,
+    amount: round(item.price * quantity),
+    reason,
+    description,
+    photos,
+    grievance: grievance?._id,
+    statusHistory: [{ status: 'requested', changedBy: user._id, note: description }],
+  });
+
+  // Two requests opened at the same time could together ask for more than was bought
+  if ((await quantityInReturn(order.orderId, item._id)) > item.quantity) {
+    await ReturnRequest.deleteOne({ _id: request._id });
+    throw returnError('This item has already been returned', 409);
+  }
+
+  return request;
+};
+
+/**
+ * Refunds a received return through the payment the order was paid with. Moves the return
+ * to refunded, or to closed when the order was never paid. A failed refund leaves the
+ * return received with the error recorded, so it can be retried.
+ * @param {string} returnId - Return request to refund.
+ * @param {object} [options]
+ * @param {string} [options.actor] - Id of the user issuing the refund.
+ * @returns {Promise<object>} The updated return request.
+ */
+const refundReturn = async (returnId, { actor } = {}) => {
+  const request = await ReturnRequest.findOne({ returnId });
+  if (!request) throw returnError('Return not found', 404);
+  if (request.status !== 'received') {
+    throw returnError(`A ${request.status} return cannot be refunded`, 409);
+  }
+
+  const payment = await Payment.findOne({
+    orderType: 'shop_order',
+    orderId: request.orderId,
+    status: { $in: ['captured', 'partially_refunded'] },
+  });
+  if (!payment) {
+    return transitionReturn(returnId, 'closed', { actor, note: 'Nothing was paid for this order' });
+  }
+
+  const amount = round(Math.min(request.amount, payment.amountCaptured - payment.amountRefunded));
+  if (amount <= 0) {
+    return transitionReturn(returnId, 'closed', { actor, note: 'The order has already been refunded' });
+  }
+
+  let result;
+  try {
+    result = await refundPayment(payment._id, { amount, reason: `Return ${request.returnId}` });
+  } catch (error) {
+    await ReturnRequest.updateOne(
+      { _id: request._id },
+      { $set: { 'refund.payment': payment._id, 'refund.amount': amount, 'refund.status': 'failed', 'refund.error': error.message } }
+    );
+    throw error;
+  }
+
+  await ReturnRequest.updateOne(
+    { _id: request._id },
+    {
+      $set: {
+        refund: {
+          payment: payment._id,
+          refundId: result.refund._id,
+          amount,
+          status: result.refund.status,
+          refundedAt: new Date(),
+        },
+      },
+    }
+  );
+  try {
+    await recordShopRefund({ orderId: request.orderId }, [{ item: request.item, amount }], result.refund._id);
+  } catch (error) {
+    console.error(`Error recording the refund of return ${request.returnId}:`, error);
+  }
+  return transitionReturn(returnId, 'refunded', { actor, note: `Refunded ₹${amount}` });
+};
+
+// Side effects, keyed by the status a return enters; each runs once per return
+const EFFECTS = {
+  // The item is back: restock it, note it on the order and pay the buyer back
+  received: async (request, { actor }) => {
+    await restoreStock([request], { reason: 'Return received', reference: request.returnId, actor });
+    await Order.updateOne(
+      { _id: request.order },
+      { $inc: { 'items.$[item].returnedQuantity': request.quantity } },
+      { arrayFilters: [{ 'item._id': request.item }] }
+    );
+    try {
+      return await refundReturn(request.returnId, { actor });
+    } catch (error) {
+      console.error(`Error refunding return ${request.returnId}:`, error);
+      return ReturnRequest.findById(request._id);
+    }
+  },
+};
+
+/**
+ * Moves a return request to a new status.
+ * @param {string} returnId - Return request to update.
+ * @param {string} to - Target status.
+ * @param {object} [options]
+ * @param {string} [options.actor] - Id of the user making the change.
+ * @param {string} [options.note] - Free-text note stored in the history, and as the decision note.
+ * @param {Date|string} [options.scheduledFor] - Pickup date, when scheduling a pickup.
+ * @param {string} [options.carrier] - Pickup carrier.
+ * @param {string} [options.trackingNumber] - Pickup tracking number.
+ * @returns {Promise<object>} The updated return request.
+ */
+const transitionReturn = async (returnId, to, { actor, note, scheduledFor, carrier, trackingNumber } = {}) => {
+  if (!RETURN_STATUSES.includes(to)) throw returnError(`Unknown return status "${to}"`, 400);
+
+  const request = await ReturnRequest.findOne({ returnId });
+  if (!request) throw returnError('Return not found', 404);
+
+  const from = request.status;
+  if (!canTransition(from, to)) {
+    throw returnError(`Cannot change return from "${from}" to "${to}"`, 409);
+  }
+
+  const now = new Date();
+  const set = { status: to };
+  if (to === 'approved' || to === 'rejected') {
+    set.decision = { by: actor, at: now, note };
+  }
+  if (to === 'pickup_scheduled') {
+    if (!scheduledFor || Number.isNaN(new Date(scheduledFor).getTime())) {
+      throw returnError('A pickup date is required', 400);
+    }
+    set['pickup.scheduledFor'] = new Date(scheduledFor);
+  }
+  if (carrier) set['pickup.carrier'] = carrier;
+  if (trackingNumber) set['pickup.trackingNumber'] = trackingNumber;
+  if (to === 'picked_up') set['pickup.pickedUpAt'] = now;
+  if (to === 'received') set['pickup.receivedAt'] = now;
+
+  // Only succeeds if nobody changed the return since we read it
+  const updated = await ReturnRequest.findOneAndUpdate(
+    { _id: request._id, status: from },
+    { $set: set, $push: { statusHistory: { from, status: to, changedAt: now, changedBy: actor, note } } },
+    { new: true }
+  );
+  if (!updated) throw returnError('Return was updated by someone else, please retry', 409);
+
+  if (updated.grievance && GRIEVANCE_STATUSES[to]) {
+    await Grievance.updateOne({ _id: updated.grievance }, { $set: { status: GRIEVANCE_STATUSES[to] } });
+  }
+
+  return EFFECTS[to] ? EFFECTS[to](updated, { actor }) : updated;
+};
+
+/**
+ * Lets a buyer withdraw a return that hasn't been picked up yet.
+ * @param {string} returnId - Return request to cancel.
+ * @param {string} userId - Buyer asking.
+ * @returns {Promise<object>} The updated return request.
+ */
+const cancelReturn = async (returnId, userId) => {
+  const request = await ReturnRequest.findOne({ returnId });
+  if (!request || !userId || !request.user.equals(userId)) throw returnError('Return not found', 404);
+  return transitionReturn(returnId, 'cancelled', { actor: userId, note: 'Withdrawn by the buyer' });
+};
+
+/**
+ * Lists return requests, newest first unless sorted otherwise.
+ * @param {object} [filters]
+ * @param {string} [filters.user] - Buyer.
+ * @param {string} [filters.seller] - Seller of the returned items.
+ * @param {string} [filters.orderId] - Order the items were bought in.
+ * @param {string} [filters.status] - Return status.
+ * @param {...*} [filters.query] - Paging, sorting and filtering read by listQuery.
+ * @returns {Promise<object>} A listQuery page of return requests.
+ */
+const listReturns = async ({ user, seller, orderId, status, ...query } = {}) => {
+  if (status && !RETURN_STATUSES.includes(status)) {
+    throw returnError(`Unknown return status "${status}"`, 400);
+  }
+  for (const id of [user, seller]) {
+    if (id && !mongoose.isValidObjectId(id)) throw returnError('Invalid ID', 400);
+  }
+
+  const filter = {};
+  if (user) filter.user = user;
+  if (seller) filter.seller = seller;
+  if (orderId) filter.orderId = orderId;
+  if (status) filter.status = status;
+
+  return listQuery(ReturnRequest, query, {
+    filters: ['returnId', 'createdAt'],
+    sorts: ['createdAt', 'updatedAt'],
+    filter,
+    populate: [
+      { path: 'user', select: 'firstName lastName email phone' },
+      { path: 'grievance', select: 'reportId status' },
+    ],
+  });
+};
+
+module.exports = {
+  RETURN_WINDOW_DAYS,
+  RETURN_STATUSES,
+  canTransition,
+  requestReturn,
+  transitionReturn,
+  refundReturn,
+  cancelReturn,
+  listReturns,
+};
@@ -0,0 +1,305 @@
+const mongoose = require('mongoose');
+const Seller = require('../../model/shop/seller');
+const Product = require('../../model/shop/product');
+const Order = require('../../model/shop/order');
+const User = require('../../model/user');
+const { listOrders } = require('./orderService');
+const { LOW_STOCK_THRESHOLD, listLowStock } = require('./inventoryService');
+const { hasPermission } = require('../../middleware/permissions');
+
+/**
+ * Allowed onboarding status transitions.
+ *
+ *   draft -> submitted -> approved <-> suspended
+ *     ^        ^    |
+ *     +- rejected <-+
+ */
+const TRANSITIONS = {
+  draft: ['submitted'],
+  submitted: ['approved', 'rejected'],
+  rejected: ['draft', 'submitted'],
+  approved: ['suspended'],
+  suspended: ['approved'],
+};
+
+// Statuses in which the seller can still change their onboarding details
+const EDITABLE = ['draft', 'rejected'];
+
+const sellerError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// The seller run by a user, with the private payout account number when asked for
+const sellerForUser = (userId, { withAccountNumber = false } = {}) => {
+  const query = Seller.findOne({ user: userId });
+  return withAccountNumber ? query.select('+payout.accountNumber') : query;
+};
+
+/**
+ * Checks that a logged in user may manage a seller's products: a catalog manager, or the
+ * user running that seller once it's approved.
+ * @param {object} user - Decoded token, {userId, role}.
+ * @param {string} [sellerId] - Seller being managed; any approved seller of the user when omitted.
+ * @returns {Promise<object|null>} The user's own seller, or null for a catalog manager.
+ */
+const assertSellerAccess = async (user, sellerId) => {
+  if (!user) throw sellerError('Login required', 401);
+  if (hasPermission(user, 'catalog:write')) return null;
+
+  const seller = await sellerForUser(user.userId);
+  if (!seller || seller.status !== 'approved') {
+    throw sellerError('Only approved sellers can manage products', 403);
+  }
+  if (sellerId && !seller._id.equals(sellerId)) {
+    throw sellerError('You can only manage your own products', 403);
+  }
+  return seller;
+};
+
+// Onboarding details a seller fills in, normalized from the request body
+const onboardingDetails = ({ name, email, phone, address, business = {}, gstin, payout = {} }) => {
+  const details = { name, email, phone, address, gstin };
+  ['legalName', 'type', 'pan'].forEach((field) => {
+    if (business[field] !== undefined) details[`business.${field}`] = business[field];
+  });
+  ['accountHolderName', 'ifsc', 'bankName', 'upiId'].forEach((field) => {
+    if (payout[field] !== undefined) details[`payout.${field}`] = payout[field];
+  });
+  if (payout.accountNumber !== undefined) {
+    const accountNumber = String(payout.accountNumber).replace(/\s/g, '');
+    if (!/^\d{9,18}$/.test(accountNumber)) throw sellerError('Bank account number is not valid', 400);
+    details['payout.accountNumber'] = accountNumber;
+    details['payout.accountLastFour'] = accountNumber.slice(-4);
+  }
+  if (payout.upiId && !/^[\w.-]+@[\w]+$/.test(payout.upiId)) throw sellerError('UPI ID is not valid', 400);
+
+  return Object.fromEntries(Object.entries(details).filter(([, value]) => value !== undefined));
+};
+
+/**
+ * Starts or updates a user's seller onboarding. A rejected application goes back to draft.
+ * @param {string} userId - User applying to sell.
+ * @param {object} details - name, email, phone, address, business, gstin and payout.
+ * @returns {Promise<object>} The seller.
+ */
+const saveOnboarding = async (userId, details) => {
+  const user = await User.findById(userId);
+  if (!user) throw sellerError('User not found', 404);
+
+  const set = onboardingDetails(details);
+  const existing = await sellerForUser(user._id);
+
+  try {
+    if (!existing) {
+      const seller = await Seller.create({
+        name: set.name || [user.firstName, user.lastName].filter(Boolean).join(' '),
+        email: set.email || user.email,
+        ...set,
+        user: user._id,
+      });
+      // Read back so the account number isn't returned
+      return Seller.findById(seller._id);
+    }
+
+    if (!EDITABLE.includes(existing.status)) {
+      throw sellerError(`Onboarding details can't be changed once ${existing.status}`, 409);
+    }
+    if (existing.status === 'rejected') set.status = 'draft';
+
+    return await Seller.findByIdAndUpdate(existing._id, { $set: set }, { new: true, runValidators: true });
+  } catch (error) {
+    if (error.code === 11000) throw sellerError('A seller with this email already exists', 409);
+    if (error.name === 'ValidationError') throw sellerError(error.message, 400);
+    throw error;
+  }
+};
+
+/**
+ * Records a KYC document uploaded by a seller in onboarding.
+ * @param {string} userId - User running the seller.
+ * @param {string} type - Kind of document, e.g. pan or gst_certificate.
+ * @param {object} file - The file saved by multer.
+ * @returns {Promise<object>} The seller.
+ */
+const addKycDocument = async (userId, type, file) => {
+  if (!file) throw sellerError('Attach the document to upload', 400);
+  if (!Seller.schema.path('kycDocuments').schema.path('type').enumValues.includes(type)) {
+    throw sellerError('Unknown document type', 400);
+  }
+
+  const seller = await sellerForUser(userId);
+  if (!seller) throw sellerError('Start your seller onboarding first', 404);
+  if (!EDITABLE.includes(seller.status)) {
+    throw sellerError(`Documents can't be changed once ${seller.status}`, 409);
+  }
+
+  return Seller.findByIdAndUpdate(
+    seller._id,
+    {
+      $push: {
+        kycDocuments: {
+          type,
+          fileName: file.originalname,
+          storedName: file.filename,
+          mimeType: file.mimetype,
+          size: file.size,
+        },
+      },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Sends a completed onboarding for admin review.
+ * @param {string} userId - User running the seller.
+ * @returns {Promise<object>} The seller.
+ */
+const submitOnboarding = async (userId) => {
+  const seller = await sellerForUser(userId, { withAccountNumber: true });
+  if (!seller) throw sellerError('Start your seller onboarding first', 404);
+  if (!TRANSITIONS[seller.status].includes('submitted')) {
+    throw sellerError(`Onboarding is already ${seller.status}`, 409);
+  }
+
+  const missing = [
+    !seller.business?.legalName && 'business name',
+    !seller.gstin && 'GSTIN',
+    !((seller.payout?.accountNumber && seller.payout?.ifsc) || seller.payout?.upiId) && 'bank account or UPI ID',
+    seller.kycDocuments.length === 0 && 'a KYC document',
+  ].filter(Boolean);
+  if (missing.length > 0) throw sellerError(`Add your ${missing.join(', ')} before submitting`, 400);
+
+  const updated = await Seller.findOneAndUpdate(
+    { _id: seller._id, status: seller.status },
+    { $set: { status: 'submitted', submittedAt: new Date(), rejectionReason: null } },
+    { new: true }
+  );
+  if (!updated) throw sellerError('Onboarding was updated by someone else, please retry', 409);
+  return updated;
+};
+
+/**
+ * Approves, rejects, suspends or reinstates a seller. Approving makes the user a vendor.
+ * @param {string} sellerId - Seller to review.
+ * @param {string} decision - approved, rejected or suspended.
+ * @param {object} [options]
+ * @param {string} [options.actor] - Admin making the decision.
+ * @param {string} [options.reason] - Why the seller was rejected or suspended.
+ * @returns {Promise<object>} The seller.
+ */
+const reviewSeller = async (sellerId, decision, { actor, reason } = {}) => {
+  if (!['approved', 'rejected', 'suspended'].includes(decision)) {
+    throw sellerError('Decision must be approved, rejected or suspended', 400);
+  }
+  if (!mongoose.isValidObjectId(sellerId)) throw sellerError('Seller not found', 404);
+
+  const seller = await Seller.findById(sellerId);
+  if (!seller) throw sellerError('Seller not found', 404);
+  if (!(TRANSITIONS[seller.status] || []).includes(decision)) {
+    throw sellerError(`Cannot change seller from "${seller.status}" to "${decision}"`, 409);
+  }
+  if (decision === 'rejected' && !reason) throw sellerError('Give a reason for the rejection', 400);
+
+  const updated = await Seller.findOneAndUpdate(
+    { _id: seller._id, status: seller.status },
+    {
+      $set: {
+        status: decision,
+        reviewedAt: new Date(),
+        reviewedBy: actor,
+        rejectionReason: decision === 'approved' ? null : reason,
+      },
+    },
+    { new: true }
+  );
+  if (!updated) throw sellerError('Seller was updated by someone else, please retry', 409);
+
+  if (decision === 'approved' && updated.user) {
+    await User.updateOne({ _id: updated.user, role: { $ne: 'admin' } }, { $set: { role: 'vendor' } });
+  }
+  return updated;
+};
+
+// Sales per shipment status of a seller's part of every order, net of line returns
+const salesByStatus = async (sellerId) => {
+  const seller = new mongoose.Types.ObjectId(String(sellerId));
+  const rows = await Order.aggregate([
+    { $match: { 'shipments.seller': seller } },
+    { $unwind: '$shipments' },
+    { $match: { 'shipments.seller': seller } },
+    {
+      $project: {
+        status: '$shipments.status',
+        items: { $filter: { input: '$items', cond: { $in: ['$$this._id', '$shipments.items'] } } },
+      },
+    },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: '$status',
+        orders: { $addToSet: '$_id' },
+        amount: {
+          $sum: {
+            $subtract: ['$items.amount', { $multiply: ['$items.price', { $ifNull: ['$items.returnedQuantity', 0] }] }],
+          },
+        },
+      },
+    },
+  ]);
+  return rows.map((row) => ({ status: row._id, orders: row.orders.length, amount: row.amount }));
+};
+
+/**
+ * What a seller's dashboard shows: their products, variants running low on stock,
+ * recent orders and revenue.
+ * @param {string} sellerId - Seller.
+ * @returns {Promise<object>}
+ */
+const sellerDashboard = async (sellerId) => {
+  if (!mongoose.isValidObjectId(sellerId)) throw sellerError('Seller not found', 404);
+  const seller = await Seller.findById(sellerId);
+  if (!seller) throw sellerError('Seller not found', 404);
+
+  const products = await Product.find({ seller: seller._id }).populate('variants').sort({ createdAt: -1 });
+
+  const [lowStock, recent, sales] = await Promise.all([
+    listLowStock({ limit: 100 }, products.map((product) => product._id)),
+    listOrders({ seller: seller._id, limit: 10 }),
+    salesByStatus(seller._id),
+  ]);
+
+  const sum = (rows) => round(rows.reduce((total, row) => total + row.amount, 0));
+  const counted = sales.filter((row) => !['cancelled', 'returned'].includes(row.status));
+
+  return {
+    seller,
+    products,
+    lowStock: lowStock.items,
+    lowStockThreshold: LOW_STOCK_THRESHOLD, // Default for variants without their own
+    orders: {
+      recent: recent.items,
+      total: recent.total,
+      byStatus: Object.fromEntries(sales.map((row) => [row.status, row.orders])),
+    },
+    revenue: {
+      total: sum(counted), // Everything not cancelled or returned
+      delivered: sum(counted.filter((row) => row.status === 'delivered')),
+      pending: sum(counted.filter((row) => row.status !== 'delivered')),
+    },
+  };
+};
+
+module.exports = {
+  sellerForUser,
+  assertSellerAccess,
+  saveOnboarding,
+  addKycDocument,
+  submitOnboarding,
+  reviewSeller,
+  sellerDashboard,
+};
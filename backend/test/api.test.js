@@ -1,6 +1,7 @@
 const request = require('supertest');
 const app = require('../index'); 
 const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
 const dotenv = require("dotenv").config();
 beforeAll(async () => {
   // Connect to the test database
@@ -21,24 +22,57 @@ describe('Product APIs', () => {
   test('GET /api/products', async () => {
     const res = await request(app).get('/api/products');
     expect(res.statusCode).toBe(200);
-    expect(Array.isArray(res.body)).toBe(true);
+    expect(Array.isArray(res.body.items)).toBe(true);
+    expect(typeof res.body.total).toBe('number');
   });
 
+  test('GET /api/products pages with a limit', async () => {
+    const res = await request(app).get('/api/products?limit=1&sort=-createdAt&fields=name');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.items.length).toBeLessThanOrEqual(1);
+    expect(res.body.limit).toBe(1);
+  });
+
+  test('GET /api/products rejects an unknown sort field', async () => {
+    const res = await request(app).get('/api/products?sort=password');
+    expect(res.statusCode).toBe(400);
+  });
+
+  const product = {
+    name: 'Test Product',
+    description: 'A test product',
+    offer: 100,
+    images: ['http://example.com/image.jpg'],
+    category: mongoose.Types.ObjectId(),  // Mock ObjectId for category
+    seller: mongoose.Types.ObjectId()     // Mock ObjectId for seller
+  };
+
+  // Access token for a made up user of the given role; only the role decides what it may do here
+  const tokenFor = (role) =>
+    jwt.sign({ userId: mongoose.Types.ObjectId(), role }, process.env.JWT_SECRET, { expiresIn: '5m' });
+
   test('POST /api/products', async () => {
-    const product = {
-        name: 'Test Product',
-        description: 'A test product',
-        price: 100,
-        stock: 10,
-        imageUrl: 'http://example.com/image.jpg',
-        category: mongoose.Types.ObjectId(),  // Mock ObjectId for category
-        seller: mongoose.Types.ObjectId()     // Mock ObjectId for seller
-      };
-    const res = await request(app).post('/api/products').send(product);
+    const res = await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${tokenFor('admin')}`)
+      .send(product);
     expect(res.statusCode).toBe(201);
     expect(res.body.name).toBe(product.name);
   });
 
+  test('POST /api/products needs a login', async () => {
+    const res = await request(app).post('/api/products').send(product);
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('POST /api/products is refused to users who are not approved sellers', async () => {
+    const res = await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${tokenFor('customer')}`)
+      .send(product);
+    expect(res.statusCode).toBe(403);
+  });
+
   // Add more tests for GET by id, PUT, DELETE
 });
 
@@ -47,7 +81,7 @@ describe('Category APIs', () => {
   test('GET /api/categories', async () => {
     const res = await request(app).get('/api/categories');
     expect(res.statusCode).toBe(200);
-    expect(Array.isArray(res.body)).toBe(true);
+    expect(Array.isArray(res.body.items)).toBe(true);
   });
 
   // Add tests for POST, PUT, DELETE
@@ -58,7 +92,7 @@ describe('Brand APIs', () => {
   test('GET /api/brands', async () => {
     const res = await request(app).get('/api/brands');
     expect(res.statusCode).toBe(200);
-    expect(Array.isArray(res.body)).toBe(true);
+    expect(Array.isArray(res.body.items)).toBe(true);
   });
 
   // Add tests for POST, PUT, DELETE
@@ -69,7 +103,7 @@ describe('Seller APIs', () => {
   test('GET /api/sellers', async () => {
     const res = await request(app).get('/api/sellers');
     expect(res.statusCode).toBe(200);
-    expect(Array.isArray(res.body)).toBe(true);
+    expect(Array.isArray(res.body.items)).toBe(true);
   });
 
   // Add tests for POST, PUT, DELETE
@@ -80,7 +114,7 @@ describe('Review APIs', () => {
   test('GET /api/reviews', async () => {
     const res = await request(app).get('/api/reviews');
     expect(res.statusCode).toBe(200);
-    expect(Array.isArray(res.body)).toBe(true);
+    expect(Array.isArray(res.body.items)).toBe(true);
   });
 
   // Add tests for POST, PUT, DELETE
@@ -91,7 +125,7 @@ describe('Variant APIs', () => {
   test('GET /api/variants', async () => {
     const res = await request(app).get('/api/variants');
     expect(res.statusCode).toBe(200);
-    expect(Array.isArray(res.body)).toBe(true);
+    expect(Array.isArray(res.body.items)).toBe(true);
   });
 
   // Add tests for POST, PUT, DELETE
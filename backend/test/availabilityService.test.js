@@ -0,0 +1,127 @@
+const Reservation = require('../model/rent/reservation');
+const { reserveUnits, checkAvailability, resizeReservation } = require('../services/rent/availabilityService');
+
+const product = { _id: 'product-1', stock: 3, availabilityStatus: 'available' };
+
+// Reservations kept in memory, answering the queries the service makes
+let reservations;
+let nextId;
+
+const matches = (reservation, filter) =>
+  String(reservation.product) === String(filter.product) &&
+  (!filter.status || reservation.status === filter.status) &&
+  (!filter.startDate || reservation.startDate < filter.startDate.$lt) &&
+  (!filter.endDate || reservation.endDate > filter.endDate.$gt) &&
+  (!filter.rentalId || reservation.rentalId !== filter.rentalId.$ne);
+
+const hold = (rentalId, quantity, startDate, endDate) => {
+  const reservation = {
+    _id: `reservation-${(nextId += 1)}`,
+    product: product._id,
+    rentalId,
+    quantity,
+    startDate: new Date(startDate),
+    endDate: new Date(endDate),
+    status: 'active',
+  };
+  reservations.push(reservation);
+  return reservation;
+};
+
+beforeEach(() => {
+  reservations = [];
+  nextId = 0;
+  jest.spyOn(Reservation, 'find').mockImplementation((filter) => ({
+    lean: () => Promise.resolve(reservations.filter((reservation) => matches(reservation, filter))),
+  }));
+  jest.spyOn(Reservation, 'create').mockImplementation(async ({ rentalId, quantity, startDate, endDate }) =>
+    hold(rentalId, quantity, startDate, endDate)
+  );
+  jest.spyOn(Reservation, 'deleteOne').mockImplementation(async ({ _id }) => {
+    reservations = reservations.filter((reservation) => reservation._id !== _id);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const reserve = (rentalId, quantity, startDate, endDate) =>
+  reserveUnits({ product, userId: 'user-1', rentalId, quantity, startDate, endDate });
+
+describe('reserveUnits', () => {
+  test('holds units next to overlapping reservations while stock lasts', async () => {
+    hold('rental-a', 2, '2026-03-01', '2026-03-10');
+
+    await reserve('rental-b', 1, '2026-03-05', '2026-03-15');
+
+    expect(reservations).toHaveLength(2);
+    const { freeUnits } = await checkAvailability(product, 1, new Date('2026-03-05'), new Date('2026-03-10'));
+    expect(freeUnits).toBe(0);
+  });
+
+  test('refuses units already held for an overlapping window', async () => {
+    hold('rental-a', 2, '2026-03-01', '2026-03-10');
+
+    await expect(reserve('rental-b', 2, '2026-03-09', '2026-03-12')).rejects.toMatchObject({ status: 409 });
+    expect(reservations).toHaveLength(1);
+  });
+
+  test('treats the end date as free for the next rental', async () => {
+    hold('rental-a', 3, '2026-03-01', '2026-03-10');
+
+    await reserve('rental-b', 3, '2026-03-10', '2026-03-12');
+
+    expect(reservations).toHaveLength(2);
+  });
+
+  test('only counts the reservations overlapping at the same time', async () => {
+    hold('rental-a', 2, '2026-03-01', '2026-03-05');
+    hold('rental-b', 2, '2026-03-05', '2026-03-10');
+
+    await reserve('rental-c', 1, '2026-03-01', '2026-03-10');
+
+    expect(reservations).toHaveLength(3);
+  });
+
+  test('gives the units back when a booking made at the same time took them first', async () => {
+    Reservation.create.mockImplementation(async ({ rentalId, quantity, startDate, endDate }) => {
+      hold('rental-racing', 2, '2026-03-01', '2026-03-05');
+      return hold(rentalId, quantity, startDate, endDate);
+    });
+
+    await expect(reserve('rental-b', 2, '2026-03-01', '2026-03-05')).rejects.toMatchObject({ status: 409 });
+    expect(reservations.map((reservation) => reservation.rentalId)).toEqual(['rental-racing']);
+  });
+
+  test('refuses a window that ends before it starts', async () => {
+    await expect(reserve('rental-a', 1, '2026-03-05', '2026-03-05')).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('resizeReservation', () => {
+  const activeReservation = (reservation) => {
+    reservation.save = jest.fn().mockResolvedValue(reservation);
+    jest.spyOn(Reservation, 'findOne').mockResolvedValue(reservation);
+    jest.spyOn(Reservation, 'updateOne').mockImplementation(async (_, { quantity }) => {
+      reservation.quantity = quantity;
+    });
+    return reservation;
+  };
+
+  test('grows a reservation while stock lasts', async () => {
+    const reservation = activeReservation(hold('rental-a', 1, '2026-03-01', '2026-03-10'));
+
+    await resizeReservation(product, 'rental-a', 3);
+
+    expect(reservation.quantity).toBe(3);
+  });
+
+  test('puts the old quantity back when growing it overbooks the window', async () => {
+    hold('rental-b', 2, '2026-03-05', '2026-03-08');
+    const reservation = activeReservation(hold('rental-a', 1, '2026-03-01', '2026-03-10'));
+
+    await expect(resizeReservation(product, 'rental-a', 2)).rejects.toMatchObject({ status: 409 });
+    expect(reservation.quantity).toBe(1);
+  });
+});
@@ -0,0 +1,121 @@
+const SeasonalPricing = require('../model/rent/seasonalPricing');
+const { quoteRental, toPriceBreakdown } = require('../services/rent/quoteService');
+
+const product = {
+  _id: 'product-1',
+  rentalPricePerDay: 100,
+  depositAmount: 500,
+  rentalDurationOptions: ['hourly', 'daily', 'weekly'],
+  maxRentalDuration: 30,
+};
+
+// Seasonal rules the quote finds for the rental window
+const withRules = (rules) =>
+  jest.spyOn(SeasonalPricing, 'find').mockReturnValue({ sort: () => Promise.resolve(rules) });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('quoteRental', () => {
+  test('charges the daily rate for every day and unit, with the deposit kept apart', async () => {
+    withRules([]);
+    const quote = await quoteRental({ product, quantity: 2, startDate: '2026-03-01', endDate: '2026-03-04' });
+
+    expect(quote.rateUnit).toBe('daily');
+    expect(quote.units).toBe(3);
+    expect(quote.subtotal).toBe(600);
+    expect(quote.seasonal).toBeNull();
+    expect(quote.total).toBe(600);
+    expect(quote.deposit).toBe(1000);
+    expect(quote.amountDue).toBe(1600);
+  });
+
+  test('bills a started hour as a whole one', async () => {
+    withRules([]);
+    const quote = await quoteRental({
+      product,
+      startDate: '2026-03-01T08:00:00Z',
+      endDate: '2026-03-01T10:30:00Z',
+      rentalDuration: 'hourly',
+    });
+
+    expect(quote.units).toBe(3);
+    expect(quote.rate).toBe(4.17);
+    expect(quote.subtotal).toBe(12.51);
+  });
+
+  test('only charges the seasonal rate for the days the rule covers', async () => {
+    withRules([
+      {
+        season: 'harvest',
+        adjustmentType: 'increase',
+        percentage: 20,
+        startDate: new Date('2026-03-05'),
+        endDate: new Date('2026-04-01'),
+      },
+    ]);
+    const quote = await quoteRental({ product, startDate: '2026-03-01', endDate: '2026-03-11' });
+
+    expect(quote.subtotal).toBe(1000);
+    expect(quote.seasonal.segments).toHaveLength(1);
+    expect(quote.seasonal.segments[0]).toMatchObject({
+      season: 'harvest',
+      startDate: new Date('2026-03-05'),
+      endDate: new Date('2026-03-11'),
+      appliedTo: 600,
+      amount: 120,
+    });
+    expect(quote.seasonal.amount).toBe(120);
+    expect(quote.total).toBe(1120);
+    expect(toPriceBreakdown(quote).seasonalSegments).toHaveLength(1);
+  });
+
+  test('prices each part of the window by the rule covering it', async () => {
+    withRules([
+      {
+        season: 'fall',
+        adjustmentType: 'discount',
+        percentage: 10,
+        startDate: new Date('2026-02-01'),
+        endDate: new Date('2026-03-03'),
+      },
+      {
+        season: 'sowing',
+        adjustmentType: 'increase',
+        percentage: 50,
+        startDate: new Date('2026-03-03'),
+        endDate: new Date('2026-04-01'),
+      },
+    ]);
+    const quote = await quoteRental({ product, startDate: '2026-03-01', endDate: '2026-03-05' });
+
+    expect(quote.seasonal.segments.map((segment) => segment.amount)).toEqual([-20, 100]);
+    expect(quote.total).toBe(480);
+    expect(toPriceBreakdown(quote).seasonalAdjustment).toBe(80);
+  });
+
+  test('takes the loyalty discount off after the seasonal change', async () => {
+    withRules([]);
+    const quote = await quoteRental({
+      product,
+      user: { _id: 'user-1', loyaltyTier: 'gold' },
+      startDate: '2026-03-01',
+      endDate: '2026-03-03',
+    });
+
+    expect(quote.loyalty).toEqual({ tier: 'gold', percentage: 10, amount: -20 });
+    expect(quote.total).toBe(180);
+    expect(quote.discount).toBe(20);
+  });
+
+  test.each([
+    ['an end before the start', { startDate: '2026-03-04', endDate: '2026-03-01' }],
+    ['a part quantity', { startDate: '2026-03-01', endDate: '2026-03-02', quantity: 1.5 }],
+    ['a duration the product is not offered for', { startDate: '2026-03-01', endDate: '2026-03-02', rentalDuration: 'monthly' }],
+    ['a rental longer than the product allows', { startDate: '2026-03-01', endDate: '2026-05-01' }],
+  ])('refuses %s', async (_, params) => {
+    withRules([]);
+    await expect(quoteRental({ product, ...params })).rejects.toMatchObject({ status: 400 });
+  });
+});
@@ -0,0 +1,139 @@
+const RentalOrder = require('../model/rent/rentalOrder');
+const RentProduct = require('../model/rent/rentProduct');
+const Reservation = require('../model/rent/reservation');
+const PromotionRedemption = require('../model/rent/promotionRedemption');
+const { canTransition, transitionRental } = require('../services/rent/rentalLifecycle');
+
+// A stored rental in the given status; updates succeed unless a test says otherwise
+const storedRental = (status, fields = {}) => {
+  const rental = { _id: 'order-1', rentalId: 'rental-1', product: 'product-1', quantity: 2, status, ...fields };
+  jest.spyOn(RentalOrder, 'findOne').mockResolvedValue(rental);
+  jest
+    .spyOn(RentalOrder, 'findOneAndUpdate')
+    .mockImplementation(async (_, update) => ({ ...rental, ...update.$set }));
+  return rental;
+};
+
+beforeEach(() => {
+  jest.spyOn(Reservation, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(PromotionRedemption, 'find').mockResolvedValue([]);
+  jest.spyOn(RentProduct, 'findByIdAndUpdate').mockResolvedValue({
+    stock: 5,
+    rentedQuantity: 2,
+    availabilityStatus: 'available',
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('canTransition', () => {
+  test.each([
+    ['requested', 'approved'],
+    ['requested', 'rejected'],
+    ['approved', 'picked_up'],
+    ['approved', 'cancelled'],
+    ['picked_up', 'returned'],
+    ['returned', 'inspected'],
+    ['inspected', 'closed'],
+  ])('allows %s to %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(true);
+  });
+
+  test.each([
+    ['requested', 'picked_up'],
+    ['picked_up', 'cancelled'],
+    ['returned', 'picked_up'],
+    ['closed', 'requested'],
+    ['cancelled', 'approved'],
+  ])('refuses %s to %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(false);
+  });
+});
+
+describe('transitionRental', () => {
+  test('records the change in the status history, guarded by the status it was read in', async () => {
+    storedRental('requested');
+
+    const updated = await transitionRental('rental-1', 'approved', { actor: 'admin-1', reason: 'Looks good' });
+
+    expect(updated.status).toBe('approved');
+    const [filter, update] = RentalOrder.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ rentalId: 'rental-1', status: 'requested' });
+    expect(update.$push.statusHistory).toMatchObject({
+      from: 'requested',
+      status: 'approved',
+      changedBy: 'admin-1',
+      reason: 'Looks good',
+    });
+  });
+
+  test('holds the deposit and counts the units as out on pick up', async () => {
+    storedRental('approved');
+
+    const updated = await transitionRental('rental-1', 'picked_up');
+
+    expect(updated['deposit.status']).toBe('held');
+    expect(RentProduct.findByIdAndUpdate).toHaveBeenCalledWith(
+      'product-1',
+      { $inc: { rentedQuantity: 2 } },
+      { new: true }
+    );
+  });
+
+  test('frees the reservation and gives the promotion back on cancel', async () => {
+    storedRental('approved');
+
+    const updated = await transitionRental('rental-1', 'cancelled');
+
+    expect(updated.returnDate).toBeInstanceOf(Date);
+    expect(Reservation.updateMany).toHaveBeenCalledWith(
+      { rentalId: 'rental-1', status: 'active' },
+      { status: 'released' }
+    );
+    expect(PromotionRedemption.find).toHaveBeenCalledWith({ orderId: 'rental-1', status: 'applied' });
+  });
+
+  test("gives a checkout's promotion back once none of its rentals is still booked", async () => {
+    storedRental('requested', { checkoutId: 'TRK1' });
+    jest.spyOn(RentalOrder, 'exists').mockResolvedValue(null);
+
+    await transitionRental('rental-1', 'rejected');
+
+    expect(PromotionRedemption.find).toHaveBeenCalledWith({ orderId: 'TRK1', status: 'applied' });
+  });
+
+  test("keeps a checkout's promotion while another of its rentals is booked", async () => {
+    storedRental('requested', { checkoutId: 'TRK1' });
+    jest.spyOn(RentalOrder, 'exists').mockResolvedValue({ _id: 'order-2' });
+
+    await transitionRental('rental-1', 'cancelled');
+
+    expect(PromotionRedemption.find).not.toHaveBeenCalledWith({ orderId: 'TRK1', status: 'applied' });
+  });
+
+  test('refuses a change the lifecycle does not allow', async () => {
+    storedRental('requested');
+
+    await expect(transitionRental('rental-1', 'returned')).rejects.toMatchObject({ status: 409 });
+    expect(RentalOrder.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('refuses an unknown status', async () => {
+    await expect(transitionRental('rental-1', 'lost')).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('answers 404 for a rental that does not exist', async () => {
+    jest.spyOn(RentalOrder, 'findOne').mockResolvedValue(null);
+
+    await expect(transitionRental('rental-1', 'approved')).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('refuses when someone else changed the status first', async () => {
+    storedRental('requested');
+    RentalOrder.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(transitionRental('rental-1', 'approved')).rejects.toMatchObject({ status: 409 });
+  });
+});
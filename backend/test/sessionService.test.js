@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const AuthSession = require('../model/authSession');
+const User = require('../model/user');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+const { refreshSession } = require('../services/sessionService');
+
+const hash = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const user = { _id: new mongoose.Types.ObjectId(), role: 'farmer', isVerified: true };
+
+// A live session whose current refresh token secret is `current`
+const storedSession = (fields = {}) => {
+  const session = {
+    _id: new mongoose.Types.ObjectId(),
+    user: user._id,
+    tokenHash: hash('current'),
+    previousTokenHash: hash('previous'),
+    rememberMe: false,
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    revokedAt: null,
+    ...fields,
+  };
+  jest.spyOn(AuthSession, 'findById').mockResolvedValue(session);
+  jest
+    .spyOn(AuthSession, 'findOneAndUpdate')
+    .mockImplementation(async (_, { $set }) => ({ ...session, ...$set }));
+  return session;
+};
+
+beforeEach(() => {
+  jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(user) });
+  jest.spyOn(AuthSession, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('refreshSession', () => {
+  test('swaps the refresh token for a new one and issues an access token for the session', async () => {
+    const session = storedSession();
+
+    const tokens = await refreshSession(`${session._id}.current`);
+
+    const [id, secret] = tokens.refreshToken.split('.');
+    expect(id).toBe(String(session._id));
+    expect(secret).not.toBe('current');
+
+    const [filter, { $set }] = AuthSession.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ _id: session._id, tokenHash: hash('current'), revokedAt: null });
+    expect($set.tokenHash).toBe(hash(secret));
+    expect($set.previousTokenHash).toBe(hash('current'));
+
+    const claims = jwt.verify(tokens.token, process.env.JWT_SECRET);
+    expect(claims).toMatchObject({ userId: String(user._id), role: 'farmer', sid: String(session._id) });
+  });
+
+  test('ends the session when a replaced token is used again after the grace period', async () => {
+    const session = storedSession({ lastUsedAt: new Date(Date.now() - 5 * 60 * 1000) });
+
+    await expect(refreshSession(`${session._id}.previous`)).rejects.toMatchObject({ status: 401 });
+    expect(AuthSession.updateMany).toHaveBeenCalledWith(
+      { _id: session._id, revokedAt: null },
+      { $set: { revokedAt: expect.any(Date), revokedReason: 'token_reuse' } }
+    );
+  });
+
+  test('only refuses a replaced token used again right away, as two tabs refreshing at once do', async () => {
+    const session = storedSession({ lastUsedAt: new Date() });
+
+    await expect(refreshSession(`${session._id}.previous`)).rejects.toMatchObject({ status: 401 });
+    expect(AuthSession.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('refuses an unknown secret without ending the session', async () => {
+    const session = storedSession();
+
+    await expect(refreshSession(`${session._id}.guessed`)).rejects.toMatchObject({ status: 401 });
+    expect(AuthSession.updateMany).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['revoked', { revokedAt: new Date() }],
+    ['expired', { expiresAt: new Date(Date.now() - 1000) }],
+  ])('refuses a %s session', async (_, fields) => {
+    const session = storedSession(fields);
+
+    await expect(refreshSession(`${session._id}.current`)).rejects.toMatchObject({ status: 401 });
+    expect(AuthSession.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('refuses the slower of two refreshes racing with the same token', async () => {
+    const session = storedSession();
+    AuthSession.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(refreshSession(`${session._id}.current`)).rejects.toMatchObject({ status: 401 });
+  });
+
+  test('ends the sessions of suspended users', async () => {
+    const session = storedSession();
+    User.findById.mockReturnValue({ select: () => Promise.resolve({ ...user, isVerified: false }) });
+
+    await expect(refreshSession(`${session._id}.current`)).rejects.toMatchObject({ status: 401 });
+    expect(AuthSession.updateMany).toHaveBeenCalledWith(
+      { _id: session._id, revokedAt: null },
+      { $set: { revokedAt: expect.any(Date), revokedReason: 'suspended' } }
+    );
+  });
+
+  test('refuses a malformed token', async () => {
+    await expect(refreshSession('not-a-token')).rejects.toMatchObject({ status: 401 });
+  });
+});
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { X, ShoppingBag } from 'lucide-react';
 import axios from 'axios';
+import { getAuthToken } from '../context/authStorage';
 import { toast, ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import './index.css';
@@ -53,9 +54,10 @@ const RentCartPage = () => {
   // Fetch user cart items from backend
   useEffect(() => {
     const fetchCartItems = async () => {
-      const userId = "6728e52174915a9964fecf5a";
       try {
-        const response = await axios.get(`${ApiUrl}/api/getCart/${userId}`);
+        const response = await axios.get(`${ApiUrl}/api/me/rent-cart`, {
+          headers: { Authorization: `Bearer ${getAuthToken()}` },
+        });
         setCartItems(response.data.cart);
         toast.success("Cart loaded successfully!");
       } catch (error) {
@@ -84,13 +86,11 @@ const RentCartPage = () => {
   const handleRemoveItem = async (productId) => {
     try {
 
-      const response = await fetch(`${ApiUrl}/api/remove/${productId}`, { 
+      const response = await fetch(`${ApiUrl}/api/me/rent-cart/remove/${productId}`, { 
         method: 'DELETE', 
         headers: {
-          'Content-Type': 'application/json',
-          // 'Authorization': `Bearer ${localStorage.getItem('token')}`, // Uncomment if authentication is needed
+          Authorization: `Bearer ${getAuthToken()}`,
         },
-        body: JSON.stringify({ userId }),
       });
       if (response.ok) {
        
@@ -9,10 +9,12 @@ import "./index.css"
 import { AiOutlineHeart, AiFillHeart } from 'react-icons/ai';
 import { ToastContainer, toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
+import { getAuthToken } from '../context/authStorage';
 
 // Assuming the categories list is the same
 const categories = ['All', 'Farming Technology', 'Farming Equipment', 'Agriculture'];
 
+const authConfig = () => ({ headers: { Authorization: `Bearer ${getAuthToken()}` } });
 
 const ProductCard = ({ product, userId }) => {
   const navigate = useNavigate();
@@ -26,7 +28,7 @@ const ProductCard = ({ product, userId }) => {
   useEffect(() => {
     const fetchWishlistStatus = async () => {
       try {
-        const { data } = await axios.post(`${ApiUrl}/api/wishlist`, { userId });
+        const { data } = await axios.get(`${ApiUrl}/api/me/rent-wishlist`, authConfig());
         if (data.wishlist.some(item => item._id === product._id)) {
           setIsWishlisted(true);
         }
@@ -41,13 +43,13 @@ const ProductCard = ({ product, userId }) => {
   const handleWishlistToggle = async () => {
     try {
       if (isWishlisted) {
-        await axios.delete(`${ApiUrl}/api/wishlist/remove/${product._id}`, { data: { userId } });
+        await axios.delete(`${ApiUrl}/api/me/rent-wishlist/remove/${product._id}`, authConfig());
         toast.success('Product removed from wishlist!', {
          
           autoClose: 3000, // Duration in ms
         });
       } else {
-        await axios.post(`${ApiUrl}/api/wishlist/add/${product._id}`, { userId });
+        await axios.post(`${ApiUrl}/api/me/rent-wishlist/add/${product._id}`, {}, authConfig());
         toast.success('Product added to wishlist!', {
          
           autoClose: 3000, // Duration in ms
@@ -238,8 +240,8 @@ const RentalMarketplace = () => {
   useEffect(() => {
     const fetchProducts = async () => {
       try {
-        const response = await fetch(`${ApiUrl}/api/rent-products`);
-        const data = await response.json();
+        const response = await fetch(`${ApiUrl}/api/rent-products?limit=100`);
+        const { items: data } = await response.json();
         setProducts(data);
         setFilteredProducts(data); // Initialize filteredProducts
         setLoading(false);
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from "react";
-import { User, BarChart, Box, Package, Bell, DollarSign, Tag, MessageSquare, Settings, FileText, Shield } from "lucide-react";
+import { User, BarChart, Box, Package, Bell, DollarSign, Tag, MessageSquare, Settings, FileText, Shield, Search, Upload } from "lucide-react";
 import ProductManagement from "./components/AdminProductManagement";
 import OrderManagement from "./components/AdminOrderManagement";
 import UserManagement from "./components/AdminUserManagement";
@@ -11,6 +11,9 @@ import CustomerSupportReviews from "./components/AdminCustomerSupport";
 import SettingsConfiguration from "./components/AdminSettings";
 import ReportsDataExport from "./components/AdminReport";
 import SecurityAuditLogs from "./components/AdminSecurity";
+import SearchInsights from "./components/AdminSearchInsights";
+import CatalogTransfer from "./components/AdminCatalogTransfer";
+import { getAuthToken } from "../context/authStorage";
 
 const RentAdminDashboard = () => {
   const [activeSection, setActiveSection] = useState("Product Management");
@@ -124,6 +127,7 @@ const RentAdminDashboard = () => {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
+          Authorization: `Bearer ${getAuthToken()}`,
         },
         body: JSON.stringify(newProduct),
       });
@@ -271,6 +275,10 @@ const RentAdminDashboard = () => {
         return <ReportsDataExport />;
       case "Security & Audit Logs":
         return <SecurityAuditLogs />;
+      case "Search Insights":
+        return <SearchInsights apiUrl={ApiUrl} />;
+      case "Catalog Import & Export":
+        return <CatalogTransfer apiUrl={ApiUrl} />;
       default:
         return null;
     }
@@ -311,6 +319,12 @@ const RentAdminDashboard = () => {
           <li className="cursor-pointer" onClick={() => setActiveSection("Security & Audit Logs")}>
             <Shield className="inline mr-2" /> Security & Audit Logs
           </li>
+          <li className="cursor-pointer" onClick={() => setActiveSection("Search Insights")}>
+            <Search className="inline mr-2" /> Search Insights
+          </li>
+          <li className="cursor-pointer" onClick={() => setActiveSection("Catalog Import & Export")}>
+            <Upload className="inline mr-2" /> Catalog Import & Export
+          </li>
         </ul>
       </aside>
 
@@ -2,32 +2,47 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { toast, ToastContainer } from 'react-toastify';
 import "react-toastify/ReactToastify.min.css";
+import { usePayment } from '../hooks/usePayment';
+import { getAuthToken } from '../context/authStorage';
+
+// Days between two yyyy-mm-dd dates; the rental ends at the start of the end date
+const rentalDays = ({ startDate, endDate }) =>
+  startDate && endDate ? Math.max(1, Math.round((new Date(endDate) - new Date(startDate)) / 86400000)) : 1;
 
 const RentCheckoutPage = () => {
-  // Dummy cartItems data
-  const [cartItems, setCartItems] = useState([
-    {
-      id: 1,
-      name: 'Farm Tractor',
-      description: 'High power tractor for various agricultural tasks.',
-      price: 150, // price per day
-      quantity: 2,
-      image: 'https://example.com/images/tractor.jpg',
-    },
-    {
-      id: 2,
-      name: 'Harvesting Machine',
-      description: 'Efficient harvesting machine for quick crop collection.',
-      price: 200, // price per day
-      quantity: 1,
-      image: 'https://example.com/images/harvester.jpg',
-    }
-  ]);
+  // The logged in user's rent cart, as { product, quantity }
+  const [cartItems, setCartItems] = useState([]);
+  // Rental window picked for each cart item, by product ID
+  const [windows, setWindows] = useState({});
 
   const ApiUrl = process.env.NODE_ENV === 'production'
     ? 'https://agrotech-ai-11j3.onrender.com'
     : 'http://localhost:8080';
 
+  const { pay, paying } = usePayment(ApiUrl);
+
+  useEffect(() => {
+    const fetchCart = async () => {
+      try {
+        const response = await fetch(`${ApiUrl}/api/me/rent-cart`, {
+          headers: { Authorization: `Bearer ${getAuthToken()}` },
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message);
+        setCartItems(data.cart.filter((item) => item.product));
+      } catch (error) {
+        console.error('Error fetching cart:', error);
+        toast.error('Failed to load your cart');
+      }
+    };
+    fetchCart();
+  }, []);
+
+  const handleWindowChange = (productId, e) => {
+    const { name, value } = e.target;
+    setWindows((prev) => ({ ...prev, [productId]: { ...prev[productId], [name]: value } }));
+  };
+
   const [userDetails, setUserDetails] = useState({
     name: '',
     email: '',
@@ -86,6 +101,16 @@ const RentCheckoutPage = () => {
       isValid = false;
     }
 
+    // Every item needs dates to be booked
+    const missingDates = cartItems.some((item) => {
+      const { startDate, endDate } = windows[item.product._id] || {};
+      return !startDate || !endDate || endDate <= startDate;
+    });
+    if (missingDates) {
+      newErrors.dates = 'Pick a start date and a later end date for every item';
+      isValid = false;
+    }
+
     setErrors(newErrors);
     return isValid;
   };
@@ -93,16 +118,28 @@ const RentCheckoutPage = () => {
   const [totalPrice, setTotalPrice] = useState(0);
   const navigate = useNavigate();
 
-  // Calculate total price based on cartItems
+  // Estimate at the daily price; the server prices the order when it's placed
   const calculateTotalPrice = () => {
-    const total = cartItems.reduce((acc, item) => acc + item.price * item.quantity, 0);
+    const total = cartItems.reduce(
+      (acc, item) => acc + item.product.price * item.quantity * rentalDays(windows[item.product._id] || {}),
+      0
+    );
     setTotalPrice(total);
   };
 
   // Handle removing an item from the cart
-  const handleRemoveItem = (itemId) => {
-    const updatedCartItems = cartItems.filter(item => item.id !== itemId);
-    setCartItems(updatedCartItems);
+  const handleRemoveItem = async (productId) => {
+    try {
+      const response = await fetch(`${ApiUrl}/api/me/rent-cart/remove/${productId}`, {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${getAuthToken()}` },
+      });
+      if (!response.ok) throw new Error('Failed to remove item');
+      setCartItems(cartItems.filter((item) => item.product._id !== productId));
+    } catch (error) {
+      console.error('Error removing item:', error);
+      toast.error('Failed to remove item. Please try again.');
+    }
   };
 
   const handleCheckout = async (e) => {
@@ -118,19 +155,39 @@ const RentCheckoutPage = () => {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          Authorization: `Bearer ${getAuthToken()}`,
         },
         body: JSON.stringify({
           userDetails,
-          cartItems,
-          totalPrice,
+          cartItems: cartItems.map((item) => ({
+            productId: item.product._id,
+            quantity: item.quantity,
+            startDate: windows[item.product._id].startDate,
+            endDate: windows[item.product._id].endDate,
+          })),
         }),
       });
 
       const data = await response.json();
-      if (response.ok) {
-        toast.success(`Your order has been placed. Tracking ID: ${data.trackingID}`);
-      } else {
+      if (!response.ok) {
         toast.error(data.message || 'Error placing the order');
+        return;
+      }
+      toast.success(`Your order has been placed. Tracking ID: ${data.trackingID}. Invoice ${data.invoiceNumber} has been emailed to you.`);
+
+      try {
+        const payment = await pay({
+          payment: data.payment,
+          clientData: data.clientData,
+          prefill: { name: userDetails.name, email: userDetails.email, contact: userDetails.phone },
+        });
+        if (payment.status === 'captured' || payment.status === 'authorized') {
+          toast.success(`Payment of ₹${data.totalPrice} received.`);
+        } else {
+          toast.error(payment.failureReason || `Payment ${payment.status}`);
+        }
+      } catch (error) {
+        toast.error(error.message || 'Payment failed');
       }
     } catch (error) {
       toast.error('An error occurred while placing the order.');
@@ -141,7 +198,7 @@ const RentCheckoutPage = () => {
   // Recalculate total when cart items change
   useEffect(() => {
     calculateTotalPrice();
-  }, [cartItems]);
+  }, [cartItems, windows]);
 
   return (
     <div className="min-h-screen flex flex-col items-center justify-center bg-gradient-to-r from-green-50 to-green-100 p-8 mt-12">
@@ -153,20 +210,38 @@ const RentCheckoutPage = () => {
         <div className="mb-6">
           <h3 className="text-2xl font-semibold text-green-900 mb-4">Your Cart</h3>
           {cartItems.length > 0 ? (
-            cartItems.map((item) => (
-              <div key={item.id} className="flex justify-between items-center border-b py-4">
+            cartItems.map(({ product, quantity }) => (
+              <div key={product._id} className="flex justify-between items-center border-b py-4">
                 <div className="flex items-center">
-                  <img src={item.image} alt={item.name} className="w-16 h-16 object-cover rounded-md mr-4" />
+                  <img src={product.image} alt={product.name} className="w-16 h-16 object-cover rounded-md mr-4" />
                   <div>
-                    <h4 className="text-lg font-semibold text-green-900">{item.name}</h4>
-                    <p className="text-sm text-green-700">{item.description}</p>
-                    <p className="text-sm text-green-600">Price: ${item.price} / day</p>
+                    <h4 className="text-lg font-semibold text-green-900">{product.name}</h4>
+                    <p className="text-sm text-green-700">{product.description}</p>
+                    <p className="text-sm text-green-600">Price: ₹{product.price} / day × {quantity}</p>
+                    <div className="flex gap-2 mt-2">
+                      <input
+                        type="date"
+                        name="startDate"
+                        value={windows[product._id]?.startDate || ''}
+                        onChange={(e) => handleWindowChange(product._id, e)}
+                        className="p-1 border border-green-300 rounded-md"
+                      />
+                      <input
+                        type="date"
+                        name="endDate"
+                        value={windows[product._id]?.endDate || ''}
+                        onChange={(e) => handleWindowChange(product._id, e)}
+                        className="p-1 border border-green-300 rounded-md"
+                      />
+                    </div>
                   </div>
                 </div>
                 <div className="flex items-center">
-                  <p className="text-lg font-bold text-green-800 mr-4">${item.price * item.quantity}</p>
+                  <p className="text-lg font-bold text-green-800 mr-4">
+                    ₹{product.price * quantity * rentalDays(windows[product._id] || {})}
+                  </p>
                   <button
-                    onClick={() => handleRemoveItem(item.id)}
+                    onClick={() => handleRemoveItem(product._id)}
                     className="bg-green-800 text-white px-6 py-3 rounded-md hover:bg-green-700 transition-colors duration-300"
                   >
                     Remove
@@ -177,6 +252,7 @@ const RentCheckoutPage = () => {
           ) : (
             <p className="text-center text-green-700">Your cart is empty. Please add items to your cart.</p>
           )}
+          {errors.dates && <p className="text-red-500 text-sm mt-2">{errors.dates}</p>}
         </div>
 
         {/* User Details Form */}
@@ -246,8 +322,8 @@ const RentCheckoutPage = () => {
         <div className="mb-6">
           <h3 className="text-2xl font-semibold text-green-900 mb-4">Order Summary</h3>
           <div className="flex justify-between items-center border-b py-4">
-            <span className="text-lg text-green-700">Total Price:</span>
-            <span className="text-xl font-bold text-green-900">${totalPrice}</span>
+            <span className="text-lg text-green-700">Estimated Total:</span>
+            <span className="text-xl font-bold text-green-900">₹{totalPrice}</span>
           </div>
         </div>
 
@@ -255,9 +331,10 @@ const RentCheckoutPage = () => {
         <div className="flex justify-center mt-4">
           <button
             onClick={handleCheckout}
-            className="bg-green-600 text-white px-6 py-3 rounded-md hover:bg-green-500 transition-colors duration-300"
+            disabled={paying}
+            className="bg-green-600 text-white px-6 py-3 rounded-md hover:bg-green-500 transition-colors duration-300 disabled:opacity-50"
           >
-            Place Order
+            {paying ? 'Processing payment...' : 'Place Order'}
           </button>
         </div>
       </div>
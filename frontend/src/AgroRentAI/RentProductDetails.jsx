@@ -4,6 +4,9 @@ import { useParams } from 'react-router-dom';
 import { toast, ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import ProductReview from './components/RatingProductReview';
+import AvailabilityCalendar from './components/AvailabilityCalendar';
+import RentalQuote from './components/RentalQuote';
+import { getAuthToken, getAuthUserId } from '../context/authStorage';
 
 
 const RentProductDetails = () => {
@@ -14,6 +17,7 @@ const RentProductDetails = () => {
     : 'http://localhost:8080';
 
   const { productId } = useParams();
+  const userId = getAuthUserId();
 
   // Fetch product details by product ID
   useEffect(() => {
@@ -33,13 +37,13 @@ const RentProductDetails = () => {
   const handleAddToCart = async () => {
     try {
       
-      const response = await fetch(`${ApiUrl}/api/addtoCart`, {
+      const response = await fetch(`${ApiUrl}/api/me/rent-cart/add`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          // 'Authorization': `Bearer ${localStorage.getItem('token')}`, // Assuming JWT token is stored in localStorage
+          Authorization: `Bearer ${getAuthToken()}`,
         },
-        body: JSON.stringify({ productId, quantity ,userId }),
+        body: JSON.stringify({ productId, quantity }),
       });
 
       if (response.ok) {
@@ -123,6 +127,9 @@ const RentProductDetails = () => {
             {/* Price */}
             <p className="text-2xl font-semibold text-green-800 mb-4">${product.price} / day</p>
 
+            {/* Stock */}
+            <p className="text-green-700 mb-4">Units in fleet: {product.stock}</p>
+
             {/* Quantity Selector */}
             <div className="flex items-center mb-6">
               <label className="text-green-700 mr-4">Quantity:</label>
@@ -149,6 +156,12 @@ const RentProductDetails = () => {
                 Proceed to Checkout
               </button>
             </div>
+
+            {/* Price quote and booking */}
+            <RentalQuote product={product} quantity={quantity} userId={userId} apiUrl={ApiUrl} />
+
+            {/* Booking Calendar */}
+            <AvailabilityCalendar productId={productId} apiUrl={ApiUrl} />
           </div>
         </div>
       </div>
@@ -27,6 +27,7 @@ import SubscriptionMembershipComponent from "./components/Subscription";
 import OrderDeliveryTrackingComponent from "./components/OrderTracking";
 import RentalRemindersComponent from "./components/RentalReminders";
 import PersonalizationSettingsComponent from "./components/PersonalizationSettings";
+import { getAuthToken } from "../context/authStorage";
 
 const RentUserDashboard = () => {
   const [profile, setProfile] = useState({
@@ -41,20 +42,44 @@ const RentUserDashboard = () => {
   const [wishlist, setWishlist] = useState([]);
   const [reviews, setReviews] = useState([]);
   const [notifications, setNotifications] = useState([]);
+  const [reminders, setReminders] = useState({ upcoming: [], overdue: [] });
+  const [remindersLoading, setRemindersLoading] = useState(true);
   const [activeSection, setActiveSection] = useState("Account Information");
 
+  const ApiUrl = process.env.NODE_ENV === 'production'
+    ? 'https://agrotech-ai-11j3.onrender.com'
+    : 'http://localhost:8080';
+
   useEffect(() => {
     const fetchData = async () => {
       setProfile(await fetchUserProfile());
       setRentals(await fetchUserRentals());
       setWishlist(await fetchUserWishlist());
       setReviews(await fetchUserReviews());
-      setNotifications(await fetchUserNotifications());
+
+      const rentalReminders = await fetchRentalReminders();
+      setReminders(rentalReminders);
+      setRemindersLoading(false);
+      setNotifications(await fetchUserNotifications(rentalReminders));
     };
 
     fetchData();
   }, []);
 
+  // Upcoming and overdue rentals of the logged-in user
+  const fetchRentalReminders = async () => {
+    try {
+      const response = await fetch(`${ApiUrl}/api/rentals/reminders`, {
+        headers: { Authorization: `Bearer ${getAuthToken()}` },
+      });
+      if (!response.ok) throw new Error(`Request failed with status ${response.status}`);
+      return await response.json();
+    } catch (error) {
+      console.error("Error fetching rental reminders:", error);
+      return { upcoming: [], overdue: [] };
+    }
+  };
+
   // Mock API calls
   const fetchUserProfile = async () => ({
 
@@ -90,12 +115,19 @@ const RentUserDashboard = () => {
   ];
 
 
-  const fetchUserNotifications = async () => [
-    {
-      id: 1,
-      message: "Your rental for Seeder is due tomorrow!",
+  const fetchUserNotifications = async (rentalReminders) => [
+    ...rentalReminders.overdue.map((reminder) => ({
+      id: `overdue-${reminder.rentalId}`,
+      message: `Your rental for ${reminder.productName} is overdue!`,
       type: "reminder",
-    },
+    })),
+    ...rentalReminders.upcoming
+      .filter((reminder) => reminder.status === "picked_up" && reminder.daysLeft <= 1)
+      .map((reminder) => ({
+        id: `due-${reminder.rentalId}`,
+        message: `Your rental for ${reminder.productName} is due tomorrow!`,
+        type: "reminder",
+      })),
     { id: 2, message: "20% discount on new rentals!", type: "offer" },
   ];
 
@@ -113,7 +145,7 @@ const RentUserDashboard = () => {
         return <RentalHistoryComponent />;
       case "Payment Methods & Billing":
         return (
-          <PaymentMethodsComponent paymentMethods={profile.paymentMethods} />
+          <PaymentMethodsComponent apiUrl={ApiUrl} />
         );
       case "Saved Items / Wishlist":
         return <WishlistComponent wishlist={wishlist} />;
@@ -130,7 +162,14 @@ const RentUserDashboard = () => {
       case "Order & Delivery Tracking":
         return <OrderDeliveryTrackingComponent rentals={rentals} />;
         case "Rental Reminders":
-          return <RentalRemindersComponent  />;
+          return (
+            <RentalRemindersComponent
+              reminders={reminders}
+              loading={remindersLoading}
+              apiUrl={ApiUrl}
+              onChange={async () => setReminders(await fetchRentalReminders())}
+            />
+          );
         case "Personalization Settings":
           return <PersonalizationSettingsComponent />;
       default:
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import AvatarComponent from './Avatar';
 import { toast, ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
+import { getAuthToken } from '../../context/authStorage';
 
 const ProfileComponent = ({ profile, setProfile }) => {
   const [isEditing, setIsEditing] = useState(false);
@@ -64,10 +65,11 @@ const ProfileComponent = ({ profile, setProfile }) => {
     }
 
     try {
-      const response = await fetch(`${ApiUrl}/auth/profile-update?userId=${profile.id}`, {
+      const response = await fetch(`${ApiUrl}/auth/profile-update`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
+          Authorization: `Bearer ${getAuthToken()}`,
         },
         body: JSON.stringify(formData),
       });
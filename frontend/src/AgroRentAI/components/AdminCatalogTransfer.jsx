@@ -0,0 +1,150 @@
+import React, { useState } from "react";
+import { Download, Upload } from "lucide-react";
+import { getAuthToken } from "../../context/authStorage";
+
+const CATALOGS = {
+  shop: "Shop products and variants",
+  rent: "Rental equipment",
+};
+
+// Export a catalog to edit in a spreadsheet, and import it back
+const CatalogTransfer = ({ apiUrl }) => {
+  const [catalog, setCatalog] = useState("shop");
+  const [file, setFile] = useState(null);
+  const [dryRun, setDryRun] = useState(true);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const download = async (format) => {
+    try {
+      const response = await fetch(`${apiUrl}/api/catalog/${catalog}/export?format=${format}`, {
+        headers: { Authorization: `Bearer ${getAuthToken()}` },
+      });
+      if (!response.ok) throw new Error("Failed to export the catalog");
+      const blob = format === "json"
+        ? new Blob([JSON.stringify(await response.json(), null, 2)], { type: "application/json" })
+        : await response.blob();
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = `${catalog}-catalog.${format}`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+      setError("");
+    } catch (err) {
+      console.error(err);
+      setError("Error exporting the catalog");
+    }
+  };
+
+  const upload = async (e) => {
+    e.preventDefault();
+    if (!file) return;
+    const body = new FormData();
+    body.append("file", file);
+    setBusy(true);
+    try {
+      const response = await fetch(`${apiUrl}/api/catalog/${catalog}/import?dryRun=${dryRun}`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${getAuthToken()}` },
+        body,
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || "Failed to import the catalog");
+      setResult(data);
+      setError("");
+    } catch (err) {
+      console.error(err);
+      setResult(null);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-sm space-y-8">
+      <select
+        value={catalog}
+        onChange={(e) => {
+          setCatalog(e.target.value);
+          setResult(null);
+        }}
+        className="px-4 py-2 border-2 border-green-500 rounded-lg focus:outline-none"
+      >
+        {Object.entries(CATALOGS).map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+
+      <div className="border rounded-lg p-6 bg-green-50 shadow-sm">
+        <h3 className="text-xl font-semibold text-green-700 mb-4 flex items-center">
+          <Download className="mr-2 text-green-700" /> Export
+        </h3>
+        <div className="space-x-4">
+          <button onClick={() => download("csv")} className="bg-green-500 text-white px-4 py-2 rounded-lg">
+            Download CSV
+          </button>
+          <button onClick={() => download("json")} className="bg-green-500 text-white px-4 py-2 rounded-lg">
+            Download JSON
+          </button>
+        </div>
+      </div>
+
+      <form onSubmit={upload} className="border rounded-lg p-6 bg-green-50 shadow-sm space-y-4">
+        <h3 className="text-xl font-semibold text-green-700 flex items-center">
+          <Upload className="mr-2 text-green-700" /> Import
+        </h3>
+        <input type="file" accept=".csv,.json" onChange={(e) => setFile(e.target.files[0] || null)} />
+        <label className="flex items-center gap-2 text-green-700">
+          <input type="checkbox" checked={dryRun} onChange={(e) => setDryRun(e.target.checked)} />
+          Dry run: check every row without saving
+        </label>
+        <button
+          type="submit"
+          disabled={!file || busy}
+          className="bg-green-500 text-white px-4 py-2 rounded-lg disabled:opacity-50"
+        >
+          {busy ? "Importing..." : dryRun ? "Check file" : "Import"}
+        </button>
+      </form>
+
+      {error && <p className="text-red-500">{error}</p>}
+
+      {result && (
+        <div className="space-y-4">
+          <p className="text-green-700">
+            {result.dryRun ? "Would create" : "Created"} {result.created}, {result.dryRun ? "update" : "updated"}{" "}
+            {result.updated}, {result.unchanged} unchanged, {result.failed} failed
+          </p>
+          {result.createdCategories?.length > 0 && (
+            <p className="text-green-700">New categories: {result.createdCategories.join(", ")}</p>
+          )}
+          {result.createdBrands?.length > 0 && (
+            <p className="text-green-700">New brands: {result.createdBrands.join(", ")}</p>
+          )}
+          {result.failed > 0 && (
+            <table className="w-full text-left">
+              <thead>
+                <tr>
+                  <th className="py-2">Line</th>
+                  <th className="py-2">Error</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.results.filter((row) => row.error).map((row) => (
+                  <tr key={row.line} className="border-t">
+                    <td className="py-2">{row.line}</td>
+                    <td className="py-2 text-red-500">{row.error}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CatalogTransfer;
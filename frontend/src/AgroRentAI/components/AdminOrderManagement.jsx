@@ -3,6 +3,11 @@ import { CheckCircle, XCircle, Clock } from "lucide-react";
 import axios from "axios";
 import { ToastContainer, toast } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
+import InspectionForm from "./InspectionForm";
+import { getAuthToken } from "../../context/authStorage";
+
+// Admin requests carry the logged in admin's token
+const authConfig = () => ({ headers: { Authorization: `Bearer ${getAuthToken()}` } });
 
 const OrderManagement = () => {
   const [orders, setOrders] = useState([]);
@@ -17,8 +22,8 @@ const OrderManagement = () => {
     const fetchOrders = async () => {
       setLoading(true);
       try {
-        const response = await axios.get(`${ApiUrl}/api/rent-orders`);
-        setOrders(response.data);
+        const response = await axios.get(`${ApiUrl}/api/rent-orders?limit=100`, authConfig());
+        setOrders(response.data.items);
       } catch (error) {
         console.error("Error fetching orders:", error);
       } finally {
@@ -31,23 +36,23 @@ const OrderManagement = () => {
 
   const onOrderApproval = async (rentalId) => {
     try {
-      await axios.put(`${ApiUrl}/api/rent-orders/${rentalId}`, { status: "approved" });
+      await axios.put(`${ApiUrl}/api/rent-orders/${rentalId}`, { status: "approved" }, authConfig());
       setOrders(orders.map(order => order.rentalId === rentalId ? { ...order, status: "approved" } : order));
       toast.success("Order approved successfully!"); // Success toast
     } catch (error) {
       console.error("Error approving order:", error);
-      toast.error("Error approving order!"); // Error toast
+      toast.error(error.response?.data?.message || "Error approving order!"); // Error toast
     }
   };
 
   const onOrderRejection = async (rentalId) => {
     try {
-      await axios.put(`${ApiUrl}/api/rent-orders/${rentalId}`, { status: "rejected" });
+      await axios.put(`${ApiUrl}/api/rent-orders/${rentalId}`, { status: "rejected" }, authConfig());
       setOrders(orders.map(order => order.rentalId === rentalId ? { ...order, status: "rejected" } : order));
       toast.success("Order rejected successfully!"); // Success toast
     } catch (error) {
       console.error("Error rejecting order:", error);
-      toast.error("Error rejecting order!"); // Error toast
+      toast.error(error.response?.data?.message || "Error rejecting order!"); // Error toast
     }
   };
 
@@ -72,24 +77,46 @@ const OrderManagement = () => {
   // Bulk update selected orders
   const bulkUpdateOrders = async (status) => {
     try {
-      await axios.put(`${ApiUrl}/api/rent-orders/bulk-update`, { rentalIds: selectedOrders, status });
+      const response = await axios.put(`${ApiUrl}/api/rent-orders/bulk-update`, { rentalIds: selectedOrders, status }, authConfig());
+      const { updatedRentals, failed } = response.data;
+      const updatedIds = updatedRentals.map(rental => rental.rentalId);
       setOrders(orders.map(order =>
-        selectedOrders.includes(order.rentalId)
+        updatedIds.includes(order.rentalId)
           ? { ...order, status }
           : order
       ));
       setSelectedOrders([]); // Clear selected orders after bulk update
-      toast.success("Bulk update successful!"); // Success toast
+      if (failed.length > 0) {
+        // Orders whose current status doesn't allow this change are skipped by the server
+        toast.warn(`${updatedIds.length} updated, ${failed.length} skipped: ${failed[0].message}`);
+      } else {
+        toast.success("Bulk update successful!"); // Success toast
+      }
     } catch (error) {
       console.error("Error updating orders:", error);
       toast.error("Error updating orders!"); // Error toast
     }
   };
 
+  // Approve or reject a renter's extension request
+  const onExtensionDecision = async (rentalId, extensionId, decision) => {
+    try {
+      const response = await axios.put(`${ApiUrl}/api/rent-orders/${rentalId}/extensions/${extensionId}`, { decision }, authConfig());
+      const rental = response.data.rental;
+      setOrders(orders.map(order =>
+        order.rentalId === rentalId ? { ...order, ...rental, product: order.product, user: order.user } : order
+      ));
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error("Error deciding extension:", error);
+      toast.error(error.response?.data?.message || "Error updating extension!");
+    }
+  };
+
   // Delete an order
   const onDeleteOrder = async (rentalId) => {
     try {
-      await axios.delete(`${ApiUrl}/api/rent-orders/${rentalId}`);
+      await axios.delete(`${ApiUrl}/api/rent-orders/${rentalId}`, authConfig());
       setOrders(orders.filter((order) => order.rentalId !== rentalId));
       toast.success("Order deleted successfully!"); // Success toast
     } catch (error) {
@@ -142,9 +169,9 @@ const OrderManagement = () => {
             {/* Order Details */}
             <div className="flex justify-between items-start mb-2">
               <div>
-                <p className="text-lg font-semibold text-green-700">Item: {order.item}</p>
+                <p className="text-lg font-semibold text-green-700">Item: {order.product?.name}</p>
                 <p className="text-sm text-gray-700 mb-1">
-                  User: {order.user} | Order ID: {order.rentalId}
+                  User: {order.user ? `${order.user.firstName} ${order.user.lastName}` : "Unknown"} | Order ID: {order.rentalId}
                 </p>
                 <p className="text-green-600">
                   Status: <span className="font-semibold">{order.status}</span> | Return Date: {order.returnDate}
@@ -186,16 +213,62 @@ const OrderManagement = () => {
             {/* Additional Info */}
             <div className="text-gray-500 text-sm mt-2">
               <p>
-                Order Date: <span className="font-semibold">{order.orderDate}</span>
+                Order Date: <span className="font-semibold">{order.rentalDate}</span>
+              </p>
+              <p>
+                Customer Contact: {order.user?.email}
               </p>
               <p>
-                Customer Contact: {order.customerContact}
+                Deposit: ₹{order.deposit?.amount || 0} ({order.deposit?.status})
               </p>
+              {order.settlement && (
+                <p>
+                  Settlement: deductions ₹{order.settlement.deductions} | refund ₹{order.settlement.refundable}
+                  {order.settlement.amountOwed > 0 && ` | owed by customer ₹${order.settlement.amountOwed}`}
+                  {order.inspection && ` | condition: ${order.inspection.condition.replace("_", " ")}`}
+                </p>
+              )}
               <p>
                 Expected Delivery: <Clock className="inline-block w-4 h-4 mr-1" />
                 {order.estimatedDelivery}
               </p>
             </div>
+
+            {/* Pending extension requests */}
+            {order.extensions?.filter((extension) => extension.status === "pending").map((extension) => (
+              <div key={extension._id} className="mt-3 border-t pt-3 flex items-center justify-between text-sm">
+                <p className="text-blue-700">
+                  Extension requested until {new Date(extension.requestedEndDate).toLocaleDateString()} for ₹
+                  {extension.charge?.total}
+                  {extension.reason && ` - "${extension.reason}"`}
+                </p>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => onExtensionDecision(order.rentalId, extension._id, "approve")}
+                    className="bg-green-600 text-white px-3 py-1 rounded-md hover:bg-green-700"
+                  >
+                    Approve
+                  </button>
+                  <button
+                    onClick={() => onExtensionDecision(order.rentalId, extension._id, "reject")}
+                    className="bg-red-600 text-white px-3 py-1 rounded-md hover:bg-red-700"
+                  >
+                    Reject
+                  </button>
+                </div>
+              </div>
+            ))}
+
+            {/* Returned orders are inspected before the deposit is settled */}
+            {order.status === "returned" && (
+              <InspectionForm
+                order={order}
+                apiUrl={ApiUrl}
+                onInspected={(rental) =>
+                  setOrders(orders.map((o) => (o.rentalId === rental.rentalId ? { ...o, ...rental, product: o.product, user: o.user } : o)))
+                }
+              />
+            )}
           </div>
         ))}
       </div>
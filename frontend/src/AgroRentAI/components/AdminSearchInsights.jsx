@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from "react";
+import { Search, AlertTriangle } from "lucide-react";
+import { getAuthToken } from "../../context/authStorage";
+
+// What customers search for, and the searches that find nothing
+const SearchInsights = ({ apiUrl }) => {
+  const [days, setDays] = useState(30);
+  const [insights, setInsights] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const fetchInsights = async () => {
+      try {
+        const response = await fetch(`${apiUrl}/api/search/insights?days=${days}`, {
+          headers: { Authorization: `Bearer ${getAuthToken()}` },
+        });
+        if (!response.ok) throw new Error("Failed to fetch search insights");
+        setInsights(await response.json());
+        setError("");
+      } catch (err) {
+        console.error(err);
+        setError("Error fetching search insights");
+      }
+    };
+
+    fetchInsights();
+  }, [apiUrl, days]);
+
+  if (error) return <p className="text-red-500">{error}</p>;
+  if (!insights) return <p>Loading search insights...</p>;
+
+  const zeroRate = insights.totalSearches
+    ? Math.round((insights.zeroResultSearches / insights.totalSearches) * 100)
+    : 0;
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-sm space-y-8">
+      <div className="flex items-center justify-between">
+        <p className="text-green-700">
+          {insights.totalSearches} searches, {zeroRate}% found nothing
+        </p>
+        <select
+          value={days}
+          onChange={(e) => setDays(Number(e.target.value))}
+          className="px-4 py-2 border-2 border-green-500 rounded-lg focus:outline-none"
+        >
+          <option value={7}>Last 7 days</option>
+          <option value={30}>Last 30 days</option>
+          <option value={90}>Last 90 days</option>
+        </select>
+      </div>
+
+      <div className="border rounded-lg p-6 bg-green-50 shadow-sm">
+        <h3 className="text-xl font-semibold text-green-700 mb-4 flex items-center">
+          <AlertTriangle className="mr-2 text-green-700" /> Searches With No Results
+        </h3>
+        {insights.zeroResults.length === 0 ? (
+          <p className="text-green-700">Every search found something.</p>
+        ) : (
+          <table className="w-full text-left">
+            <thead>
+              <tr className="text-green-900">
+                <th className="py-2">Query</th>
+                <th className="py-2">Searches</th>
+                <th className="py-2">Catalogs</th>
+                <th className="py-2">Last searched</th>
+              </tr>
+            </thead>
+            <tbody>
+              {insights.zeroResults.map((row) => (
+                <tr key={row.query} className="border-t">
+                  <td className="py-2">{row.query}</td>
+                  <td className="py-2">{row.count}</td>
+                  <td className="py-2">{row.catalogs.join(", ")}</td>
+                  <td className="py-2">{new Date(row.lastSearchedAt).toLocaleDateString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="border rounded-lg p-6 bg-green-50 shadow-sm">
+        <h3 className="text-xl font-semibold text-green-700 mb-4 flex items-center">
+          <Search className="mr-2 text-green-700" /> Top Searches
+        </h3>
+        <table className="w-full text-left">
+          <thead>
+            <tr className="text-green-900">
+              <th className="py-2">Query</th>
+              <th className="py-2">Searches</th>
+              <th className="py-2">Average results</th>
+            </tr>
+          </thead>
+          <tbody>
+            {insights.top.map((row) => (
+              <tr key={row.query} className="border-t">
+                <td className="py-2">{row.query}</td>
+                <td className="py-2">{row.count}</td>
+                <td className="py-2">{row.averageResults}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default SearchInsights;
@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from "react";
+import { ChevronLeft, ChevronRight } from "lucide-react";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Format a Date as YYYY-MM-DD (UTC), matching the dates returned by the API
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+
+const AvailabilityCalendar = ({ productId, apiUrl }) => {
+  const [month, setMonth] = useState(() => {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  });
+  const [days, setDays] = useState({});
+  const [stock, setStock] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Fetch availability for the month being displayed
+  useEffect(() => {
+    const fetchAvailability = async () => {
+      const first = new Date(month);
+      const last = new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + 1, 0));
+
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await fetch(
+          `${apiUrl}/api/rent-products/${productId}/availability?from=${toDateKey(first)}&to=${toDateKey(last)}`
+        );
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message);
+
+        setStock(data.stock);
+        setDays(Object.fromEntries(data.days.map((day) => [day.date, day])));
+      } catch (err) {
+        console.error("Error fetching availability:", err);
+        setError("Could not load availability");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAvailability();
+  }, [productId, apiUrl, month]);
+
+  const changeMonth = (offset) => {
+    setMonth(new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + offset, 1)));
+  };
+
+  // Leading blanks so the 1st lands on the right weekday
+  const daysInMonth = new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + 1, 0)).getUTCDate();
+  const cells = [
+    ...Array(month.getUTCDay()).fill(null),
+    ...Array.from({ length: daysInMonth }, (_, i) =>
+      new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth(), i + 1))
+    ),
+  ];
+
+  const cellColor = (day) => {
+    if (!day) return "bg-gray-100 text-gray-400";
+    if (day.available === 0) return "bg-red-200 text-red-800";
+    if (day.available < stock) return "bg-yellow-200 text-yellow-800";
+    return "bg-green-200 text-green-800";
+  };
+
+  return (
+    <div className="mt-6">
+      <div className="flex items-center justify-between mb-2">
+        <button onClick={() => changeMonth(-1)} className="p-1 rounded hover:bg-green-100" aria-label="Previous month">
+          <ChevronLeft className="w-5 h-5 text-green-700" />
+        </button>
+        <h3 className="text-lg font-semibold text-green-900">
+          {month.toLocaleString("default", { month: "long", year: "numeric", timeZone: "UTC" })}
+        </h3>
+        <button onClick={() => changeMonth(1)} className="p-1 rounded hover:bg-green-100" aria-label="Next month">
+          <ChevronRight className="w-5 h-5 text-green-700" />
+        </button>
+      </div>
+
+      {error ? (
+        <p className="text-red-600 text-sm">{error}</p>
+      ) : (
+        <div className={`grid grid-cols-7 gap-1 text-center text-sm ${loading ? "opacity-50" : ""}`}>
+          {WEEKDAYS.map((weekday) => (
+            <span key={weekday} className="font-medium text-green-700">{weekday}</span>
+          ))}
+          {cells.map((date, index) => {
+            if (!date) return <span key={`blank-${index}`} />;
+            const day = days[toDateKey(date)];
+            return (
+              <span
+                key={toDateKey(date)}
+                className={`rounded-md py-1 ${cellColor(day)}`}
+                title={day ? `${day.available} of ${stock} available` : ""}
+              >
+                {date.getUTCDate()}
+              </span>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="flex space-x-4 mt-2 text-xs text-gray-600">
+        <span><span className="inline-block w-3 h-3 bg-green-200 rounded mr-1" />Available</span>
+        <span><span className="inline-block w-3 h-3 bg-yellow-200 rounded mr-1" />Limited</span>
+        <span><span className="inline-block w-3 h-3 bg-red-200 rounded mr-1" />Booked</span>
+      </div>
+    </div>
+  );
+};
+
+export default AvailabilityCalendar;
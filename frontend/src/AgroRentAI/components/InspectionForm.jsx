@@ -0,0 +1,130 @@
+import React, { useState } from "react";
+import axios from "axios";
+import { toast } from "react-toastify";
+import { getAuthToken } from "../../context/authStorage";
+
+const DEDUCTION_TYPES = ["late_fee", "damage", "fuel", "cleaning", "other"];
+
+// Records the condition of a returned rental; the server works out the deposit settlement
+const InspectionForm = ({ order, apiUrl, onInspected }) => {
+  const [condition, setCondition] = useState("good");
+  const [notes, setNotes] = useState("");
+  const [photos, setPhotos] = useState("");
+  // The late fee worked out on return is suggested as the first deduction
+  const [deductions, setDeductions] = useState(() =>
+    order.lateFee > 0 ? [{ type: "late_fee", amount: order.lateFee, note: "Returned after the due date" }] : []
+  );
+  const [submitting, setSubmitting] = useState(false);
+
+  const updateDeduction = (index, field, value) => {
+    setDeductions(deductions.map((deduction, i) => (i === index ? { ...deduction, [field]: value } : deduction)));
+  };
+
+  const totalDeductions = deductions.reduce((sum, deduction) => sum + (Number(deduction.amount) || 0), 0);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = await axios.post(`${apiUrl}/api/rent-orders/${order.rentalId}/inspection`, {
+        condition,
+        notes,
+        photos: photos.split("\n").map((url) => url.trim()).filter(Boolean),
+        deductions: deductions.map((deduction) => ({ ...deduction, amount: Number(deduction.amount) || 0 })),
+      }, { headers: { Authorization: `Bearer ${getAuthToken()}` } });
+      toast.success(`Inspection saved. Refund: ₹${response.data.settlement.refundable}`);
+      onInspected(response.data.rental);
+    } catch (error) {
+      console.error("Error saving inspection:", error);
+      toast.error(error.response?.data?.message || "Error saving inspection!");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 border-t pt-3 space-y-2 text-sm">
+      <p className="font-semibold text-green-700">Return inspection</p>
+      <select
+        value={condition}
+        onChange={(e) => setCondition(e.target.value)}
+        className="p-2 border border-green-300 rounded-md"
+      >
+        <option value="good">Good</option>
+        <option value="minor_damage">Minor damage</option>
+        <option value="major_damage">Major damage</option>
+      </select>
+      <textarea
+        placeholder="Notes"
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        className="w-full p-2 border border-green-300 rounded-md"
+      />
+      <textarea
+        placeholder="Photo URLs, one per line"
+        value={photos}
+        onChange={(e) => setPhotos(e.target.value)}
+        className="w-full p-2 border border-green-300 rounded-md"
+      />
+
+      {deductions.map((deduction, index) => (
+        <div key={index} className="flex space-x-2">
+          <select
+            value={deduction.type}
+            onChange={(e) => updateDeduction(index, "type", e.target.value)}
+            className="p-2 border border-green-300 rounded-md"
+          >
+            {DEDUCTION_TYPES.map((type) => (
+              <option key={type} value={type}>
+                {type.replace("_", " ")}
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="0"
+            placeholder="Amount"
+            value={deduction.amount}
+            onChange={(e) => updateDeduction(index, "amount", e.target.value)}
+            className="w-28 p-2 border border-green-300 rounded-md"
+          />
+          <input
+            type="text"
+            placeholder="Note"
+            value={deduction.note}
+            onChange={(e) => updateDeduction(index, "note", e.target.value)}
+            className="flex-1 p-2 border border-green-300 rounded-md"
+          />
+          <button
+            type="button"
+            onClick={() => setDeductions(deductions.filter((_, i) => i !== index))}
+            className="text-red-600"
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => setDeductions([...deductions, { type: "damage", amount: "", note: "" }])}
+        className="text-green-700 underline"
+      >
+        Add deduction
+      </button>
+
+      <p className="text-gray-700">
+        Deposit ₹{order.deposit?.amount || 0} − deductions ₹{totalDeductions} = refund ₹
+        {Math.max((order.deposit?.amount || 0) - totalDeductions, 0)}
+      </p>
+      <button
+        type="submit"
+        disabled={submitting}
+        className="bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-700 disabled:opacity-50"
+      >
+        Save inspection
+      </button>
+    </form>
+  );
+};
+
+export default InspectionForm;
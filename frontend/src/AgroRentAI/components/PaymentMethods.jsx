@@ -1,14 +1,35 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { getAuthToken, getAuthUserId } from '../../context/authStorage';
 
-const PaymentMethodsComponent = ({ paymentMethods, updatePaymentMethods }) => {
+const PaymentMethodsComponent = ({ apiUrl }) => {
+  const [paymentMethods, setPaymentMethods] = useState([]);
   const [isAdding, setIsAdding] = useState(false);
   const [newMethod, setNewMethod] = useState({
     cardholder: '',
     cardNumber: '',
-    expiration: '',
-    cvv: ''
+    expiration: ''
   });
 
+  const userId = getAuthUserId();
+
+  // Saved methods are provider tokens; the server never returns or stores card numbers
+  const request = async (path = '', options = {}) => {
+    const response = await fetch(`${apiUrl}/api/payments/methods/${userId}${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${getAuthToken()}` },
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.message || 'Request failed');
+    return data.paymentMethods;
+  };
+
+  useEffect(() => {
+    if (!userId) return;
+    request()
+      .then(setPaymentMethods)
+      .catch((error) => console.error('Error fetching payment methods:', error));
+  }, [userId]);
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setNewMethod((prevMethod) => ({
@@ -17,35 +38,48 @@ const PaymentMethodsComponent = ({ paymentMethods, updatePaymentMethods }) => {
     }));
   };
 
-  const handleAddPaymentMethod = (e) => {
+  const handleAddPaymentMethod = async (e) => {
     e.preventDefault();
     if (
       newMethod.cardholder &&
       newMethod.cardNumber &&
-      newMethod.expiration &&
-      newMethod.cvv
+      newMethod.expiration
     ) {
       // Check if card number is valid (this is just a basic check for length)
       if (newMethod.cardNumber.length < 13 || newMethod.cardNumber.length > 19) {
         alert('Please enter a valid card number.');
         return;
       }
-      updatePaymentMethods([...paymentMethods, newMethod]);
+      try {
+        setPaymentMethods(await request('', {
+          method: 'POST',
+          body: JSON.stringify({
+            cardNumber: newMethod.cardNumber,
+            expiry: newMethod.expiration,
+            holderName: newMethod.cardholder,
+          }),
+        }));
+      } catch (error) {
+        alert(error.message);
+        return;
+      }
       setIsAdding(false);
       setNewMethod({
         cardholder: '',
         cardNumber: '',
-        expiration: '',
-        cvv: ''
+        expiration: ''
       });
     } else {
       alert('Please fill in all fields.');
     }
   };
 
-  const handleRemovePaymentMethod = (index) => {
-    const updatedMethods = paymentMethods.filter((_, i) => i !== index);
-    updatePaymentMethods(updatedMethods);
+  const handleRemovePaymentMethod = async (methodId) => {
+    try {
+      setPaymentMethods(await request(`/${methodId}`, { method: 'DELETE' }));
+    } catch (error) {
+      alert(error.message);
+    }
   };
 
   return (
@@ -54,15 +88,13 @@ const PaymentMethodsComponent = ({ paymentMethods, updatePaymentMethods }) => {
 
       {paymentMethods.length > 0 ? (
         <ul className="list-disc list-inside text-green-600 mb-4">
-          {paymentMethods.map((method, index) => (
-            <li key={index} className="flex justify-between items-center mb-2">
+          {paymentMethods.map((method) => (
+            <li key={method._id} className="flex justify-between items-center mb-2">
               <span>
-                {/* Check if cardNumber exists and is a valid string before slicing */}
-                {method.cardholder} - 
-                {method.cardNumber ? method.cardNumber.slice(-4) : '****VISA card ****'}
+                {method.details?.holderName} - {method.method} **** {method.details?.lastFour}
               </span>
               <button
-                onClick={() => handleRemovePaymentMethod(index)}
+                onClick={() => handleRemovePaymentMethod(method._id)}
                 className="text-red-500 hover:text-red-700 text-sm"
               >
                 Remove
@@ -109,30 +141,16 @@ const PaymentMethodsComponent = ({ paymentMethods, updatePaymentMethods }) => {
               required
             />
           </div>
-          <div className="mb-4 flex space-x-4">
-            <div className="w-1/2">
-              <label className="block text-green-600">Expiration Date</label>
-              <input
-                type="month"
-                name="expiration"
-                value={newMethod.expiration}
-                onChange={handleInputChange}
-                className="w-full p-2 mt-1 border rounded-md"
-                required
-              />
-            </div>
-            <div className="w-1/2">
-              <label className="block text-green-600">CVV</label>
-              <input
-                type="text"
-                name="cvv"
-                value={newMethod.cvv}
-                onChange={handleInputChange}
-                className="w-full p-2 mt-1 border rounded-md"
-                placeholder="123"
-                required
-              />
-            </div>
+          <div className="mb-4">
+            <label className="block text-green-600">Expiration Date</label>
+            <input
+              type="month"
+              name="expiration"
+              value={newMethod.expiration}
+              onChange={handleInputChange}
+              className="w-full p-2 mt-1 border rounded-md"
+              required
+            />
           </div>
           <button
             type="submit"
@@ -1,8 +1,9 @@
 // RentalHistoryComponent.js
 import React, { useState, useEffect } from 'react';
-import { Trash, Star } from 'lucide-react';
+import { Trash, Star, FileDown } from 'lucide-react';
 import { toast, ToastContainer } from "react-toastify";
 import "react-toastify/ReactToastify.min.css";
+import { getAuthToken } from '../../context/authStorage';
 
 const RentalHistoryComponent = () => {
   const [rentals, setRentals] = useState([]);
@@ -16,14 +17,50 @@ const RentalHistoryComponent = () => {
 
 
   useEffect(() => {
-    // Fetch rental data - replace with API call or mock data
-    setRentals([
-      { id: '1', name: 'Tractor Rental', duration: '3 days', cost: '$200', status: 'Completed', productId: '123' },
-      { id: '2', name: 'Plough Rental', duration: '2 days', cost: '$150', status: 'Completed', productId: '456' },
-      { id: '2', name: 'Plough Rental', duration: '2 days', cost: '$150', status: 'Completed', productId: '456' },
-      // Add more rental data as needed
-    ]);
-  }, []);
+    const fetchRentals = async () => {
+      try {
+        const response = await fetch(`${ApiUrl}/api/rent-product/history`, {
+          headers: { Authorization: `Bearer ${getAuthToken()}` },
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || data.message);
+
+        setRentals(data.rentals.map((rental) => ({
+          id: rental.rentalId,
+          name: rental.productName,
+          duration: `${new Date(rental.startDate).toLocaleDateString()} - ${new Date(rental.endDate).toLocaleDateString()}`,
+          cost: `₹${rental.totalCost}`,
+          status: rental.status,
+          productId: rental.productId,
+        })));
+      } catch (error) {
+        console.error('Error fetching rental history:', error);
+        toast.error('Could not load your rental history.');
+      }
+    };
+    fetchRentals();
+  }, [ApiUrl]);
+
+  // Download the rental's PDF invoice
+  const handleDownloadInvoice = async (rentalId) => {
+    try {
+      const response = await fetch(`${ApiUrl}/api/rent-product/receipt/${rentalId}`, {
+        headers: { Authorization: `Bearer ${getAuthToken()}` },
+      });
+      if (!response.ok) throw new Error('Invoice download failed');
+
+      const filename = response.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1] || `${rentalId}.pdf`;
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading invoice:', error);
+      toast.error('Could not download the invoice.');
+    }
+  };
 
   // Handle rating and comment changes
   const handleRatingChange = (id, value) => setRatings({ ...ratings, [id]: value });
@@ -81,11 +118,18 @@ const RentalHistoryComponent = () => {
               <p className="text-green-600">{rental.duration} - {rental.cost}</p>
               <p className="text-green-600">{rental.status}</p>
             </div>
-            <button
-              onClick={() => handleCancelRental(rental.id)}
-              className="inline-block bg-green-600 text-white px-6 py-2 rounded-md hover:bg-green-500 transition-colors duration-300">
-              <Trash className="inline w-4 h-4 mr-1" /> Cancel
-            </button>
+            <div className="flex space-x-2">
+              <button
+                onClick={() => handleDownloadInvoice(rental.id)}
+                className="inline-block bg-green-100 text-green-800 px-4 py-2 rounded-md hover:bg-green-200 transition-colors duration-300">
+                <FileDown className="inline w-4 h-4 mr-1" /> Invoice
+              </button>
+              <button
+                onClick={() => handleCancelRental(rental.id)}
+                className="inline-block bg-green-600 text-white px-6 py-2 rounded-md hover:bg-green-500 transition-colors duration-300">
+                <Trash className="inline w-4 h-4 mr-1" /> Cancel
+              </button>
+            </div>
           </div>
 
           {/* Rating Input */}
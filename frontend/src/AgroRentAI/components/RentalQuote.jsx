@@ -0,0 +1,186 @@
+import React, { useState } from "react";
+import { toast } from "react-toastify";
+import { getAuthToken } from "../../context/authStorage";
+
+const DURATION_LABELS = {
+  hourly: "hour",
+  daily: "day",
+  weekly: "week",
+  monthly: "month",
+};
+
+const formatAmount = (amount) => `₹${Number(amount).toFixed(2)}`;
+
+const formatDay = (date) => new Date(date).toLocaleDateString(undefined, { day: "numeric", month: "short" });
+
+// Prices a rental with the server-side quote engine and books it with the same inputs
+const RentalQuote = ({ product, quantity, userId, apiUrl }) => {
+  const [form, setForm] = useState({
+    startDate: "",
+    endDate: "",
+    rentalDuration: product.rentalDurationOptions?.includes("daily")
+      ? "daily"
+      : product.rentalDurationOptions?.[0] || "daily",
+    promoCode: "",
+  });
+  const [quote, setQuote] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+    setQuote(null); // Any change invalidates the previous quote
+  };
+
+  const requestBody = () => ({
+    productId: product._id,
+    quantity,
+    startDate: form.startDate,
+    endDate: form.endDate,
+    rentalDuration: form.rentalDuration,
+    promoCode: form.promoCode.trim() || undefined,
+  });
+
+  const handleQuote = async () => {
+    setLoading(true);
+    try {
+      const response = await fetch(`${apiUrl}/api/rent/quote`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${getAuthToken()}` },
+        body: JSON.stringify(requestBody()),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message);
+      setQuote(data.quote);
+    } catch (error) {
+      toast.error(error.message || "Could not get a price for these dates");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleBook = async () => {
+    if (!userId) {
+      toast.error("Please log in to book this rental");
+      return;
+    }
+    setLoading(true);
+    try {
+      const response = await fetch(`${apiUrl}/api/rentals`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${getAuthToken()}` },
+        body: JSON.stringify(requestBody()),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message);
+      toast.success(`Rental requested. Total: ${formatAmount(data.rental.priceBreakdown.total)}`);
+      setQuote(null);
+    } catch (error) {
+      toast.error(error.message || "Could not book this rental");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const lines = quote
+    ? [
+        [`${quote.units} ${DURATION_LABELS[quote.rateUnit]}(s) × ${quote.quantity} × ${formatAmount(quote.rate)}`, quote.subtotal],
+        // One line per seasonal rule the window runs through
+        ...(quote.seasonal?.segments || []).map((segment) => [
+          `${segment.season} season, ${formatDay(segment.startDate)} to ${formatDay(segment.endDate)} (${segment.type === "increase" ? "+" : "-"}${segment.percentage}%)`,
+          segment.amount,
+        ]),
+        quote.promotion && [`Promo ${quote.promotion.code} (${quote.promotion.percentage}%)`, quote.promotion.amount],
+        quote.loyalty && [`${quote.loyalty.tier} member (${quote.loyalty.percentage}%)`, quote.loyalty.amount],
+        ["Rental total", quote.total],
+        ["Refundable deposit", quote.deposit],
+      ].filter(Boolean)
+    : [];
+
+  return (
+    <div className="mt-6 border border-green-200 rounded-lg p-4">
+      <h3 className="text-xl font-semibold text-green-900 mb-3">Get a price</h3>
+      <div className="grid grid-cols-2 gap-3 mb-3">
+        <label className="text-green-700 text-sm">
+          From
+          <input
+            type="date"
+            name="startDate"
+            value={form.startDate}
+            onChange={handleChange}
+            className="w-full p-2 border border-green-300 rounded-md"
+          />
+        </label>
+        <label className="text-green-700 text-sm">
+          To
+          <input
+            type="date"
+            name="endDate"
+            value={form.endDate}
+            onChange={handleChange}
+            className="w-full p-2 border border-green-300 rounded-md"
+          />
+        </label>
+        <label className="text-green-700 text-sm">
+          Billed
+          <select
+            name="rentalDuration"
+            value={form.rentalDuration}
+            onChange={handleChange}
+            className="w-full p-2 border border-green-300 rounded-md"
+          >
+            {(product.rentalDurationOptions || []).map((option) => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-green-700 text-sm">
+          Promo code
+          <input
+            type="text"
+            name="promoCode"
+            value={form.promoCode}
+            onChange={handleChange}
+            className="w-full p-2 border border-green-300 rounded-md"
+          />
+        </label>
+      </div>
+
+      {quote && (
+        <div className="mb-3">
+          {lines.map(([label, amount]) => (
+            <div key={label} className="flex justify-between text-green-800 text-sm py-1">
+              <span>{label}</span>
+              <span>{formatAmount(amount)}</span>
+            </div>
+          ))}
+          <div className="flex justify-between font-bold text-green-900 border-t pt-2">
+            <span>Due now</span>
+            <span>{formatAmount(quote.amountDue)}</span>
+          </div>
+        </div>
+      )}
+
+      <div className="flex space-x-4">
+        <button
+          onClick={handleQuote}
+          disabled={loading || !form.startDate || !form.endDate}
+          className="bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-500 disabled:opacity-50"
+        >
+          Get quote
+        </button>
+        <button
+          onClick={handleBook}
+          disabled={loading || !quote}
+          className="bg-green-800 text-white px-4 py-2 rounded-md hover:bg-green-700 disabled:opacity-50"
+        >
+          Book rental
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RentalQuote;
@@ -1,41 +1,45 @@
 // src/components/RentalReminders.js
-import React from "react";
+import React, { useState } from "react";
 import { toast, ToastContainer } from "react-toastify";
+import { getAuthToken } from "../../context/authStorage";
 
-const RentalRemindersComponent = () => {
-  // Dummy reminders data
-  const reminders = [
-    {
-      id: 1,
-      itemName: "Tractor",
-      dueDate: "2024-11-15",
-      status: "Active",
-      duration: 7,
-      remainingDays: 3,
-      cost: 150,
-    },
-    {
-      id: 2,
-      itemName: "Plow",
-      dueDate: "2024-11-18",
-      status: "Active",
-      duration: 5,
-      remainingDays: 6,
-      cost: 80,
-    },
-    {
-      id: 3,
-      itemName: "Seeder",
-      dueDate: "2024-11-20",
-      status: "Overdue",
-      duration: 10,
-      remainingDays: -2,
-      cost: 200,
-    },
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+// Upcoming and overdue rentals, as returned by GET /api/rentals/reminders
+const RentalRemindersComponent = ({ reminders = { upcoming: [], overdue: [] }, loading = false, apiUrl, onChange }) => {
+  const [extendingId, setExtendingId] = useState(null);
+  const [newEndDate, setNewEndDate] = useState("");
+
+  const items = [
+    ...reminders.overdue.map((reminder) => ({ ...reminder, overdue: true })),
+    ...reminders.upcoming.map((reminder) => ({ ...reminder, overdue: false })),
   ];
 
   const handleExtendRental = (id) => {
-    toast.success(`Extend rental for item ID: ${id}`);
+    setExtendingId(extendingId === id ? null : id);
+    setNewEndDate("");
+  };
+
+  // Ask the owner for more time; the extra days are priced by the server
+  const submitExtension = async (id) => {
+    try {
+      const response = await fetch(`${apiUrl}/api/rentals/${id}/extend`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${getAuthToken()}`,
+        },
+        body: JSON.stringify({ endDate: newEndDate }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message);
+
+      toast.success(`Extension requested. Extra cost: ₹${data.extension.charge.total}`);
+      setExtendingId(null);
+      if (onChange) onChange();
+    } catch (error) {
+      toast.error(error.message || "Could not request an extension");
+    }
   };
 
   const handleViewDetails = (id) => {
@@ -50,37 +54,73 @@ const RentalRemindersComponent = () => {
     <div className="p-6 bg-white rounded-lg shadow-md">
         <ToastContainer/>
       <h3 className="text-xl font-semibold text-green-700 mb-4">Rental Reminders</h3>
-      {reminders.length > 0 ? (
-        reminders.map((reminder) => (
-          <div key={reminder.id} className="p-4 mb-4 bg-green-50 border border-green-200 rounded-lg">
+      {loading ? (
+        <p className="text-gray-500">Loading reminders...</p>
+      ) : items.length > 0 ? (
+        items.map((reminder) => (
+          <div
+            key={reminder.rentalId}
+            className={`p-4 mb-4 border rounded-lg ${
+              reminder.overdue ? "bg-red-50 border-red-200" : "bg-green-50 border-green-200"
+            }`}
+          >
             <div className="flex items-center justify-between mb-2">
-              <h4 className="text-lg font-semibold text-gray-800">{reminder.itemName}</h4>
-              <span className="text-sm text-gray-600">Due Date: {reminder.dueDate}</span>
+              <h4 className="text-lg font-semibold text-gray-800">{reminder.productName}</h4>
+              <span className="text-sm text-gray-600">Due Date: {formatDate(reminder.dueDate)}</span>
             </div>
 
             <div className="text-gray-800 mb-2">
-              <p><strong>Status:</strong> {reminder.status}</p>
-              <p><strong>Rental Duration:</strong> {reminder.duration} days</p>
-              <p><strong>Days Left:</strong> {reminder.remainingDays >= 0 ? `${reminder.remainingDays} days` : "Overdue"}</p>
-              <p><strong>Total Rental Cost:</strong> ${reminder.cost}</p>
+              <p><strong>Status:</strong> {reminder.overdue ? "Overdue" : reminder.status === "approved" ? "Awaiting pickup" : "Active"}</p>
+              <p><strong>Quantity:</strong> {reminder.quantity}</p>
+              <p><strong>Days Left:</strong> {reminder.overdue ? "Overdue" : `${reminder.daysLeft} days`}</p>
+              <p><strong>Total Rental Cost:</strong> ₹{reminder.totalCost}</p>
+              {reminder.lateFee > 0 && (
+                <p className="text-red-600"><strong>Late Fee So Far:</strong> ₹{reminder.lateFee}</p>
+              )}
+              {reminder.pendingExtension && (
+                <p className="text-blue-600">
+                  <strong>Extension requested:</strong> until {formatDate(reminder.pendingExtension.requestedEndDate)}{" "}
+                  (₹{reminder.pendingExtension.charge.total}), waiting for approval
+                </p>
+              )}
             </div>
 
+            {extendingId === reminder.rentalId && (
+              <div className="flex items-center space-x-2 mt-2">
+                <label className="text-sm text-gray-700">New due date:</label>
+                <input
+                  type="date"
+                  value={newEndDate}
+                  onChange={(e) => setNewEndDate(e.target.value)}
+                  className="p-1 border border-green-300 rounded-md"
+                />
+                <button
+                  className="bg-green-600 hover:bg-green-700 text-white py-1 px-3 rounded-lg text-sm disabled:opacity-50"
+                  disabled={!newEndDate}
+                  onClick={() => submitExtension(reminder.rentalId)}
+                >
+                  Request
+                </button>
+              </div>
+            )}
+
             <div className="flex items-center space-x-4 mt-3">
               <button
-                className="bg-blue-500 hover:bg-blue-600 text-white py-1 px-3 rounded-lg text-sm"
-                onClick={() => handleExtendRental(reminder.id)}
+                className="bg-blue-500 hover:bg-blue-600 text-white py-1 px-3 rounded-lg text-sm disabled:opacity-50"
+                disabled={Boolean(reminder.pendingExtension)}
+                onClick={() => handleExtendRental(reminder.rentalId)}
               >
                 Extend Rental
               </button>
               <button
                 className="bg-yellow-500 hover:bg-yellow-600 text-white py-1 px-3 rounded-lg text-sm"
-                onClick={() => handleViewDetails(reminder.id)}
+                onClick={() => handleViewDetails(reminder.rentalId)}
               >
                 View Details
               </button>
               <button
                 className="bg-red-500 hover:bg-red-600 text-white py-1 px-3 rounded-lg text-sm"
-                onClick={() => handleContactSupport(reminder.id)}
+                onClick={() => handleContactSupport(reminder.rentalId)}
               >
                 Contact Support
               </button>
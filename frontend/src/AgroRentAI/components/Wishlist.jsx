@@ -1,5 +1,6 @@
 // WishlistComponent.js
 import React, { useEffect, useState } from 'react';
+import { getAuthToken } from '../../context/authStorage';
 
 const WishlistComponent = ({ userId }) => {
   const [wishlist, setWishlist] = useState([]);
@@ -13,7 +14,9 @@ const WishlistComponent = ({ userId }) => {
   useEffect(() => {
     const fetchWishlist = async () => {
       try {
-        const response = await fetch(`${ApiUrl}/api/wishlist?userId=${userId}`);
+        const response = await fetch(`${ApiUrl}/api/me/rent-wishlist`, {
+          headers: { Authorization: `Bearer ${getAuthToken()}` },
+        });
         if (!response.ok) {
           throw new Error('Failed to fetch wishlist');
         }
@@ -1,7 +1,10 @@
 import React, { useState } from "react";
 import { FaSearch } from "react-icons/fa"; // Using React Icons for the search icon
 
-const SearchBar = ({ onSearch }) => {
+// Default categories until the search results list the ones in use
+const DEFAULT_CATEGORIES = ["Equipment", "Tools", "Seeds", "Fertilizers"];
+
+const SearchBar = ({ onSearch, categories = [] }) => {
   const [searchQuery, setSearchQuery] = useState("");
   const [category, setCategory] = useState("all");
   const [priceRange, setPriceRange] = useState("all");
@@ -9,7 +12,7 @@ const SearchBar = ({ onSearch }) => {
   const handleSearch = (e) => {
     e.preventDefault();
     // Pass the search query, category, and price range to the parent component
-    onSearch({ searchQuery, category, priceRange });
+    if (onSearch) onSearch({ searchQuery, category, priceRange });
   };
 
   return (
@@ -20,6 +23,7 @@ const SearchBar = ({ onSearch }) => {
           type="text"
           value={searchQuery}
           onChange={(e) => setSearchQuery(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && handleSearch(e)}
           className="px-4 py-2 w-64 sm:w-80 focus:outline-none"
           placeholder="Search for products..."
         />
@@ -43,10 +47,11 @@ const SearchBar = ({ onSearch }) => {
           className="px-4 py-2 border-2 border-green-500 rounded-lg focus:outline-none"
         >
           <option value="all">All</option>
-          <option value="equipment">Equipment</option>
-          <option value="tools">Tools</option>
-          <option value="seeds">Seeds</option>
-          <option value="fertilizers">Fertilizers</option>
+          {(categories.length > 0 ? categories : DEFAULT_CATEGORIES).map((name) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
         </select>
       </div>
 
@@ -62,10 +67,10 @@ const SearchBar = ({ onSearch }) => {
           className="px-4 py-2 border-2 border-green-500 rounded-lg focus:outline-none"
         >
           <option value="all">All</option>
-          <option value="0-50">$0 - $50</option>
-          <option value="50-200">$50 - $200</option>
-          <option value="200-500">$200 - $500</option>
-          <option value="500+">$500+</option>
+          <option value="0-500">₹0 - ₹500 per day</option>
+          <option value="500-1000">₹500 - ₹1000 per day</option>
+          <option value="1000-5000">₹1000 - ₹5000 per day</option>
+          <option value="5000+">₹5000+ per day</option>
         </select>
       </div>
     </div>
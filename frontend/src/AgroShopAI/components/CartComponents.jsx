@@ -53,7 +53,7 @@ const PromoCodeInput = () => (
     </div>
 );
 
-const OrderSummary = ({ subtotal }) => (
+const OrderSummary = ({ subtotal, onCheckout, checkingOut = false }) => (
     <div className="border-t border-gray-200 pt-4">
         <div className="flex justify-between mb-2">
             <span>SUBTOTAL</span>
@@ -74,7 +74,13 @@ const OrderSummary = ({ subtotal }) => (
             <span className="font-bold">ESTIMATED TOTAL</span>
             <span className="font-bold">₹{subtotal.toFixed(2)}</span> {/* You can calculate the total here as well */}
         </div>
-        <button className="bg-black text-white w-full py-2">CHECKOUT</button>
+        <button
+            className="bg-black text-white w-full py-2 disabled:opacity-50"
+            onClick={onCheckout}
+            disabled={!onCheckout || checkingOut || subtotal === 0}
+        >
+            {checkingOut ? 'PLACING ORDER...' : 'CHECKOUT'}
+        </button>
         <p className="text-gray-500 text-sm mt-4">Need help? Call us at 1-877-707-6272</p>
     </div>
 );
@@ -1,11 +1,12 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import { getAuthToken } from '../../context/authStorage';
 import LoginPrompt from './LoginPrompt';
 import { FaHeart, FaRegHeart } from 'react-icons/fa';
 
 const ProductCard = ({ item, initialWishlistStatus, onWishlistToggle }) => {
-  const { isLoggedIn, userData } = useAuth();
+  const { isLoggedIn } = useAuth();
   const [isInWishlist, setIsInWishlist] = useState(initialWishlistStatus);
   const salePrice = item.variant.price * (1 - (item.offer / 100));
   const savings = item.variant.price - salePrice;
@@ -18,7 +19,7 @@ const ProductCard = ({ item, initialWishlistStatus, onWishlistToggle }) => {
 
     const action = isInWishlist ? 'remove' : 'add';
     const baseURL = import.meta.env.VITE_BACKEND_BASE_URL;
-    const url = `${baseURL}api/wishlist/${userData}/${action}`;
+    const url = `${baseURL}api/me/wishlist/${action}`;
     const payload = {
       productId: item._id,
       variantId: item.variant._id,
@@ -29,6 +30,7 @@ const ProductCard = ({ item, initialWishlistStatus, onWishlistToggle }) => {
         method: action === 'add' ? 'POST' : 'DELETE',
         headers: {
           'Content-Type': 'application/json',
+          Authorization: `Bearer ${getAuthToken()}`,
         },
         body: JSON.stringify(payload),
       };
@@ -57,10 +59,11 @@ const ProductCard = ({ item, initialWishlistStatus, onWishlistToggle }) => {
       return <LoginPrompt />;
     }
     try {
-      const response = await fetch(`${import.meta.env.VITE_BACKEND_BASE_URL}api/cart/${userData}/add`, {
+      const response = await fetch(`${import.meta.env.VITE_BACKEND_BASE_URL}api/me/cart/add`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          Authorization: `Bearer ${getAuthToken()}`,
         },
         body: JSON.stringify({
           productId: item._id,
@@ -1,5 +1,6 @@
 
 import React, { useState } from 'react';
+import { getAuthToken } from '../../context/authStorage';
 
 const ReviewSection = ({ product_id,reviews, setReviews }) => {
   const [reviewText, setReviewText] = useState("");
@@ -24,6 +25,7 @@ const ReviewSection = ({ product_id,reviews, setReviews }) => {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json', // Set the content type to JSON
+            Authorization: `Bearer ${getAuthToken()}`,
           },
           body: JSON.stringify(reviewData), // Convert the review data to JSON format
         });
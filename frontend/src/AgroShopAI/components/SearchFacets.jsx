@@ -0,0 +1,118 @@
+import React from "react";
+
+const SORT_OPTIONS = {
+  relevance: "Relevance",
+  price_asc: "Price: Low to High",
+  price_desc: "Price: High to Low",
+  rating: "Customer Rating",
+  newest: "Newest",
+};
+
+// Filters for search results, with how many products each choice would show
+const SearchFacets = ({ facets, filters, onChange }) => {
+  const toggle = (name, value) => {
+    const selected = filters[name].includes(value)
+      ? filters[name].filter((item) => item !== value)
+      : [...filters[name], value];
+    onChange({ ...filters, [name]: selected });
+  };
+
+  const priceLabel = (bucket) =>
+    bucket.max === null ? `₹${bucket.min}+` : `₹${bucket.min} - ₹${bucket.max}`;
+
+  return (
+    <div className="bg-white p-4 rounded-lg text-sm space-y-4">
+      <div>
+        <h3 className="font-bold mb-1">Sort By</h3>
+        <select
+          value={filters.sort}
+          onChange={(e) => onChange({ ...filters, sort: e.target.value })}
+          className="w-full p-2 border rounded"
+        >
+          {Object.entries(SORT_OPTIONS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {facets.categories.length > 0 && (
+        <div>
+          <h3 className="font-bold mb-1">Category</h3>
+          {facets.categories.map((category) => (
+            <label key={category.value} className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={filters.category.includes(category.value)}
+                onChange={() => toggle("category", category.value)}
+              />
+              {category.value} ({category.count})
+            </label>
+          ))}
+        </div>
+      )}
+
+      {facets.brands.length > 0 && (
+        <div>
+          <h3 className="font-bold mb-1">Brand</h3>
+          {facets.brands.map((brand) => (
+            <label key={brand.value} className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={filters.brand.includes(brand.value)}
+                onChange={() => toggle("brand", brand.value)}
+              />
+              {brand.value} ({brand.count})
+            </label>
+          ))}
+        </div>
+      )}
+
+      <div>
+        <h3 className="font-bold mb-1">Price</h3>
+        <label className="flex items-center gap-2">
+          <input type="radio" checked={!filters.price} onChange={() => onChange({ ...filters, price: null })} />
+          Any price
+        </label>
+        {facets.price.map((bucket) => (
+          <label key={bucket.min} className="flex items-center gap-2">
+            <input
+              type="radio"
+              checked={filters.price?.min === bucket.min}
+              onChange={() => onChange({ ...filters, price: bucket })}
+            />
+            {priceLabel(bucket)} ({bucket.count})
+          </label>
+        ))}
+      </div>
+
+      <div>
+        <h3 className="font-bold mb-1">Customer Rating</h3>
+        <label className="flex items-center gap-2">
+          <input type="radio" checked={!filters.minRating} onChange={() => onChange({ ...filters, minRating: null })} />
+          Any rating
+        </label>
+        {facets.rating.map((rating) => (
+          <label key={rating.min} className="flex items-center gap-2">
+            <input
+              type="radio"
+              checked={filters.minRating === rating.min}
+              onChange={() => onChange({ ...filters, minRating: rating.min })}
+            />
+            {rating.min}★ & above ({rating.count})
+          </label>
+        ))}
+      </div>
+
+      <label className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={filters.available}
+          onChange={(e) => onChange({ ...filters, available: e.target.checked })}
+        />
+        In stock only ({facets.availability.available})
+      </label>
+    </div>
+  );
+};
+
+export default SearchFacets;
@@ -92,7 +92,8 @@ function ShopNavbar() {
 
         {/* Right Corner Tabs */}
         <div className="ml-auto flex items-center space-x-6">
-          <a href="/orders" className=" hover:bg-green-700 p-3 rounded-sm">Orders</a>
+          <a href="/AgroShop/Orders" className=" hover:bg-green-700 p-3 rounded-sm">Orders</a>
+          <a href="/AgroShop/Seller" className=" hover:bg-green-700 p-3 rounded-sm">Sell</a>
           <a href="/agroshop/cart"className='flex hover:bg-green-700 p-3 rounded-sm' >
           <div className="hover:text-gray-300 relative mr-2 ">
 
@@ -1,14 +1,15 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom'; // Import useNavigate
+import { getAuthToken } from '../../../context/authStorage';
 
 const SearchBar = () => {
     const [query, setQuery] = useState('');
-    const [results, setResults] = useState([]);
+    const [suggestions, setSuggestions] = useState(null);
     const [loading, setLoading] = useState(false);
     const [isDropdownOpen, setIsDropdownOpen] = useState(false);
     const dropdownRef = useRef(null);
     const navigate = useNavigate(); // Initialize navigate
-    const debounceDelay = 300; // Delay in milliseconds
+    const debounceDelay = 200; // Delay in milliseconds
     const timeoutRef = useRef(null); // Ref to store the timeout
 
     // Close dropdown if clicking outside of it
@@ -22,7 +23,7 @@ const SearchBar = () => {
         return () => document.removeEventListener('mousedown', handleClickOutside);
     }, []);
 
-    // Handle input change and search
+    // Handle input change and fetch suggestions
     const handleChange = (e) => {
         setQuery(e.target.value);
         setIsDropdownOpen(true);
@@ -32,48 +33,64 @@ const SearchBar = () => {
             clearTimeout(timeoutRef.current);
         }
 
-        // Set a new timeout to trigger the search
+        // Set a new timeout to fetch suggestions
         timeoutRef.current = setTimeout(() => {
-            handleSearch(e.target.value);
+            fetchSuggestions(e.target.value);
         }, debounceDelay);
     };
 
-    const handleSearch = async (searchQuery) => {
-        if (!searchQuery) {
-            setResults([]);
-            setIsDropdownOpen(false);
-            return;
-        }
-
+    // Matching products, brands and categories, plus recent and popular searches
+    const fetchSuggestions = async (searchQuery) => {
         setLoading(true);
-
         try {
-            const response = await fetch(`${import.meta.env.VITE_BACKEND_BASE_URL}api/search?query=${searchQuery}`);
-            const data = await response.json();
-            setResults(data);
+            const token = getAuthToken();
+            const params = new URLSearchParams({ q: searchQuery, catalog: 'shop' });
+            const response = await fetch(`${import.meta.env.VITE_BACKEND_BASE_URL}api/search/suggest?${params}`, {
+                headers: token ? { Authorization: `Bearer ${token}` } : {},
+            });
+            if (!response.ok) throw new Error(`Suggestions failed with status ${response.status}`);
+            setSuggestions(await response.json());
         } catch (error) {
-            console.error('Error fetching search results:', error);
-            setResults([]);
+            console.error('Error fetching suggestions:', error);
+            setSuggestions(null);
         }
         setLoading(false);
     };
-    const handleSearchButton = async (searchQuery) => {
-        if (!searchQuery) {
-            setResults([]);
+
+    // Recent and popular searches as soon as the box is focused
+    const handleFocus = () => {
+        setIsDropdownOpen(true);
+        if (!suggestions) fetchSuggestions(query);
+    };
+
+    const handleSearchButton = (searchQuery) => {
+        if (!searchQuery.trim()) {
             setIsDropdownOpen(false);
             return;
         }
 
-        navigate(`/agroshop/search?q=${searchQuery}`);
+        setQuery(searchQuery);
+        setIsDropdownOpen(false);
+        navigate(`/agroshop/search?q=${encodeURIComponent(searchQuery.trim())}`);
     };
 
-    // Handle click on a search result
+    // Handle click on a product suggestion
     const handleResultClick = (productId) => {
         // Redirect to the product details page using the product ID
         navigate(`/agroshop/product/${productId}`);
         setIsDropdownOpen(false); // Close dropdown after selection
     };
 
+    const sections = suggestions
+        ? [
+            { title: 'Recent searches', items: suggestions.recent.map((text) => ({ key: `recent-${text}`, text })) },
+            { title: 'Popular searches', items: suggestions.popular.map((text) => ({ key: `popular-${text}`, text })) },
+            { title: 'Brands', items: suggestions.brands.map((brand) => ({ key: `brand-${brand.id}`, text: brand.name })) },
+            { title: 'Categories', items: suggestions.categories.map((category) => ({ key: `category-${category.name}`, text: category.name })) },
+        ].filter((section) => section.items.length > 0)
+        : [];
+    const hasSuggestions = suggestions && (suggestions.products.length > 0 || sections.length > 0);
+
     return (
         <div className="relative flex-1 mx-4 hidden md:flex">
             {/* Search Input and Button */}
@@ -82,46 +99,48 @@ const SearchBar = () => {
                 placeholder="Search..."
                 value={query}
                 onChange={handleChange}
+                onFocus={handleFocus}
+                onKeyDown={(e) => e.key === 'Enter' && handleSearchButton(query)}
                 className="w-full px-3 py-2 rounded-l-md focus:outline-none text-black"
             />
             <button
                 onClick={() => handleSearchButton(query)} // Allow manual search
-                disabled={!query || loading}
+                disabled={!query}
                 className="bg-white text-green-600 px-4 rounded-r-md hover:bg-gray-200"
             >
-                {loading ? 'Searching...' : 'Search'}
+                Search
             </button>
 
-            {/* Dropdown for Search Results */}
-            {isDropdownOpen && results.length > 0 && (
+            {/* Dropdown for Suggestions */}
+            {isDropdownOpen && hasSuggestions && (
                 <div
                     ref={dropdownRef}
-                    className="absolute top-full left-0 mt-2 w-full bg-white text-black rounded-lg shadow-lg transition-all duration-200"
+                    className="absolute top-full left-0 mt-2 w-full bg-white text-black rounded-lg shadow-lg transition-all duration-200 z-50"
                 >
-                    {loading ? (
-                        <p className="text-center text-gray-500 py-2">Loading...</p>
-                    ) : (
-                        results.map((product) => (
-                            <div
-                                key={product._id}
-                                className="flex items-center p-4 border-b border-gray-200 rounded-lg hover:bg-gray-100 cursor-pointer"
-                                onClick={() => handleResultClick(product._id)} // Handle click
-                            >
-                                {/* Display the first image */}
-                                {product.images && product.images[0] && (
-                                    <img
-                                        src={product.images[0]}
-                                        alt={product.name}
-                                        className="w-16 h-16 rounded-md mr-4 object-cover"
-                                    />
-                                )}
-                                <div className="flex flex-col">
-                                    <h3 className="text-lg font-semibold">{product.name}</h3>
-                                    <span className="text-gray-600 text-sm">{product.brand?.name || 'Unknown Brand'}</span>
+                    {loading && <p className="text-center text-gray-500 py-1 text-sm">Loading...</p>}
+                    {suggestions.products.map((product) => (
+                        <div
+                            key={product.id}
+                            className="p-3 border-b border-gray-200 hover:bg-gray-100 cursor-pointer font-semibold"
+                            onClick={() => handleResultClick(product.id)} // Handle click
+                        >
+                            {product.name}
+                        </div>
+                    ))}
+                    {sections.map((section) => (
+                        <div key={section.title} className="border-b border-gray-200">
+                            <p className="px-3 pt-2 text-xs text-gray-500 uppercase">{section.title}</p>
+                            {section.items.map((item) => (
+                                <div
+                                    key={item.key}
+                                    className="px-3 py-2 hover:bg-gray-100 cursor-pointer"
+                                    onClick={() => handleSearchButton(item.text)}
+                                >
+                                    {item.text}
                                 </div>
-                            </div>
-                        ))
-                    )}
+                            ))}
+                        </div>
+                    ))}
                 </div>
             )}
         </div>
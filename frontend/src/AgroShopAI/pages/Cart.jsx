@@ -3,19 +3,28 @@ import { useNavigate } from 'react-router-dom';
 import { CartItem, PromoCodeInput, OrderSummary } from '../components/CartComponents';
 import LoginPrompt from '../components/LoginPrompt';
 import { useAuth } from '../../context/AuthContext';
+import { usePayment } from '../../hooks/usePayment';
 import axios from 'axios';
+import { getAuthToken } from '../../context/authStorage';
+
+const authConfig = () => ({ headers: { Authorization: `Bearer ${getAuthToken()}` } });
 
 const CartPage = () => {
     const { isLoggedIn, userData } = useAuth(); 
     const [cartItems, setCartItems] = useState([]); 
     const [loading, setLoading] = useState(true);
+    const [addresses, setAddresses] = useState([]);
+    const [addressId, setAddressId] = useState('');
+    const [checkingOut, setCheckingOut] = useState(false);
+    const [message, setMessage] = useState(null);
     const navigate = useNavigate();
+    const { pay, paying } = usePayment(import.meta.env.VITE_BACKEND_BASE_URL.replace(/\/$/, ''));
 
     useEffect(() => {
         const fetchCartItems = async () => {
             if (isLoggedIn) {
                 try {
-                    const response = await axios.get(`${import.meta.env.VITE_BACKEND_BASE_URL}api/cart/${userData}`);
+                    const response = await axios.get(`${import.meta.env.VITE_BACKEND_BASE_URL}api/me/cart`, authConfig());
                     setCartItems(response.data.cart || []);
                 } catch (error) {
                     console.error("Failed to fetch cart items:", error);
@@ -28,13 +37,29 @@ const CartPage = () => {
         fetchCartItems();
     }, [isLoggedIn, userData]);
 
+    // Shipping addresses saved on the profile; the default one is preselected
+    useEffect(() => {
+        const fetchAddresses = async () => {
+            if (!isLoggedIn) return;
+            try {
+                const response = await axios.get(`${import.meta.env.VITE_BACKEND_BASE_URL}api/me/profile`, authConfig());
+                const saved = response.data.addresses || [];
+                setAddresses(saved);
+                setAddressId((saved.find(address => address.isDefault) || saved[0])?._id || '');
+            } catch (error) {
+                console.error("Failed to fetch addresses:", error);
+            }
+        };
+        fetchAddresses();
+    }, [isLoggedIn, userData]);
+
     const updateQuantity = async (index, newQty) => {
         const item = cartItems[index];
         try {
-            await axios.put(`${import.meta.env.VITE_BACKEND_BASE_URL}api/cart/${userData}/update`, {
+            await axios.put(`${import.meta.env.VITE_BACKEND_BASE_URL}api/me/cart/update`, {
                 variantId: item.variantId._id, // Use variantId._id instead of itemNo
                 quantity: newQty
-            });
+            }, authConfig());
             setCartItems(prevItems =>
                 prevItems.map((item, i) => (i === index ? { ...item, quantity: newQty } : item))
             );
@@ -46,7 +71,7 @@ const CartPage = () => {
     const deleteItem = async (index) => {
         const item = cartItems[index];
         try {
-            await axios.delete(`${import.meta.env.VITE_BACKEND_BASE_URL}api/cart/${userData}/remove`, { data: { variantId: item.variantId._id } });
+            await axios.delete(`${import.meta.env.VITE_BACKEND_BASE_URL}api/me/cart/remove`, { data: { variantId: item.variantId._id }, ...authConfig() });
             setCartItems(prevItems => prevItems.filter((_, i) => i !== index));
         } catch (error) {
             console.error("Failed to delete cart item:", error);
@@ -55,6 +80,34 @@ const CartPage = () => {
 
     const subtotal = cartItems.length ? cartItems.reduce((acc, item) => acc + (item.variantId.price * (1 - (item.productId.offer / 100)) * item.quantity), 0) : 0;
 
+    const checkout = async () => {
+        setCheckingOut(true);
+        setMessage(null);
+        try {
+            const response = await axios.post(`${import.meta.env.VITE_BACKEND_BASE_URL}api/shop/checkout/${userData}`, {
+                addressId: addressId || undefined,
+                expectedTotal: Math.round(subtotal * 100) / 100,
+            }, authConfig());
+            const { order, payment, clientData } = response.data;
+            setCartItems([]);
+            if (!payment) {
+                setMessage({ type: 'error', text: `Order ${order.orderId} was placed but payment could not be started. You can pay from your orders.` });
+                return;
+            }
+
+            const paid = await pay({ payment, clientData });
+            if (paid.status === 'captured' || paid.status === 'authorized') {
+                setMessage({ type: 'success', text: `Order ${order.orderId} placed and paid successfully.` });
+            } else {
+                setMessage({ type: 'error', text: `Order ${order.orderId} was placed but payment ${paid.status}. You can retry from your orders.` });
+            }
+        } catch (error) {
+            setMessage({ type: 'error', text: error.response?.data?.error || error.message || 'Failed to place your order.' });
+        } finally {
+            setCheckingOut(false);
+        }
+    };
+
     if (!isLoggedIn) {
         return <LoginPrompt message={"Please login to view your Cart."} />;
     }
@@ -114,7 +167,34 @@ const CartPage = () => {
                         <div className="md:w-1/4 bg-white p-6 mt-4 md:mt-0">
                             <h2 className="text-xl font-bold mb-4">SUMMARY</h2>
                             <PromoCodeInput />
-                            <OrderSummary subtotal={subtotal} />
+                            <div className="mb-4">
+                                <label className="block text-sm text-gray-600 mb-1">SHIP TO</label>
+                                {addresses.length > 0 ? (
+                                    <select
+                                        value={addressId}
+                                        onChange={(e) => setAddressId(e.target.value)}
+                                        className="w-full border border-gray-300 p-2"
+                                    >
+                                        {addresses.map(address => (
+                                            <option key={address._id} value={address._id}>
+                                                {address.label}: {address.address}, {address.city}
+                                            </option>
+                                        ))}
+                                    </select>
+                                ) : (
+                                    <p className="text-sm text-gray-500">Add an address to your profile to check out.</p>
+                                )}
+                            </div>
+                            <OrderSummary
+                                subtotal={subtotal}
+                                onCheckout={addresses.length > 0 && cartItems.length > 0 ? checkout : undefined}
+                                checkingOut={checkingOut || paying}
+                            />
+                            {message && (
+                                <p className={`mt-4 text-sm ${message.type === 'success' ? 'text-green-600' : 'text-red-600'}`}>
+                                    {message.text}
+                                </p>
+                            )}
                         </div>
                     </div>
                 )}
@@ -6,8 +6,9 @@ import Preloader from "../../components/PreLoader";
 import { useAuth } from "../../context/AuthContext";
 import NotFound from "../../NotFound";
 import { categories } from "../utils/home-data";
+import { getAuthToken } from "../../context/authStorage";
 const CategoryPage = () => {
-  const { isLoggedIn, userData } = useAuth(); 
+  const { isLoggedIn } = useAuth(); 
   const [wrongURL, setWrongURL] =useState(false);
   const [items, setItems] = useState([]); // State to store fetched items
   const [filteredItems, setFilteredItems] = useState([]); // State for filtered items
@@ -25,7 +26,7 @@ const CategoryPage = () => {
   } else {
     /* Fetching every product for development phase
     Remove it after setting up db locally */
-    url = `${import.meta.env.VITE_BACKEND_BASE_URL}api/products/`;
+    url = `${import.meta.env.VITE_BACKEND_BASE_URL}api/products/?limit=100`;
   }
 
   // Function to fetch data from the backend
@@ -33,7 +34,7 @@ const CategoryPage = () => {
     try {
       setLoading(true); // Set loading to true before fetching
       const response = await fetch(url); // Replace with your API URL
-      const data = await response.json();
+      const { items: data } = await response.json();
       console.log(data)
       // Flatten data to include each variant as a separate item
       const flattenedData = data.flatMap(item =>
@@ -55,7 +56,9 @@ const CategoryPage = () => {
   };
   const fetchWishlist = async () => {
     try {
-      const response = await fetch(`${import.meta.env.VITE_BACKEND_BASE_URL}api/wishlist/${userData}`); // Replace with your wishlist API URL
+      const response = await fetch(`${import.meta.env.VITE_BACKEND_BASE_URL}api/me/wishlist`, {
+        headers: { Authorization: `Bearer ${getAuthToken()}` },
+      });
       const data = await response.json();
       const variantIds = data.wishlist.map(wishItem => wishItem.variantId._id);
 
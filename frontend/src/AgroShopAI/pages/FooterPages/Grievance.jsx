@@ -2,8 +2,9 @@ import { useState } from 'react'
 import { Leaf, HelpCircle, Send, ChevronDown, ChevronUp } from 'lucide-react'
 import { useAuth } from "../../../context/AuthContext";
 import LoginPrompt from '../../components/LoginPrompt';
+import { getAuthToken } from "../../../context/authStorage";
 export default function GrievanceRedressal() {
-    const { isLoggedIn, userData } = useAuth();
+    const { isLoggedIn } = useAuth();
   const [expandedFaq, setExpandedFaq] = useState(null)
   const [isDropdownOpen, setIsDropdownOpen] = useState(false)
   const [selectedCategory, setSelectedCategory] = useState('')
@@ -48,7 +49,6 @@ export default function GrievanceRedressal() {
     const formData = new FormData(event.target)
 
     const data = {
-        userId : userData,
       orderNumber: formData.get('order-number'),
       category: selectedCategory,
       description: formData.get('description'),
@@ -60,6 +60,7 @@ export default function GrievanceRedressal() {
         method: "POST",
         headers: {
             "Content-Type": "application/json", // Specify JSON content type
+            Authorization: `Bearer ${getAuthToken()}`,
           },
         body: JSON.stringify(data),
       });
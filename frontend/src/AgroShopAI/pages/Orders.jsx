@@ -0,0 +1,313 @@
+import React, { useState, useEffect } from 'react';
+import LoginPrompt from '../components/LoginPrompt';
+import { useAuth } from '../../context/AuthContext';
+import { usePayment } from '../../hooks/usePayment';
+import axios from 'axios';
+import { getAuthToken } from '../../context/authStorage';
+
+const authConfig = () => ({ headers: { Authorization: `Bearer ${getAuthToken()}` } });
+
+const STATUS_COLORS = {
+    pending: 'bg-yellow-100 text-yellow-800',
+    packed: 'bg-blue-100 text-blue-800',
+    shipped: 'bg-indigo-100 text-indigo-800',
+    delivered: 'bg-green-100 text-green-800',
+    cancelled: 'bg-gray-200 text-gray-700',
+    returned: 'bg-red-100 text-red-800',
+};
+
+// Payment statuses the buyer can still pay from
+const PAYABLE = ['unpaid', 'requires_action', 'failed'];
+
+const RETURN_REASONS = {
+    damaged: 'Arrived damaged',
+    defective: 'Defective or not working',
+    'wrong-item': 'Wrong item delivered',
+    'not-as-described': 'Not as described',
+    'no-longer-needed': 'No longer needed',
+    other: 'Other',
+};
+
+const StatusBadge = ({ status }) => (
+    <span className={`px-2 py-1 rounded text-xs font-semibold uppercase ${STATUS_COLORS[status] || ''}`}>{status.replace('_', ' ')}</span>
+);
+
+// Return request for one order line, with optional photo links and grievance
+const ReturnForm = ({ item, onSubmit, onClose }) => {
+    const [quantity, setQuantity] = useState(item.quantity - (item.returnedQuantity || 0));
+    const [reason, setReason] = useState('damaged');
+    const [description, setDescription] = useState('');
+    const [photos, setPhotos] = useState('');
+    const [openGrievance, setOpenGrievance] = useState(false);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onSubmit({
+            itemId: item._id,
+            quantity: Number(quantity),
+            reason,
+            description,
+            photos: photos.split('\n').map(photo => photo.trim()).filter(Boolean),
+            openGrievance,
+        });
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="mt-2 p-3 bg-gray-50 border rounded text-sm space-y-2">
+            <div className="flex gap-2">
+                <label className="flex-1">
+                    Quantity
+                    <input
+                        type="number"
+                        min="1"
+                        max={item.quantity}
+                        value={quantity}
+                        onChange={e => setQuantity(e.target.value)}
+                        className="w-full p-1 border rounded"
+                        required
+                    />
+                </label>
+                <label className="flex-1">
+                    Reason
+                    <select value={reason} onChange={e => setReason(e.target.value)} className="w-full p-1 border rounded">
+                        {Object.entries(RETURN_REASONS).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+            <textarea
+                value={description}
+                onChange={e => setDescription(e.target.value)}
+                placeholder="Tell us what went wrong"
+                className="w-full p-1 border rounded"
+            />
+            <textarea
+                value={photos}
+                onChange={e => setPhotos(e.target.value)}
+                placeholder="Photo links, one per line (up to 5)"
+                className="w-full p-1 border rounded"
+            />
+            <label className="flex items-center gap-2">
+                <input type="checkbox" checked={openGrievance} onChange={e => setOpenGrievance(e.target.checked)} />
+                Also raise a product quality grievance
+            </label>
+            <div className="flex gap-2">
+                <button type="submit" className="px-3 py-1 bg-green-600 text-white rounded hover:bg-green-700">Request return</button>
+                <button type="button" onClick={onClose} className="px-3 py-1 border rounded">Close</button>
+            </div>
+        </form>
+    );
+};
+
+const OrdersPage = () => {
+    const { isLoggedIn, userData } = useAuth();
+    const [orders, setOrders] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [message, setMessage] = useState(null);
+    const [returns, setReturns] = useState([]);
+    const [returnItem, setReturnItem] = useState(null);
+    const { pay, paying } = usePayment(import.meta.env.VITE_BACKEND_BASE_URL.replace(/\/$/, ''));
+
+    useEffect(() => {
+        const fetchOrders = async () => {
+            if (!isLoggedIn) return;
+            try {
+                const response = await axios.get(`${import.meta.env.VITE_BACKEND_BASE_URL}api/shop/orders/user/${userData}`, authConfig());
+                setOrders(response.data.items || []);
+                const returnsResponse = await axios.get(`${import.meta.env.VITE_BACKEND_BASE_URL}api/shop/returns/user/${userData}`, authConfig());
+                setReturns(returnsResponse.data.items || []);
+            } catch (error) {
+                console.error("Failed to fetch orders:", error);
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchOrders();
+    }, [isLoggedIn, userData]);
+
+    const cancelOrder = async (orderId) => {
+        setMessage(null);
+        try {
+            const response = await axios.post(`${import.meta.env.VITE_BACKEND_BASE_URL}api/shop/orders/${orderId}/cancel`, {}, authConfig());
+            const updated = response.data.order;
+            setOrders(prevOrders => prevOrders.map(order => (order.orderId === orderId ? { ...order, ...updated, user: order.user } : order)));
+            setMessage({ type: 'success', text: `Order ${orderId} cancelled.` });
+        } catch (error) {
+            setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to cancel the order.' });
+        }
+    };
+
+    const requestReturn = async (orderId, details) => {
+        setMessage(null);
+        try {
+            const response = await axios.post(`${import.meta.env.VITE_BACKEND_BASE_URL}api/shop/returns`, {
+                orderId,
+                ...details,
+            }, authConfig());
+            setReturns(prevReturns => [response.data.returnRequest, ...prevReturns]);
+            setReturnItem(null);
+            setMessage({ type: 'success', text: `Return ${response.data.returnRequest.returnId} requested.` });
+        } catch (error) {
+            setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to request the return.' });
+        }
+    };
+
+    const cancelReturn = async (returnId) => {
+        setMessage(null);
+        try {
+            const response = await axios.post(`${import.meta.env.VITE_BACKEND_BASE_URL}api/shop/returns/${returnId}/cancel`, {}, authConfig());
+            const updated = response.data.returnRequest;
+            setReturns(prevReturns => prevReturns.map(request => (request.returnId === returnId ? { ...request, ...updated, user: request.user } : request)));
+            setMessage({ type: 'success', text: `Return ${returnId} cancelled.` });
+        } catch (error) {
+            setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to cancel the return.' });
+        }
+    };
+
+    const payOrder = async (orderId) => {
+        setMessage(null);
+        try {
+            const response = await axios.post(`${import.meta.env.VITE_BACKEND_BASE_URL}api/shop/orders/${orderId}/pay`, {}, authConfig());
+            const payment = await pay(response.data);
+            const paymentStatus = payment.status === 'captured' ? 'paid' : payment.status;
+            setOrders(prevOrders => prevOrders.map(order => (order.orderId === orderId ? { ...order, paymentStatus } : order)));
+            setMessage({
+                type: paymentStatus === 'paid' || paymentStatus === 'authorized' ? 'success' : 'error',
+                text: `Payment for order ${orderId}: ${paymentStatus}.`,
+            });
+        } catch (error) {
+            setMessage({ type: 'error', text: error.response?.data?.error || error.message || 'Failed to pay for the order.' });
+        }
+    };
+
+    if (!isLoggedIn) {
+        return <LoginPrompt message={"Please login to view your Orders."} />;
+    }
+
+    return (
+        <div className="bg-gray-800 font-sans min-h-screen p-4">
+            <div className="bg-white p-6">
+                <h1 className="text-2xl font-bold mb-4">MY ORDERS</h1>
+                {message && (
+                    <p className={`mb-4 text-sm ${message.type === 'success' ? 'text-green-600' : 'text-red-600'}`}>{message.text}</p>
+                )}
+                {loading ? (
+                    <p>Loading orders...</p>
+                ) : orders.length === 0 ? (
+                    <p className="text-center text-gray-500 p-6">You haven&apos;t placed any orders yet.</p>
+                ) : (
+                    orders.map(order => (
+                        <div key={order.orderId} className="border border-gray-200 rounded mb-4 p-4">
+                            <div className="flex justify-between items-center mb-2">
+                                <div>
+                                    <p className="font-bold">{order.orderId}</p>
+                                    <p className="text-sm text-gray-500">
+                                        Placed on {new Date(order.orderDate).toLocaleDateString()} - ₹{order.totalAmount.toFixed(2)}
+                                    </p>
+                                    <p className="text-sm text-gray-500">Payment: {order.paymentStatus.replace('_', ' ')}</p>
+                                </div>
+                                <StatusBadge status={order.status} />
+                            </div>
+
+                            {order.shipments.map((shipment, index) => (
+                                <div key={shipment._id} className="border-t border-gray-100 pt-2 mt-2">
+                                    <div className="flex justify-between text-sm text-gray-600 mb-1">
+                                        <span>
+                                            Shipment {index + 1}
+                                            {shipment.trackingNumber && ` - ${shipment.carrier || 'Tracking'}: ${shipment.trackingNumber}`}
+                                        </span>
+                                        <StatusBadge status={shipment.status} />
+                                    </div>
+                                    {order.items
+                                        .filter(item => shipment.items.includes(item._id))
+                                        .map(item => (
+                                            <div key={item._id}>
+                                                <div className="flex justify-between text-sm">
+                                                    <span>
+                                                        {item.name} ({item.size} {item.type ? 'Kg' : 'L'}) x {item.quantity}
+                                                        {item.returnedQuantity > 0 && ` (${item.returnedQuantity} returned)`}
+                                                    </span>
+                                                    <span>
+                                                        ₹{item.amount.toFixed(2)}
+                                                        {shipment.status === 'delivered' && returnItem !== item._id && (
+                                                            <button
+                                                                onClick={() => setReturnItem(item._id)}
+                                                                className="ml-3 text-teal-700 underline"
+                                                            >
+                                                                Return item
+                                                            </button>
+                                                        )}
+                                                    </span>
+                                                </div>
+                                                {returnItem === item._id && (
+                                                    <ReturnForm
+                                                        item={item}
+                                                        onSubmit={details => requestReturn(order.orderId, details)}
+                                                        onClose={() => setReturnItem(null)}
+                                                    />
+                                                )}
+                                            </div>
+                                        ))}
+                                </div>
+                            ))}
+
+                            {order.shipments.some(shipment => ['pending', 'packed'].includes(shipment.status)) &&
+                                order.shipments.every(shipment => ['pending', 'packed', 'cancelled'].includes(shipment.status)) && (
+                                <button
+                                    onClick={() => cancelOrder(order.orderId)}
+                                    className="mt-3 px-4 py-2 bg-red-500 text-white rounded hover:bg-red-600"
+                                >
+                                    Cancel order
+                                </button>
+                            )}
+                            {order.status !== 'cancelled' && PAYABLE.includes(order.paymentStatus) && (
+                                <button
+                                    onClick={() => payOrder(order.orderId)}
+                                    disabled={paying}
+                                    className="mt-3 ml-2 px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50"
+                                >
+                                    Pay now
+                                </button>
+                            )}
+                        </div>
+                    ))
+                )}
+
+                {returns.length > 0 && (
+                    <>
+                        <h2 className="text-xl font-bold mt-6 mb-4">MY RETURNS</h2>
+                        {returns.map(request => (
+                            <div key={request.returnId} className="border border-gray-200 rounded mb-2 p-3 text-sm">
+                                <div className="flex justify-between items-center">
+                                    <span className="font-bold">{request.returnId}</span>
+                                    <StatusBadge status={request.status} />
+                                </div>
+                                <p>
+                                    {request.name} x {request.quantity} from {request.orderId} - {RETURN_REASONS[request.reason]}
+                                </p>
+                                {request.pickup?.scheduledFor && (
+                                    <p className="text-gray-500">Pickup on {new Date(request.pickup.scheduledFor).toLocaleDateString()}</p>
+                                )}
+                                {request.refund?.status === 'succeeded' && (
+                                    <p className="text-green-600">₹{request.refund.amount.toFixed(2)} refunded</p>
+                                )}
+                                {request.decision?.note && <p className="text-gray-500">{request.decision.note}</p>}
+                                {['requested', 'approved'].includes(request.status) && (
+                                    <button
+                                        onClick={() => cancelReturn(request.returnId)}
+                                        className="mt-2 px-3 py-1 bg-red-500 text-white rounded hover:bg-red-600"
+                                    >
+                                        Cancel return
+                                    </button>
+                                )}
+                            </div>
+                        ))}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default OrdersPage;
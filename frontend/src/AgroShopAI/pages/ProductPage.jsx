@@ -5,6 +5,7 @@ import NotFound from "../../NotFound";
 import { useNavigate } from "react-router-dom";
 import {useAuth} from '../../context/AuthContext';
 import Preloader from "../../components/PreLoader";
+import { getAuthToken } from "../../context/authStorage";
 const ProductPage = () => {
   const {id} = useParams();
   if (!id){
@@ -12,7 +13,7 @@ const ProductPage = () => {
       <NotFound />
     )
   }
-  const { isLoggedIn, userData } = useAuth(); 
+  const { isLoggedIn } = useAuth(); 
   const [quantity, setQuantity] = useState(1); // State to hold the selected quantity
   const [chosenVariant, setChosenVariant] = useState(null); // State to store chosen variant
   const [variant,setVariant] = useState(null)//will help in adding to cart
@@ -76,10 +77,11 @@ const ProductPage = () => {
       )
     }
     try {
-      const response = await fetch(`http://127.0.0.1:8080/api/cart/${userData}/add`, {
+      const response = await fetch(`http://127.0.0.1:8080/api/me/cart/add`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          Authorization: `Bearer ${getAuthToken()}`,
         },
         body: JSON.stringify({
           productId: id,
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from "react";
 import {useAuth} from '../../context/AuthContext';
 import Preloader from "../../components/PreLoader";
 import LoginPrompt from '../components/LoginPrompt';
+import { getAuthToken } from '../../context/authStorage';
 
 const ShopProfile = () => {
   const { isLoggedIn, userData } = useAuth(); 
@@ -26,55 +27,58 @@ const ShopProfile = () => {
         isDefault: true,
       },
     ],
-    paymentMethods: [
-      {
-        method : "",
-        details : {
-          cardNumber : "",
-          expiryDate : "",
-          lastFour : "",
-          holderName: ""
-        } 
-      }
-    ]
   });
   const [paymentMethods, setPaymentMethods] = useState([]);
-  const [selectedCardType, setSelectedCardType] = useState("Visa");
   const [cardNumber, setCardNumber] = useState("");
   const [holderName, setHolderName] = useState("");
-  const handleAddPaymentMethod = (event) => {
+  const [paymentError, setPaymentError] = useState("");
+
+  // Cards are tokenized by the payment provider; only the token and last four digits are kept
+  const handleAddPaymentMethod = async (event) => {
     event.preventDefault();
+    setPaymentError("");
     const formattedExpiry = `${expiryMonth}/${expiryYear.toString().slice(-2)}`;
-    const newPaymentMethod = {
-      method : selectedCardType,
-      details : {
 
-        cardNumber : cardNumber,
-        lastFour: cardNumber.slice(-4),
-        expiry: formattedExpiry,
-        holderName: holderName,           
+    try {
+      const response = await fetch(`${import.meta.env.VITE_BACKEND_BASE_URL}api/payments/methods/${userData}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${getAuthToken()}`,
+        },
+        body: JSON.stringify({ cardNumber, expiry: formattedExpiry, holderName }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to add payment method");
       }
-    };
+      setPaymentMethods(result.paymentMethods);
 
-    setPaymentMethods([...paymentMethods, newPaymentMethod]);
-    setFormData((prevData) => ({
-      ...prevData,
-      paymentMethods: [
-        ...prevData.paymentMethods,newPaymentMethod
-      ]}));
-      
-    // Reset the fields after adding
-    setCardNumber("");
-    setHolderName("");
-    setExpiryDate("");
+      // Reset the fields after adding
+      setCardNumber("");
+      setHolderName("");
+      setExpiryMonth("");
+      setExpiryYear("");
+    } catch (error) {
+      setPaymentError(error.message);
+    }
   };
 
-  const handleRemovePaymentMethod = (index) => {
-    const updatedMethods = paymentMethods.filter((_, i) => i !== index);
-    setPaymentMethods(updatedMethods);
-    setFormData((prevData) => ({
-      ...prevData,
-      paymentMethods: updatedMethods}));
+  const handleRemovePaymentMethod = async (methodId) => {
+    setPaymentError("");
+    try {
+      const response = await fetch(`${import.meta.env.VITE_BACKEND_BASE_URL}api/payments/methods/${userData}/${methodId}`, {
+        method: "DELETE",
+        headers: { Authorization: `Bearer ${getAuthToken()}` },
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to remove payment method");
+      }
+      setPaymentMethods(result.paymentMethods);
+    } catch (error) {
+      setPaymentError(error.message);
+    }
   };
   const handleInputChange = (e, index) => {
     const { name, value } = e.target;
@@ -91,7 +95,9 @@ const ShopProfile = () => {
         setLoading(true);
   
         // Use fetch to get user data
-        const response = await fetch(`${import.meta.env.VITE_BACKEND_BASE_URL}api/profile/${userData}`);
+        const response = await fetch(`${import.meta.env.VITE_BACKEND_BASE_URL}api/me/profile`, {
+          headers: { Authorization: `Bearer ${getAuthToken()}` },
+        });
         
         // Check if the request was successful
         if (!response.ok) {
@@ -118,10 +124,11 @@ const ShopProfile = () => {
     try {
       setLoading(true); // Show a loader if needed
   
-      const response = await fetch(`${import.meta.env.VITE_BACKEND_BASE_URL}api/profile/${userData}`, {
+      const response = await fetch(`${import.meta.env.VITE_BACKEND_BASE_URL}api/me/profile`, {
         method: "PUT",
         headers: {
           "Content-Type": "application/json",
+          Authorization: `Bearer ${getAuthToken()}`,
         },
         body: JSON.stringify(formData),
       });
@@ -485,9 +492,9 @@ const ShopProfile = () => {
           
           <div id="paymentMethods" className="flex flex-col space-y-4 mt-2">
   
-    {paymentMethods.map((method, index) => (
+    {paymentMethods.map((method) => (
       <div
-        key={index}
+        key={method._id}
         className="flex items-center p-4 border rounded-md"
       >
         <img
@@ -514,7 +521,7 @@ const ShopProfile = () => {
 
         <button
           className="ml-auto text-red-500"
-          onClick={() => handleRemovePaymentMethod(index)}
+          onClick={() => handleRemovePaymentMethod(method._id)}
         >
           REMOVE
         </button>
@@ -527,28 +534,13 @@ const ShopProfile = () => {
       <p className="text-gray-500 text-sm">No payment methods added.</p>
     </div>
     )}
+    {paymentError && <p className="text-red-500 text-sm">{paymentError}</p>}
  
 </div>
 
           {isEditing && (
             <div>
 
-                <div className="flex space-x-4 mt-2">
-                {["Visa", "MasterCard"].map((type) => (
-                  <button
-                    key={type}
-                    onClick={() => setSelectedCardType(type)}
-                    className={`p-2 border rounded-md ${
-                      selectedCardType === type
-                        ? "bg-green-500 text-white"
-                        : "text-gray-700"
-                    }`}
-                  >
-                    {type}
-                  </button>
-                ))}
-              </div>
-
           <form
             onSubmit={handleAddPaymentMethod}
             className="mt-4 w-1/2 flex flex-col space-y-2"
@@ -1,39 +1,62 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import ProductCard from "../components/ProductCard";
-import Filter from "../components/Filter";
+import SearchFacets from "../components/SearchFacets";
 import { useLocation } from "react-router-dom";
 import Preloader from "../../components/PreLoader";
 import { useAuth } from "../../context/AuthContext";
 import NotFound from "../../NotFound";
 import { categories } from "../utils/home-data";
 import LandscapeCategories from "../components/CategoriesBanner";
+import { getAuthToken } from "../../context/authStorage";
+
+const emptyFilters = {
+  sort: "relevance",
+  category: [],
+  brand: [],
+  price: null,
+  minRating: null,
+  available: false,
+};
+
 const SearchResult = () => {
-  const { isLoggedIn, userData } = useAuth();
+  const { isLoggedIn } = useAuth();
   const [wrongURL, setWrongURL] = useState(false);
   const [items, setItems] = useState([]); // State to store fetched items
-  const [filteredItems, setFilteredItems] = useState([]); // State for filtered items
+  const [search, setSearch] = useState(null); // Total, pages, facets and the corrected query
+  const [filters, setFilters] = useState(emptyFilters);
+  const [page, setPage] = useState(1);
   const [loading, setLoading] = useState(true); // State for loading status
   const [wishlist, setWishlist] = useState([]);
   const [wishlistLoading, setWishlistLoading] = useState(true);
+  const latestRequest = useRef(0); // Only the newest search may show its results
   const location = useLocation();
   const searchQuery = new URLSearchParams(location.search).get("q");
-  console.log(searchQuery);
-  // Using name instead of Id for test purpose.
 
-  let id;
-  let url = `${
-    import.meta.env.VITE_BACKEND_BASE_URL
-  }api/searchproduct?query=${searchQuery}`;
+  const searchUrl = () => {
+    const params = new URLSearchParams({ q: searchQuery || "", sort: filters.sort, page });
+    if (filters.category.length > 0) params.set("category", filters.category.join(","));
+    if (filters.brand.length > 0) params.set("brand", filters.brand.join(","));
+    if (filters.price) {
+      params.set("minPrice", filters.price.min);
+      if (filters.price.max !== null) params.set("maxPrice", filters.price.max);
+    }
+    if (filters.minRating) params.set("minRating", filters.minRating);
+    if (filters.available) params.set("available", "true");
+    return `${import.meta.env.VITE_BACKEND_BASE_URL}api/search/shop?${params}`;
+  };
 
   // Function to fetch data from the backend
   const fetchData = async () => {
+    const request = ++latestRequest.current;
     try {
       setLoading(true); // Set loading to true before fetching
-      const response = await fetch(url); // Replace with your API URL
+      const response = await fetch(searchUrl());
+      if (!response.ok) throw new Error(`Search failed with status ${response.status}`);
       const data = await response.json();
-      console.log(data);
+      if (request !== latestRequest.current) return;
+      setSearch(data);
       // Flatten data to include each variant as a separate item
-      const flattenedData = data.flatMap((item) =>
+      const flattenedData = data.results.flatMap((item) =>
         item.variants.map((variant) => ({
           ...item,
           variant, // Replace with individual variant
@@ -42,19 +65,19 @@ const SearchResult = () => {
       );
 
       setItems(flattenedData); // Set flattened data to items
-      setFilteredItems(flattenedData); // Set initial filtered items
     } catch (error) {
       console.error("Failed to fetch items:", error);
       setWrongURL(true);
     } finally {
-      setLoading(false); // Set loading to false after fetching
+      if (request === latestRequest.current) setLoading(false); // Set loading to false after fetching
     }
   };
   const fetchWishlist = async () => {
     try {
       const response = await fetch(
-        `${import.meta.env.VITE_BACKEND_BASE_URL}api/wishlist/${userData}`
-      ); // Replace with your wishlist API URL
+        `${import.meta.env.VITE_BACKEND_BASE_URL}api/me/wishlist`,
+        { headers: { Authorization: `Bearer ${getAuthToken()}` } }
+      );
       const data = await response.json();
       const variantIds = data.wishlist.map(
         (wishItem) => wishItem.variantId._id
@@ -68,15 +91,26 @@ const SearchResult = () => {
     }
   };
 
+  // A new search starts over without filters
   useEffect(() => {
-    fetchData(); // Fetch data when the component mounts
+    setFilters(emptyFilters);
+    setPage(1);
     fetchWishlist();
-  }, [id, location]);
+  }, [location]);
+
+  useEffect(() => {
+    fetchData();
+  }, [location, filters, page]);
+
+  const changeFilters = (nextFilters) => {
+    setFilters(nextFilters);
+    setPage(1);
+  };
   if (wrongURL) {
     return <NotFound />;
   }
-  // Display loader while fetching data
-  if (loading || wishlistLoading) {
+  // Display loader while fetching the first results
+  if (!search || wishlistLoading) {
     return <Preloader />;
   }
 
@@ -84,7 +118,7 @@ const SearchResult = () => {
     <div className="category bg-gray-800">
       <LandscapeCategories categories={categories} />
      
-      {items.length == 0 ? (
+      {search.total === 0 && filters === emptyFilters ? (
         <div className="text-center p-8 rounded-md shadow-lg">
         <h2 className="text-2xl font-semibold text-white">No Results Found</h2>
         <p className="text-gray-200 mt-2">Try searching for something else.</p>
@@ -99,14 +133,16 @@ const SearchResult = () => {
           <div className="relative z-10 text-center">
             <h1 className="text-3xl font-bold text-white">Search Result</h1>
             <p className="mt-2 text-md text-white opacity-90">
-              Find the best products that match your search
+              {search.query.correctedQuery
+                ? `Showing results for "${search.query.correctedQuery}"`
+                : "Find the best products that match your search"}
             </p>
           </div>
         </div>
       </div>
       <div className="flex gap-4 mx-2 mt-2 pb-2">
         <div className="min-w-[250px] max-w-xs">
-          <Filter items={items} setFilteredItems={setFilteredItems} />
+          <SearchFacets facets={search.facets} filters={filters} onChange={changeFilters} />
           <img
             className="py-2"
             src="https://github.com/IkkiOcean/AgroTech_Assets/blob/main/shop-asset/category_page/category_banner_1.jpg?raw=true"
@@ -114,8 +150,12 @@ const SearchResult = () => {
           />
         </div>
         <div className="product-panel border-2 rounded-lg flex-grow flex flex-col">
+          {loading && <p className="text-white text-center py-2">Loading...</p>}
+          {!loading && items.length === 0 && (
+            <p className="text-white text-center py-8">No products match these filters.</p>
+          )}
           <div className="grid grid-cols-3 gap-4 py-4">
-            {filteredItems.slice(0, 12).map((item, index) => {
+            {items.map((item, index) => {
               let isInWishlist = wishlistLoading
                 ? false
                 : wishlist.includes(item.variant._id);
@@ -133,6 +173,27 @@ const SearchResult = () => {
               );
             })}
           </div>
+          {search.pages > 1 && (
+            <div className="flex justify-center items-center gap-4 text-white pb-4">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+                className="px-3 py-1 border rounded disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <span>
+                Page {page} of {search.pages}
+              </span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= search.pages}
+                className="px-3 py-1 border rounded disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          )}
         </div>
       </div>
 </>
@@ -0,0 +1,316 @@
+import React, { useState, useEffect } from 'react';
+import LoginPrompt from '../components/LoginPrompt';
+import { useAuth } from '../../context/AuthContext';
+import { getAuthToken } from '../../context/authStorage';
+import axios from 'axios';
+
+const DOCUMENT_TYPES = {
+    pan: 'PAN card',
+    aadhaar: 'Aadhaar',
+    gst_certificate: 'GST certificate',
+    business_registration: 'Business registration',
+    cancelled_cheque: 'Cancelled cheque',
+};
+
+const STATUS_TEXT = {
+    draft: 'Fill in your details, upload your KYC documents and submit them for review.',
+    submitted: 'Your application is being reviewed. We will let you know once it is approved.',
+    approved: 'Your seller account is approved.',
+    rejected: 'Your application was not approved. Update your details and submit again.',
+    suspended: 'Your seller account is suspended. Contact support for help.',
+};
+
+const emptyForm = {
+    name: '',
+    phone: '',
+    address: '',
+    business: { legalName: '', type: 'individual', pan: '' },
+    gstin: '',
+    payout: { accountHolderName: '', accountNumber: '', ifsc: '', bankName: '', upiId: '' },
+};
+
+const SellerCenter = () => {
+    const { isLoggedIn } = useAuth();
+    const [seller, setSeller] = useState(null);
+    const [form, setForm] = useState(emptyForm);
+    const [documentType, setDocumentType] = useState('pan');
+    const [documentFile, setDocumentFile] = useState(null);
+    const [dashboard, setDashboard] = useState(null);
+    const [stockFile, setStockFile] = useState(null);
+    const [stockResult, setStockResult] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [message, setMessage] = useState(null);
+
+    const api = (path) => `${import.meta.env.VITE_BACKEND_BASE_URL}api/sellers/${path}`;
+    const headers = () => ({ Authorization: `Bearer ${getAuthToken()}` });
+
+    const showSeller = (data) => {
+        setSeller(data);
+        setForm({
+            ...emptyForm,
+            name: data.name || '',
+            phone: data.phone || '',
+            address: data.address || '',
+            business: { ...emptyForm.business, ...data.business },
+            gstin: data.gstin || '',
+            // The account number is never sent back, only its last four digits
+            payout: { ...emptyForm.payout, ...data.payout, accountNumber: '' },
+        });
+    };
+
+    useEffect(() => {
+        const fetchSeller = async () => {
+            if (!isLoggedIn) return;
+            try {
+                const response = await axios.get(api('me'), { headers: headers() });
+                showSeller(response.data);
+                if (response.data.status === 'approved') {
+                    const dashboardResponse = await axios.get(api(`${response.data._id}/dashboard`), { headers: headers() });
+                    setDashboard(dashboardResponse.data);
+                }
+            } catch (error) {
+                if (error.response?.status !== 404) console.error("Failed to fetch seller:", error);
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchSeller();
+    }, [isLoggedIn]);
+
+    const handleChange = (section) => (e) => {
+        const { name, value } = e.target;
+        setForm(prevForm => (section
+            ? { ...prevForm, [section]: { ...prevForm[section], [name]: value } }
+            : { ...prevForm, [name]: value }));
+    };
+
+    const run = async (request, success) => {
+        setMessage(null);
+        try {
+            const response = await request();
+            showSeller(response.data.seller);
+            setMessage({ type: 'success', text: success });
+        } catch (error) {
+            setMessage({ type: 'error', text: error.response?.data?.error || 'Something went wrong.' });
+        }
+    };
+
+    const saveDetails = (e) => {
+        e.preventDefault();
+        const payout = { ...form.payout };
+        if (!payout.accountNumber) delete payout.accountNumber;
+        run(() => axios.put(api('me/onboarding'), { ...form, payout }, { headers: headers() }), 'Details saved.');
+    };
+
+    const uploadDocument = (e) => {
+        e.preventDefault();
+        const data = new FormData();
+        data.append('type', documentType);
+        data.append('document', documentFile);
+        run(() => axios.post(api('me/documents'), data, { headers: headers() }), 'Document uploaded.');
+        setDocumentFile(null);
+        e.target.reset();
+    };
+
+    // A sheet of every variant with its stock, to fill in and upload back
+    const downloadStockSheet = () => {
+        const cell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+        const rows = dashboard.products.flatMap(product => product.variants.map(variant =>
+            [variant._id, product.name, `${variant.size} ${variant.type ? 'Kg' : 'L'}`, variant.stock, variant.lowStockThreshold ?? '', ''].map(cell).join(',')
+        ));
+        const csv = ['variant,product,size,stock,lowStockThreshold,reason', ...rows].join('\r\n');
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+        link.download = 'stock.csv';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    };
+
+    const uploadStock = async (e) => {
+        e.preventDefault();
+        const data = new FormData();
+        data.append('file', stockFile);
+        try {
+            const response = await axios.post(`${import.meta.env.VITE_BACKEND_BASE_URL}api/variants/stock/bulk`, data, { headers: headers() });
+            setStockResult(response.data);
+        } catch (error) {
+            setStockResult(error.response?.data?.results ? error.response.data : { error: error.response?.data?.error || 'Something went wrong.' });
+        }
+        const dashboardResponse = await axios.get(api(`${seller._id}/dashboard`), { headers: headers() });
+        setDashboard(dashboardResponse.data);
+        setStockFile(null);
+        e.target.reset();
+    };
+
+    const submit = () => run(() => axios.post(api('me/submit'), {}, { headers: headers() }), 'Submitted for review.');
+
+    if (!isLoggedIn) {
+        return <LoginPrompt message={"Please login to sell on AgroShop."} />;
+    }
+
+    const editable = !seller || ['draft', 'rejected'].includes(seller.status);
+    const input = "w-full p-2 mt-1 border rounded";
+
+    return (
+        <div className="bg-gray-800 font-sans min-h-screen p-4">
+            <div className="bg-white p-6 max-w-4xl mx-auto">
+                <h1 className="text-2xl font-bold mb-2">SELLER CENTER</h1>
+                {loading ? (
+                    <p>Loading...</p>
+                ) : (
+                    <>
+                        <p className="text-gray-600 mb-4">
+                            {seller ? STATUS_TEXT[seller.status] : 'Start selling on AgroShop by telling us about your business.'}
+                            {seller?.rejectionReason && ` Reason: ${seller.rejectionReason}`}
+                        </p>
+                        {message && (
+                            <p className={`mb-4 text-sm ${message.type === 'success' ? 'text-green-600' : 'text-red-600'}`}>{message.text}</p>
+                        )}
+
+                        {dashboard && (
+                            <div className="mb-6">
+                                <div className="grid grid-cols-3 gap-4 mb-4">
+                                    <div className="p-4 border rounded">
+                                        <p className="text-sm text-gray-500">Revenue</p>
+                                        <p className="text-xl font-bold">₹{dashboard.revenue.total.toFixed(2)}</p>
+                                    </div>
+                                    <div className="p-4 border rounded">
+                                        <p className="text-sm text-gray-500">Delivered</p>
+                                        <p className="text-xl font-bold">₹{dashboard.revenue.delivered.toFixed(2)}</p>
+                                    </div>
+                                    <div className="p-4 border rounded">
+                                        <p className="text-sm text-gray-500">Orders</p>
+                                        <p className="text-xl font-bold">{dashboard.orders.total}</p>
+                                    </div>
+                                </div>
+                                <h2 className="font-bold mb-2">Products ({dashboard.products.length})</h2>
+                                <ul className="text-sm mb-4">
+                                    {dashboard.products.map(product => (
+                                        <li key={product._id}>
+                                            {product.name} - {product.variants.reduce((stock, variant) => stock + variant.stock, 0)} in stock
+                                        </li>
+                                    ))}
+                                </ul>
+                                <h2 className="font-bold mb-2">Low stock</h2>
+                                {dashboard.lowStock.length === 0 ? (
+                                    <p className="text-sm text-gray-500 mb-4">All variants are well stocked.</p>
+                                ) : (
+                                    <ul className="text-sm mb-4">
+                                        {dashboard.lowStock.map(variant => (
+                                            <li key={variant._id}>
+                                                {variant.product?.name} ({variant.size} {variant.type ? 'Kg' : 'L'}): {variant.stock} left
+                                                {' '}(alert at {variant.lowStockThreshold ?? dashboard.lowStockThreshold})
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                                <form onSubmit={uploadStock} className="text-sm mb-4">
+                                    <h2 className="font-bold mb-2">Update stock from a CSV</h2>
+                                    <p className="text-gray-500 mb-2">
+                                        <button type="button" onClick={downloadStockSheet} className="underline">Download your stock sheet</button>,
+                                        change the stock counts or alert levels and upload it back.
+                                    </p>
+                                    <div className="flex gap-2 items-center">
+                                        <input type="file" accept=".csv,text/csv" onChange={e => setStockFile(e.target.files[0])} required />
+                                        <button type="submit" className="px-4 py-2 bg-gray-700 text-white rounded hover:bg-gray-800">Upload</button>
+                                    </div>
+                                    {stockResult && (stockResult.error ? (
+                                        <p className="mt-2 text-red-600">{stockResult.error}</p>
+                                    ) : (
+                                        <div className="mt-2">
+                                            <p className="text-green-600">{stockResult.updated} updated, {stockResult.failed} failed.</p>
+                                            <ul className="text-red-600">
+                                                {stockResult.results.filter(result => result.error).map(result => (
+                                                    <li key={result.line}>Line {result.line}: {result.error}</li>
+                                                ))}
+                                            </ul>
+                                        </div>
+                                    ))}
+                                </form>
+                                <h2 className="font-bold mb-2">Recent orders</h2>
+                                <ul className="text-sm">
+                                    {dashboard.orders.recent.map(order => (
+                                        <li key={order.orderId}>
+                                            {order.orderId} - {new Date(order.orderDate).toLocaleDateString()} - {order.shipments[0]?.status}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+
+                        {editable && (
+                            <>
+                                <form onSubmit={saveDetails} className="space-y-3 mb-6">
+                                    <h2 className="font-bold">Business details</h2>
+                                    <div className="grid grid-cols-2 gap-4">
+                                        <label>Store name<input name="name" value={form.name} onChange={handleChange()} className={input} /></label>
+                                        <label>Phone<input name="phone" value={form.phone} onChange={handleChange()} className={input} /></label>
+                                        <label>Legal business name<input name="legalName" value={form.business.legalName} onChange={handleChange('business')} className={input} required /></label>
+                                        <label>
+                                            Business type
+                                            <select name="type" value={form.business.type} onChange={handleChange('business')} className={input}>
+                                                <option value="individual">Individual</option>
+                                                <option value="proprietorship">Proprietorship</option>
+                                                <option value="partnership">Partnership</option>
+                                                <option value="company">Company</option>
+                                            </select>
+                                        </label>
+                                        <label>PAN<input name="pan" value={form.business.pan} onChange={handleChange('business')} className={input} /></label>
+                                        <label>GSTIN<input name="gstin" value={form.gstin} onChange={handleChange()} className={input} required /></label>
+                                    </div>
+                                    <label className="block">Address<textarea name="address" value={form.address} onChange={handleChange()} className={input} /></label>
+
+                                    <h2 className="font-bold">Payout account</h2>
+                                    <div className="grid grid-cols-2 gap-4">
+                                        <label>Account holder<input name="accountHolderName" value={form.payout.accountHolderName} onChange={handleChange('payout')} className={input} /></label>
+                                        <label>
+                                            Account number
+                                            <input
+                                                name="accountNumber"
+                                                value={form.payout.accountNumber}
+                                                onChange={handleChange('payout')}
+                                                placeholder={form.payout.accountLastFour ? `Ends in ${form.payout.accountLastFour}` : ''}
+                                                className={input}
+                                            />
+                                        </label>
+                                        <label>IFSC<input name="ifsc" value={form.payout.ifsc} onChange={handleChange('payout')} className={input} /></label>
+                                        <label>Bank<input name="bankName" value={form.payout.bankName} onChange={handleChange('payout')} className={input} /></label>
+                                        <label>UPI ID (optional)<input name="upiId" value={form.payout.upiId} onChange={handleChange('payout')} className={input} /></label>
+                                    </div>
+                                    <button type="submit" className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700">Save details</button>
+                                </form>
+
+                                {seller && (
+                                    <>
+                                        <form onSubmit={uploadDocument} className="space-y-3 mb-6">
+                                            <h2 className="font-bold">KYC documents</h2>
+                                            <ul className="text-sm">
+                                                {seller.kycDocuments.map(document => (
+                                                    <li key={document._id}>{DOCUMENT_TYPES[document.type]}: {document.fileName}</li>
+                                                ))}
+                                            </ul>
+                                            <div className="flex gap-2 items-center">
+                                                <select value={documentType} onChange={e => setDocumentType(e.target.value)} className="p-2 border rounded">
+                                                    {Object.entries(DOCUMENT_TYPES).map(([value, label]) => (
+                                                        <option key={value} value={value}>{label}</option>
+                                                    ))}
+                                                </select>
+                                                <input type="file" accept=".pdf,.jpg,.jpeg,.png" onChange={e => setDocumentFile(e.target.files[0])} required />
+                                                <button type="submit" className="px-4 py-2 bg-gray-700 text-white rounded hover:bg-gray-800">Upload</button>
+                                            </div>
+                                        </form>
+                                        <button onClick={submit} className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700">
+                                            Submit for review
+                                        </button>
+                                    </>
+                                )}
+                            </>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SellerCenter;
@@ -2,6 +2,7 @@ import React, { useEffect, useState } from "react";
 import { useAuth } from "../../context/AuthContext";
 import ProductCard from "../components/ProductCard";
 import { useNavigate } from "react-router-dom"; // Ensure useNavigate is imported
+import { getAuthToken } from "../../context/authStorage";
 
 const Wishlist = () => {
   const { userData } = useAuth();
@@ -12,7 +13,8 @@ const Wishlist = () => {
     const fetchWishlist = async () => {
       try {
         const response = await fetch(
-          `${import.meta.env.VITE_BACKEND_BASE_URL}api/wishlist/${userData}`
+          `${import.meta.env.VITE_BACKEND_BASE_URL}api/me/wishlist`,
+          { headers: { Authorization: `Bearer ${getAuthToken()}` } }
         );
         const result = await response.json();
         if (response.ok) {
@@ -67,6 +67,8 @@ import BestPractices from './pages/BestPractices';
 import Profile from './components/Profile';
 import AgriProductListing from './AgroRentAI/components/AgriProductListing';
 import CartPage from './AgroShopAI/pages/Cart';
+import OrdersPage from './AgroShopAI/pages/Orders';
+import SellerCenter from './AgroShopAI/pages/SellerCenter';
 import Wishlist from './AgroShopAI/pages/Wishlist';
 import ShopNavbar from './AgroShopAI/components/ShopNavbar';
 import ShopProfile from './AgroShopAI/pages/Profile';
@@ -191,6 +193,8 @@ const MainContent = () => {
                 <Route path="/AgroShop/Category/:name" element={<CategoryPage />} />
                 <Route path="/AgroShop/Product/:id" element={<ProductPage />} />
                 <Route path="/AgroShop/Cart" element={<CartPage />} />
+                <Route path="/AgroShop/Orders" element={<OrdersPage />} />
+                <Route path="/AgroShop/Seller" element={<SellerCenter />} />
                 <Route path="/AgroShop/Wishlist" element={<Wishlist />} />
                 <Route path="/AgroShop/Profile" element={<ShopProfile />} />
                 <Route path="/AgroShop/search" element={<SearchResult />} />
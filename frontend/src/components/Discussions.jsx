@@ -1,10 +1,12 @@
 import React, { useState, useEffect } from "react";
 import axios from "axios";
+import { getAuthToken } from "../context/authStorage";
 
 
 const DiscussionPage = () => {
   const [posts, setPosts] = useState([]);
   const [newPostContent, setNewPostContent] = useState("");
+  const [newPostImages, setNewPostImages] = useState([]);
   const [newCommentContent, setNewCommentContent] = useState("");
   const [selectedPostId, setSelectedPostId] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -19,7 +21,7 @@ const DiscussionPage = () => {
     const fetchPosts = async () => {
       try {
         const response = await axios.get(`${ApiUrl}/api/discussions/posts`);
-        setPosts(response.data);
+        setPosts(response.data.items);
         setLoading(false);
       } catch (error) {
         console.error("Error fetching posts:", error);
@@ -35,15 +37,28 @@ const DiscussionPage = () => {
   const handlePostSubmit = async (e) => {
     e.preventDefault();
     try {
+      // Upload the chosen images first, and link the post to them
+      let images = [];
+      if (newPostImages.length > 0) {
+        const upload = new FormData();
+        newPostImages.forEach((file) => upload.append("images", file));
+        const uploaded = await axios.post(`${ApiUrl}/api/media/post`, upload, {
+          headers: { Authorization: `Bearer ${getAuthToken()}` },
+        });
+        images = uploaded.data.media.map((media) => media.url);
+      }
+
       const newPost = {
         content: newPostContent,
-        images: [], // Placeholder for images
-        author: userId, // Replace with the current user's ID
+        images,
       };
 
-      const response = await axios.post(`${ApiUrl}/api/discussions/posts`, newPost);
+      const response = await axios.post(`${ApiUrl}/api/discussions/posts`, newPost, {
+        headers: { Authorization: `Bearer ${getAuthToken()}` },
+      });
       setPosts((prevPosts) => [response.data.post, ...prevPosts]); // Add new post without reload
       setNewPostContent(""); // Clear input field
+      setNewPostImages([]);
       setAlert({ type: "success", message: "Post created successfully!" });
     } catch (error) {
       console.error("Error creating post:", error);
@@ -57,12 +72,12 @@ const DiscussionPage = () => {
     try {
       const newComment = {
         content: newCommentContent,
-        author: userId , // Replace with current user's ID
       };
 
       const response = await axios.post(
         `${ApiUrl}/api/discussions/posts/${postId}/comments`,
-        newComment
+        newComment,
+        { headers: { Authorization: `Bearer ${getAuthToken()}` } }
       );
 
       // Update comments of the selected post
@@ -142,6 +157,13 @@ const DiscussionPage = () => {
             rows="5"
             required
           ></textarea>
+          <input
+            type="file"
+            accept="image/jpeg,image/png,image/webp"
+            multiple
+            onChange={(e) => setNewPostImages(Array.from(e.target.files).slice(0, 3))}
+            className="block mb-4"
+          />
           <button
             type="submit"
             className="bg-green-600 text-white px-6 py-3 rounded-md hover:bg-green-500 transition-colors duration-300"
@@ -162,6 +184,14 @@ const DiscussionPage = () => {
               </div>
               <div className="post-content mb-6">
                 <p className="text-lg">{post.content}</p>
+                {post.images?.length > 0 && (
+                  <div className="flex gap-4 mt-4">
+                    {post.images.map((url) => (
+                      // Uploaded images keep a smaller copy next to the full size
+                      <img key={url} src={url.replace(/full\.webp$/, "medium.webp")} alt="" className="h-48 rounded-md object-cover" />
+                    ))}
+                  </div>
+                )}
               </div>
 
               {/* Display comments */}
@@ -38,7 +38,7 @@ const LoginPage = () => {
         navigate(`/verification?email=${email}`);
       } else {
         // If the user is verified, log them in and display success message
-        login(response.data.token, response.data.user_id);
+        login(response.data.token, response.data.user_id, response.data.refreshToken);
         toast.success("Login successful");
       }
   
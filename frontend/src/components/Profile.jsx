@@ -6,6 +6,7 @@ import farmerImage from '../assets/agrorent/farmer.jpg';
 import vendorImage from '../assets/agrorent/vendor.jpg';
 import customerImage from '../assets/agrorent/customer.jpg';
 import heroImage from '../assets/bgHero.png'; 
+import { getAuthToken, getAuthUserId } from '../context/authStorage';
 
 const Profile = () => {
   const [userData, setUserData] = useState(null);
@@ -20,9 +21,9 @@ const Profile = () => {
 
 
   useEffect(() => {
-    const token = localStorage.getItem('auth'); 
+    const token = getAuthToken();
     if (token) {
-      const { userId } = JSON.parse(atob(token.split('.')[1]));
+      const userId = getAuthUserId();
       axios.get(`${ApiUrl}/api/users/${userId}`, { 
         headers: {
           Authorization: `Bearer ${token}`,
@@ -30,6 +31,7 @@ const Profile = () => {
       })
       .then(response => {
         setUserData(response.data);
+        setProfilePicture(response.data.profilePicture || null);
         setFormData({ 
           firstName: response.data.firstName, 
           lastName: response.data.lastName, 
@@ -57,8 +59,8 @@ const Profile = () => {
   };
 
   const handleSaveChanges = () => {
-    const token = localStorage.getItem('auth'); 
-    const { userId } = JSON.parse(atob(token.split('.')[1]));
+    const token = getAuthToken();
+    const userId = getAuthUserId();
 
     axios.put(`${ApiUrl}/api/users/${userId}`, formData, {
       headers: {
@@ -75,6 +77,27 @@ const Profile = () => {
     });
   };
 
+  const handlePictureChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const token = getAuthToken();
+    const upload = new FormData();
+    upload.append('image', file);
+
+    axios.put(`${ApiUrl}/api/media/profile-picture`, upload, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      }
+    })
+    .then(response => {
+      setProfilePicture(response.data.url);
+    })
+    .catch(error => {
+      console.error("Error uploading profile picture:", error);
+      setError(error.response?.data?.message || "Failed to upload profile picture.");
+    });
+  };
+
   // Role-based quotes and images
   const roleDetails = {
     admin: {
@@ -160,6 +183,15 @@ const Profile = () => {
 
         {isEditing ? (
           <div className="space-y-4">
+            <label className="block">
+              <span className="font-bold">Profile Picture (JPEG, PNG or WebP, up to 5 MB)</span>
+              <input
+                type="file"
+                accept="image/jpeg,image/png,image/webp"
+                onChange={handlePictureChange}
+                className="border p-2 w-full"
+              />
+            </label>
             <input
               type="text"
               name="firstName"
@@ -5,6 +5,7 @@ import img from "../../assets/102.jpg";
 import { ToastContainer, toast } from 'react-toastify';
 import img1 from "../../assets/tp.png";
 import 'react-toastify/dist/ReactToastify.css';
+import { getAuthToken } from '../../context/authStorage';
 
 const TaskReminder = () => {
     const [tasks, setTasks] = useState(() => {
@@ -18,8 +19,7 @@ const TaskReminder = () => {
         crop: '',
         date: '',
         time: '',
-        notes: '',
-        to: ''
+        notes: ''
     });
 
     useEffect(() => {
@@ -39,13 +39,13 @@ const TaskReminder = () => {
 
     const handleTaskSubmit = async (e) => {
         e.preventDefault();
-        if (newTask.crop && newTask.date && newTask.time && newTask.to) {
+        if (newTask.crop && newTask.date && newTask.time) {
             const task = {
                 id: Date.now(),
                 ...newTask,
             };
             setTasks((prev) => [...prev, task]);
-            setNewTask({ crop: '', date: '', time: '', notes: '', to: '' });
+            setNewTask({ crop: '', date: '', time: '', notes: '' });
             setShowTaskForm(false);
             scheduleNotification(task);
             await sendEmailNotification(task, 'created'); // Send email notification on creation
@@ -88,10 +88,12 @@ const TaskReminder = () => {
         };
 
         try {
+            // Sent to the email address of the logged in account
             await axios.post('/api/send-email', {
-                to: task.to,
                 subject: subjects[action],
                 body: bodies[action],
+            }, {
+                headers: { Authorization: `Bearer ${getAuthToken()}` },
             });
         } catch (error) {
             console.error('Error sending email:', error);
@@ -112,7 +114,7 @@ const TaskReminder = () => {
 
     const handleUpdateTask = async (e) => {
         e.preventDefault();
-        if (newTask.crop && newTask.date && newTask.time && newTask.to) {
+        if (newTask.crop && newTask.date && newTask.time) {
             const updatedTask = {
                 ...newTask,
             };
@@ -120,7 +122,7 @@ const TaskReminder = () => {
                 prev.map((task) => (task.id === editingTask ? { ...task, ...updatedTask } : task))
             );
             await sendEmailNotification(updatedTask, 'updated');
-            setNewTask({ crop: '', date: '', time: '', notes: '', to: '' });
+            setNewTask({ crop: '', date: '', time: '', notes: '' });
             setShowTaskForm(false);
             setEditingTask(null);
             toast.success(`Task for ${updatedTask.crop} updated successfully!`); // Show update toast
@@ -191,20 +193,6 @@ const TaskReminder = () => {
                         />
                     </div>
 
-                    <div className="mb-4">
-                        <label htmlFor="to" className="block text-teal-400 mb-2">To (Email):</label>
-                        <input
-                            type="email"
-                            id="to"
-                            name="to"
-                            value={newTask.to}
-                            onChange={handleInputChange}
-                            className="w-full p-2 border border-teal-700 rounded focus:outline-none focus:ring-2 focus:ring-teal-500"
-                            required
-                            placeholder="Enter recipient's email"
-                        />
-                    </div>
-
                     <div className="mb-4">
                         <label htmlFor="notes" className="block text-teal-400 mb-2">Notes:</label>
                         <textarea
@@ -1,7 +1,21 @@
-import { createContext, useContext, useState, useEffect } from 'react';
+import { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { getAuthToken, getRefreshToken } from './authStorage';
 
 const AuthContext = createContext();
 
+const ApiUrl = process.env.NODE_ENV === 'production'
+  ? 'https://agro-tech-ai-backend-teal.vercel.app'
+  : 'http://localhost:8080';
+
+// Seconds until a JWT runs out, read from its payload
+const secondsLeft = (token) => {
+  try {
+    return JSON.parse(atob(token.split('.')[1])).exp - Date.now() / 1000;
+  } catch {
+    return 0;
+  }
+};
+
 export const AuthProvider = ({ children }) => {
   // Initialize the logged-in state from localStorage
   const [isLoggedIn, setIsLoggedIn] = useState(() => {
@@ -15,20 +29,72 @@ export const AuthProvider = ({ children }) => {
     return authData ? JSON.parse(authData).user : null;
   });
 
-  const login = (token, user) => {
+  // Bumped after every refresh attempt to schedule the next one
+  const [refreshes, setRefreshes] = useState(0);
+  const refreshFailed = useRef(false);
+
+  const login = (token, user, refreshToken) => {
     // Store authentication data in localStorage
-    localStorage.setItem('auth', JSON.stringify({ token, user }));
+    localStorage.setItem('auth', JSON.stringify({ token, user, refreshToken }));
     setIsLoggedIn(true);
     setUserData(user);
   };
 
-  const logout = () => {
+  const clearAuth = () => {
     // Remove authentication data from localStorage
     localStorage.removeItem('auth');
     setIsLoggedIn(false);
     setUserData(null);
   };
 
+  const logout = () => {
+    const refreshToken = getRefreshToken();
+    if (refreshToken) {
+      // Ends the session on the server too, without making the user wait for it
+      fetch(`${ApiUrl}/auth/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      }).catch((error) => console.error('Error logging out:', error));
+    }
+    clearAuth();
+  };
+
+  // Swaps the refresh token for a new JWT and refresh token
+  const refresh = async () => {
+    const refreshToken = getRefreshToken();
+    try {
+      const response = await fetch(`${ApiUrl}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      });
+      // Another tab may have used the same refresh token first and saved the new one
+      if (getRefreshToken() !== refreshToken) return;
+      if (response.status === 401) return clearAuth();
+      if (!response.ok) throw new Error(`Refresh failed with status ${response.status}`);
+
+      const { token, refreshToken: nextRefreshToken } = await response.json();
+      const authData = JSON.parse(localStorage.getItem('auth'));
+      localStorage.setItem('auth', JSON.stringify({ ...authData, token, refreshToken: nextRefreshToken }));
+      refreshFailed.current = false;
+    } catch (error) {
+      console.error('Error refreshing the session:', error);
+      refreshFailed.current = true;
+    }
+  };
+
+  // Refresh a minute before the JWT runs out, or 30 seconds after a failed try
+  useEffect(() => {
+    if (!isLoggedIn || !getRefreshToken()) return;
+    const delay = Math.max((secondsLeft(getAuthToken()) - 60) * 1000, refreshFailed.current ? 30000 : 0);
+    const timer = setTimeout(async () => {
+      await refresh();
+      setRefreshes((count) => count + 1);
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [isLoggedIn, refreshes]);
+
   // Effect to set user data when the component mounts
   useEffect(() => {
     const authData = localStorage.getItem('auth');
@@ -47,4 +113,3 @@ export const AuthProvider = ({ children }) => {
 };
 
 export const useAuth = () => useContext(AuthContext);
-
@@ -0,0 +1,29 @@
+// JWT saved by login(), for requests made outside of React state
+export const getAuthToken = () => {
+  try {
+    return JSON.parse(localStorage.getItem('auth'))?.token || null;
+  } catch {
+    return null;
+  }
+};
+
+// Token login() saved for getting a new JWT when the current one runs out
+export const getRefreshToken = () => {
+  try {
+    return JSON.parse(localStorage.getItem('auth'))?.refreshToken || null;
+  } catch {
+    return null;
+  }
+};
+
+// Id of the logged-in user, read from the stored JWT
+export const getAuthUserId = () => {
+  const token = getAuthToken();
+  if (!token) return null;
+  try {
+    return JSON.parse(atob(token.split('.')[1])).userId;
+  } catch {
+    return null;
+  }
+};
+
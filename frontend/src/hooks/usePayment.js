@@ -0,0 +1,85 @@
+import { useState } from "react";
+import { getAuthToken } from "../context/authStorage";
+
+const SCRIPTS = {
+    razorpay: 'https://checkout.razorpay.com/v1/checkout.js',
+    stripe: 'https://js.stripe.com/v3/',
+}
+
+const loadScript = (src) => new Promise((resolve, reject) => {
+    if (document.querySelector(`script[src="${src}"]`)) return resolve()
+    const script = document.createElement('script')
+    script.src = src
+    script.onload = resolve
+    script.onerror = () => reject(new Error(`Could not load ${src}`))
+    document.body.appendChild(script)
+})
+
+// Opens Razorpay Checkout and resolves with what it hands back once the customer has paid
+const openRazorpay = async (clientData, prefill) => {
+    await loadScript(SCRIPTS.razorpay)
+    return new Promise((resolve, reject) => {
+        const checkout = new window.Razorpay({
+            key: clientData.keyId,
+            order_id: clientData.orderId,
+            amount: clientData.amount,
+            currency: clientData.currency,
+            name: 'AgroTech AI',
+            prefill,
+            handler: resolve,
+            modal: { ondismiss: () => reject(new Error('Payment was cancelled')) },
+        })
+        checkout.on('payment.failed', (response) => reject(new Error(response.error.description)))
+        checkout.open()
+    })
+}
+
+// Confirms a Stripe payment that already has a saved card attached
+const confirmStripe = async (clientData) => {
+    await loadScript(SCRIPTS.stripe)
+    const stripe = window.Stripe(import.meta.env.VITE_STRIPE_PUBLISHABLE_KEY)
+    const { error } = await stripe.confirmCardPayment(clientData.clientSecret)
+    if (error) throw new Error(error.message)
+}
+
+/**
+ * Completes a payment started by the backend ({payment, clientData} from a checkout),
+ * with whichever provider the payment was created for. The backend checks the result
+ * with the provider; what the client reports is never taken as proof of payment.
+ */
+export const usePayment = (apiUrl) => {
+    const [paying, setPaying] = useState(false)
+
+    const confirm = async (paymentId, data) => {
+        const response = await fetch(`${apiUrl}/api/payments/${paymentId}/confirm`, {
+            method: 'POST',
+            // Guest checkouts have no token; their payments need none
+            headers: { 'Content-Type': 'application/json', ...(getAuthToken() && { Authorization: `Bearer ${getAuthToken()}` }) },
+            body: JSON.stringify(data),
+        })
+        const body = await response.json()
+        if (!response.ok) throw new Error(body.message || 'Payment could not be confirmed')
+        return body.payment
+    }
+
+    const pay = async ({ payment, clientData, prefill }) => {
+        setPaying(true)
+        try {
+            if (payment.provider === 'razorpay') {
+                return await confirm(payment._id, await openRazorpay(clientData, prefill))
+            }
+            if (payment.provider === 'stripe') {
+                await confirmStripe(clientData)
+                return await confirm(payment._id, {})
+            }
+            // The mock provider stands in for the customer paying
+            return await confirm(payment._id, { outcome: 'succeeded' })
+        } finally {
+            setPaying(false)
+        }
+    }
+
+    return {
+        pay, paying
+    }
+}